@@ -0,0 +1,383 @@
+// OmniExporter AI - Background Fetcher
+// Lists and fetches conversations from the service worker, without an open
+// chat tab. Requests use the extension's host permissions and the browser's
+// session cookies; responses go through the shared platform transforms.
+//
+// Only DeepSeek keeps its API token in page localStorage, which the service
+// worker can't reach without a page. The token is read from an open
+// chat.deepseek.com tab (auto-sync reads it whenever it sees one) and kept in
+// chrome.storage.session, so DeepSeek syncs without a tab only after one was
+// open in this browser session. No window or tab is ever opened for it.
+
+const BackgroundFetcher = {
+    PLATFORMS: ['Perplexity', 'ChatGPT', 'Claude', 'Gemini', 'Grok', 'DeepSeek'],
+
+    supports(platform) {
+        return this.PLATFORMS.includes(platform);
+    },
+
+    /**
+     * Most recently active threads: [{ uuid, title, platform, last_query_datetime }]
+     * Throws an error with code 'AUTH_REQUIRED' when the user is signed out.
+     */
+    async getThreads(platform, limit = 50) {
+        const threads = await this.fetchers[platform].getThreads(limit);
+        return threads.map(t => ({ ...t, platform }));
+    },
+
+    /**
+     * Full conversation in the canonical schema
+     */
+    async getThreadDetail(platform, uuid) {
+        const conversation = await this.fetchers[platform].getThreadDetail(uuid);
+        if (!conversation.messages.length) {
+            throw new Error(`No messages returned for ${platform} thread ${uuid}`);
+        }
+        return conversation;
+    },
+
+    // ============================================
+    // HTTP
+    // ============================================
+
+    async request(platform, url, options = {}) {
+        const response = await fetch(url, {
+            credentials: 'include',
+            ...options,
+            headers: { 'Accept': 'application/json', ...options.headers }
+        });
+
+        if (response.status === 401 || response.status === 403) {
+            throw this.authRequired(platform);
+        }
+        if (!response.ok) {
+            throw Object.assign(new Error(`${platform} API error: ${response.status}`), { status: response.status });
+        }
+        return response;
+    },
+
+    async requestJson(platform, url, options) {
+        const response = await this.request(platform, url, options);
+        return response.json();
+    },
+
+    authRequired(platform) {
+        return Object.assign(new Error(`Not signed in to ${platform}`), { code: 'AUTH_REQUIRED' });
+    },
+
+    // ============================================
+    // PAGE CONTEXT
+    // ============================================
+
+    /**
+     * Keep what a fetcher can only read from the platform's page (DeepSeek's
+     * token) for later runs without a tab. Called with an open tab of the platform.
+     */
+    async rememberFromTab(platform, tab) {
+        await this.fetchers[platform]?.rememberFromTab?.(tab);
+    },
+
+    /**
+     * Run `func` inside an open tab and return its result.
+     * `func` is serialized, so it must not use outer variables.
+     */
+    async readFromTab(tabId, func) {
+        const [injection] = await chrome.scripting.executeScript({ target: { tabId }, func });
+        return injection?.result ?? null;
+    },
+
+    // ============================================
+    // PLATFORMS
+    // ============================================
+
+    fetchers: {
+        Perplexity: {
+            async getThreads(limit) {
+                const url = `${platformConfig.getBaseUrl('Perplexity')}${platformConfig.buildEndpoint('Perplexity', 'listThreads')}`;
+                const data = await BackgroundFetcher.requestJson('Perplexity', url, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ limit, offset: 0, ascending: false })
+                });
+                return (Array.isArray(data) ? data : []).map(t => ({
+                    uuid: t.uuid,
+                    title: DataExtractor.extractTitle(t, 'Perplexity'),
+                    last_query_datetime: t.last_query_datetime
+                }));
+            },
+
+            async getThreadDetail(uuid) {
+                const entries = [];
+                let cursor = null;
+                do {
+                    const params = new URLSearchParams({
+                        with_parent_info: 'true',
+                        with_schematized_response: 'true',
+                        version: PLATFORM_CONFIGS.Perplexity.versions.current,
+                        source: 'default',
+                        limit: '100'
+                    });
+                    if (cursor) params.append('cursor', cursor);
+
+                    const json = await BackgroundFetcher.requestJson('Perplexity',
+                        `${platformConfig.getBaseUrl('Perplexity')}/rest/thread/${uuid}?${params}`,
+                        { headers: { 'x-app-apiversion': PLATFORM_CONFIGS.Perplexity.versions.current } });
+
+                    (json.entries || []).forEach(entry => {
+                        if (!entries.some(e => e.uuid === entry.uuid)) entries.push(entry);
+                    });
+                    cursor = json.next_cursor && json.next_cursor !== cursor ? json.next_cursor : null;
+                } while (cursor);
+
+                return ConversationSchema.createConversation({
+                    uuid,
+                    title: entries[0]?.query_str?.slice(0, 100) || 'Untitled Thread',
+                    platform: 'Perplexity',
+                    messages: transformPerplexityData(entries)
+                });
+            }
+        },
+
+        ChatGPT: {
+            _accessToken: null,
+            _tokenExpires: 0,
+
+            /**
+             * backend-api wants a bearer token; the session endpoint hands it
+             * out for the signed-in cookie
+             */
+            async headers() {
+                if (!this._accessToken || Date.now() > this._tokenExpires) {
+                    const session = await BackgroundFetcher.requestJson('ChatGPT', 'https://chatgpt.com/api/auth/session');
+                    if (!session?.accessToken) throw BackgroundFetcher.authRequired('ChatGPT');
+                    this._accessToken = session.accessToken;
+                    this._tokenExpires = Date.now() + 10 * 60 * 1000;
+                }
+                return { 'Authorization': `Bearer ${this._accessToken}` };
+            },
+
+            async getThreads(limit) {
+                const data = await BackgroundFetcher.requestJson('ChatGPT',
+                    `https://chatgpt.com/backend-api/conversations?offset=0&limit=${limit}&order=updated`,
+                    { headers: await this.headers() });
+                return (data.items || []).map(t => ({
+                    uuid: t.id,
+                    title: DataExtractor.extractTitle(t, 'ChatGPT'),
+                    last_query_datetime: ConversationSchema.toIsoDate(t.update_time)
+                }));
+            },
+
+            async getThreadDetail(uuid) {
+                const data = await BackgroundFetcher.requestJson('ChatGPT',
+                    `https://chatgpt.com/backend-api/conversation/${uuid}`,
+                    { headers: await this.headers() });
+                const { exportBranches } = await chrome.storage.local.get('exportBranches');
+
+                return ConversationSchema.createConversation({
+                    uuid,
+                    title: data.title || 'ChatGPT Chat',
+                    platform: 'ChatGPT',
+                    model: data.default_model_slug,
+                    createdAt: data.create_time,
+                    updatedAt: data.update_time,
+                    messages: transformChatGPTData(data, { includeBranches: !!exportBranches })
+                });
+            }
+        },
+
+        Claude: {
+            _orgId: null,
+
+            async orgId() {
+                if (!this._orgId) {
+                    const orgs = await BackgroundFetcher.requestJson('Claude',
+                        `${platformConfig.getBaseUrl('Claude')}${platformConfig.buildEndpoint('Claude', 'organizations')}`);
+                    if (!Array.isArray(orgs) || orgs.length === 0) throw BackgroundFetcher.authRequired('Claude');
+                    this._orgId = orgs[0].uuid;
+                }
+                return this._orgId;
+            },
+
+            async getThreads(limit) {
+                const endpoint = platformConfig.buildEndpoint('Claude', 'conversations', { org: await this.orgId() });
+                const data = await BackgroundFetcher.requestJson('Claude', `${platformConfig.getBaseUrl('Claude')}${endpoint}`);
+                return (Array.isArray(data) ? data : []).slice(0, limit).map(t => ({
+                    uuid: t.uuid,
+                    title: DataExtractor.extractTitle(t, 'Claude'),
+                    last_query_datetime: t.updated_at
+                }));
+            },
+
+            async getThreadDetail(uuid) {
+                const endpoint = platformConfig.buildEndpoint('Claude', 'conversationDetail', { org: await this.orgId(), uuid });
+                const data = await BackgroundFetcher.requestJson('Claude', `${platformConfig.getBaseUrl('Claude')}${endpoint}`);
+
+                return ConversationSchema.createConversation({
+                    uuid,
+                    title: data.name,
+                    platform: 'Claude',
+                    model: data.model,
+                    createdAt: data.created_at,
+                    updatedAt: data.updated_at,
+                    messages: transformClaudeData(data)
+                });
+            }
+        },
+
+        Gemini: {
+            _session: null,
+            _sessionExpires: 0,
+
+            /**
+             * batchexecute needs the page's SNlM0e token, which the app HTML embeds
+             * in WIZ_global_data; signed-out pages don't have one
+             */
+            async session() {
+                if (this._session && Date.now() < this._sessionExpires) return this._session;
+
+                const response = await BackgroundFetcher.request('Gemini', 'https://gemini.google.com/app', {
+                    headers: { 'Accept': 'text/html' }
+                });
+                const html = await response.text();
+                const token = html.match(/"SNlM0e":"([^"]+)"/)?.[1];
+                if (!token) throw BackgroundFetcher.authRequired('Gemini');
+
+                this._session = { token, build: html.match(/"cfb2h":"([^"]+)"/)?.[1] || 'boq_assistant-bard-web-server' };
+                this._sessionExpires = Date.now() + 10 * 60 * 1000;
+                return this._session;
+            },
+
+            async batchExecute(rpcid, payload) {
+                const { token, build } = await this.session();
+                const body = `f.req=${encodeURIComponent(JSON.stringify([[rpcid, JSON.stringify(payload), null, 'generic']]))}` +
+                    `&at=${encodeURIComponent(token)}&`;
+                const response = await BackgroundFetcher.request('Gemini',
+                    `https://gemini.google.com/_/BardChatUi/data/batchexecute?rpcids=${rpcid}&source-path=/app&bl=${encodeURIComponent(build)}`,
+                    {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/x-www-form-urlencoded;charset=UTF-8', 'Accept': '*/*' },
+                        body
+                    });
+                const parsed = parseGeminiBatchResponse(await response.text());
+                const dataStr = parsed?.[0]?.[2];
+                return dataStr ? JSON.parse(dataStr) : null;
+            },
+
+            async getThreads(limit) {
+                const data = await this.batchExecute('MaZiqc', [limit, null, [0, null, 1]]);
+                // The list has no activity time (left null); fingerprints tell unchanged threads apart
+                return (data?.[0] || []).filter(conv => conv[0]).map(conv => ({
+                    uuid: conv[0],
+                    title: (conv[1] || conv[2] || 'Gemini Chat').slice(0, 100),
+                    last_query_datetime: null
+                }));
+            },
+
+            async getThreadDetail(uuid) {
+                const data = await this.batchExecute('hNvQHb', [uuid, 50, null, 1, [0], [4], null, 1]);
+                const messages = data ? transformGeminiData(data) : [];
+
+                return ConversationSchema.createConversation({
+                    uuid,
+                    title: (typeof data?.[0]?.[0] === 'string' && data[0][0]) ||
+                        messages[0]?.text?.substring(0, 100) || 'Gemini Conversation',
+                    platform: 'Gemini',
+                    messages
+                });
+            }
+        },
+
+        Grok: {
+            async getThreads(limit) {
+                const data = await BackgroundFetcher.requestJson('Grok', 'https://grok.com/rest/app-chat/conversations');
+                const chats = data.conversations || data.data || data.items || [];
+                return chats.slice(0, limit).map(chat => ({
+                    uuid: chat.id || chat.conversationId || chat.uuid,
+                    title: chat.title || chat.name || 'Grok Chat',
+                    last_query_datetime: chat.updatedAt || chat.createdAt || null
+                }));
+            },
+
+            async getThreadDetail(uuid) {
+                const data = await BackgroundFetcher.requestJson('Grok',
+                    `https://grok.com/rest/app-chat/conversations_v2/${uuid}?includeWorkspaces=true&includeTaskResult=true`);
+
+                return ConversationSchema.createConversation({
+                    uuid,
+                    title: data.title || data.conversation?.title || data.name || 'Grok Conversation',
+                    platform: 'Grok',
+                    messages: transformGrokData(data)
+                });
+            }
+        },
+
+        DeepSeek: {
+            async rememberFromTab(tab) {
+                const deepseekToken = await BackgroundFetcher.readFromTab(tab.id, () => {
+                    const raw = localStorage.getItem('userToken');
+                    if (!raw) return null;
+                    try {
+                        return JSON.parse(raw).value || null;
+                    } catch {
+                        return raw;
+                    }
+                });
+                if (deepseekToken) await chrome.storage.session.set({ deepseekToken });
+                return deepseekToken;
+            },
+
+            async headers() {
+                let { deepseekToken } = await chrome.storage.session.get('deepseekToken');
+                if (!deepseekToken) {
+                    const [tab] = await chrome.tabs.query({ url: 'https://chat.deepseek.com/*' });
+                    if (tab) deepseekToken = await this.rememberFromTab(tab);
+                }
+                if (!deepseekToken) {
+                    throw Object.assign(new Error('DeepSeek needs a chat.deepseek.com tab opened once in this browser session'),
+                        { code: 'AUTH_REQUIRED' });
+                }
+                return { 'Authorization': `Bearer ${deepseekToken}` };
+            },
+
+            /**
+             * A rejected token is dropped so the next call reads a fresh one
+             */
+            async requestJson(url) {
+                try {
+                    return await BackgroundFetcher.requestJson('DeepSeek', url, { headers: await this.headers() });
+                } catch (error) {
+                    if (error.code === 'AUTH_REQUIRED') await chrome.storage.session.remove('deepseekToken');
+                    throw error;
+                }
+            },
+
+            async getThreads(limit) {
+                const data = await this.requestJson('https://chat.deepseek.com/api/v0/chat_session/fetch_page?lte_cursor.pinned=false');
+                const bizData = data.data?.biz_data || data.biz_data || data.data || data;
+                return (bizData.chat_sessions || bizData.sessions || []).slice(0, limit).map(chat => ({
+                    uuid: chat.id || chat.chat_session_id || chat.session_id,
+                    title: chat.title || chat.name || 'DeepSeek Chat',
+                    last_query_datetime: ConversationSchema.toIsoDate(chat.updated_at || chat.create_time)
+                }));
+            },
+
+            async getThreadDetail(uuid) {
+                const data = await this.requestJson(`https://chat.deepseek.com/api/v0/chat/history_messages?chat_session_id=${uuid}`);
+                const messages = transformDeepSeekData(data);
+
+                return ConversationSchema.createConversation({
+                    uuid,
+                    title: getDeepSeekTitle(data) || messages.find(m => m.role === 'user')?.text?.substring(0, 100) ||
+                        `DeepSeek Thread ${uuid.slice(0, 8)}`,
+                    platform: 'DeepSeek',
+                    messages
+                });
+            }
+        }
+    }
+};
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BackgroundFetcher;
+}
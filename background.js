@@ -23,6 +23,8 @@ chrome.alarms.onAlarm.addListener((alarm) => {
     if (alarm.name === 'autoSyncAlarm') {
         console.log("Auto-sync alarm triggered");
         performAutoSync();
+    } else if (alarm.name === SYNC_QUEUE_ALARM) {
+        processSyncQueue();
     }
 });
 
@@ -102,9 +104,15 @@ chrome.storage.onChanged.addListener((changes, areaName) => {
 // AUTO-SYNC IMPLEMENTATION (Incremental with Checkpoints)
 // ============================================
 
-// Load OAuth module in service worker context
+// Load OAuth module, the shared conversation schema, Notion sync, duplicate detection,
+// tabless platform fetching, the bulk sync queue and the local conversation archive (with its
+// search index) in service worker context
 if (typeof importScripts === 'function') {
-    importScripts('auth/notion-oauth.js');
+    importScripts(
+        'auth/notion-oauth.js', 'conversation-schema.js', 'markdown-renderer.js', 'notion-blocks.js', 'notion-sync.js',
+        'duplicate-detector.js', 'platform-config.js', 'platform-transforms.js', 'background-fetcher.js',
+        'sync-queue.js', 'search-index.js', 'conversation-store.js'
+    );
 }
 
 
@@ -117,38 +125,200 @@ async function getSyncCheckpoint(platform) {
 }
 
 /**
- * Update sync checkpoint after successful sync
+ * Update sync checkpoint after successful sync.
+ * state.pass is set while a run stops at the batch limit: { startedAt, visited: [uuid] }
+ * of the unfinished pass. state.failed lists threads to retry in the next pass:
+ * [{ uuid, title, attempts }].
  */
-async function updateSyncCheckpoint(platform, lastSyncTime, lastUuid) {
+async function updateSyncCheckpoint(platform, lastSyncTime, lastUuid, { pass = null, failed = [] } = {}) {
     const { syncCheckpoints = {} } = await chrome.storage.local.get('syncCheckpoints');
-    syncCheckpoints[platform] = { lastSyncTime, lastUuid, updatedAt: Date.now() };
+    syncCheckpoints[platform] = {
+        lastSyncTime, lastUuid, updatedAt: Date.now(),
+        ...(pass ? { pass } : {}),
+        ...(failed.length > 0 ? { failed } : {})
+    };
     await chrome.storage.local.set({ syncCheckpoints });
 }
 
 /**
  * Fetch only threads since last checkpoint
  */
-async function fetchThreadsSinceCheckpoint(tabId, platform, checkpoint) {
-    return new Promise((resolve) => {
-        chrome.tabs.sendMessage(tabId, {
-            type: 'GET_THREAD_LIST',
-            payload: { page: 1, limit: 50, sinceTimestamp: checkpoint.lastSyncTime }
-        }, (response) => {
-            if (!response || !response.success) {
-                resolve({ threads: [], hasMore: false });
-            } else {
-                // Filter threads newer than checkpoint
-                const filtered = (response.data.threads || []).filter(t => {
-                    const threadTime = new Date(t.last_query_datetime).getTime();
-                    return threadTime > checkpoint.lastSyncTime;
-                });
-                resolve({ threads: filtered, hasMore: response.data.hasMore });
-            }
-        });
+async function fetchThreadsSinceCheckpoint(source, checkpoint) {
+    const { threads, hasMore } = await source.listThreads(50, checkpoint.lastSyncTime);
+
+    // Filter threads newer than checkpoint; threads without an activity time
+    // can't be placed before it and are left to the fingerprint check
+    const filtered = threads.filter(t => {
+        const threadTime = DuplicateDetector.activityTime(t);
+        return threadTime === null || threadTime > checkpoint.lastSyncTime;
     });
+    return { threads: filtered, hasMore };
+}
+
+// ============================================
+// THREAD SOURCES
+// ============================================
+
+/**
+ * Read a platform through the content script of one of its open tabs
+ */
+function createTabSource(tab) {
+    return {
+        kind: 'tab',
+        listThreads: (limit, sinceTimestamp) => new Promise((resolve) => {
+            chrome.tabs.sendMessage(tab.id, {
+                type: 'GET_THREAD_LIST',
+                payload: { page: 1, limit, sinceTimestamp }
+            }, (response) => {
+                resolve(response?.success
+                    ? { threads: response.data.threads || [], hasMore: response.data.hasMore }
+                    : { threads: [], hasMore: false });
+            });
+        }),
+        getThreadDetail: (uuid) => new Promise((resolve, reject) => {
+            chrome.tabs.sendMessage(tab.id, {
+                type: 'EXTRACT_CONTENT_BY_UUID',
+                payload: { uuid }
+            }, (response) => {
+                if (response?.success) resolve(response.data);
+                else reject(new Error(response?.error || 'Failed to extract'));
+            });
+        })
+    };
+}
+
+/**
+ * Read a platform straight from the service worker, for platforms without an open tab
+ */
+function createBackgroundSource(platform) {
+    return {
+        kind: 'background',
+        listThreads: async (limit) => ({ threads: await BackgroundFetcher.getThreads(platform, limit), hasMore: false }),
+        getThreadDetail: async (uuid) => {
+            const conversation = await BackgroundFetcher.getThreadDetail(platform, uuid);
+            await archiveConversation(conversation, 'background');
+            return conversation;
+        }
+    };
+}
+
+/**
+ * Read conversations from the local archive only
+ */
+function createArchiveSource(platform) {
+    return {
+        kind: 'archive',
+        listThreads: async (limit) => {
+            const threads = await ConversationStore.listThreads({ platform });
+            return { threads: threads.slice(0, limit), hasMore: threads.length > limit };
+        },
+        getThreadDetail: async (uuid) => {
+            const conversation = await ConversationStore.get(platform, uuid);
+            if (!conversation) {
+                throw Object.assign(new Error(`Conversation ${uuid} is not in the local archive`), { retryable: false });
+            }
+            return conversation;
+        }
+    };
+}
+
+/**
+ * Best available reader for a platform: an open tab, then the service
+ * worker's own fetcher (unless "Sync platforms without an open tab" is off),
+ * then the local archive
+ */
+async function createPlatformSource(platform) {
+    const tab = await findPlatformTab(platform);
+    if (tab) return createTabSource(tab);
+    const { backgroundSync } = await chrome.storage.local.get('backgroundSync');
+    if (backgroundSync !== false && BackgroundFetcher.supports(platform)) return createBackgroundSource(platform);
+    return createArchiveSource(platform);
+}
+
+/**
+ * Thread detail from the platform, or the archived copy when the platform
+ * can't deliver it (logged out, rate-limited, timed out)
+ */
+async function getThreadDetailOrArchived(source, platform, uuid) {
+    try {
+        return await source.getThreadDetail(uuid);
+    } catch (e) {
+        const archived = await ConversationStore.get(platform, uuid).catch(() => null);
+        if (!archived) throw e;
+        console.log(`[Archive] ${platform} ${uuid} unavailable (${e.message}), using the archived copy`);
+        return archived;
+    }
+}
+
+// ============================================
+// LOCAL ARCHIVE
+// ============================================
+
+/**
+ * Keep a fetched conversation in the IndexedDB archive (Settings: "Keep a
+ * local archive", on by default). Content scripts send theirs here because
+ * their own IndexedDB belongs to the platform's site.
+ */
+async function archiveConversation(conversation, via) {
+    const { archiveEnabled } = await chrome.storage.local.get('archiveEnabled');
+    if (archiveEnabled === false || !conversation?.uuid) return;
+    try {
+        await ConversationStore.put(ConversationSchema.normalize(conversation), { via });
+    } catch (e) {
+        console.warn('[Archive] Could not store conversation:', e.message);
+    }
+}
+
+// ============================================
+// AUTO-SYNC PLATFORMS
+// ============================================
+
+/**
+ * Platforms auto-sync visits on every alarm tick: tab URL patterns, threads
+ * synced per run (batchLimit) and the pause between thread fetches (delayMs)
+ */
+const AUTO_SYNC_PLATFORMS = {
+    Perplexity: { urls: ['https://www.perplexity.ai/*'], batchLimit: 10, delayMs: 1000 },
+    ChatGPT: { urls: ['https://chatgpt.com/*', 'https://chat.openai.com/*'], batchLimit: 10, delayMs: 1500 },
+    Claude: { urls: ['https://claude.ai/*'], batchLimit: 10, delayMs: 1500 },
+    Gemini: { urls: ['https://gemini.google.com/*'], batchLimit: 5, delayMs: 2000 },
+    Grok: { urls: ['https://grok.com/*', 'https://x.com/i/grok/*'], batchLimit: 5, delayMs: 2000 },
+    DeepSeek: { urls: ['https://chat.deepseek.com/*'], batchLimit: 10, delayMs: 1000 }
+};
+
+// Passes a failed thread is tried in before auto-sync gives up on it
+// (it stays in the dashboard's Failures list)
+const AUTO_SYNC_RETRY_PASSES = 3;
+
+/**
+ * An open tab of the platform, preferring tabs Chrome hasn't discarded
+ */
+async function findPlatformTab(platform) {
+    const config = AUTO_SYNC_PLATFORMS[platform];
+    if (!config) return null;
+    const tabs = await chrome.tabs.query({ url: config.urls });
+    return tabs.find(t => !t.discarded) || tabs[0] || null;
+}
+
+/**
+ * One open tab per platform
+ */
+async function findPlatformTabs() {
+    const platformTabs = {};
+    for (const platform of Object.keys(AUTO_SYNC_PLATFORMS)) {
+        const tab = await findPlatformTab(platform);
+        if (tab) platformTabs[platform] = tab;
+    }
+    return platformTabs;
 }
 
 async function performAutoSync() {
+    // A bulk sync job is working through the same threads; catch up next tick
+    if (SyncQueue.isActive(await SyncQueue.load())) {
+        console.log("[AutoSync] Skipped: sync queue is active");
+        return;
+    }
+
     // Fix #1: Acquire global lock before sync
     if (!(await acquireSyncLock())) {
         return; // Another sync is in progress
@@ -156,7 +326,8 @@ async function performAutoSync() {
 
     try {
         const settings = await chrome.storage.local.get([
-            'autoSyncEnabled', 'autoSyncNotion', 'notionApiKey', 'notionKey', 'notionDbId', 'exportedUuids', 'notion_auth_method'
+            'autoSyncEnabled', 'autoSyncNotion', 'notionApiKey', 'notionKey', 'notionDbId', 'exportedUuids', 'notion_auth_method',
+            'backgroundSync'
         ]);
 
         if (!settings.autoSyncEnabled || !settings.notionDbId) {
@@ -183,116 +354,53 @@ async function performAutoSync() {
         console.log("[AutoSync] Starting incremental sync...");
 
         try {
-            // Find AI platform tabs - ALL 6 PLATFORMS
-            const tabs = await chrome.tabs.query({
-                url: [
-                    "https://www.perplexity.ai/*",
-                    "https://chatgpt.com/*",
-                    "https://chat.openai.com/*",
-                    "https://claude.ai/*",
-                    "https://gemini.google.com/*",
-                    "https://grok.com/*",
-                    "https://x.com/i/grok/*",
-                    "https://chat.deepseek.com/*"
-                ]
-            });
+            const startTime = Date.now();
+            const platformTabs = await findPlatformTabs();
+            const backgroundSync = settings.backgroundSync !== false;
+
+            // Platforms with an open tab are read through it; the rest from the service worker
+            const platforms = Object.keys(AUTO_SYNC_PLATFORMS)
+                .filter(p => platformTabs[p] || (backgroundSync && BackgroundFetcher.supports(p)));
 
-            if (tabs.length === 0) {
-                console.log("[AutoSync] No AI platform tabs found");
+            if (platforms.length === 0) {
+                console.log("[AutoSync] No AI platform tabs found and background sync is off");
                 return;
             }
 
-            const tab = tabs[0];
-            const platform = tab.url.includes('perplexity') ? 'Perplexity'
-                : tab.url.includes('chatgpt') || tab.url.includes('openai') ? 'ChatGPT'
-                    : tab.url.includes('claude') ? 'Claude'
-                        : tab.url.includes('gemini') ? 'Gemini'
-                            : tab.url.includes('grok') || tab.url.includes('x.com') ? 'Grok'
-                                : tab.url.includes('deepseek') ? 'DeepSeek'
-                                    : 'Unknown';
-
-            // Get checkpoint for this platform
-            const checkpoint = await getSyncCheckpoint(platform);
-            console.log(`[AutoSync] Checkpoint for ${platform}:`, checkpoint);
-
-            // Fetch only new threads since checkpoint
-            const { threads } = await fetchThreadsSinceCheckpoint(tab.id, platform, checkpoint);
+            console.log(`[AutoSync] Syncing ${platforms.length} platform(s): ${platforms.join(', ')}`);
             const exportedUuids = new Set(settings.exportedUuids || []);
+            const results = {};
 
-            // Filter out already exported
-            const newThreads = threads.filter(t => !exportedUuids.has(t.uuid));
-
-            console.log(`[AutoSync] Found ${newThreads.length} new threads since checkpoint`);
-
-            if (newThreads.length === 0) {
-                // Update checkpoint even if no new threads
-                await updateSyncCheckpoint(platform, Date.now(), null);
-                return;
-            }
-
-            let successCount = 0, failedCount = 0;
-            const BATCH_SIZE = 5;
-
-            // Process in batches
-            for (let i = 0; i < Math.min(newThreads.length, 10); i += BATCH_SIZE) {
-                const batch = newThreads.slice(i, i + BATCH_SIZE);
-                console.log(`[AutoSync] Processing batch ${Math.floor(i / BATCH_SIZE) + 1}...`);
-
-                for (const thread of batch) {
-                    try {
-                        const detailResponse = await new Promise((resolve) => {
-                            chrome.tabs.sendMessage(tab.id, {
-                                type: 'EXTRACT_CONTENT_BY_UUID',
-                                payload: { uuid: thread.uuid }
-                            }, resolve);
-                        });
-
-                        if (!detailResponse || !detailResponse.success) {
-                            failedCount++;
-                            await trackFailure({
-                                uuid: thread.uuid,
-                                reason: detailResponse?.error || 'Failed to extract',
-                                platform
-                            });
-                            continue;
-                        }
-
-                        const syncResult = await syncToNotion(detailResponse.data, settings);
-
-                        if (syncResult.success) {
-                            successCount++;
-                            exportedUuids.add(thread.uuid);
-                        } else {
-                            failedCount++;
-                            await trackFailure({
-                                uuid: thread.uuid,
-                                reason: syncResult.error || 'Notion sync failed',
-                                platform
-                            });
-                        }
-
-                        // Rate limiting
-                        await new Promise(r => setTimeout(r, 1000));
-
-                    } catch (e) {
-                        failedCount++;
-                        console.error(`[AutoSync] Error syncing ${thread.uuid}:`, e);
+            // Platforms run one after another; a failure on one doesn't stop the rest
+            for (const platform of platforms) {
+                if (platformTabs[platform]) {
+                    // Keeps DeepSeek's token for runs without a tab
+                    await BackgroundFetcher.rememberFromTab(platform, platformTabs[platform]).catch(() => { });
+                }
+                const source = platformTabs[platform]
+                    ? createTabSource(platformTabs[platform])
+                    : createBackgroundSource(platform);
+                try {
+                    results[platform] = await syncPlatform(platform, source, settings, exportedUuids);
+                } catch (e) {
+                    if (e.code === 'AUTH_REQUIRED') {
+                        // Not signed in: nothing to sync, not a failure
+                        console.log(`[AutoSync] ${platform} skipped: ${e.message}`);
+                        continue;
                     }
+                    console.error(`[AutoSync] ${platform} failed:`, e);
+                    results[platform] = { total: 0, success: 0, failed: 0, skipped: 0, source: source.kind, error: e.message };
                 }
-
-                // Brief pause between batches
-                await new Promise(r => setTimeout(r, 2000));
             }
 
-            // Update checkpoint and exported UUIDs
-            await updateSyncCheckpoint(platform, Date.now(), newThreads[0]?.uuid);
             await chrome.storage.local.set({
                 lastSyncDate: new Date().toISOString(),
                 exportedUuids: Array.from(exportedUuids)
             });
 
-            await recordSyncJob(newThreads.length, successCount, failedCount);
-            console.log(`[AutoSync] Complete: ${successCount} synced, ${failedCount} failed`);
+            if (Object.keys(results).length > 0) {
+                await recordSyncJob(results, startTime);
+            }
 
         } catch (e) {
             console.error("[AutoSync] Error:", e);
@@ -303,160 +411,177 @@ async function performAutoSync() {
     }
 }
 
-async function syncToNotion(data, settings) {
-    try {
-        const entries = data.detail?.entries || [];
-        const children = [];
-        const token = await NotionOAuth.getActiveToken();
+/**
+ * Sync one platform's new and updated threads from a tab or background source.
+ * Returns { total, success, failed, skipped, remaining, source } for the sync history.
+ */
+async function syncPlatform(platform, source, settings, exportedUuids) {
+    const limits = AUTO_SYNC_PLATFORMS[platform];
+    const result = { total: 0, success: 0, failed: 0, skipped: 0, remaining: 0, source: source.kind };
+
+    // Get checkpoint for this platform
+    const checkpoint = await getSyncCheckpoint(platform);
+    console.log(`[AutoSync] Checkpoint for ${platform}:`, checkpoint);
+
+    // A pass over the pending threads can take several runs; it starts now
+    // unless an earlier run stopped at the batch limit
+    const pass = checkpoint.pass || { startedAt: Date.now(), visited: [] };
+    const visited = new Set(pass.visited);
+
+    // Threads that failed in an earlier pass; the checkpoint has moved past them
+    const failedBefore = new Map((checkpoint.failed || []).map(t => [t.uuid, t]));
+    const failed = [];
+
+    // Fetch only threads active since checkpoint
+    const { threads } = await fetchThreadsSinceCheckpoint(source, checkpoint);
+    const fingerprints = await DuplicateDetector.getFingerprints();
+
+    // New threads, plus exported ones that were active after their last export,
+    // plus earlier failures, minus the ones earlier runs of this pass already visited
+    const listed = new Set(threads.map(t => t.uuid));
+    const pending = [...threads, ...[...failedBefore.values()].filter(t => !listed.has(t.uuid))]
+        .filter(t => !visited.has(t.uuid) && (failedBefore.has(t.uuid) || DuplicateDetector.needsExport(t, fingerprints)));
+    console.log(`[AutoSync] ${platform}: ${pending.length} new, updated or failed threads since checkpoint`);
+
+    if (pending.length === 0) {
+        // Update checkpoint even if no new threads
+        await updateSyncCheckpoint(platform, pass.startedAt, null, { failed: [...failedBefore.values()] });
+        return result;
+    }
 
-        children.push({
-            type: "callout",
-            callout: {
-                icon: { emoji: "🤖" },
-                color: "blue_background",
-                rich_text: [{ type: "text", text: { content: `Auto-synced from ${data.platform || 'AI'} at ${new Date().toLocaleString()}` } }]
-            }
-        });
-        children.push({ type: "divider", divider: {} });
-
-        entries.slice(0, 5).forEach((entry) => {
-            const query = entry.query || entry.query_str || '';
-            if (query) {
-                children.push({
-                    type: "heading_2",
-                    heading_2: {
-                        rich_text: [{ type: "text", text: { content: query.slice(0, 2000) } }]
-                    }
+    const batch = pending.slice(0, limits.batchLimit);
+    result.total = batch.length;
+    result.remaining = pending.length - batch.length;
+
+    // Remembered for the next pass, up to AUTO_SYNC_RETRY_PASSES attempts
+    const markFailed = thread => {
+        const attempts = (failedBefore.get(thread.uuid)?.attempts || 0) + 1;
+        if (attempts < AUTO_SYNC_RETRY_PASSES) failed.push({ uuid: thread.uuid, title: thread.title, attempts });
+    };
+
+    for (const thread of batch) {
+        try {
+            let data;
+            try {
+                data = await getThreadDetailOrArchived(source, platform, thread.uuid);
+            } catch (e) {
+                result.failed++;
+                markFailed(thread);
+                await trackFailure({
+                    uuid: thread.uuid,
+                    reason: e.message || 'Failed to extract',
+                    platform
                 });
+                continue;
             }
 
-            // Extract answer from blocks or direct properties
-            let answer = '';
-            if (entry.blocks && Array.isArray(entry.blocks)) {
-                entry.blocks.forEach(block => {
-                    if (block.intended_usage === 'ask_text' && block.markdown_block) {
-                        answer += (block.markdown_block.answer || block.markdown_block.chunks?.join('\n') || '') + '\n\n';
-                    }
-                });
+            // Content-level check: activity alone doesn't mean the messages changed
+            const fingerprint = DuplicateDetector.generateFingerprint(data);
+            const diff = DuplicateDetector.compare(fingerprints[thread.uuid], fingerprint);
+            if (diff.status === 'unchanged') {
+                result.skipped++;
+                await DuplicateDetector.saveFingerprint(thread.uuid, fingerprint);
+                continue;
             }
-            if (!answer.trim()) answer = entry.answer || entry.text || '';
 
-            if (answer.trim()) {
-                children.push({
-                    type: "paragraph",
-                    paragraph: {
-                        rich_text: [{ type: "text", text: { content: answer.slice(0, 1900) } }]
-                    }
+            const syncResult = await syncToNotion(data, settings, DuplicateDetector.notionMode(diff));
+
+            if (syncResult.success) {
+                result.success++;
+                exportedUuids.add(thread.uuid);
+                await DuplicateDetector.saveFingerprint(thread.uuid, fingerprint);
+                console.log(`[AutoSync] ${diff.status} thread ${thread.uuid}: ${syncResult.action}`);
+            } else {
+                result.failed++;
+                markFailed(thread);
+                await trackFailure({
+                    uuid: thread.uuid,
+                    reason: syncResult.error || 'Notion sync failed',
+                    platform
                 });
             }
-        });
-
-        const token = await NotionOAuth.getActiveToken();
-        const response = await fetch('https://api.notion.com/v1/pages', {
-            method: 'POST',
-            headers: {
-                'Authorization': `Bearer ${token}`,
-                'Content-Type': 'application/json',
-                'Notion-Version': '2022-06-28'
-            },
-            body: JSON.stringify({
-                parent: { database_id: settings.notionDbId },
-                properties: {
-                    title: { title: [{ type: "text", text: { content: data.title || "Untitled" } }] }
-                },
-                children: children.slice(0, 100) // Notion limit
-            })
-        });
 
-        if (!response.ok) {
-            const err = await response.json();
-            return { success: false, error: err.message || 'API Error' };
+        } catch (e) {
+            result.failed++;
+            markFailed(thread);
+            console.error(`[AutoSync] Error syncing ${thread.uuid}:`, e);
+        } finally {
+            // Per-platform rate limit
+            await new Promise(r => setTimeout(r, limits.delayMs));
         }
-
-        return { success: true };
-    } catch (e) {
-        return { success: false, error: e.message };
     }
-}
-        });
 
-        // Add Q&A entries (limit to first 5 to avoid timeouts)
-        entries.slice(0, 5).forEach((entry) => {
-            const query = entry.query || entry.query_str || '';
-            if (query) {
-                children.push({
-                    type: "heading_2",
-                    heading_2: {
-                        rich_text: [{ type: "text", text: { content: query.slice(0, 2000) } }]
-                    }
-                });
-            }
+    // Threads beyond the batch limit stay behind the checkpoint for the next run,
+    // which continues after this batch. Failed threads are kept in the checkpoint
+    // (earlier failures not retried yet stay there too) and are added to the next
+    // pass even without new activity. Once every pending thread has been visited
+    // the checkpoint moves to the start of the pass, so activity during the pass
+    // is picked up next time.
+    const attempted = new Set(batch.map(t => t.uuid));
+    const stillFailed = [...[...failedBefore.values()].filter(t => !attempted.has(t.uuid)), ...failed];
+    if (result.remaining > 0) {
+        console.log(`[AutoSync] ${platform}: ${result.remaining} threads left for the next run`);
+        await updateSyncCheckpoint(platform, checkpoint.lastSyncTime, checkpoint.lastUuid || null, {
+            pass: { startedAt: pass.startedAt, visited: [...visited, ...attempted] },
+            failed: stillFailed
+        });
+    } else {
+        await updateSyncCheckpoint(platform, pass.startedAt, batch[0]?.uuid, { failed: stillFailed });
+    }
 
-            // Extract answer from blocks or direct properties
-            let answer = '';
-            if (entry.blocks && Array.isArray(entry.blocks)) {
-                entry.blocks.forEach(block => {
-                    if (block.intended_usage === 'ask_text' && block.markdown_block) {
-                        answer += (block.markdown_block.answer || block.markdown_block.chunks?.join('\n') || '') + '\n\n';
-                    }
-                });
-            }
-            if (!answer.trim()) answer = entry.answer || entry.text || '';
+    console.log(`[AutoSync] ${platform} complete: ${result.success} synced, ${result.failed} failed, ${result.skipped} unchanged`);
+    return result;
+}
 
-            if (answer.trim()) {
-                children.push({
-                    type: "paragraph",
-                    paragraph: {
-                        rich_text: [{ type: "text", text: { content: answer.slice(0, 1900) } }]
-                    }
-                });
-            }
+async function syncToNotion(data, settings, mode, header) {
+    try {
+        const conversation = ConversationSchema.normalize(data);
+        const renderOptions = await ConversationSchema.loadRenderOptions({
+            header: header || `Auto-synced from ${conversation.platform} at ${new Date().toLocaleString()}`
         });
-
-        const response = await fetch('https://api.notion.com/v1/pages', {
-            method: 'POST',
-            headers: {
-                'Authorization': `Bearer ${token}`,
-                'Content-Type': 'application/json',
-                'Notion-Version': '2022-06-28'
-            },
-            body: JSON.stringify({
-                parent: { database_id: settings.notionDbId },
-                properties: {
-                    title: { title: [{ type: "text", text: { content: data.title || "Untitled" } }] }
-                },
-                children: children.slice(0, 100) // Notion limit
-            })
+        const token = await NotionOAuth.getActiveToken();
+        const client = new NotionSyncClient(token);
+        const page = await client.syncConversation(conversation, {
+            dbId: settings.notionDbId,
+            properties: await client.buildProperties(conversation, settings.notionDbId),
+            renderOptions,
+            mode
         });
 
-        if (!response.ok) {
-            const err = await response.json();
-            return { success: false, error: err.message || 'API Error' };
-        }
-
-        return { success: true };
+        return { success: true, action: page.action };
     } catch (e) {
-        return { success: false, error: e.message };
+        return { success: false, error: e.message, status: e.status, code: e.code };
     }
 }
 
-async function recordSyncJob(total, success, failed) {
+/**
+ * One history entry per run, with a breakdown per platform.
+ * type: 'auto' for alarm runs, 'queue' for bulk sync jobs from the dashboard
+ */
+async function recordSyncJob(results, startTime, type = 'auto') {
     const { exportHistory = [] } = await chrome.storage.local.get('exportHistory');
+    const totals = Object.values(results).reduce((sum, r) => ({
+        total: sum.total + r.total,
+        success: sum.success + r.success,
+        failed: sum.failed + r.failed,
+        skipped: sum.skipped + r.skipped
+    }), { total: 0, success: 0, failed: 0, skipped: 0 });
 
     exportHistory.unshift({
         timestamp: new Date().toISOString(),
-        total,
-        success,
-        failed,
-        skipped: total - success - failed,
-        platform: 'AutoSync',
-        type: 'auto'
+        ...totals,
+        duration: Math.round((Date.now() - startTime) / 1000),
+        platform: Object.keys(results).join(', '),
+        platforms: results,
+        isAuto: type === 'auto',
+        type
     });
 
     // Keep last 50 entries
     if (exportHistory.length > 50) exportHistory.length = 50;
 
     await chrome.storage.local.set({ exportHistory });
+    console.log(`[${type === 'auto' ? 'AutoSync' : 'SyncQueue'}] Complete: ${totals.success} synced, ${totals.failed} failed across ${Object.keys(results).length} platform(s)`);
 }
 
 // ============================================
@@ -465,13 +590,43 @@ async function recordSyncJob(total, success, failed) {
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     if (request.type === "LOG_FAILURE") {
         trackFailure(request.payload);
+    } else if (request.type === "ARCHIVE_CONVERSATION") {
+        archiveConversation(request.payload?.conversation, 'tab').then(() => sendResponse({ success: true }));
     } else if (request.type === "TRIGGER_SYNC") {
         performAutoSync();
         sendResponse({ success: true });
+    } else if (request.type in SYNC_QUEUE_COMMANDS) {
+        SYNC_QUEUE_COMMANDS[request.type](request.payload || {})
+            .then((result) => {
+                sendResponse({ success: true, result });
+                processSyncQueue();
+            })
+            .catch((e) => sendResponse({ success: false, error: e.message }));
+    } else if (request.type in PLATFORM_COMMANDS) {
+        PLATFORM_COMMANDS[request.type](request.payload || {})
+            .then((result) => sendResponse({ success: true, result }))
+            .catch((e) => sendResponse({ success: false, error: e.message, code: e.code }));
     }
     return true;
 });
 
+/**
+ * Dashboard reads for the multi-platform thread list: any platform, with or
+ * without an open tab
+ */
+const PLATFORM_COMMANDS = {
+    // [{ platform, kind: 'tab' | 'background' | 'archive' }] for every supported platform
+    PLATFORM_LIST_SOURCES: async () => Promise.all(Object.keys(AUTO_SYNC_PLATFORMS).map(async (platform) =>
+        ({ platform, kind: (await createPlatformSource(platform)).kind }))),
+    PLATFORM_LIST_THREADS: async ({ platform, limit = 50 }) => {
+        const source = await createPlatformSource(platform);
+        const { threads } = await source.listThreads(limit);
+        return { kind: source.kind, threads: threads.map(t => ({ ...t, platform })) };
+    },
+    PLATFORM_GET_THREAD: async ({ platform, uuid }) =>
+        getThreadDetailOrArchived(await createPlatformSource(platform), platform, uuid)
+};
+
 async function trackFailure(failure) {
     const { failures = [] } = await chrome.storage.local.get('failures');
 
@@ -486,6 +641,117 @@ async function trackFailure(failure) {
     await chrome.storage.local.set({ failures });
 }
 
+// ============================================
+// BULK SYNC QUEUE
+// ============================================
+
+/**
+ * Keeps the worker alive while a job runs and wakes it for retries that are
+ * waiting out their backoff; cleared once the queue has nothing left to do
+ */
+const SYNC_QUEUE_ALARM = 'syncQueueAlarm';
+
+/**
+ * Dashboard commands; the dashboard never writes the queue itself
+ */
+const SYNC_QUEUE_COMMANDS = {
+    QUEUE_ENQUEUE: ({ threads = [], force }) => SyncQueue.enqueue(threads, { force }),
+    QUEUE_PAUSE: () => SyncQueue.pause(),
+    QUEUE_RESUME: () => SyncQueue.resume(),
+    QUEUE_CANCEL: () => SyncQueue.cancel(),
+    QUEUE_PRIORITIZE: ({ key }) => SyncQueue.prioritize(key)
+};
+
+async function processSyncQueue() {
+    const queue = await SyncQueue.load();
+    if (queue.status !== 'running' && queue.status !== 'cancelled') {
+        chrome.alarms.clear(SYNC_QUEUE_ALARM);
+        return;
+    }
+    if (globalSyncInProgress) {
+        // Auto-sync is running; the alarm brings us back
+        chrome.alarms.create(SYNC_QUEUE_ALARM, { periodInMinutes: 1 });
+        return;
+    }
+
+    chrome.alarms.create(SYNC_QUEUE_ALARM, { periodInMinutes: 1 });
+    await SyncQueue.run({
+        process: processQueueItem,
+        onFailed: (item) => trackFailure({ uuid: item.uuid, reason: item.error, platform: item.platform, title: item.title }),
+        onFinished: recordQueueJob
+    });
+
+    if (!SyncQueue.isActive(await SyncQueue.load())) {
+        chrome.alarms.clear(SYNC_QUEUE_ALARM);
+    }
+}
+
+/**
+ * Sync one queued thread; returns the Notion action, or 'unchanged'.
+ * Threads picked from the archive view are read from the archive; live ones
+ * through an open tab of their platform when there is one, falling back to
+ * the archived copy.
+ */
+async function processQueueItem(item) {
+    const settings = await chrome.storage.local.get(['notionDbId']);
+    if (!settings.notionDbId) {
+        throw Object.assign(new Error('Notion not configured'), { retryable: false });
+    }
+
+    const source = item.archived ? createArchiveSource(item.platform) : await createPlatformSource(item.platform);
+
+    try {
+        const data = await getThreadDetailOrArchived(source, item.platform, item.uuid);
+        if (!data || data.error) throw new Error(data?.error || 'Failed to extract');
+        if (ConversationSchema.normalize(data).messages.length === 0) throw new Error('No messages found');
+
+        const fingerprint = DuplicateDetector.generateFingerprint(data);
+        const diff = await DuplicateDetector.diff(item.uuid, fingerprint);
+        if (diff.status === 'unchanged' && !item.force) {
+            await DuplicateDetector.saveFingerprint(item.uuid, fingerprint);
+            return 'unchanged';
+        }
+
+        const result = await syncToNotion(data, settings, DuplicateDetector.notionMode(diff),
+            `Synced from ${item.platform} at ${new Date().toLocaleString()}`);
+        if (!result.success) {
+            throw Object.assign(new Error(result.error || 'Notion sync failed'), { status: result.status, code: result.code });
+        }
+
+        await DuplicateDetector.saveFingerprint(item.uuid, fingerprint);
+        const { exportedUuids = [] } = await chrome.storage.local.get('exportedUuids');
+        if (!exportedUuids.includes(item.uuid)) {
+            await chrome.storage.local.set({ exportedUuids: [...exportedUuids, item.uuid] });
+        }
+        console.log(`[SyncQueue] ${diff.status} thread ${item.uuid}: ${result.action}`);
+        return result.action;
+    } finally {
+        // Same per-platform pacing as auto-sync
+        await new Promise(r => setTimeout(r, AUTO_SYNC_PLATFORMS[item.platform]?.delayMs || 1000));
+    }
+}
+
+/**
+ * History entry for a finished or cancelled job, per platform like auto-sync runs
+ */
+async function recordQueueJob(queue) {
+    const results = {};
+    queue.items.filter(SyncQueue.isFinished).forEach(item => {
+        const r = results[item.platform] ||= { total: 0, success: 0, failed: 0, skipped: 0 };
+        r.total++;
+        if (item.state === 'failed') r.failed++;
+        else if (item.action === 'unchanged') r.skipped++;
+        else r.success++;
+    });
+    if (Object.keys(results).length > 0) {
+        await recordSyncJob(results, queue.startedAt || Date.now(), 'queue');
+    }
+}
+
+// Pick up a job interrupted by a service worker or browser restart
+SyncQueue.recover().then(processSyncQueue);
+chrome.runtime.onStartup.addListener(() => processSyncQueue());
+
 // ============================================
 // CONTEXT MENU (Optional Enhancement)
 // ============================================
@@ -163,94 +163,6 @@ manager.initialize();
 window.addEventListener('beforeunload', () => manager.cleanup());
 
 
-/**
- * Normalize entries from any adapter format to expected blocks format
- * This ensures all platforms return data in the format popup.js expects
- * 
- * Adapters return various formats:
- * - ChatGPT: { entries: [{query_str, blocks}], title }
- * - Perplexity: Similar blocks format
- * - Gemini/Grok/DeepSeek: { detail: { entries: [{query, answer}] } }
- * - Or sometimes: { entries: [{query, answer}] }
- */
-function normalizeEntries(detail, platform) {
-    // Handle various possible data structures
-    let entries = [];
-
-    // Priority 1: Check if detail has entries directly (ChatGPT, Perplexity return this)
-    if (detail?.entries && Array.isArray(detail.entries)) {
-        entries = detail.entries;
-    }
-    // Priority 2: Check nested detail.detail.entries (Gemini/Grok/DeepSeek)
-    else if (detail?.detail?.entries && Array.isArray(detail.detail.entries)) {
-        entries = detail.detail.entries;
-    }
-    // Priority 3: If detail itself is an array
-    else if (Array.isArray(detail)) {
-        entries = detail;
-    }
-    // Priority 4: For adapters returning messages directly
-    else if (detail?.messages && Array.isArray(detail.messages)) {
-        entries = detail.messages;
-    }
-
-    // If no entries found, return empty
-    if (!entries || entries.length === 0) {
-        return [];
-    }
-
-    return entries.map((entry, index) => {
-        // If already in expected format with valid blocks, return as-is
-        if (entry.blocks && Array.isArray(entry.blocks) && entry.blocks.length > 0) {
-            // Verify the blocks have content
-            const hasContent = entry.blocks.some(b =>
-                b?.markdown_block?.answer || b?.markdown_block?.chunks
-            );
-            if (hasContent) {
-                return entry;
-            }
-        }
-
-        // Extract query - try multiple possible keys
-        const query = entry.query_str || entry.query || entry.question || entry.prompt || '';
-
-        // Extract answer - try multiple possible keys
-        let answer = '';
-
-        // Check blocks first (might have empty blocks)
-        if (entry.blocks && Array.isArray(entry.blocks)) {
-            entry.blocks.forEach(block => {
-                if (block?.markdown_block?.answer) {
-                    answer += block.markdown_block.answer + '\n\n';
-                } else if (block?.markdown_block?.chunks) {
-                    answer += block.markdown_block.chunks.join('\n') + '\n\n';
-                }
-            });
-        }
-
-        // Fallback to flat answer fields
-        if (!answer.trim()) {
-            answer = entry.answer || entry.response || entry.text || entry.content || '';
-        }
-
-
-        // Convert to expected format
-        return {
-            query_str: query,
-            query: query, // Keep for backward compatibility
-            blocks: [{
-                intended_usage: 'ask_text',
-                markdown_block: {
-                    answer: answer.trim()
-                }
-            }],
-            // Preserve original fields
-            created_datetime: entry.created_datetime || entry.create_time || new Date().toISOString(),
-            updated_datetime: entry.updated_datetime || entry.update_time
-        };
-    });
-}
-
 /**
  * Handle Single Extraction (Current Chat)
  */
@@ -260,22 +172,17 @@ async function handleExtraction(adapter, sendResponse) {
         if (!uuid) throw new Error(`Open a ${adapter.name} chat first.`);
 
         const detail = await adapter.getThreadDetail(uuid);
+        if (detail?.error) throw new Error(detail.error);
 
-        // Normalize entries to expected format
-        const normalizedEntries = normalizeEntries(detail, adapter.name);
-
-        // Get title from various sources
-        const title = detail?.title || document.title?.replace(` - ${adapter.name}`, '').trim() || 'Untitled';
+        // Adapters emit the canonical schema; normalize() covers any stragglers
+        const conversation = ConversationSchema.normalize(detail, adapter.name);
+        conversation.uuid = conversation.uuid || uuid;
+        if (!detail?.title) {
+            conversation.title = document.title?.replace(` - ${adapter.name}`, '').trim() || 'Untitled';
+        }
 
-        sendResponse({
-            success: true,
-            data: {
-                title: title,
-                uuid: uuid,
-                detail: { entries: normalizedEntries },
-                platform: adapter.name
-            }
-        });
+        archiveConversation(conversation);
+        sendResponse({ success: true, data: conversation });
     } catch (error) {
         console.error(`[OmniExporter] Extraction error:`, error);
         sendResponse({ success: false, error: error.message });
@@ -288,26 +195,33 @@ async function handleExtraction(adapter, sendResponse) {
 async function handleExtractionByUuid(adapter, uuid, sendResponse) {
     try {
         const detail = await adapter.getThreadDetail(uuid);
+        if (detail?.error) throw new Error(detail.error);
 
-        // Normalize entries to expected format
-        const normalizedEntries = normalizeEntries(detail, adapter.name);
-        const title = detail?.title || `Thread_${uuid}`;
-
-        sendResponse({
-            success: true,
-            data: {
-                title: title,
-                uuid: uuid,
-                detail: { entries: normalizedEntries },
-                platform: adapter.name
-            }
-        });
+        const conversation = ConversationSchema.normalize(detail, adapter.name);
+        conversation.uuid = conversation.uuid || uuid;
+        if (!detail?.title) conversation.title = `Thread_${uuid}`;
+
+        archiveConversation(conversation);
+        sendResponse({ success: true, data: conversation });
     } catch (error) {
         console.error(`[OmniExporter] ExtractionByUuid error:`, error);
         sendResponse({ success: false, error: error.message });
     }
 }
 
+/**
+ * Hand a fetched conversation to the service worker's local archive
+ * (IndexedDB here would belong to the platform's origin, not the extension)
+ */
+function archiveConversation(conversation) {
+    if (conversation.messages.length === 0) return;
+    try {
+        chrome.runtime.sendMessage({ type: 'ARCHIVE_CONVERSATION', payload: { conversation } }).catch(() => { });
+    } catch (e) {
+        // Extension was reloaded; this page's content script is orphaned
+    }
+}
+
 /**
  * Handle Thread List Fetching
  */
@@ -887,11 +801,20 @@ const ChatGPTAdapter = {
                     continue;
                 }
 
-                const entries = transformChatGPTData(data);
-
-                if (entries.length > 0) {
-                    console.log(`[ChatGPT] ✓ API success: ${entries.length} entries for ${uuid}`);
-                    return { uuid, entries, title: data.title || 'ChatGPT Chat', platform: 'ChatGPT' };
+                const { exportBranches } = await chrome.storage.local.get('exportBranches');
+                const messages = transformChatGPTData(data, { includeBranches: !!exportBranches });
+
+                if (messages.length > 0) {
+                    console.log(`[ChatGPT] ✓ API success: ${messages.length} messages for ${uuid}`);
+                    return ConversationSchema.createConversation({
+                        uuid,
+                        title: data.title || 'ChatGPT Chat',
+                        platform: 'ChatGPT',
+                        model: data.default_model_slug,
+                        createdAt: data.create_time,
+                        updatedAt: data.update_time,
+                        messages
+                    });
                 }
             } catch (error) {
                 console.warn(`[ChatGPT] Endpoint ${endpoint} failed:`, error.message);
@@ -924,26 +847,29 @@ const ChatGPTAdapter = {
     extractFromDOM: (uuid) => {
         console.log('[ChatGPT] Starting DOM extraction...');
         const messages = [];
+        const getTitle = () => document.title?.replace(' | ChatGPT', '').replace(' - ChatGPT', '').trim() ||
+            document.querySelector('h1')?.textContent?.trim() ||
+            document.querySelector('[class*="conversation-title"]')?.textContent?.trim() ||
+            messages[0]?.query?.substring(0, 100) ||
+            'ChatGPT Conversation';
 
-        // Strategy 1: Modern ChatGPT UI - data-message-author-role attribute
+        // Strategy 1: Modern ChatGPT UI - data-message-author-role attribute (keeps every message in order)
         const messageContainers = document.querySelectorAll('[data-message-author-role]');
         if (messageContainers.length > 0) {
             console.log(`[ChatGPT] Strategy 1: Found ${messageContainers.length} messages with data-message-author-role`);
 
-            let currentQuery = '';
-            messageContainers.forEach(container => {
-                const role = container.getAttribute('data-message-author-role');
-                const text = container.innerText?.trim() || '';
+            const ordered = Array.from(messageContainers)
+                .map(container => ({
+                    role: container.getAttribute('data-message-author-role'),
+                    text: container.innerText?.trim() || ''
+                }))
+                .filter(m => m.text.length > 5);
 
-                if (text.length > 5) {
-                    if (role === 'user') {
-                        currentQuery = text;
-                    } else if (role === 'assistant' && currentQuery) {
-                        messages.push({ query: currentQuery, answer: text });
-                        currentQuery = '';
-                    }
-                }
-            });
+            if (ordered.length > 0) {
+                return ConversationSchema.createConversation({
+                    uuid, title: getTitle(), platform: 'ChatGPT', messages: ordered
+                });
+            }
         }
 
         // Strategy 2: Article elements with role detection
@@ -1000,19 +926,11 @@ const ChatGPTAdapter = {
 
         console.log(`[ChatGPT] ✓ DOM extraction complete: ${messages.length} message pairs`);
 
-        // Extract title from multiple sources
-        const title = document.title?.replace(' | ChatGPT', '').replace(' - ChatGPT', '').trim() ||
-            document.querySelector('h1')?.textContent?.trim() ||
-            document.querySelector('[class*="conversation-title"]')?.textContent?.trim() ||
-            messages[0]?.query?.substring(0, 100) ||
-            'ChatGPT Conversation';
-
-        return {
+        return ConversationSchema.fromEntries({
             uuid: uuid,
-            title: title,
-            platform: 'ChatGPT',
+            title: getTitle(),
             entries: messages.filter(m => m.query?.trim() && m.answer?.trim())
-        };
+        }, 'ChatGPT');
     },
 
     getSpaces: async () => []
@@ -1191,12 +1109,15 @@ const ClaudeAdapter = {
             const data = await response.json();
 
             console.log(`[Claude] API success for ${uuid}`);
-            return {
+            return ConversationSchema.createConversation({
                 uuid,
-                entries: transformClaudeData(data),
                 title: data.name,
-                platform: 'Claude'
-            };
+                platform: 'Claude',
+                model: data.model,
+                createdAt: data.created_at,
+                updatedAt: data.updated_at,
+                messages: transformClaudeData(data)
+            });
         } catch (error) {
             console.error('[Claude] getThreadDetail error:', error);
 
@@ -1221,18 +1142,21 @@ const ClaudeAdapter = {
         console.log('[Claude] Starting DOM extraction...');
         const messages = [];
 
-        // Strategy 1: Human/assistant message pairs
-        const humanMessages = document.querySelectorAll('[class*="human-turn"], [data-testid="human-turn"]');
-        const assistantMessages = document.querySelectorAll('[class*="assistant-turn"], [data-testid="assistant-turn"]');
+        const title = document.title?.replace(' — Claude', '').replace(' - Claude', '').trim() || 'Claude Conversation';
 
-        if (humanMessages.length > 0 || assistantMessages.length > 0) {
-            const max = Math.max(humanMessages.length, assistantMessages.length);
-            for (let i = 0; i < max; i++) {
-                messages.push({
-                    query: humanMessages[i]?.innerText?.trim() || '',
-                    answer: assistantMessages[i]?.innerText?.trim() || ''
-                });
-            }
+        // Strategy 1: Human/assistant turns, kept in document order
+        const turnElements = document.querySelectorAll(
+            '[class*="human-turn"], [data-testid="human-turn"], [class*="assistant-turn"], [data-testid="assistant-turn"]'
+        );
+        const ordered = Array.from(turnElements)
+            .map(el => ({
+                role: /human/.test(`${el.className} ${el.dataset.testid || ''}`) ? 'user' : 'assistant',
+                text: el.innerText?.trim() || ''
+            }))
+            .filter(m => m.text);
+
+        if (ordered.length > 0) {
+            return ConversationSchema.createConversation({ uuid, title, platform: 'Claude', messages: ordered });
         }
 
         // Strategy 2: Prose/markdown containers
@@ -1252,8 +1176,7 @@ const ClaudeAdapter = {
             });
         }
 
-        const title = document.title?.replace(' — Claude', '').replace(' - Claude', '').trim() || 'Claude Conversation';
-        return { uuid, title, platform: 'Claude', entries: messages.filter(m => m.query || m.answer) };
+        return ConversationSchema.fromEntries({ uuid, title, entries: messages.filter(m => m.query || m.answer) }, 'Claude');
     },
 
     getSpaces: async () => []
@@ -1341,173 +1264,18 @@ async function fetchPerplexityDetailResilient(uuid) {
             console.log('[OmniExporter] First entry structure:', JSON.stringify(entries[0], null, 2).slice(0, 500));
         }
 
-        return {
-            entries: entries,
-            title: title,
-            uuid: uuid
-        };
+        return ConversationSchema.createConversation({
+            uuid,
+            title,
+            platform: 'Perplexity',
+            messages: transformPerplexityData(entries)
+        });
     } catch (error) {
         console.error('[OmniExporter] Error fetching thread detail:', error);
         throw error;
     }
 }
 
-
-function transformChatGPTData(data) {
-    // ChatGPT returns a tree structure with mapping object.
-    // We need to traverse from root to leaves to get ordered messages.
-    const entries = [];
-    const mapping = data.mapping || {};
-
-    try {
-        // Find the root node (node with no parent or parent is null)
-        let currentNodeId = null;
-
-        // Method 1: Find root node with null parent
-        for (const [id, node] of Object.entries(mapping)) {
-            if (!node.parent) {
-                currentNodeId = id;
-                break;
-            }
-        }
-
-        // Method 2: If no root found, use first node
-        if (!currentNodeId && Object.keys(mapping).length > 0) {
-            currentNodeId = Object.keys(mapping)[0];
-        }
-
-        // Traverse the tree following children links
-        const orderedMessages = [];
-        const visited = new Set();
-
-        while (currentNodeId && !visited.has(currentNodeId)) {
-            visited.add(currentNodeId);
-            const node = mapping[currentNodeId];
-
-            if (node?.message) {
-                const msg = node.message;
-                const role = msg.author?.role;
-
-                // Extract content - ChatGPT uses various content structures
-                let content = '';
-
-                if (msg.content?.parts && Array.isArray(msg.content.parts)) {
-                    content = msg.content.parts
-                        .filter(p => typeof p === 'string')
-                        .join('\n');
-                } else if (msg.content?.text) {
-                    content = msg.content.text;
-                } else if (typeof msg.content === 'string') {
-                    content = msg.content;
-                }
-
-                // Skip system messages and empty content
-                if (role && role !== 'system' && content.trim()) {
-                    orderedMessages.push({
-                        role: role,
-                        content: content.trim(),
-                        create_time: msg.create_time,
-                        id: msg.id
-                    });
-                }
-            }
-
-            // Move to first child (follow the conversation thread)
-            if (node?.children && node.children.length > 0) {
-                currentNodeId = node.children[0];
-            } else {
-                break;
-            }
-        }
-
-        // If tree traversal didn't work, fallback to sorting all messages
-        if (orderedMessages.length === 0) {
-            Object.values(mapping).forEach(node => {
-                const msg = node?.message;
-                if (msg && msg.author?.role && msg.author.role !== 'system') {
-                    let content = '';
-                    if (msg.content?.parts && Array.isArray(msg.content.parts)) {
-                        content = msg.content.parts.filter(p => typeof p === 'string').join('\n');
-                    } else if (msg.content?.text) {
-                        content = msg.content.text;
-                    }
-                    if (content.trim()) {
-                        orderedMessages.push({
-                            role: msg.author.role,
-                            content: content.trim(),
-                            create_time: msg.create_time || 0
-                        });
-                    }
-                }
-            });
-            // Sort by create_time
-            orderedMessages.sort((a, b) => (a.create_time || 0) - (b.create_time || 0));
-        }
-
-        // Pair user questions with assistant answers
-        let currentEntry = null;
-        orderedMessages.forEach(msg => {
-            if (msg.role === 'user') {
-                // Push previous entry if exists
-                if (currentEntry && currentEntry.blocks.length > 0) {
-                    entries.push(currentEntry);
-                }
-                currentEntry = {
-                    query_str: msg.content,
-                    blocks: []
-                };
-            } else if ((msg.role === 'assistant' || msg.role === 'tool') && currentEntry) {
-                currentEntry.blocks.push({
-                    intended_usage: 'ask_text',
-                    markdown_block: { answer: msg.content }
-                });
-            }
-        });
-
-        // Push final entry
-        if (currentEntry && currentEntry.blocks.length > 0) {
-            entries.push(currentEntry);
-        }
-
-        console.log(`[ChatGPT] Transformed ${orderedMessages.length} messages into ${entries.length} entries`);
-    } catch (e) {
-        console.error('[OmniExporter] ChatGPT transform error:', e);
-    }
-
-    return entries;
-}
-
-function transformClaudeData(data) {
-    // Claude returns chat_messages array
-    const entries = [];
-    const messages = data.chat_messages || [];
-
-    try {
-        let currentEntry = null;
-        messages.forEach(msg => {
-            if (msg.sender === 'human') {
-                if (currentEntry) entries.push(currentEntry);
-                currentEntry = {
-                    query_str: msg.text || '',
-                    blocks: []
-                };
-            } else if (msg.sender === 'assistant' && currentEntry) {
-                currentEntry.blocks.push({
-                    intended_usage: 'ask_text',
-                    markdown_block: { answer: msg.text || '' }
-                });
-            }
-        });
-        if (currentEntry && currentEntry.blocks.length > 0) {
-            entries.push(currentEntry);
-        }
-    } catch (e) {
-        console.error('[OmniExporter] Claude transform error:', e);
-    }
-
-    return entries;
-}
-
 // ============================================
 // RESILIENT EXTRACTION HELPERS
 // ============================================
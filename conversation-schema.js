@@ -0,0 +1,416 @@
+// OmniExporter AI - Conversation Schema
+// Canonical, versioned conversation model shared by adapters, exporters and Notion sync
+
+// ============================================
+// CANONICAL MODEL (schemaVersion 2)
+// ============================================
+//
+// conversation = {
+//     schemaVersion, uuid, title, platform, url, model, spaceName,
+//     createdAt, updatedAt,                // ISO 8601 strings or null
+//     messages: [message]
+// }
+//
+// message = {
+//     id, role,                            // 'user' | 'assistant' | 'system' | 'tool'
+//     author: { role, name },
+//     model, createdAt, updatedAt,
+//     content: [part],                     // { type: 'text', text } | { type: 'reasoning', text }
+//     citations: [{ title, url, snippet }],
+//     attachments: [{ name, mimeType, size, url, text }],
+//     metadata: {},                        // platform-specific extras (e.g. relatedQueries)
+//     branches: [[message]]                // alternate versions that fork at this message
+// }                                        // (edited prompts, regenerations); each is its own message list
+//
+// Version history:
+//   1  text parts only, no branches
+//   2  reasoning parts and message branches; normalize() upgrades version 1 records
+
+class ConversationSchema {
+    static VERSION = 2;
+
+    static ROLES = ['user', 'assistant', 'system', 'tool'];
+
+    static ROLE_LABELS = {
+        user: 'User',
+        assistant: 'Assistant',
+        system: 'System',
+        tool: 'Tool'
+    };
+
+    static ROLE_ICONS = {
+        user: '🙋',
+        assistant: '🤖',
+        system: '⚙️',
+        tool: '🔧'
+    };
+
+    // Raw role names seen across platforms, mapped to canonical roles
+    static ROLE_ALIASES = {
+        user: 'user',
+        human: 'user',
+        assistant: 'assistant',
+        bot: 'assistant',
+        ai: 'assistant',
+        model: 'assistant',
+        grok: 'assistant',
+        deepseek: 'assistant',
+        system: 'system',
+        tool: 'tool',
+        function: 'tool'
+    };
+
+    // ============================================
+    // CONSTRUCTORS
+    // ============================================
+
+    /**
+     * Build a conversation, normalizing every message it contains
+     */
+    static createConversation(fields = {}) {
+        const messages = (fields.messages || [])
+            .map(m => this.createMessage(m))
+            .filter(m => !this.isEmptyMessage(m));
+
+        return {
+            schemaVersion: this.VERSION,
+            uuid: fields.uuid || null,
+            title: fields.title || 'Untitled Chat',
+            platform: fields.platform || 'Unknown',
+            url: fields.url || this.buildUrl(fields.platform, fields.uuid),
+            model: fields.model || messages.find(m => m.model)?.model || null,
+            spaceName: fields.spaceName || null,
+            createdAt: this.toIsoDate(fields.createdAt) || messages[0]?.createdAt || null,
+            updatedAt: this.toIsoDate(fields.updatedAt) || messages[messages.length - 1]?.createdAt || null,
+            messages
+        };
+    }
+
+    /**
+     * Build a message. `text` is shorthand for a single text part and
+     * `reasoning` for a leading reasoning (thinking) part.
+     */
+    static createMessage(fields = {}) {
+        const role = this.normalizeRole(fields.role || fields.author?.role);
+        let content = Array.isArray(fields.content) ? fields.content : [];
+        if (content.length === 0 && typeof fields.text === 'string') {
+            content = [this.textPart(fields.text)];
+        }
+        if (typeof fields.reasoning === 'string' && fields.reasoning.trim()) {
+            content = [this.reasoningPart(fields.reasoning), ...content];
+        }
+
+        return {
+            id: fields.id || null,
+            role,
+            author: {
+                role,
+                name: fields.author?.name || null
+            },
+            model: fields.model || null,
+            createdAt: this.toIsoDate(fields.createdAt),
+            updatedAt: this.toIsoDate(fields.updatedAt),
+            content: content.filter(part => part && part.type),
+            citations: this.dedupeCitations(fields.citations || []),
+            attachments: (fields.attachments || []).map(a => ({
+                name: a.name || null,
+                mimeType: a.mimeType || null,
+                size: a.size ?? null,
+                url: a.url || null,
+                text: a.text || null
+            })),
+            metadata: fields.metadata || {},
+            branches: (fields.branches || [])
+                .map(branch => branch.map(m => this.createMessage(m)).filter(m => !this.isEmptyMessage(m)))
+                .filter(branch => branch.length > 0)
+        };
+    }
+
+    static textPart(text) {
+        return { type: 'text', text: String(text ?? '').trim() };
+    }
+
+    static reasoningPart(text) {
+        return { type: 'reasoning', text: String(text ?? '').trim() };
+    }
+
+    // ============================================
+    // NORMALIZATION
+    // ============================================
+
+    static normalizeRole(raw) {
+        const key = String(raw || '').toLowerCase();
+        return this.ROLE_ALIASES[key] || 'assistant';
+    }
+
+    /**
+     * Accepts ISO strings, epoch seconds (ChatGPT) or epoch milliseconds
+     */
+    static toIsoDate(value) {
+        if (value === null || value === undefined || value === '') return null;
+        let date;
+        if (typeof value === 'number' || /^\d+(\.\d+)?$/.test(String(value))) {
+            const num = Number(value);
+            date = new Date(num < 1e12 ? num * 1000 : num);
+        } else {
+            date = new Date(value);
+        }
+        return isNaN(date.getTime()) ? null : date.toISOString();
+    }
+
+    static dedupeCitations(citations) {
+        const seen = new Set();
+        return citations
+            .filter(c => c && c.url)
+            .filter(c => !seen.has(c.url) && seen.add(c.url))
+            .map(c => ({
+                title: c.title || c.name || c.url,
+                url: c.url,
+                snippet: c.snippet || null
+            }));
+    }
+
+    static isConversation(data) {
+        return !!data && typeof data === 'object' && Number.isInteger(data.schemaVersion) && Array.isArray(data.messages);
+    }
+
+    /**
+     * Return a canonical conversation for anything an adapter, the storage
+     * layer or an older build may hand us.
+     */
+    static normalize(data, platform) {
+        if (this.isConversation(data)) {
+            return data.schemaVersion < this.VERSION ? this.upgrade(data) : data;
+        }
+        return this.fromEntries(data, platform);
+    }
+
+    /**
+     * Bring a record of an older schema version (archived or imported) up to
+     * the current one; rebuilding the messages gives them the newer fields
+     */
+    static upgrade(conversation) {
+        return { ...conversation, ...this.createConversation(conversation) };
+    }
+
+    /**
+     * Build a conversation from Q&A entries: DOM scrapes, `{ query, answer }`
+     * pairs and pre-schema `{ title, uuid, detail: { entries } }` payloads
+     * (including Perplexity-style `blocks`).
+     */
+    static fromEntries(data, platform) {
+        const entries = data?.detail?.entries || data?.entries || [];
+        const messages = entries.flatMap(entry => this.messagesFromEntry(entry));
+
+        return this.createConversation({
+            uuid: data?.uuid,
+            title: data?.title,
+            platform: data?.platform || platform,
+            spaceName: data?.spaceName,
+            messages
+        });
+    }
+
+    static messagesFromEntry(entry) {
+        const messages = [];
+        const query = entry.query_str || entry.query || entry.question || entry.prompt || '';
+        const createdAt = entry.created_datetime || entry.create_time || null;
+        if (query) {
+            messages.push({ role: 'user', text: query, createdAt });
+        }
+
+        let answer = '';
+        const citations = [];
+        (entry.blocks || []).forEach(block => {
+            if (block?.markdown_block) {
+                answer += (block.markdown_block.answer || (block.markdown_block.chunks || []).join('\n')) + '\n\n';
+            }
+            (block?.web_result_block?.web_results || []).forEach(wr => {
+                citations.push({ title: wr.name, url: wr.url, snippet: wr.snippet });
+            });
+        });
+        if (!answer.trim()) {
+            answer = entry.answer || entry.response || entry.text || (typeof entry.content === 'string' ? entry.content : '');
+        }
+        (entry.sources || []).forEach(s => citations.push(s));
+
+        if (answer.trim() || citations.length > 0) {
+            messages.push({
+                role: 'assistant',
+                text: answer,
+                createdAt: entry.updated_datetime || createdAt,
+                citations
+            });
+        }
+        return messages;
+    }
+
+    // ============================================
+    // ACCESSORS
+    // ============================================
+
+    /**
+     * Number of alternate branches anywhere in a message list (nested included)
+     */
+    static countBranches(messages) {
+        return (messages || []).reduce((sum, m) =>
+            sum + (m.branches || []).reduce((n, branch) => n + 1 + this.countBranches(branch), 0), 0);
+    }
+
+    static getText(message) {
+        return (message?.content || [])
+            .filter(part => part.type === 'text')
+            .map(part => part.text)
+            .join('\n\n')
+            .trim();
+    }
+
+    /**
+     * Model reasoning ("thinking") that precedes the visible answer
+     */
+    static getReasoning(message) {
+        return (message?.content || [])
+            .filter(part => part.type === 'reasoning')
+            .map(part => part.text)
+            .join('\n\n')
+            .trim();
+    }
+
+    static isEmptyMessage(message) {
+        return !this.getText(message) && !this.getReasoning(message) &&
+            message.citations.length === 0 && message.attachments.length === 0;
+    }
+
+    /**
+     * Copy of a conversation without reasoning parts (branches included)
+     */
+    static stripReasoning(conversation) {
+        const strip = messages => messages
+            .map(m => ({
+                ...m,
+                content: m.content.filter(part => part.type !== 'reasoning'),
+                branches: (m.branches || []).map(strip).filter(b => b.length > 0)
+            }))
+            .filter(m => !this.isEmptyMessage(m));
+        return { ...conversation, messages: strip(conversation.messages) };
+    }
+
+    /**
+     * Group messages into question/answer turns for Q&A style renderers.
+     * Each user message opens a turn; following messages become its responses.
+     */
+    static toTurns(conversation) {
+        const turns = [];
+        let current = null;
+
+        (conversation?.messages || []).forEach(message => {
+            if (message.role === 'system') return;
+            if (message.role === 'user' || !current) {
+                current = { index: turns.length, query: null, responses: [] };
+                turns.push(current);
+            }
+            if (message.role === 'user') {
+                current.query = message;
+            } else {
+                current.responses.push(message);
+            }
+        });
+
+        return turns;
+    }
+
+    static getTurnQuery(turn) {
+        return this.getText(turn.query);
+    }
+
+    static getTurnAnswer(turn) {
+        return turn.responses.map(m => this.getText(m)).filter(Boolean).join('\n\n');
+    }
+
+    static getTurnReasoning(turn) {
+        return turn.responses.map(m => this.getReasoning(m)).filter(Boolean).join('\n\n');
+    }
+
+    static getTurnCitations(turn) {
+        return this.dedupeCitations(turn.responses.flatMap(m => m.citations));
+    }
+
+    /**
+     * Display name for a message author, e.g. "Assistant (gpt-4o)" or "Tool: python"
+     */
+    static getAuthorLabel(message) {
+        const base = this.ROLE_LABELS[message.role] || 'Assistant';
+        if (message.role === 'tool' && message.author?.name) return `${base}: ${message.author.name}`;
+        return message.model ? `${base} (${message.model})` : base;
+    }
+
+    // ============================================
+    // RENDER OPTIONS
+    // ============================================
+
+    // layout:    'qa' groups messages into question/answer turns,
+    //            'messages' renders every message in order with its role
+    // reasoning: include reasoning/thinking parts (collapsed) or strip them
+    static RENDER_DEFAULTS = {
+        layout: 'qa',
+        reasoning: true
+    };
+
+    /**
+     * Read the user's export preferences (Settings tab) merged over defaults
+     */
+    static async loadRenderOptions(overrides = {}) {
+        let stored = {};
+        if (typeof chrome !== 'undefined' && chrome.storage?.local) {
+            stored = await chrome.storage.local.get(['exportLayout', 'includeReasoning']);
+        }
+        return {
+            ...this.RENDER_DEFAULTS,
+            ...(stored.exportLayout ? { layout: stored.exportLayout } : {}),
+            ...(stored.includeReasoning === false ? { reasoning: false } : {}),
+            ...overrides
+        };
+    }
+
+    // ============================================
+    // VALIDATION
+    // ============================================
+
+    static validate(conversation) {
+        const errors = [];
+        if (!this.isConversation(conversation)) {
+            errors.push('Not a canonical conversation');
+            return { valid: false, errors };
+        }
+        if (conversation.schemaVersion > this.VERSION) {
+            errors.push(`Unsupported schema version ${conversation.schemaVersion}`);
+        }
+        conversation.messages.forEach((m, i) => {
+            if (!this.ROLES.includes(m.role)) errors.push(`Message ${i + 1} has unknown role "${m.role}"`);
+            if (!Array.isArray(m.content)) errors.push(`Message ${i + 1} has no content parts`);
+        });
+        return { valid: errors.length === 0, errors };
+    }
+
+    // ============================================
+    // URLS
+    // ============================================
+
+    static buildUrl(platform, uuid) {
+        if (!uuid) return null;
+        const urls = {
+            'Perplexity': `https://www.perplexity.ai/search/${uuid}`,
+            'ChatGPT': `https://chatgpt.com/c/${uuid}`,
+            'Claude': `https://claude.ai/chat/${uuid}`,
+            'Gemini': `https://gemini.google.com/app/${uuid}`,
+            'Grok': `https://grok.com/chat/${uuid}`,
+            'DeepSeek': `https://chat.deepseek.com/a/chat/s/${uuid}`
+        };
+        return urls[platform] || null;
+    }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ConversationSchema;
+}
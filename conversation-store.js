@@ -0,0 +1,294 @@
+// OmniExporter AI - Conversation Store
+// Local IndexedDB archive of conversations: every conversation an adapter or
+// the background fetcher returns, plus imported data exports. Available to
+// the dashboard and the service worker, so exports and Notion sync keep
+// working when a platform is slow, rate-limited, logged out or not open.
+//
+// Database "omniexporter":
+//   threads       = { key, uuid, platform, title, createdAt, updatedAt, messageCount, source,
+//                     storedAt, firstFetchedAt, lastFetchedAt, fetchCount }
+//   conversations = { key, conversation }      // latest full canonical conversation
+//   fetches       = { id, key, fetchedAt, via, messageCount, title }   // fetch history
+//   terms         = { term, keys }             // full-text inverted index (search-index.js)
+//   docTerms      = { key, terms }             // what each conversation is indexed under
+// key is `${platform}:${uuid}`; `via` is 'tab', 'background' or 'import'.
+// The thread list reads only the small `threads` records.
+
+class ConversationStore {
+    static DB_NAME = 'omniexporter';
+    static DB_VERSION = 3;
+
+    // Fetch history entries kept per conversation
+    static MAX_FETCHES = 50;
+
+    static _db = null;
+
+    // ============================================
+    // DATABASE
+    // ============================================
+
+    static open() {
+        if (this._db) return this._db;
+        this._db = new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+            request.onupgradeneeded = (event) => {
+                const db = request.result;
+                if (event.oldVersion < 1) {
+                    const threads = db.createObjectStore('threads', { keyPath: 'key' });
+                    threads.createIndex('platform', 'platform');
+                    threads.createIndex('source', 'source');
+                    threads.createIndex('updatedAt', 'updatedAt');
+                    db.createObjectStore('conversations', { keyPath: 'key' });
+                }
+                if (event.oldVersion < 2) {
+                    const fetches = db.createObjectStore('fetches', { keyPath: 'id', autoIncrement: true });
+                    fetches.createIndex('key', 'key');
+                }
+                if (event.oldVersion < 3) {
+                    db.createObjectStore('terms', { keyPath: 'term' });
+                    db.createObjectStore('docTerms', { keyPath: 'key' });
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                this._db = null;
+                reject(request.error);
+            };
+        });
+        return this._db;
+    }
+
+    static promisify(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    static completion(transaction) {
+        return new Promise((resolve, reject) => {
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+        });
+    }
+
+    static key(platform, uuid) {
+        return `${platform}:${uuid}`;
+    }
+
+    // ============================================
+    // WRITE
+    // ============================================
+
+    /**
+     * Archive canonical conversations, replacing their earlier copies and
+     * adding an entry to each one's fetch history.
+     * @param {string} options.via - 'tab' | 'background' | 'import'
+     * @returns {number} conversations stored
+     */
+    static async putMany(conversations, { via = 'import' } = {}) {
+        const db = await this.open();
+        const transaction = db.transaction(['threads', 'conversations', 'fetches'], 'readwrite');
+        const threads = transaction.objectStore('threads');
+        const bodies = transaction.objectStore('conversations');
+        const fetches = transaction.objectStore('fetches');
+        const now = new Date().toISOString();
+
+        let stored = 0;
+        for (const conversation of conversations) {
+            if (!conversation?.uuid) continue;
+            const key = this.key(conversation.platform, conversation.uuid);
+
+            const previous = threads.get(key);
+            previous.onsuccess = () => {
+                const record = previous.result;
+                threads.put({
+                    key,
+                    uuid: conversation.uuid,
+                    platform: conversation.platform,
+                    title: conversation.title,
+                    createdAt: conversation.createdAt,
+                    updatedAt: conversation.updatedAt || conversation.createdAt,
+                    messageCount: conversation.messages.length,
+                    source: via === 'import' ? 'import' : 'platform',
+                    storedAt: now,
+                    firstFetchedAt: record?.firstFetchedAt || now,
+                    lastFetchedAt: now,
+                    fetchCount: (record?.fetchCount || 0) + 1
+                });
+            };
+            bodies.put({ key, conversation });
+            fetches.add({ key, fetchedAt: now, via, messageCount: conversation.messages.length, title: conversation.title });
+            this.pruneFetches(fetches, key);
+            stored++;
+        }
+
+        await this.completion(transaction);
+
+        // A failed index update is repaired by SearchIndex.ensureIndexed before the next search
+        if (typeof SearchIndex !== 'undefined') {
+            await this.updateIndex(conversations.filter(c => c?.uuid).map(conversation => ({
+                key: this.key(conversation.platform, conversation.uuid),
+                terms: SearchIndex.documentTerms(conversation)
+            }))).catch(e => console.warn('[ConversationStore] Search index update failed:', e.message));
+        }
+        return stored;
+    }
+
+    static put(conversation, options) {
+        return this.putMany([conversation], options);
+    }
+
+    /**
+     * Drop the oldest fetch history entries beyond MAX_FETCHES (ids increase with time)
+     */
+    static pruneFetches(fetches, key) {
+        const request = fetches.index('key').getAllKeys(key);
+        request.onsuccess = () => {
+            const ids = request.result;
+            ids.slice(0, Math.max(0, ids.length - this.MAX_FETCHES)).forEach(id => fetches.delete(id));
+        };
+    }
+
+    static async delete(platform, uuid) {
+        const db = await this.open();
+        const transaction = db.transaction(['threads', 'conversations', 'fetches'], 'readwrite');
+        const key = this.key(platform, uuid);
+        transaction.objectStore('threads').delete(key);
+        transaction.objectStore('conversations').delete(key);
+        const fetches = transaction.objectStore('fetches');
+        const ids = fetches.index('key').getAllKeys(key);
+        ids.onsuccess = () => ids.result.forEach(id => fetches.delete(id));
+        await this.completion(transaction);
+        await this.updateIndex([{ key, terms: null }]);
+    }
+
+    static async clear() {
+        const db = await this.open();
+        const names = ['threads', 'conversations', 'fetches', 'terms', 'docTerms'];
+        const transaction = db.transaction(names, 'readwrite');
+        names.forEach(name => transaction.objectStore(name).clear());
+        await this.completion(transaction);
+    }
+
+    // ============================================
+    // SEARCH INDEX
+    // ============================================
+
+    /**
+     * Replace the index terms of conversations ({ key, terms }; terms null
+     * removes the conversation). Changes are merged per term first, so a
+     * batch touching the same term many times writes its posting list once.
+     */
+    static async updateIndex(documents) {
+        if (documents.length === 0) return;
+        const db = await this.open();
+        const transaction = db.transaction(['terms', 'docTerms'], 'readwrite');
+        const terms = transaction.objectStore('terms');
+        const docTerms = transaction.objectStore('docTerms');
+
+        const previous = await Promise.all(documents.map(doc => this.promisify(docTerms.get(doc.key))));
+        const changes = new Map();
+        const change = (term) => {
+            if (!changes.has(term)) changes.set(term, { add: new Set(), remove: new Set() });
+            return changes.get(term);
+        };
+
+        documents.forEach((doc, i) => {
+            const before = new Set(previous[i]?.terms || []);
+            const after = new Set(doc.terms || []);
+            after.forEach(term => { if (!before.has(term)) change(term).add.add(doc.key); });
+            before.forEach(term => { if (!after.has(term)) change(term).remove.add(doc.key); });
+            if (doc.terms) docTerms.put({ key: doc.key, terms: [...after] });
+            else docTerms.delete(doc.key);
+        });
+
+        await Promise.all([...changes].map(async ([term, { add, remove }]) => {
+            const record = await this.promisify(terms.get(term));
+            const keys = new Set(record?.keys || []);
+            add.forEach(key => keys.add(key));
+            remove.forEach(key => keys.delete(key));
+            if (keys.size > 0) terms.put({ term, keys: [...keys] });
+            else terms.delete(term);
+        }));
+
+        await this.completion(transaction);
+    }
+
+    static async getPostings(term) {
+        const db = await this.open();
+        const record = await this.promisify(db.transaction('terms').objectStore('terms').get(term));
+        return record?.keys || [];
+    }
+
+    /**
+     * Keys of conversations containing any term that starts with `prefix`
+     */
+    static async getPostingsByPrefix(prefix) {
+        const db = await this.open();
+        const range = IDBKeyRange.bound(prefix, prefix + '\uffff');
+        const records = await this.promisify(db.transaction('terms').objectStore('terms').getAll(range));
+        return [...new Set(records.flatMap(record => record.keys))];
+    }
+
+    static async getIndexedKeys() {
+        const db = await this.open();
+        return this.promisify(db.transaction('docTerms').objectStore('docTerms').getAllKeys());
+    }
+
+    // ============================================
+    // READ
+    // ============================================
+
+    /**
+     * Full conversation, or null if it isn't stored
+     */
+    static async get(platform, uuid) {
+        const db = await this.open();
+        const record = await this.promisify(
+            db.transaction('conversations').objectStore('conversations').get(this.key(platform, uuid)));
+        return record?.conversation || null;
+    }
+
+    /**
+     * Stored threads, newest activity first, shaped like the rows platforms
+     * return for the thread list
+     * @param {string} options.source - 'import' | 'platform' to limit to one origin
+     */
+    static async listThreads({ platform, source } = {}) {
+        const db = await this.open();
+        const store = db.transaction('threads').objectStore('threads');
+        const records = platform
+            ? await this.promisify(store.index('platform').getAll(platform))
+            : await this.promisify(store.getAll());
+
+        return records
+            .filter(record => !source || record.source === source)
+            .sort((a, b) => (b.updatedAt || '').localeCompare(a.updatedAt || ''))
+            .map(record => ({
+                uuid: record.uuid,
+                title: record.title,
+                platform: record.platform,
+                last_query_datetime: record.updatedAt,
+                messageCount: record.messageCount,
+                source: record.source,
+                fetchCount: record.fetchCount || 1,
+                lastFetchedAt: record.lastFetchedAt || record.storedAt
+            }));
+    }
+
+    /**
+     * When and how a conversation was fetched, oldest first
+     */
+    static async getFetchHistory(platform, uuid) {
+        const db = await this.open();
+        return this.promisify(
+            db.transaction('fetches').objectStore('fetches').index('key').getAll(this.key(platform, uuid)));
+    }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ConversationStore;
+}
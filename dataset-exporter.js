@@ -0,0 +1,194 @@
+// OmniExporter AI - Dataset Exporter
+// Conversations as fine-tuning / eval datasets in JSONL: OpenAI chat format,
+// ShareGPT and Alpaca. Only the main path of each conversation is used
+// (branches are left out) and tool messages are dropped.
+
+class DatasetExporter {
+    static FORMATS = {
+        openai: { name: 'OpenAI chat (JSONL)' },
+        sharegpt: { name: 'ShareGPT (JSONL)' },
+        alpaca: { name: 'Alpaca (JSONL)' }
+    };
+
+    // systemPrompts:   keep system messages (a `system` field for Alpaca)
+    // reasoning:       keep reasoning, wrapped in <think> tags before the answer
+    // validationSplit: share of conversations (0–0.5) written to validation.jsonl
+    static DEFAULTS = {
+        systemPrompts: true,
+        reasoning: false,
+        validationSplit: 0
+    };
+
+    static SHAREGPT_ROLES = { system: 'system', user: 'human', assistant: 'gpt' };
+
+    /**
+     * Dataset preferences from the Settings tab merged over defaults
+     */
+    static async loadOptions(overrides = {}) {
+        let stored = {};
+        if (typeof chrome !== 'undefined' && chrome.storage?.local) {
+            stored = await chrome.storage.local.get(['datasetSystemPrompts', 'datasetReasoning', 'datasetValidationSplit']);
+        }
+        return {
+            ...this.DEFAULTS,
+            ...(stored.datasetSystemPrompts === false ? { systemPrompts: false } : {}),
+            ...(stored.datasetReasoning ? { reasoning: true } : {}),
+            ...(stored.datasetValidationSplit ? { validationSplit: Number(stored.datasetValidationSplit) } : {}),
+            ...overrides
+        };
+    }
+
+    // ============================================
+    // BUILD
+    // ============================================
+
+    /**
+     * @param {Array} conversations - canonical conversations
+     * @param {string} format - key of DatasetExporter.FORMATS
+     * @param {Object} options - see DEFAULTS
+     * @returns {{ train: string, validation: string|null, stats: Object }} JSONL text per split;
+     *          validation is null when no split was requested or it came out empty
+     *          (fewer than two conversations), so no empty validation.jsonl is written
+     */
+    static build(conversations, format, options = {}) {
+        if (!this.FORMATS[format]) throw new Error(`Unsupported dataset format: ${format}`);
+        options = { ...this.DEFAULTS, ...options };
+
+        const validationIds = this.pickValidation(conversations, options.validationSplit);
+        const train = [];
+        const validation = [];
+        let skipped = 0;
+
+        conversations.forEach((conversation, i) => {
+            const records = this.toRecords(conversation, format, options);
+            if (records.length === 0) skipped++;
+            (validationIds.has(i) ? validation : train).push(...records);
+        });
+
+        return {
+            train: this.toJSONL(train),
+            validation: validation.length > 0 ? this.toJSONL(validation) : null,
+            stats: { train: train.length, validation: validation.length, skipped }
+        };
+    }
+
+    /**
+     * Training examples from one conversation: one per conversation for the
+     * chat formats, one per question/answer turn for Alpaca
+     */
+    static toRecords(conversation, format, options) {
+        const messages = this.chatMessages(conversation, options);
+        const system = messages[0]?.role === 'system' ? messages[0].content : null;
+
+        switch (format) {
+            case 'openai':
+                return messages.some(m => m.role === 'assistant') ? [{ messages }] : [];
+            case 'sharegpt':
+                return messages.some(m => m.role === 'assistant')
+                    ? [{ conversations: messages.map(m => ({ from: this.SHAREGPT_ROLES[m.role], value: m.content })) }]
+                    : [];
+            case 'alpaca':
+                return ConversationSchema.toTurns(conversation).map(turn => {
+                    const output = turn.responses
+                        .filter(m => m.role === 'assistant')
+                        .map(m => this.assistantContent(m, options))
+                        .filter(Boolean)
+                        .join('\n\n');
+                    const record = {
+                        instruction: ConversationSchema.getTurnQuery(turn),
+                        input: this.attachmentText(turn.query),
+                        output
+                    };
+                    if (system) record.system = system;
+                    return record;
+                }).filter(record => record.instruction && record.output);
+        }
+        return [];
+    }
+
+    /**
+     * System, user and assistant messages as { role, content }: consecutive
+     * messages of one role merged (formats expect alternating turns), system
+     * prompts moved to the front, and anything after the last answer dropped
+     */
+    static chatMessages(conversation, options) {
+        const system = [];
+        const chat = [];
+        (conversation.messages || []).forEach(message => {
+            let content;
+            if (message.role === 'system') {
+                content = ConversationSchema.getText(message);
+                if (options.systemPrompts && content) system.push(content);
+                return;
+            }
+            if (message.role === 'user') {
+                content = [ConversationSchema.getText(message), this.attachmentText(message)].filter(Boolean).join('\n\n');
+            } else if (message.role === 'assistant') {
+                content = this.assistantContent(message, options);
+            }
+            if (!content) return;
+
+            const last = chat[chat.length - 1];
+            if (last?.role === message.role) last.content += `\n\n${content}`;
+            else chat.push({ role: message.role, content });
+        });
+
+        while (chat.length > 0 && chat[chat.length - 1].role !== 'assistant') chat.pop();
+        if (chat.length === 0) return [];
+        return system.length > 0 ? [{ role: 'system', content: system.join('\n\n') }, ...chat] : chat;
+    }
+
+    static assistantContent(message, options) {
+        const text = ConversationSchema.getText(message);
+        const reasoning = options.reasoning ? ConversationSchema.getReasoning(message) : '';
+        if (!text) return '';
+        return reasoning ? `<think>\n${reasoning}\n</think>\n\n${text}` : text;
+    }
+
+    // Text of files attached to a prompt (pasted documents, uploads the platform extracted)
+    static attachmentText(message) {
+        return (message?.attachments || [])
+            .filter(a => a.text)
+            .map(a => a.name ? `${a.name}:\n${a.text}` : a.text)
+            .join('\n\n');
+    }
+
+    // ============================================
+    // SPLIT
+    // ============================================
+
+    /**
+     * Indexes of the conversations that go to validation. Whole conversations
+     * are split (Alpaca turns of one thread never straddle both files), chosen
+     * by a hash of the uuid so re-exporting the same threads gives the same split.
+     */
+    static pickValidation(conversations, share) {
+        const fraction = Math.min(Math.max(Number(share) || 0, 0), 0.5);
+        if (fraction === 0 || conversations.length < 2) return new Set();
+
+        const count = Math.max(1, Math.round(conversations.length * fraction));
+        const ranked = conversations
+            .map((conversation, i) => ({ i, hash: this.hash(conversation.uuid || conversation.title || String(i)) }))
+            .sort((a, b) => a.hash - b.hash || a.i - b.i);
+        return new Set(ranked.slice(0, count).map(entry => entry.i));
+    }
+
+    // FNV-1a, 32 bit
+    static hash(text) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193) >>> 0;
+        }
+        return hash;
+    }
+
+    static toJSONL(records) {
+        return records.map(record => JSON.stringify(record)).join('\n') + (records.length > 0 ? '\n' : '');
+    }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DatasetExporter;
+}
@@ -159,7 +159,7 @@ const DeepSeekAdapter = {
             uuid: chat.id || chat.chat_session_id || chat.session_id,
             title: chat.title || chat.name || 'DeepSeek Chat',
             platform: 'DeepSeek',
-            last_query_datetime: chat.updated_at || chat.create_time || new Date().toISOString()
+            last_query_datetime: chat.updated_at || chat.create_time || null
         }));
 
         return { threads, nextCursor, hasMore };
@@ -346,70 +346,25 @@ const DeepSeekAdapter = {
                 const data = await response.json();
                 console.log(`[DeepSeek] Response received for ${endpoint}`);
 
-                // Try multiple response structure variations
-                let messages = null;
-                let title = 'DeepSeek Conversation';
-
-                // Path variations for messages
-                const messagePaths = [
-                    data?.data?.biz_data?.chat_messages,
-                    data?.biz_data?.chat_messages,
-                    data?.data?.messages,
-                    data?.messages,
-                    data?.data?.chat_messages,
-                    data?.chat_messages
-                ];
-
-                for (const path of messagePaths) {
-                    if (Array.isArray(path) && path.length > 0) {
-                        messages = path;
-                        break;
-                    }
-                }
-
-                if (!messages || messages.length === 0) {
+                const ordered = transformDeepSeekData(data);
+                if (ordered.length === 0) {
                     console.warn(`[DeepSeek] No messages found in endpoint: ${endpoint}`);
                     continue;
                 }
 
-                console.log(`[DeepSeek] Found ${messages.length} messages`);
-
-                const entries = [];
-                let currentQuery = '';
-
-                messages.forEach((msg, idx) => {
-                    // Multiple role detection strategies
-                    const role = (msg.role || msg.author || msg.sender || msg.type || '').toUpperCase();
-                    const content = msg.content || msg.text || msg.message || '';
-
-                    if (!content.trim()) return;
+                console.log(`[DeepSeek] Found ${ordered.length} messages`);
 
-                    const isUser = role === 'USER' || role === 'HUMAN' || 
-                                 (role === '' && idx % 2 === 0);
-                    const isAssistant = role === 'ASSISTANT' || role === 'BOT' || 
-                                       role === 'DEEPSEEK' || role === 'AI' ||
-                                       (role === '' && idx % 2 === 1);
+                const title = getDeepSeekTitle(data) ||
+                       ordered.find(m => m.role === 'user')?.text?.substring(0, 100) ||
+                       `DeepSeek Thread ${uuid.slice(0, 8)}`;
 
-                    if (isUser) {
-                        currentQuery = content.trim();
-                    } else if (isAssistant && currentQuery) {
-                        entries.push({ query: currentQuery, answer: content.trim() });
-                        currentQuery = '';
-                    }
+                const conversation = ConversationSchema.createConversation({
+                    uuid, title, platform: 'DeepSeek', messages: ordered
                 });
 
-                if (entries.length > 0) {
-                    // Get title from multiple possible locations
-                    title = data?.data?.biz_data?.chat_session?.title ||
-                           data?.biz_data?.chat_session?.title ||
-                           data?.data?.title ||
-                           data?.title ||
-                           data?.chat_session?.title ||
-                           entries[0]?.query?.substring(0, 100) ||
-                           `DeepSeek Thread ${uuid.slice(0, 8)}`;
-
-                    console.log(`[DeepSeek] ✓ API success: ${entries.length} Q&A pairs for: ${title}`);
-                    return { uuid, title, platform: 'DeepSeek', entries };
+                if (conversation.messages.length > 0) {
+                    console.log(`[DeepSeek] ✓ API success: ${conversation.messages.length} messages for: ${title}`);
+                    return conversation;
                 }
             } catch (e) {
                 console.warn(`[DeepSeek] Endpoint ${endpoint} failed:`, e.message);
@@ -429,25 +384,23 @@ const DeepSeekAdapter = {
         console.log('[DeepSeek] Starting DOM extraction...');
         const messages = [];
 
-        // Strategy 1: Modern DeepSeek UI - data-message-role or data-role attributes
+        // Strategy 1: Modern DeepSeek UI - data-message-role or data-role attributes (keeps every message in order)
         const roleElements = document.querySelectorAll('[data-message-role], [data-role]');
         if (roleElements.length > 0) {
             console.log(`[DeepSeek] Strategy 1: Found ${roleElements.length} role-based elements`);
-            
-            let currentQuery = '';
-            roleElements.forEach(el => {
-                const role = (el.getAttribute('data-message-role') || el.getAttribute('data-role') || '').toUpperCase();
-                const text = el.textContent?.trim() || '';
-
-                if (text.length > 5) {
-                    if (role === 'USER' || role === 'HUMAN') {
-                        currentQuery = text;
-                    } else if ((role === 'ASSISTANT' || role === 'BOT' || role === 'AI') && currentQuery) {
-                        messages.push({ query: currentQuery, answer: text });
-                        currentQuery = '';
-                    }
-                }
-            });
+
+            const ordered = Array.from(roleElements)
+                .map(el => ({
+                    role: el.getAttribute('data-message-role') || el.getAttribute('data-role'),
+                    text: el.textContent?.trim() || ''
+                }))
+                .filter(m => m.text.length > 5 && /^(user|human|assistant|bot|ai)$/i.test(m.role));
+
+            if (ordered.length > 0) {
+                const title = document.title?.replace(' - DeepSeek', '').replace('DeepSeek Chat', '').trim() ||
+                             'DeepSeek Conversation';
+                return ConversationSchema.createConversation({ uuid, title, platform: 'DeepSeek', messages: ordered });
+            }
         }
 
         // Strategy 2: Class-based message detection
@@ -553,7 +506,7 @@ const DeepSeekAdapter = {
                      filteredMessages[0]?.query?.substring(0, 100) ||
                      'DeepSeek Conversation';
 
-        return { uuid, title, platform: 'DeepSeek', entries: filteredMessages };
+        return ConversationSchema.fromEntries({ uuid, title, entries: filteredMessages }, 'DeepSeek');
     },
 
     getSpaces: async () => []
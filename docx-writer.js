@@ -0,0 +1,349 @@
+// OmniExporter AI - DOCX Writer
+// Builds Word (Office Open XML) documents in the extension: paragraphs,
+// headings, lists, tables and hyperlinks are written as WordprocessingML and
+// packed into a .docx with zip-writer.js. Formatting comes from the named
+// styles in styles.xml (Heading 1-5, Code, Quote, Table Grid...), so
+// documents can be restyled in Word in one place.
+//
+// Text is given as runs: { text, bold, italic, strike, code, url, color }
+
+class DocxWriter {
+    static MIME_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
+    static NS = {
+        w: 'http://schemas.openxmlformats.org/wordprocessingml/2006/main',
+        r: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships',
+        rels: 'http://schemas.openxmlformats.org/package/2006/relationships',
+        types: 'http://schemas.openxmlformats.org/package/2006/content-types'
+    };
+
+    static REL_TYPES = {
+        styles: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles',
+        numbering: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/numbering',
+        hyperlink: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/hyperlink',
+        document: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument',
+        core: 'http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties',
+        app: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/extended-properties'
+    };
+
+    // A4 with 2 cm margins, in twentieths of a point
+    static PAGE = { width: 11906, height: 16838, margin: 1134 };
+
+    static BULLET_NUM_ID = 1;
+    static BULLETS = ['•', '◦', '▪'];
+
+    /**
+     * @param {Object} properties - document properties: { title, subject, creator }
+     */
+    constructor(properties = {}) {
+        this.properties = properties;
+        this.body = [];
+        this.links = new Map();        // url → relationship id
+        this.orderedLists = [];        // start number of each ordered list (num ids from 2)
+    }
+
+    get contentWidth() {
+        return DocxWriter.PAGE.width - 2 * DocxWriter.PAGE.margin;
+    }
+
+    // ============================================
+    // BLOCKS
+    // ============================================
+
+    /**
+     * @param {Array} runs
+     * @param {Object} options
+     * @param {string} options.style - paragraph style id ('Heading2', 'Quote', ...)
+     * @param {Object} options.list - { numId, level } to make it a list item
+     * @param {boolean} options.keepNext - keep on the same page as the next paragraph
+     */
+    paragraph(runs, { style = null, list = null, keepNext = false } = {}) {
+        this.body.push(this.paragraphXml(runs, { style, list, keepNext }));
+    }
+
+    heading(level, runs) {
+        this.paragraph(runs, { style: `Heading${Math.min(Math.max(level, 1), 5)}`, keepNext: true });
+    }
+
+    /**
+     * One paragraph per line in the Code style; whitespace is preserved
+     */
+    code(text) {
+        String(text ?? '').replace(/\s+$/, '').split('\n').forEach(line => {
+            this.paragraph([{ text: line }], { style: 'Code' });
+        });
+    }
+
+    rule() {
+        this.paragraph([], { style: 'Rule' });
+    }
+
+    /**
+     * @param {Array} rows - [[runs per cell]]
+     * @param {Object} options
+     * @param {boolean} options.header - the first row is a header, repeated on every page
+     * @param {Array} options.widths - column widths as fractions of the page width
+     */
+    table(rows, { header = true, widths = null } = {}) {
+        const columns = Math.max(...rows.map(row => row.length), 1);
+        const twips = (widths || Array(columns).fill(1 / columns)).map(f => Math.round(f * this.contentWidth));
+
+        let xml = '<w:tbl><w:tblPr><w:tblStyle w:val="TableGrid"/><w:tblW w:w="5000" w:type="pct"/>' +
+            '<w:tblLook w:val="04A0" w:firstRow="1" w:lastRow="0" w:firstColumn="0" w:lastColumn="0" w:noHBand="0" w:noVBand="1"/></w:tblPr>' +
+            `<w:tblGrid>${twips.map(w => `<w:gridCol w:w="${w}"/>`).join('')}</w:tblGrid>`;
+        rows.forEach((row, r) => {
+            const isHeader = header && r === 0;
+            xml += `<w:tr>${isHeader ? '<w:trPr><w:tblHeader/></w:trPr>' : ''}`;
+            for (let c = 0; c < columns; c++) {
+                const runs = (row[c] || []).map(run => (isHeader ? { ...run, bold: true } : run));
+                xml += `<w:tc><w:tcPr><w:tcW w:w="${twips[c]}" w:type="dxa"/>` +
+                    `${isHeader ? '<w:shd w:val="clear" w:color="auto" w:fill="F1F5F9"/>' : ''}</w:tcPr>` +
+                    `${this.paragraphXml(runs, { style: 'TableText' })}</w:tc>`;
+            }
+            xml += '</w:tr>';
+        });
+        this.body.push(`${xml}</w:tbl>`);
+        // Word merges a table directly followed by another table; keep them apart
+        this.paragraph([], { style: 'TableText' });
+    }
+
+    /**
+     * Numbering instance for a new ordered list, counting from `start`
+     * @returns {number} numId for list items
+     */
+    orderedList(start = 1) {
+        this.orderedLists.push(start);
+        return this.orderedLists.length + 1;
+    }
+
+    // ============================================
+    // XML
+    // ============================================
+
+    paragraphXml(runs, { style = null, list = null, keepNext = false } = {}) {
+        const props = [
+            style ? `<w:pStyle w:val="${style}"/>` : '',
+            keepNext ? '<w:keepNext/>' : '',
+            list ? `<w:numPr><w:ilvl w:val="${Math.min(list.level, 8)}"/><w:numId w:val="${list.numId}"/></w:numPr>` : ''
+        ].join('');
+
+        // Consecutive runs with the same URL share one hyperlink element
+        let xml = '';
+        let group = null;
+        const flush = () => {
+            if (!group) return;
+            xml += group.url
+                ? `<w:hyperlink r:id="${this.linkId(group.url)}" w:history="1">${group.xml}</w:hyperlink>`
+                : group.xml;
+            group = null;
+        };
+        runs.forEach(run => {
+            const url = DocxWriter.isLinkable(run.url) ? run.url : null;
+            if (group && group.url !== url) flush();
+            if (!group) group = { url, xml: '' };
+            group.xml += this.runXml(run, !!url);
+        });
+        flush();
+
+        return `<w:p>${props ? `<w:pPr>${props}</w:pPr>` : ''}${xml}</w:p>`;
+    }
+
+    runXml(run, isLink) {
+        const props = [
+            isLink ? '<w:rStyle w:val="Hyperlink"/>' : run.code ? '<w:rStyle w:val="CodeChar"/>' : '',
+            run.bold ? '<w:b/>' : '',
+            run.italic ? '<w:i/>' : '',
+            run.strike ? '<w:strike/>' : '',
+            run.color ? `<w:color w:val="${run.color.replace('#', '')}"/>` : ''
+        ].join('');
+        const text = DocxWriter.clean(run.text).split('\n').map(line =>
+            line.split('\t').map(part => (part ? `<w:t xml:space="preserve">${DocxWriter.escape(part)}</w:t>` : '')).join('<w:tab/>')
+        ).join('<w:br/>');
+        return `<w:r>${props ? `<w:rPr>${props}</w:rPr>` : ''}${text}</w:r>`;
+    }
+
+    linkId(url) {
+        if (!this.links.has(url)) this.links.set(url, `rIdLink${this.links.size + 1}`);
+        return this.links.get(url);
+    }
+
+    // ============================================
+    // PACKAGE
+    // ============================================
+
+    /**
+     * The finished .docx
+     */
+    async toBlob() {
+        const zip = new ZipWriter();
+        const { PAGE, NS, REL_TYPES } = DocxWriter;
+
+        await zip.add('[Content_Types].xml', DocxWriter.xml(
+            `<Types xmlns="${NS.types}">` +
+            '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+            '<Default Extension="xml" ContentType="application/xml"/>' +
+            '<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>' +
+            '<Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>' +
+            '<Override PartName="/word/numbering.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.numbering+xml"/>' +
+            '<Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/>' +
+            '<Override PartName="/docProps/app.xml" ContentType="application/vnd.openxmlformats-officedocument.extended-properties+xml"/>' +
+            '</Types>'));
+
+        await zip.add('_rels/.rels', DocxWriter.xml(
+            `<Relationships xmlns="${NS.rels}">` +
+            `<Relationship Id="rId1" Type="${REL_TYPES.document}" Target="word/document.xml"/>` +
+            `<Relationship Id="rId2" Type="${REL_TYPES.core}" Target="docProps/core.xml"/>` +
+            `<Relationship Id="rId3" Type="${REL_TYPES.app}" Target="docProps/app.xml"/>` +
+            '</Relationships>'));
+
+        await zip.add('docProps/core.xml', this.corePropertiesXml());
+        await zip.add('docProps/app.xml', DocxWriter.xml(
+            '<Properties xmlns="http://schemas.openxmlformats.org/officeDocument/2006/extended-properties">' +
+            '<Application>OmniExporter AI</Application></Properties>'));
+
+        await zip.add('word/document.xml', DocxWriter.xml(
+            `<w:document xmlns:w="${NS.w}" xmlns:r="${NS.r}"><w:body>${this.body.join('')}` +
+            `<w:sectPr><w:pgSz w:w="${PAGE.width}" w:h="${PAGE.height}"/>` +
+            `<w:pgMar w:top="${PAGE.margin}" w:right="${PAGE.margin}" w:bottom="${PAGE.margin}" w:left="${PAGE.margin}" ` +
+            'w:header="567" w:footer="567" w:gutter="0"/></w:sectPr></w:body></w:document>'));
+
+        await zip.add('word/_rels/document.xml.rels', DocxWriter.xml(
+            `<Relationships xmlns="${NS.rels}">` +
+            `<Relationship Id="rIdStyles" Type="${REL_TYPES.styles}" Target="styles.xml"/>` +
+            `<Relationship Id="rIdNumbering" Type="${REL_TYPES.numbering}" Target="numbering.xml"/>` +
+            [...this.links].map(([url, id]) =>
+                `<Relationship Id="${id}" Type="${REL_TYPES.hyperlink}" Target="${DocxWriter.escape(DocxWriter.clean(url))}" TargetMode="External"/>`).join('') +
+            '</Relationships>'));
+
+        await zip.add('word/styles.xml', DocxWriter.stylesXml());
+        await zip.add('word/numbering.xml', this.numberingXml());
+
+        return new Blob([zip.toBlob()], { type: DocxWriter.MIME_TYPE });
+    }
+
+    corePropertiesXml() {
+        const now = new Date().toISOString().replace(/\.\d+Z$/, 'Z');
+        const { title, subject, creator = 'OmniExporter AI' } = this.properties;
+        const element = (name, value) => value ? `<${name}>${DocxWriter.escape(DocxWriter.clean(value))}</${name}>` : '';
+        return DocxWriter.xml(
+            '<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" ' +
+            'xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" ' +
+            'xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">' +
+            element('dc:title', title) + element('dc:subject', subject) + element('dc:creator', creator) +
+            `<dcterms:created xsi:type="dcterms:W3CDTF">${now}</dcterms:created>` +
+            `<dcterms:modified xsi:type="dcterms:W3CDTF">${now}</dcterms:modified>` +
+            '</cp:coreProperties>');
+    }
+
+    /**
+     * Bullets (numId 1) and one decimal numbering instance per ordered list,
+     * so every list counts from its own start
+     */
+    numberingXml() {
+        const level = (ilvl, format, text) =>
+            `<w:lvl w:ilvl="${ilvl}"><w:start w:val="1"/><w:numFmt w:val="${format}"/><w:lvlText w:val="${DocxWriter.escape(text)}"/>` +
+            `<w:lvlJc w:val="left"/><w:pPr><w:ind w:left="${360 * (ilvl + 1) + 360}" w:hanging="360"/></w:pPr></w:lvl>`;
+        const levels = format => Array.from({ length: 9 }, (_, i) => format === 'bullet'
+            ? level(i, 'bullet', DocxWriter.BULLETS[i % DocxWriter.BULLETS.length])
+            : level(i, 'decimal', `%${i + 1}.`)).join('');
+
+        return DocxWriter.xml(
+            `<w:numbering xmlns:w="${DocxWriter.NS.w}">` +
+            `<w:abstractNum w:abstractNumId="0"><w:multiLevelType w:val="hybridMultilevel"/>${levels('bullet')}</w:abstractNum>` +
+            `<w:abstractNum w:abstractNumId="1"><w:multiLevelType w:val="hybridMultilevel"/>${levels('decimal')}</w:abstractNum>` +
+            `<w:num w:numId="${DocxWriter.BULLET_NUM_ID}"><w:abstractNumId w:val="0"/></w:num>` +
+            this.orderedLists.map((start, i) =>
+                `<w:num w:numId="${i + 2}"><w:abstractNumId w:val="1"/>` +
+                Array.from({ length: 9 }, (_, lvl) =>
+                    `<w:lvlOverride w:ilvl="${lvl}"><w:startOverride w:val="${lvl === 0 ? start : 1}"/></w:lvlOverride>`).join('') +
+                '</w:num>').join('') +
+            '</w:numbering>');
+    }
+
+    static stylesXml() {
+        const font = name => `<w:rFonts w:ascii="${name}" w:hAnsi="${name}" w:eastAsia="${name}" w:cs="${name}"/>`;
+        const paragraphStyle = (id, name, pPr, rPr, extra = '') =>
+            `<w:style w:type="paragraph" w:styleId="${id}"><w:name w:val="${name}"/><w:basedOn w:val="Normal"/>` +
+            `<w:next w:val="Normal"/>${extra}<w:qFormat/><w:pPr>${pPr}</w:pPr><w:rPr>${rPr}</w:rPr></w:style>`;
+        const heading = (level, size, color) => paragraphStyle(`Heading${level}`, `heading ${level}`,
+            `<w:keepNext/><w:spacing w:before="${level === 1 ? 360 : 240}" w:after="80"/><w:outlineLvl w:val="${level - 1}"/>`,
+            `<w:b/><w:color w:val="${color}"/><w:sz w:val="${size}"/><w:szCs w:val="${size}"/>`, '<w:uiPriority w:val="9"/>');
+
+        return DocxWriter.xml(
+            `<w:styles xmlns:w="${DocxWriter.NS.w}">` +
+            `<w:docDefaults><w:rPrDefault><w:rPr>${font('Calibri')}<w:sz w:val="22"/><w:szCs w:val="22"/>` +
+            '<w:lang w:val="en-US"/></w:rPr></w:rPrDefault>' +
+            '<w:pPrDefault><w:pPr><w:spacing w:after="120" w:line="276" w:lineRule="auto"/></w:pPr></w:pPrDefault></w:docDefaults>' +
+            '<w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/><w:qFormat/></w:style>' +
+            paragraphStyle('Title', 'Title', '<w:spacing w:after="240"/>',
+                '<w:b/><w:color w:val="0F172A"/><w:sz w:val="44"/><w:szCs w:val="44"/>') +
+            heading(1, 32, '0F172A') +
+            heading(2, 26, '1D4ED8') +
+            heading(3, 24, '0F172A') +
+            heading(4, 22, '0F172A') +
+            heading(5, 22, '475569') +
+            paragraphStyle('Label', 'Label', '<w:keepNext/><w:spacing w:before="120" w:after="40"/>',
+                '<w:b/><w:color w:val="059669"/><w:sz w:val="20"/>') +
+            paragraphStyle('Muted', 'Muted', '<w:spacing w:after="60"/>',
+                '<w:color w:val="64748B"/><w:sz w:val="18"/>') +
+            paragraphStyle('Reasoning', 'Reasoning',
+                '<w:pBdr><w:left w:val="single" w:sz="12" w:space="8" w:color="CBD5E1"/></w:pBdr><w:ind w:left="284"/>',
+                '<w:i/><w:color w:val="64748B"/>') +
+            paragraphStyle('Quote', 'Quote',
+                '<w:pBdr><w:left w:val="single" w:sz="12" w:space="8" w:color="CBD5E1"/></w:pBdr><w:ind w:left="284"/>',
+                '<w:color w:val="475569"/>') +
+            paragraphStyle('Code', 'Code',
+                '<w:shd w:val="clear" w:color="auto" w:fill="F1F5F9"/><w:spacing w:after="0" w:line="240" w:lineRule="auto"/>',
+                `${font('Consolas')}<w:sz w:val="18"/><w:szCs w:val="18"/>`) +
+            paragraphStyle('Rule', 'Rule',
+                '<w:pBdr><w:bottom w:val="single" w:sz="6" w:space="1" w:color="E2E8F0"/></w:pBdr>', '') +
+            paragraphStyle('TableText', 'Table Text', '<w:spacing w:after="0"/>', '<w:sz w:val="20"/>') +
+            paragraphStyle('ListParagraph', 'List Paragraph', '<w:spacing w:after="40"/><w:contextualSpacing/>', '') +
+            '<w:style w:type="character" w:styleId="Hyperlink"><w:name w:val="Hyperlink"/>' +
+            '<w:rPr><w:color w:val="2563EB"/><w:u w:val="single"/></w:rPr></w:style>' +
+            `<w:style w:type="character" w:styleId="CodeChar"><w:name w:val="Code Char"/><w:rPr>${font('Consolas')}` +
+            '<w:color w:val="9F1239"/><w:sz w:val="20"/></w:rPr></w:style>' +
+            '<w:style w:type="table" w:styleId="TableGrid"><w:name w:val="Table Grid"/><w:tblPr>' +
+            '<w:tblBorders>' +
+            ['top', 'left', 'bottom', 'right', 'insideH', 'insideV']
+                .map(side => `<w:${side} w:val="single" w:sz="4" w:space="0" w:color="CBD5E1"/>`).join('') +
+            '</w:tblBorders><w:tblCellMar><w:top w:w="40" w:type="dxa"/><w:left w:w="100" w:type="dxa"/>' +
+            '<w:bottom w:w="40" w:type="dxa"/><w:right w:w="100" w:type="dxa"/></w:tblCellMar></w:tblPr></w:style>' +
+            '</w:styles>');
+    }
+
+    // ============================================
+    // HELPERS
+    // ============================================
+
+    static xml(body) {
+        return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n${body}`;
+    }
+
+    static escape(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Drop characters XML 1.0 doesn't allow (control characters, lone surrogates)
+     */
+    static clean(text) {
+        return String(text ?? '')
+            .replace(/\r\n?/g, '\n')
+            .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f\ufffe\uffff]/g, '')
+            .replace(/[\ud800-\udbff](?![\udc00-\udfff])|(?<![\ud800-\udbff])[\udc00-\udfff]/g, '');
+    }
+
+    static isLinkable(url) {
+        return /^(https?:|mailto:)/i.test(url || '');
+    }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DocxWriter;
+}
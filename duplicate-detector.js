@@ -0,0 +1,168 @@
+// OmniExporter AI - Duplicate Detector
+// Content-level fingerprints of exported conversations, used by auto-sync and
+// bulk export to tell new, unchanged, continued and edited threads apart.
+//
+// Stored in chrome.storage.local:
+//   exportFingerprints = { [uuid]: { hash, messages: [messageHash], title, exportedAt } }
+// Older versions stored a single hash string per uuid; those records are
+// treated as modified so the thread is exported once more with full detail.
+
+class DuplicateDetector {
+    static STORAGE_KEY = 'exportFingerprints';
+
+    // ============================================
+    // FINGERPRINTS
+    // ============================================
+
+    /**
+     * Fingerprint of a thread: one hash per message plus a hash of the whole
+     */
+    static generateFingerprint(data) {
+        const conversation = ConversationSchema.normalize(data);
+        const messages = conversation.messages.map(message => this.fingerprintMessage(message));
+        return {
+            hash: this.simpleHash([conversation.title, ...messages].join('|')),
+            messages,
+            title: conversation.title
+        };
+    }
+
+    /**
+     * Hash of everything that is exported for a message, so edits to the
+     * text, reasoning, citations or attachments all count as changes
+     */
+    static fingerprintMessage(message) {
+        return this.simpleHash([
+            message.role,
+            ConversationSchema.getText(message),
+            ConversationSchema.getReasoning(message),
+            (message.citations || []).map(c => c.url || '').join(','),
+            (message.attachments || []).map(a => a.name || a.url || '').join(','),
+            ConversationSchema.countBranches([message])
+        ].join('\u0000'));
+    }
+
+    /**
+     * 53-bit string hash (cyrb53); short enough to keep one per message
+     */
+    static simpleHash(str) {
+        let h1 = 0xdeadbeef, h2 = 0x41c6ce57;
+        for (let i = 0; i < str.length; i++) {
+            const ch = str.charCodeAt(i);
+            h1 = Math.imul(h1 ^ ch, 2654435761);
+            h2 = Math.imul(h2 ^ ch, 1597334677);
+        }
+        h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+        h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+        return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(36);
+    }
+
+    // ============================================
+    // CHANGE DETECTION
+    // ============================================
+
+    /**
+     * Compare a fingerprint with the one saved at the last export.
+     * status: 'new' | 'unchanged' | 'appended' (only new messages at the end)
+     *       | 'modified' (an exported message was edited, removed or reordered)
+     * firstChanged: index of the first message that differs from the export
+     */
+    static async diff(uuid, fingerprint) {
+        const record = (await this.getFingerprints())[uuid];
+        return this.compare(record, fingerprint);
+    }
+
+    static compare(record, fingerprint) {
+        if (!record) return { status: 'new', firstChanged: 0 };
+        if (typeof record === 'string' || !Array.isArray(record.messages)) {
+            return { status: 'modified', firstChanged: 0 };
+        }
+        if (record.hash === fingerprint.hash) {
+            return { status: 'unchanged', firstChanged: -1 };
+        }
+
+        const previous = record.messages;
+        const current = fingerprint.messages;
+        let firstChanged = 0;
+        while (firstChanged < previous.length && firstChanged < current.length &&
+            previous[firstChanged] === current[firstChanged]) {
+            firstChanged++;
+        }
+
+        if (firstChanged === previous.length && current.length > previous.length) {
+            return { status: 'appended', firstChanged };
+        }
+        return { status: 'modified', firstChanged };
+    }
+
+    /**
+     * Check if thread has been modified since last export
+     */
+    static async hasChanged(uuid, fingerprint) {
+        const { status } = await this.diff(uuid, fingerprint);
+        return status !== 'unchanged';
+    }
+
+    /**
+     * Notion update mode for a diff: edited history must be rewritten,
+     * everything else follows the user's setting
+     */
+    static notionMode(diff) {
+        return diff.status === 'modified' ? 'replace' : undefined;
+    }
+
+    /**
+     * Cheap pre-check from the thread list, before fetching the thread:
+     * no usable fingerprint yet, or active since it was last exported.
+     * Threads without a known activity time (Gemini, some Grok lists) can't
+     * be ruled out here; the fingerprint diff decides once they are fetched.
+     */
+    static needsExport(thread, fingerprints) {
+        if (!fingerprints[thread.uuid]?.exportedAt) return true;
+        return !this.activityTime(thread) || this.isOutdated(thread, fingerprints);
+    }
+
+    /**
+     * Exported before, and the platform reports activity after that export
+     */
+    static isOutdated(thread, fingerprints) {
+        const exportedAt = fingerprints[thread.uuid]?.exportedAt;
+        const activity = this.activityTime(thread);
+        if (!exportedAt || !activity) return false;
+        return activity > new Date(exportedAt).getTime();
+    }
+
+    /**
+     * Last activity reported by the platform in ms, or null when the thread
+     * list doesn't say (listers leave last_query_datetime null then)
+     */
+    static activityTime(thread) {
+        const time = thread?.last_query_datetime ? new Date(thread.last_query_datetime).getTime() : NaN;
+        return Number.isFinite(time) && time > 0 ? time : null;
+    }
+
+    // ============================================
+    // STORAGE
+    // ============================================
+
+    static async getFingerprints() {
+        const data = await chrome.storage.local.get(this.STORAGE_KEY);
+        return data[this.STORAGE_KEY] || {};
+    }
+
+    /**
+     * Save fingerprint after export; returns the stored record
+     */
+    static async saveFingerprint(uuid, fingerprint) {
+        const fingerprints = await this.getFingerprints();
+        const record = { ...fingerprint, exportedAt: new Date().toISOString() };
+        fingerprints[uuid] = record;
+        await chrome.storage.local.set({ [this.STORAGE_KEY]: fingerprints });
+        return record;
+    }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DuplicateDetector;
+}
@@ -0,0 +1,161 @@
+// OmniExporter AI - EPUB Writer
+// Packs XHTML pages into an EPUB 3 book with zip-writer.js: package
+// document, navigation document (with an NCX copy for EPUB 2 readers) and one
+// shared stylesheet. Pages arrive as finished XHTML body markup; their
+// `sections` become the second level of the table of contents.
+
+class EpubWriter {
+    static MIME_TYPE = 'application/epub+zip';
+
+    /**
+     * @param {Object} options
+     * @param {string} options.identifier - stable book id, e.g. "urn:uuid:…"
+     * @param {string} options.title
+     * @param {string} options.language - BCP 47 tag
+     * @param {string} options.css - stylesheet shared by every page
+     */
+    constructor({ identifier, title, language = 'en', creator = 'OmniExporter AI', css = '' }) {
+        this.identifier = identifier;
+        this.title = title;
+        this.language = language;
+        this.creator = creator;
+        this.css = css;
+        this.pages = [];
+    }
+
+    /**
+     * Add a page in reading order. The contents page is placed after the
+     * first page, so a book opens with its title page.
+     * @param {Object} page
+     * @param {string} page.title
+     * @param {string} page.body - XHTML for inside <body>
+     * @param {Array} page.sections - [{ id, title }] anchors listed under the page in the contents
+     * @param {boolean} page.toc - false leaves the page out of the contents (title pages)
+     * @returns {string} the page's file name
+     */
+    addPage({ title, body, sections = [], toc = true }) {
+        const href = `page-${String(this.pages.length + 1).padStart(3, '0')}.xhtml`;
+        this.pages.push({ id: `page-${this.pages.length + 1}`, href, title, body, sections, toc });
+        return href;
+    }
+
+    // ============================================
+    // PACKAGE
+    // ============================================
+
+    /**
+     * The finished .epub. The uncompressed `mimetype` entry must come first.
+     */
+    async toBlob() {
+        const zip = new ZipWriter();
+        await zip.add('mimetype', EpubWriter.MIME_TYPE, { compress: false });
+        await zip.add('META-INF/container.xml', EpubWriter.xml(
+            '<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">' +
+            '<rootfiles><rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/></rootfiles>' +
+            '</container>'));
+
+        await zip.add('OEBPS/content.opf', this.packageXml());
+        await zip.add('OEBPS/nav.xhtml', this.navXhtml());
+        await zip.add('OEBPS/toc.ncx', this.ncxXml());
+        await zip.add('OEBPS/style.css', this.css);
+        for (const page of this.pages) {
+            await zip.add(`OEBPS/${page.href}`, this.pageXhtml(page.title, page.body));
+        }
+
+        return new Blob([zip.toBlob()], { type: EpubWriter.MIME_TYPE });
+    }
+
+    packageXml() {
+        const modified = new Date().toISOString().replace(/\.\d+Z$/, 'Z');
+        const e = EpubWriter.escape;
+        return EpubWriter.xml(
+            `<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id" xml:lang="${e(this.language)}">` +
+            '<metadata xmlns:dc="http://purl.org/dc/elements/1.1/">' +
+            `<dc:identifier id="book-id">${e(this.identifier)}</dc:identifier>` +
+            `<dc:title>${e(this.title)}</dc:title>` +
+            `<dc:language>${e(this.language)}</dc:language>` +
+            `<dc:creator>${e(this.creator)}</dc:creator>` +
+            `<meta property="dcterms:modified">${modified}</meta>` +
+            '</metadata><manifest>' +
+            '<item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>' +
+            '<item id="ncx" href="toc.ncx" media-type="application/x-dtbncx+xml"/>' +
+            '<item id="css" href="style.css" media-type="text/css"/>' +
+            this.pages.map(page => `<item id="${page.id}" href="${page.href}" media-type="application/xhtml+xml"/>`).join('') +
+            '</manifest><spine toc="ncx">' +
+            this.pages.map((page, i) => (i === 1 ? '<itemref idref="nav"/>' : '') + `<itemref idref="${page.id}"/>`).join('') +
+            '</spine></package>');
+    }
+
+    navXhtml() {
+        const e = EpubWriter.escape;
+        const items = this.pages.filter(page => page.toc).map(page => {
+            const sections = page.sections.length > 0
+                ? `<ol>${page.sections.map(s => `<li><a href="${page.href}#${s.id}">${e(s.title)}</a></li>`).join('')}</ol>`
+                : '';
+            return `<li><a href="${page.href}">${e(page.title)}</a>${sections}</li>`;
+        }).join('');
+        return this.pageXhtml('Contents',
+            `<nav epub:type="toc" id="toc" role="doc-toc"><h1>Contents</h1><ol>${items}</ol></nav>`);
+    }
+
+    ncxXml() {
+        const e = EpubWriter.escape;
+        let order = 0;
+        const point = (label, src, children = '') => {
+            order++;
+            return `<navPoint id="nav-${order}" playOrder="${order}"><navLabel><text>${e(label)}</text></navLabel>` +
+                `<content src="${src}"/>${children}</navPoint>`;
+        };
+        const points = this.pages.filter(page => page.toc).map(page => {
+            const head = point(page.title, page.href);
+            const children = page.sections.map(s => point(s.title, `${page.href}#${s.id}`)).join('');
+            return head.replace(/<\/navPoint>$/, `${children}</navPoint>`);
+        }).join('');
+
+        return EpubWriter.xml(
+            '<ncx xmlns="http://www.daisy.org/z3986/2005/ncx/" version="2005-1">' +
+            `<head><meta name="dtb:uid" content="${e(this.identifier)}"/><meta name="dtb:depth" content="2"/>` +
+            '<meta name="dtb:totalPageCount" content="0"/><meta name="dtb:maxPageNumber" content="0"/></head>' +
+            `<docTitle><text>${e(this.title)}</text></docTitle><navMap>${points}</navMap></ncx>`);
+    }
+
+    pageXhtml(title, body) {
+        return EpubWriter.xml(
+            '<!DOCTYPE html>\n' +
+            `<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="${EpubWriter.escape(this.language)}" lang="${EpubWriter.escape(this.language)}">` +
+            `<head><meta charset="UTF-8"/><title>${EpubWriter.escape(title)}</title>` +
+            '<link rel="stylesheet" type="text/css" href="style.css"/></head>' +
+            `<body>${EpubWriter.toXhtml(body)}</body></html>`);
+    }
+
+    // ============================================
+    // HELPERS
+    // ============================================
+
+    static xml(body) {
+        return `<?xml version="1.0" encoding="UTF-8"?>\n${body}`;
+    }
+
+    static escape(text) {
+        return String(text ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /**
+     * HTML serializations that XML parsers reject: &nbsp; (the only named
+     * entity innerHTML produces) and control characters
+     */
+    static toXhtml(markup) {
+        return String(markup)
+            .replace(/&nbsp;/g, '&#160;')
+            .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f\ufffe\uffff]/g, '');
+    }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = EpubWriter;
+}
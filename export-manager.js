@@ -1,5 +1,6 @@
 // OmniExporter AI - Export Manager
-// Multi-format export support: Markdown, JSON, HTML, PDF, Plain Text
+// Multi-format export support: Markdown, JSON, HTML, PDF, Word (DOCX), EPUB,
+// Plain Text, CSV / Excel tables, and for bulk exports ZIP bundles and Obsidian vaults
 
 class ExportManager {
     static formats = {
@@ -32,90 +33,155 @@ class ExportManager {
             extension: '.pdf',
             mimeType: 'application/pdf',
             icon: '📕'
+        },
+        docx: {
+            name: 'Word',
+            extension: '.docx',
+            mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+            icon: '📘'
+        },
+        epub: {
+            name: 'EPUB',
+            extension: '.epub',
+            mimeType: 'application/epub+zip',
+            icon: '📚'
+        },
+        csv: {
+            name: 'CSV',
+            extension: '.csv',
+            mimeType: 'text/csv',
+            icon: '🧾'
+        },
+        xlsx: {
+            name: 'Excel',
+            extension: '.xlsx',
+            mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+            icon: '📗'
         }
     };
 
-    static export(data, format = 'markdown', platform = 'Unknown') {
-        const formatConfig = this.formats[format];
+    // Platform emoji icons
+    static platformIcons = {
+        'Perplexity': '🧭',
+        'ChatGPT': '🤖',
+        'Claude': '🎯',
+        'Gemini': '✨',
+        'Grok': '𝕏',
+        'DeepSeek': '🔮'
+    };
+
+    /**
+     * Render and download a conversation.
+     * options.layout: 'qa' (question/answer turns) or 'messages' (every message in order)
+     * options.reasoning: false strips reasoning/thinking parts
+     * options.template: a user template (Templates tab); its format replaces `format`
+     */
+    static async export(data, format = 'markdown', platform = 'Unknown', options = {}) {
+        const formatConfig = this.formats[options.template?.format || format];
         if (!formatConfig) {
             throw new Error(`Unsupported format: ${format}`);
         }
 
-        let content;
+        const content = await this.render(data, format, platform, options);
+        const filename = this.generateFilename(data.title || 'Chat', formatConfig.extension);
+        this.downloadFile(content, filename, formatConfig.mimeType);
+        return { success: true, filename, format: formatConfig.name };
+    }
+
+    /**
+     * File content of a conversation: a string, or a Blob for PDF, DOCX, EPUB and XLSX
+     */
+    static async render(data, format, platform, options = {}) {
+        if (options.reasoning === false) {
+            data = ConversationSchema.stripReasoning(ConversationSchema.normalize(data, platform));
+        }
+        if (options.template) return this.fromTemplate(data, platform, options.template);
+
         switch (format) {
-            case 'markdown':
-                content = this.toMarkdown(data, platform);
-                break;
             case 'json':
-                content = this.toJSON(data, platform);
-                break;
+                return this.toJSON(data, platform, options);
             case 'html':
-                content = this.toHTML(data, platform);
-                break;
+                return this.toHTML(data, platform, options);
             case 'txt':
-                content = this.toPlainText(data, platform);
-                break;
+                return this.toPlainText(data, platform, options);
             case 'pdf':
-                return this.toPDF(data, platform);
+                return this.toPDF(data, platform, options);
+            case 'docx':
+                return this.toDOCX(data, platform, options);
+            case 'epub':
+                return this.toEPUB([ConversationSchema.normalize(data, platform)], options);
+            case 'csv':
+                return this.toCSV([ConversationSchema.normalize(data, platform)]);
+            case 'xlsx':
+                return this.toXLSX([ConversationSchema.normalize(data, platform)]);
             default:
-                content = this.toMarkdown(data, platform);
+                return this.toMarkdown(data, platform, options);
         }
-
-        const filename = this.generateFilename(data.title || 'Chat', formatConfig.extension);
-        this.downloadFile(content, filename, formatConfig.mimeType);
-        return { success: true, filename, format: formatConfig.name };
     }
 
     // ============================================
     // MARKDOWN FORMAT (WITH PLATFORM LOGOS)
     // ============================================
-    static toMarkdown(data, platform) {
-        const entries = data.detail?.entries || [];
-        const title = data.title || 'Untitled Chat';
-        const firstEntry = entries[0] || {};
-        const date = firstEntry.updated_datetime
-            ? new Date(firstEntry.updated_datetime).toISOString().split('T')[0]
-            : new Date().toISOString().split('T')[0];
-
-        // Platform emoji icons
-        const platformIcons = {
-            'Perplexity': '🧭',
-            'ChatGPT': '🤖',
-            'Claude': '🎯',
-            'Gemini': '✨',
-            'Grok': '𝕏',
-            'DeepSeek': '🔮'
-        };
-        const platformIcon = platformIcons[platform] || '💬';
 
-        let md = '---\n';
-        md += `title: "${title}"\n`;
-        md += `date: ${date}\n`;
-        md += `platform: ${platform}\n`;
-        md += `uuid: ${data.uuid || 'unknown'}\n`;
-        md += `entries: ${entries.length}\n`;
-        md += '---\n\n';
+    /**
+     * options.vault: render as a note of an Obsidian vault, with Obsidian
+     * frontmatter and wikilinks: { index, related: [note names] } (see toObsidianVault)
+     */
+    static toMarkdown(data, platform, options = {}) {
+        const conversation = ConversationSchema.normalize(data, platform);
+        const turns = ConversationSchema.toTurns(conversation);
+        const title = conversation.title;
+        platform = conversation.platform;
+        const date = (conversation.updatedAt || new Date().toISOString()).split('T')[0];
+        const platformIcon = this.platformIcons[platform] || '💬';
+        const footer = (options.vault ? this.vaultLinksToMarkdown(options.vault) : '') +
+            `\n*Exported with OmniExporter AI on ${new Date().toLocaleString()}*\n`;
+
+        let md;
+        if (options.vault) {
+            md = this.obsidianFrontmatter(conversation);
+        } else {
+            md = '---\n';
+            md += `title: ${JSON.stringify(String(title))}\n`;
+            md += `date: ${date}\n`;
+            md += `platform: ${platform}\n`;
+            md += `uuid: ${conversation.uuid || 'unknown'}\n`;
+            if (conversation.url) md += `url: ${conversation.url}\n`;
+            if (conversation.model) md += `model: ${conversation.model}\n`;
+            md += `entries: ${turns.length}\n`;
+            md += `messages: ${conversation.messages.length}\n`;
+            md += '---\n\n';
+        }
         md += `# ${platformIcon} ${title}\n\n`;
-        md += `> **Platform:** ${platform} | **Conversations:** ${entries.length} | **Date:** ${date}\n\n`;
+        md += `> **Platform:** ${platform} | **Conversations:** ${turns.length} | **Date:** ${date}\n\n`;
+
+        if (options.layout === 'messages') {
+            md += this.messagesToMarkdown(conversation);
+            md += footer;
+            return md;
+        }
 
-        entries.forEach((entry, index) => {
-            const query = entry.query || entry.query_str || '';
+        turns.forEach((turn, index) => {
+            const query = ConversationSchema.getTurnQuery(turn);
             if (query) {
                 md += `## 🙋 Question ${index + 1}\n\n`;
                 md += `${query}\n\n`;
             }
 
-            let answer = this.extractAnswer(entry);
-            if (answer.trim()) {
+            const reasoning = ConversationSchema.getTurnReasoning(turn);
+            const answer = ConversationSchema.getTurnAnswer(turn);
+            if (answer || reasoning) {
                 md += `### 🤖 Answer\n\n`;
-                md += `${answer.trim()}\n\n`;
+                md += this.reasoningToMarkdown(reasoning);
+                if (answer) md += `${answer}\n\n`;
             }
 
             // Add sources if available
-            if (entry.sources && entry.sources.length > 0) {
+            const sources = ConversationSchema.getTurnCitations(turn);
+            if (sources.length > 0) {
                 md += `### 📚 Sources\n\n`;
-                entry.sources.forEach((source, i) => {
-                    md += `${i + 1}. [${source.title || source.url}](${source.url})\n`;
+                sources.forEach((source, i) => {
+                    md += `${i + 1}. [${source.title}](${source.url})\n`;
                 });
                 md += '\n';
             }
@@ -123,38 +189,299 @@ class ExportManager {
             md += '---\n\n';
         });
 
-        md += `\n*Exported with OmniExporter AI on ${new Date().toLocaleString()}*\n`;
+        md += footer;
+        return md;
+    }
+
+    /**
+     * Every message in order with its role, including consecutive assistant/tool turns
+     */
+    static messagesToMarkdown(conversation) {
+        let md = '';
+        conversation.messages.forEach(message => {
+            const icon = ConversationSchema.ROLE_ICONS[message.role] || '💬';
+            md += `## ${icon} ${ConversationSchema.getAuthorLabel(message)}\n\n`;
+
+            md += this.reasoningToMarkdown(ConversationSchema.getReasoning(message));
+
+            const text = ConversationSchema.getText(message);
+            if (text) md += `${text}\n\n`;
+
+            if (message.attachments.length > 0) {
+                md += `**Attachments:** ${message.attachments.map(a => a.url ? `[${a.name || a.url}](${a.url})` : (a.name || 'file')).join(', ')}\n\n`;
+            }
+
+            if (message.citations.length > 0) {
+                md += `### 📚 Sources\n\n`;
+                message.citations.forEach((source, i) => {
+                    md += `${i + 1}. [${source.title}](${source.url})\n`;
+                });
+                md += '\n';
+            }
+
+            md += '---\n\n';
+        });
         return md;
     }
 
+    /**
+     * Collapsed reasoning block; GitHub, Obsidian and most viewers render <details>
+     */
+    static reasoningToMarkdown(reasoning) {
+        if (!reasoning) return '';
+        return `<details>\n<summary>💭 Reasoning</summary>\n\n${reasoning}\n\n</details>\n\n`;
+    }
+
+    // ============================================
+    // ZIP BUNDLE
+    // ============================================
+
+    /**
+     * Bulk export as one ZIP: a file per conversation plus manifest.json
+     * listing each file's uuid, title, platform, path, size and SHA-256
+     * @param {Array} files - [{ conversation, content }], content rendered in `format`
+     * @param {Object} options
+     * @param {string} options.format - key of ExportManager.formats
+     * @param {boolean} options.folders - put each platform's files in its own folder
+     * @returns {Promise<Blob>}
+     */
+    static async toZipBundle(files, { format = 'markdown', folders = true } = {}) {
+        const extension = this.formats[format]?.extension || '.txt';
+        const zip = new ZipWriter();
+        const used = new Set(['manifest.json']);
+        const manifest = {
+            tool: 'OmniExporter AI',
+            version: typeof chrome !== 'undefined' && chrome.runtime?.getManifest ? chrome.runtime.getManifest().version : null,
+            exportedAt: new Date().toISOString(),
+            format,
+            count: files.length,
+            files: []
+        };
+
+        for (const { conversation, content } of files) {
+            const folder = folders ? `${this.safeName(conversation.platform, 'Unknown')}/` : '';
+            const name = this.safeName(conversation.title);
+            let path = `${folder}${name}${extension}`;
+            for (let n = 2; used.has(path.toLowerCase()); n++) path = `${folder}${name} (${n})${extension}`;
+            used.add(path.toLowerCase());
+
+            const bytes = await ZipWriter.toBytes(content);
+            await zip.add(path, bytes, { date: new Date(conversation.updatedAt || Date.now()) });
+            manifest.files.push({
+                uuid: conversation.uuid,
+                title: conversation.title,
+                platform: conversation.platform,
+                path,
+                size: bytes.length,
+                sha256: await this.sha256(bytes)
+            });
+        }
+
+        await zip.add('manifest.json', JSON.stringify(manifest, null, 2));
+        return zip.toBlob();
+    }
+
+    static async sha256(bytes) {
+        const digest = await crypto.subtle.digest('SHA-256', bytes);
+        return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+    }
+
+    // ============================================
+    // OBSIDIAN VAULT (ZIP)
+    // ============================================
+
+    // Related threads linked from each note
+    static VAULT_RELATED_LIMIT = 5;
+    // Distinctive words per conversation compared to find related threads
+    static VAULT_KEYWORDS = 25;
+
+    /**
+     * Conversations as a ZIP laid out as an Obsidian vault:
+     *   {Platform}/{Platform} Index.md
+     *   {Platform}/{year}/{title}.md
+     * Note names are unique across the vault so [[wikilinks]] resolve.
+     * @param {Array} conversations - canonical conversations (any platforms)
+     * @param {Object} options - toMarkdown render options (layout, reasoning)
+     * @returns {Promise<Blob>}
+     */
+    static async toObsidianVault(conversations, options = {}) {
+        const notes = this.planVaultNotes(conversations.map(data => {
+            const conversation = ConversationSchema.normalize(data);
+            return options.reasoning === false ? ConversationSchema.stripReasoning(conversation) : conversation;
+        }));
+        const related = this.findRelatedConversations(notes.map(note => note.conversation), this.VAULT_RELATED_LIMIT);
+        const zip = new ZipWriter();
+
+        for (const [i, note] of notes.entries()) {
+            const markdown = this.toMarkdown(note.conversation, note.conversation.platform, {
+                ...options,
+                vault: { index: note.index, related: related[i].map(j => notes[j].name) }
+            });
+            await zip.add(note.path, markdown, { date: new Date(note.conversation.updatedAt || Date.now()) });
+        }
+
+        const platforms = [...new Set(notes.map(note => note.conversation.platform))];
+        for (const platform of platforms) {
+            const platformNotes = notes.filter(note => note.conversation.platform === platform);
+            await zip.add(`${this.safeName(platform, 'Unknown')}/${platformNotes[0].index}.md`, this.vaultIndexNote(platform, platformNotes));
+        }
+
+        return zip.toBlob();
+    }
+
+    /**
+     * Note name, path and platform index name for each conversation
+     */
+    static planVaultNotes(conversations) {
+        const used = new Set();
+        const unique = (name) => {
+            let candidate = name;
+            for (let n = 2; used.has(candidate.toLowerCase()); n++) candidate = `${name} (${n})`;
+            used.add(candidate.toLowerCase());
+            return candidate;
+        };
+
+        const indexes = {};
+        conversations.forEach(c => { indexes[c.platform] ||= unique(`${c.platform} Index`); });
+
+        return conversations.map(conversation => {
+            const name = unique(this.safeName(conversation.title));
+            const date = conversation.createdAt || conversation.updatedAt;
+            const year = date ? String(new Date(date).getFullYear()) : 'Undated';
+            return {
+                conversation,
+                name,
+                index: indexes[conversation.platform],
+                path: `${this.safeName(conversation.platform, 'Unknown')}/${year}/${name}.md`
+            };
+        });
+    }
+
+    /**
+     * Obsidian properties: aliases and tags as lists, dates as ISO strings
+     */
+    static obsidianFrontmatter(conversation) {
+        const yaml = value => JSON.stringify(String(value));
+        const tag = value => String(value).toLowerCase().replace(/[^\p{L}\p{N}_/-]+/gu, '-').replace(/^-+|-+$/g, '');
+        const tags = ['ai-chat', `platform/${tag(conversation.platform)}`];
+        if (conversation.model) tags.push(`model/${tag(conversation.model)}`);
+
+        let md = '---\n';
+        md += `title: ${yaml(conversation.title)}\n`;
+        md += `aliases:\n  - ${yaml(conversation.title)}\n`;
+        md += `tags:\n${tags.map(t => `  - ${t}`).join('\n')}\n`;
+        md += `platform: ${yaml(conversation.platform)}\n`;
+        if (conversation.model) md += `model: ${yaml(conversation.model)}\n`;
+        if (conversation.url) md += `source: ${yaml(conversation.url)}\n`;
+        if (conversation.uuid) md += `uuid: ${yaml(conversation.uuid)}\n`;
+        if (conversation.createdAt) md += `created: ${conversation.createdAt}\n`;
+        if (conversation.updatedAt) md += `updated: ${conversation.updatedAt}\n`;
+        md += `messages: ${conversation.messages.length}\n`;
+        md += '---\n\n';
+        return md;
+    }
+
+    static vaultLinksToMarkdown({ index, related = [] }) {
+        let md = '## 🔗 Related\n\n';
+        if (index) md += `Part of [[${index}]]\n`;
+        if (related.length > 0) md += `\n${related.map(name => `- [[${name}]]`).join('\n')}\n`;
+        return md;
+    }
+
+    /**
+     * Platform index note: every exported conversation by year, newest first
+     */
+    static vaultIndexNote(platform, notes) {
+        const icon = this.platformIcons[platform] || '💬';
+        const time = note => new Date(note.conversation.updatedAt || note.conversation.createdAt || 0).getTime();
+        const byYear = {};
+        [...notes].sort((a, b) => time(b) - time(a)).forEach(note => {
+            const year = note.path.split('/')[1];
+            (byYear[year] ||= []).push(note);
+        });
+
+        let md = '---\n';
+        md += `title: ${JSON.stringify(notes[0].index)}\n`;
+        md += 'tags:\n  - ai-chat\n  - index\n';
+        md += `platform: ${JSON.stringify(platform)}\n`;
+        md += '---\n\n';
+        md += `# ${icon} ${platform}\n\n`;
+        md += `${notes.length} conversation${notes.length === 1 ? '' : 's'}, exported with OmniExporter AI on ${new Date().toLocaleString()}\n\n`;
+
+        const years = Object.keys(byYear).filter(y => y !== 'Undated').sort((a, b) => b.localeCompare(a));
+        if (byYear.Undated) years.push('Undated');
+        years.forEach(year => {
+            md += `## ${year}\n\n`;
+            byYear[year].forEach(note => {
+                const date = (note.conversation.updatedAt || note.conversation.createdAt || '').split('T')[0];
+                md += `- [[${note.name}]]${date ? ` · ${date}` : ''} · ${note.conversation.messages.length} messages\n`;
+            });
+            md += '\n';
+        });
+        return md;
+    }
+
+    /**
+     * For each conversation, the indexes of up to `limit` others that share
+     * the most distinctive words (tf-idf keywords), best match first
+     */
+    static findRelatedConversations(conversations, limit) {
+        const count = conversations.length;
+        const frequencies = conversations.map(conversation => {
+            const text = [conversation.title, ...conversation.messages.map(m => ConversationSchema.getText(m))].join('\n');
+            const tf = new Map();
+            (text.toLowerCase().match(/[\p{L}\p{N}]{3,}/gu) || []).forEach(word => tf.set(word, (tf.get(word) || 0) + 1));
+            return tf;
+        });
+
+        const df = new Map();
+        frequencies.forEach(tf => tf.forEach((_, word) => df.set(word, (df.get(word) || 0) + 1)));
+        const idf = word => Math.log(1 + count / df.get(word));
+
+        // Words shared by more than a quarter of the conversations say little about relatedness
+        const maxShared = Math.max(3, Math.floor(count / 4));
+        const postings = new Map();
+        frequencies.forEach((tf, doc) => {
+            [...tf.keys()]
+                .filter(word => df.get(word) > 1 && df.get(word) <= maxShared)
+                .sort((a, b) => tf.get(b) * idf(b) - tf.get(a) * idf(a))
+                .slice(0, this.VAULT_KEYWORDS)
+                .forEach(word => {
+                    if (!postings.has(word)) postings.set(word, []);
+                    postings.get(word).push(doc);
+                });
+        });
+
+        const scores = conversations.map(() => new Map());
+        postings.forEach((docs, word) => {
+            const weight = idf(word);
+            docs.forEach(a => docs.forEach(b => {
+                if (a !== b) scores[a].set(b, (scores[a].get(b) || 0) + weight);
+            }));
+        });
+
+        // At least two shared keywords' worth of weight
+        return scores.map(related => [...related]
+            .filter(([, score]) => score >= 2 * Math.log(1 + count / maxShared))
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, limit)
+            .map(([doc]) => doc));
+    }
+
     // ============================================
     // JSON FORMAT
     // ============================================
     static toJSON(data, platform) {
+        const conversation = ConversationSchema.normalize(data, platform);
         const exportData = {
             meta: {
                 exportedAt: new Date().toISOString(),
-                platform: platform,
+                platform: conversation.platform,
                 version: '4.2.0',
+                schemaVersion: conversation.schemaVersion,
                 tool: 'OmniExporter AI'
             },
-            conversation: {
-                uuid: data.uuid || null,
-                title: data.title || 'Untitled Chat',
-                spaceName: data.spaceName || null,
-                createdAt: data.detail?.entries?.[0]?.created_datetime || null,
-                updatedAt: data.detail?.entries?.[0]?.updated_datetime || null
-            },
-            entries: (data.detail?.entries || []).map((entry, index) => ({
-                index: index + 1,
-                query: entry.query || entry.query_str || '',
-                answer: this.extractAnswer(entry),
-                sources: entry.sources || [],
-                metadata: {
-                    createdAt: entry.created_datetime || null,
-                    updatedAt: entry.updated_datetime || null
-                }
-            }))
+            conversation
         };
 
         return JSON.stringify(exportData, null, 2);
@@ -163,20 +490,12 @@ class ExportManager {
     // ============================================
     // HTML FORMAT (WITH PLATFORM LOGOS)
     // ============================================
-    static toHTML(data, platform) {
-        const entries = data.detail?.entries || [];
-        const title = data.title || 'Untitled Chat';
-        
-        // Platform emoji icons
-        const platformIcons = {
-            'Perplexity': '🧭',
-            'ChatGPT': '🤖',
-            'Claude': '🎯',
-            'Gemini': '✨',
-            'Grok': '𝕏',
-            'DeepSeek': '🔮'
-        };
-        const platformIcon = platformIcons[platform] || '💬';
+    static toHTML(data, platform, options = {}) {
+        const conversation = ConversationSchema.normalize(data, platform);
+        const turns = ConversationSchema.toTurns(conversation);
+        const title = conversation.title;
+        platform = conversation.platform;
+        const platformIcon = this.platformIcons[platform] || '💬';
 
         let html = `<!DOCTYPE html>
 <html lang="en">
@@ -272,15 +591,120 @@ class ExportManager {
             font-weight: 600;
             margin-bottom: 8px;
         }
-        .sources a {
+        .sources a, .sources span {
             color: #2563eb;
             text-decoration: none;
             display: block;
             padding: 4px 0;
         }
+        .sources span {
+            color: #6b7280;
+        }
         .sources a:hover {
             text-decoration: underline;
         }
+        .message {
+            margin-bottom: 16px;
+            padding: 16px;
+            border-radius: 8px;
+            background: #f8fafc;
+            line-height: 1.6;
+        }
+        .message.user {
+            background: linear-gradient(135deg, #f0f9ff, #e0f2fe);
+            border-left: 4px solid #3b82f6;
+        }
+        .message.tool, .message.system {
+            background: #f5f3ff;
+            border-left: 4px solid #8b5cf6;
+            font-family: ui-monospace, Menlo, monospace;
+            font-size: 13px;
+        }
+        .message-label {
+            font-size: 12px;
+            color: #059669;
+            font-weight: 600;
+            margin-bottom: 8px;
+        }
+        .message.user .message-label { color: #3b82f6; }
+        .message.tool .message-label, .message.system .message-label { color: #7c3aed; }
+        .attachments {
+            margin-top: 8px;
+            font-size: 12px;
+            color: #64748b;
+        }
+        .reasoning {
+            margin-bottom: 12px;
+            padding: 8px 12px;
+            background: #f1f5f9;
+            border-left: 3px solid #94a3b8;
+            border-radius: 6px;
+            color: #475569;
+            font-size: 14px;
+        }
+        .reasoning summary {
+            cursor: pointer;
+            font-weight: 600;
+            font-size: 12px;
+        }
+        .branches {
+            margin-top: 12px;
+            padding: 8px 12px;
+            border: 1px dashed #cbd5e1;
+            border-radius: 8px;
+            font-size: 14px;
+        }
+        .branches summary {
+            cursor: pointer;
+            color: #64748b;
+            font-weight: 600;
+            font-size: 12px;
+        }
+        .branch {
+            margin-top: 12px;
+        }
+        .branch-label {
+            font-size: 11px;
+            color: #94a3b8;
+            text-transform: uppercase;
+            margin-bottom: 6px;
+        }
+        .markdown { line-height: 1.6; }
+        .markdown p, .markdown ul, .markdown ol, .markdown pre,
+        .markdown table, .markdown blockquote { margin: 0 0 12px; }
+        .markdown > :last-child { margin-bottom: 0; }
+        .markdown h1, .markdown h2, .markdown h3,
+        .markdown h4, .markdown h5, .markdown h6 { margin: 16px 0 8px; line-height: 1.3; }
+        .markdown ul, .markdown ol { padding-left: 24px; }
+        .markdown li > ul, .markdown li > ol { margin: 4px 0; }
+        .markdown .task-list-item { list-style: none; margin-left: -20px; }
+        .markdown code {
+            font-family: ui-monospace, SFMono-Regular, Menlo, Consolas, monospace;
+            font-size: 0.9em;
+            background: #eef2f7;
+            padding: 2px 5px;
+            border-radius: 4px;
+        }
+        .markdown pre {
+            background: #1e293b;
+            color: #e2e8f0;
+            padding: 14px 16px;
+            border-radius: 8px;
+            overflow-x: auto;
+        }
+        .markdown pre code { background: none; padding: 0; color: inherit; font-size: 13px; }
+        .markdown table { border-collapse: collapse; width: 100%; font-size: 14px; }
+        .markdown th, .markdown td { border: 1px solid #e2e8f0; padding: 6px 10px; }
+        .markdown th { background: #f1f5f9; }
+        .markdown blockquote { border-left: 3px solid #cbd5e1; padding-left: 12px; color: #475569; }
+        .markdown hr { border: none; border-top: 1px solid #e2e8f0; margin: 16px 0; }
+        .markdown img { max-width: 100%; }
+        .markdown a { color: #2563eb; }
+        @media print {
+            body { background: white; padding: 0; }
+            .container { box-shadow: none; }
+            .markdown pre { white-space: pre-wrap; word-break: break-word; }
+        }
         .footer {
             text-align: center;
             padding: 20px;
@@ -295,63 +719,128 @@ class ExportManager {
         <div class="header">
             <div class="platform-badge">${platformIcon} ${platform}</div>
             <h1>${this.escapeHtml(title)}</h1>
-            <div class="meta">${entries.length} exchanges • Exported with OmniExporter AI</div>
+            <div class="meta">${options.layout === 'messages' ? `${conversation.messages.length} messages` : `${turns.length} exchanges`} • Exported with OmniExporter AI</div>
         </div>
         <div class="content">`;
 
-        entries.forEach((entry, index) => {
-            const query = entry.query || entry.query_str || '';
-            const answer = this.extractAnswer(entry);
+        if (options.layout === 'messages') {
+            html += this.messagesToHTML(conversation);
+        } else {
+            turns.forEach((turn, index) => {
+                const query = ConversationSchema.getTurnQuery(turn);
+                const answer = ConversationSchema.getTurnAnswer(turn);
+
+                html += `
+                <div class="entry">
+                    <div class="question">
+                        <div class="question-label">🙋 Question ${index + 1}</div>
+                        ${this.plainToHTML(query)}
+                    </div>
+                    <div class="answer">
+                        <div class="answer-label">${platformIcon} Answer</div>
+                        ${this.reasoningToHTML(ConversationSchema.getTurnReasoning(turn))}
+                        ${this.markdownToHTML(answer)}
+                    </div>`;
+
+                const sources = ConversationSchema.getTurnCitations(turn);
+                if (sources.length > 0) {
+                    html += `
+                    <div class="sources">
+                        <div class="sources-label">📚 Sources</div>`;
+                    sources.forEach((source, i) => {
+                        html += this.sourceToHTML(source, i);
+                    });
+                    html += `</div>`;
+                }
+
+                [turn.query, ...turn.responses].forEach(message => {
+                    html += this.branchesToHTML(message);
+                });
+
+                html += `</div>`;
+            });
+        }
 
         html += `
-        <div class="content">`;
+        </div>
+        <div class="footer">
+            Exported with OmniExporter AI on ${new Date().toLocaleString()}
+        </div>
+    </div>
+</body>
+</html>`;
 
-        entries.forEach((entry, index) => {
-            const query = entry.query || entry.query_str || '';
-            const answer = this.extractAnswer(entry);
+        return html;
+    }
 
+    static messagesToHTML(conversation) {
+        let html = '';
+        conversation.messages.forEach(message => {
+            const icon = ConversationSchema.ROLE_ICONS[message.role] || '💬';
             html += `
-            <div class="entry">
-                <div class="question">
-                    <div class="question-label">🙋 Question ${index + 1}</div>
-                    ${this.escapeHtml(query)}
-                </div>
-                <div class="answer">
-                    <div class="answer-label">${platformIcon} Answer</div>
-                    ${this.escapeHtml(answer).replace(/\n/g, '<br>')}
-                </div>`;
-
-            if (entry.sources && entry.sources.length > 0) {
+            <div class="message ${message.role}">
+                <div class="message-label">${icon} ${this.escapeHtml(ConversationSchema.getAuthorLabel(message))}</div>
+                ${this.reasoningToHTML(ConversationSchema.getReasoning(message))}
+                ${message.role === 'user'
+                    ? this.plainToHTML(ConversationSchema.getText(message))
+                    : this.markdownToHTML(ConversationSchema.getText(message))}`;
+
+            if (message.attachments.length > 0) {
+                html += `
+                <div class="attachments">📎 ${message.attachments.map(a => this.escapeHtml(a.name || a.url || 'file')).join(', ')}</div>`;
+            }
+
+            if (message.citations.length > 0) {
                 html += `
                 <div class="sources">
                     <div class="sources-label">📚 Sources</div>`;
-                entry.sources.forEach((source, i) => {
-                    html += `<a href="${source.url}" target="_blank">${i + 1}. ${this.escapeHtml(source.title || source.url)}</a>`;
+                message.citations.forEach((source, i) => {
+                    html += this.sourceToHTML(source, i);
                 });
                 html += `</div>`;
             }
 
+            html += this.branchesToHTML(message);
             html += `</div>`;
         });
+        return html;
+    }
 
-        html += `
-        </div>
-        <div class="footer">
-            Exported with OmniExporter AI on ${new Date().toLocaleString()}
-        </div>
-    </div>
-</body>
-</html>`;
+    static reasoningToHTML(reasoning) {
+        if (!reasoning) return '';
+        return `<details class="reasoning"><summary>💭 Reasoning</summary>${this.markdownToHTML(reasoning)}</details>`;
+    }
 
+    /**
+     * Alternate versions of a message (edits, regenerations) as a collapsed section
+     */
+    static branchesToHTML(message) {
+        const branches = message?.branches || [];
+        if (branches.length === 0) return '';
+
+        let html = `
+                <details class="branches">
+                    <summary>🔀 ${branches.length} alternative version${branches.length > 1 ? 's' : ''}</summary>`;
+        branches.forEach((branch, i) => {
+            html += `
+                    <div class="branch">
+                        <div class="branch-label">Alternative ${i + 1}</div>
+                        ${this.messagesToHTML({ messages: branch })}
+                    </div>`;
+        });
+        html += `
+                </details>`;
         return html;
     }
 
     // ============================================
     // PLAIN TEXT FORMAT
     // ============================================
-    static toPlainText(data, platform) {
-        const entries = data.detail?.entries || [];
-        const title = data.title || 'Untitled Chat';
+    static toPlainText(data, platform, options = {}) {
+        const conversation = ConversationSchema.normalize(data, platform);
+        const turns = ConversationSchema.toTurns(conversation);
+        const title = conversation.title;
+        platform = conversation.platform;
         const divider = '='.repeat(60);
 
         let txt = `${divider}\n`;
@@ -361,25 +850,49 @@ class ExportManager {
         txt += `Exported: ${new Date().toLocaleString()}\n`;
         txt += `${divider}\n\n`;
 
-        entries.forEach((entry, index) => {
-            const query = entry.query || entry.query_str || '';
-            const answer = this.extractAnswer(entry);
+        if (options.layout === 'messages') {
+            conversation.messages.forEach(message => {
+                txt += `[${ConversationSchema.getAuthorLabel(message).toUpperCase()}]\n`;
+                txt += this.reasoningToPlainText(ConversationSchema.getReasoning(message));
+                txt += `${ConversationSchema.getText(message)}\n\n`;
 
-            txt += `[QUESTION ${index + 1}]\n`;
-            txt += `${query}\n\n`;
-            txt += `[ANSWER]\n`;
-            txt += `${answer.trim()}\n\n`;
+                if (message.attachments.length > 0) {
+                    txt += `[ATTACHMENTS] ${message.attachments.map(a => a.name || a.url || 'file').join(', ')}\n\n`;
+                }
 
-            if (entry.sources && entry.sources.length > 0) {
-                txt += `[SOURCES]\n`;
-                entry.sources.forEach((source, i) => {
-                    txt += `  ${i + 1}. ${source.title || 'Link'}: ${source.url}\n`;
-                });
-                txt += '\n';
-            }
+                if (message.citations.length > 0) {
+                    txt += `[SOURCES]\n`;
+                    message.citations.forEach((source, i) => {
+                        txt += `  ${i + 1}. ${source.title || 'Link'}: ${source.url}\n`;
+                    });
+                    txt += '\n';
+                }
 
-            txt += `-`.repeat(40) + '\n\n';
-        });
+                txt += `-`.repeat(40) + '\n\n';
+            });
+        } else {
+            turns.forEach((turn, index) => {
+                const query = ConversationSchema.getTurnQuery(turn);
+                const answer = ConversationSchema.getTurnAnswer(turn);
+
+                txt += `[QUESTION ${index + 1}]\n`;
+                txt += `${query}\n\n`;
+                txt += `[ANSWER]\n`;
+                txt += this.reasoningToPlainText(ConversationSchema.getTurnReasoning(turn));
+                txt += `${answer}\n\n`;
+
+                const sources = ConversationSchema.getTurnCitations(turn);
+                if (sources.length > 0) {
+                    txt += `[SOURCES]\n`;
+                    sources.forEach((source, i) => {
+                        txt += `  ${i + 1}. ${source.title || 'Link'}: ${source.url}\n`;
+                    });
+                    txt += '\n';
+                }
+
+                txt += `-`.repeat(40) + '\n\n';
+            });
+        }
 
         txt += `\n${divider}\n`;
         txt += `Exported with OmniExporter AI\n`;
@@ -388,52 +901,817 @@ class ExportManager {
         return txt;
     }
 
+    static reasoningToPlainText(reasoning) {
+        if (!reasoning) return '';
+        return `[REASONING]\n${reasoning.split('\n').map(line => `  | ${line}`).join('\n')}\n\n`;
+    }
+
     // ============================================
-    // PDF FORMAT (Print Dialog)
+    // PDF FORMAT
     // ============================================
-    static toPDF(data, platform) {
-        const html = this.toHTML(data, platform);
-        const printWindow = window.open('', '_blank');
 
-        if (!printWindow) {
-            throw new Error('Pop-up blocked. Please allow pop-ups to export as PDF.');
+    static PDF_FONTS = {
+        regular: ['fonts/DejaVuSans.ttf', 'DejaVuSans'],
+        bold: ['fonts/DejaVuSans-Bold.ttf', 'DejaVuSans-Bold'],
+        mono: ['fonts/DejaVuSansMono.ttf', 'DejaVuSansMono']
+    };
+
+    static PDF_COLORS = {
+        user: '#2563eb',
+        assistant: '#059669',
+        system: '#7c3aed',
+        tool: '#b45309',
+        muted: '#64748b',
+        code: '#9f1239',
+        bar: '#cbd5e1'
+    };
+
+    static _pdfFonts = null;
+
+    /**
+     * PDF document with a title page, numbered pages, embedded Unicode fonts
+     * (bundled DejaVu) and clickable source links. Same layouts as HTML.
+     * @returns {Promise<Blob>}
+     */
+    static async toPDF(data, platform, options = {}) {
+        const conversation = ConversationSchema.normalize(data, platform);
+        const pdf = new PdfWriter({
+            fonts: await this.loadPdfFonts(),
+            info: { title: conversation.title, subject: `${conversation.platform} conversation` }
+        });
+
+        this.pdfTitlePage(pdf, conversation, options);
+        pdf.addPage();
+        if (options.layout === 'messages') {
+            this.pdfMessages(pdf, conversation.messages, 0);
+        } else {
+            ConversationSchema.toTurns(conversation).forEach((turn, index) => {
+                if (index > 0) pdf.rule();
+                this.pdfTurn(pdf, turn, index, conversation.platform);
+            });
         }
+        pdf.numberPages({ from: 1, format: (n, total) => `${conversation.title} · ${n} / ${total}` });
+        return pdf.toBlob();
+    }
 
-        printWindow.document.write(html);
-        printWindow.document.close();
+    /**
+     * Bundled fonts, loaded once per page (or service worker) lifetime
+     */
+    static loadPdfFonts() {
+        if (!this._pdfFonts) {
+            const url = path => typeof chrome !== 'undefined' && chrome.runtime?.getURL ? chrome.runtime.getURL(path) : path;
+            this._pdfFonts = Promise.all(Object.entries(this.PDF_FONTS).map(async ([key, [path, name]]) =>
+                [key, await PdfFont.load(url(path), name)]))
+                .then(Object.fromEntries)
+                .catch(error => {
+                    this._pdfFonts = null;
+                    throw error;
+                });
+        }
+        return this._pdfFonts;
+    }
 
-        printWindow.onload = () => {
-            printWindow.print();
-        };
+    static pdfTitlePage(pdf, conversation, options) {
+        const muted = this.PDF_COLORS.muted;
+        const date = value => value ? new Date(value).toLocaleString() : null;
 
-        return { success: true, format: 'PDF', note: 'Print dialog opened' };
+        pdf.addPage();
+        pdf.y = pdf.height * 0.28;
+        pdf.paragraph([{ text: conversation.platform.toUpperCase(), bold: true, color: this.PDF_COLORS.assistant }], { size: 11, after: 10 });
+        pdf.paragraph([{ text: conversation.title, bold: true }], { size: 24, leading: 1.25, after: 18 });
+        pdf.rule({ after: 14 });
+
+        const count = options.layout === 'messages'
+            ? `${conversation.messages.length} messages`
+            : `${ConversationSchema.toTurns(conversation).length} exchanges`;
+        [
+            ['Model', conversation.model],
+            ['Space', conversation.spaceName],
+            ['Created', date(conversation.createdAt)],
+            ['Updated', date(conversation.updatedAt)],
+            ['Length', count]
+        ].filter(([, value]) => value).forEach(([label, value]) => {
+            pdf.paragraph([{ text: `${label}: `, color: muted }, { text: String(value) }], { size: 11, after: 2 });
+        });
+        if (conversation.url) {
+            pdf.paragraph([{ text: 'Source: ', color: muted }, { text: conversation.url, url: conversation.url }], { size: 11, after: 2 });
+        }
+
+        pdf.y = pdf.bottom - 14;
+        pdf.paragraph([{ text: `Exported with OmniExporter AI on ${new Date().toLocaleString()}`, color: muted }], { size: 9, after: 0 });
+    }
+
+    static pdfTurn(pdf, turn, index, platform) {
+        const query = ConversationSchema.getTurnQuery(turn);
+        if (query) {
+            this.pdfLabel(pdf, `Question ${index + 1}`, this.PDF_COLORS.user);
+            pdf.paragraph([{ text: query }]);
+        }
+
+        const reasoning = ConversationSchema.getTurnReasoning(turn);
+        const answer = ConversationSchema.getTurnAnswer(turn);
+        if (reasoning || answer) {
+            pdf.space(4);
+            this.pdfLabel(pdf, `${platform} answer`, this.PDF_COLORS.assistant);
+            this.pdfReasoning(pdf, reasoning, 0);
+            this.pdfMarkdown(pdf, answer, { indent: 0 });
+        }
+
+        this.pdfSources(pdf, ConversationSchema.getTurnCitations(turn), 0);
+        [turn.query, ...turn.responses].forEach(message => this.pdfBranches(pdf, message, 0));
+    }
+
+    static pdfMessages(pdf, messages, indent) {
+        messages.forEach((message, i) => {
+            if (i > 0) pdf.space(8);
+            this.pdfLabel(pdf, ConversationSchema.getAuthorLabel(message), this.PDF_COLORS[message.role], indent);
+            this.pdfReasoning(pdf, ConversationSchema.getReasoning(message), indent);
+
+            const text = ConversationSchema.getText(message);
+            if (message.role === 'user') {
+                if (text) pdf.paragraph([{ text }], { indent });
+            } else {
+                this.pdfMarkdown(pdf, text, { indent });
+            }
+
+            if (message.attachments.length > 0) {
+                pdf.paragraph([
+                    { text: 'Attachments: ', color: this.PDF_COLORS.muted },
+                    { text: message.attachments.map(a => a.name || a.url || 'file').join(', ') }
+                ], { size: 9.5, indent });
+            }
+            this.pdfSources(pdf, message.citations, indent);
+            this.pdfBranches(pdf, message, indent);
+        });
+    }
+
+    /**
+     * Role label, kept on the same page as the first lines under it
+     */
+    static pdfLabel(pdf, text, color = this.PDF_COLORS.assistant, indent = 0) {
+        pdf.ensureSpace(48);
+        pdf.paragraph([{ text, bold: true, color }], { size: 9.5, indent, after: 3 });
+    }
+
+    static pdfReasoning(pdf, reasoning, indent) {
+        if (!reasoning) return;
+        pdf.paragraph([{ text: 'Reasoning', bold: true, color: this.PDF_COLORS.muted }], { size: 9, indent: indent + 12, after: 2 });
+        this.pdfMarkdown(pdf, reasoning, { indent: indent + 12, bar: this.PDF_COLORS.bar, style: { color: this.PDF_COLORS.muted, italic: true } });
+        pdf.space(4);
+    }
+
+    static pdfSources(pdf, sources, indent) {
+        if (!sources?.length) return;
+        pdf.space(2);
+        pdf.paragraph([{ text: 'Sources', bold: true, color: this.PDF_COLORS.muted }], { size: 9, indent, after: 2 });
+        sources.forEach((source, i) => {
+            const runs = [{ text: source.title || source.url || 'Source', url: source.url }];
+            if (source.title && source.url) runs.push({ text: '\n' }, { text: source.url, url: source.url, color: this.PDF_COLORS.muted });
+            pdf.paragraph(runs, { size: 9, indent: indent + 16, marker: `${i + 1}.`, after: 3 });
+        });
+    }
+
+    static pdfBranches(pdf, message, indent) {
+        const branches = message?.branches || [];
+        if (branches.length === 0) return;
+
+        pdf.space(4);
+        pdf.paragraph([{
+            text: `${branches.length} alternative version${branches.length > 1 ? 's' : ''}`,
+            bold: true,
+            color: this.PDF_COLORS.muted
+        }], { size: 9, indent, after: 4 });
+        branches.forEach((branch, i) => {
+            pdf.paragraph([{ text: `Alternative ${i + 1}`, color: this.PDF_COLORS.muted }], { size: 8.5, indent: indent + 12, after: 2 });
+            this.pdfMessages(pdf, branch, indent + 12);
+        });
     }
 
     // ============================================
-    // UTILITY FUNCTIONS
+    // PDF MARKDOWN
     // ============================================
-    static extractAnswer(entry) {
-        let answer = '';
-
-        if (entry.blocks && Array.isArray(entry.blocks)) {
-            entry.blocks.forEach(block => {
-                if (block.intended_usage === 'ask_text' && block.markdown_block) {
-                    if (block.markdown_block.answer) {
-                        answer += block.markdown_block.answer + '\n\n';
-                    } else if (block.markdown_block.chunks) {
-                        answer += block.markdown_block.chunks.join('\n') + '\n\n';
+
+    /**
+     * Lay out Markdown (parsed by MarkdownParser) as PDF blocks
+     * @param {Object} context - { indent, bar, style } where style is merged into every text run
+     */
+    static pdfMarkdown(pdf, text, context) {
+        if (!text) return;
+        if (typeof MarkdownParser === 'undefined') {
+            pdf.paragraph([{ text, ...context.style }], { indent: context.indent, bar: context.bar });
+            return;
+        }
+        MarkdownParser.parse(text).children.forEach(node => this.pdfBlock(pdf, node, context));
+    }
+
+    static pdfBlock(pdf, node, context) {
+        const { indent = 0, bar = null, style = {} } = context;
+        switch (node.type) {
+            case 'paragraph':
+                pdf.paragraph(this.pdfRuns(node.children, style), { indent, bar });
+                break;
+            case 'heading': {
+                const size = { 1: 16, 2: 14, 3: 12.5 }[node.depth] || 11.5;
+                pdf.space(4);
+                pdf.ensureSpace(size * 4);
+                pdf.paragraph(this.pdfRuns(node.children, { ...style, bold: true }), { size, leading: 1.3, indent, bar, after: 4 });
+                break;
+            }
+            case 'thematicBreak':
+                pdf.rule({ indent });
+                break;
+            case 'code':
+            case 'math':
+                pdf.code(node.value, { indent });
+                break;
+            case 'blockquote':
+                node.children.forEach(child => this.pdfBlock(pdf, child, {
+                    indent: indent + 12,
+                    bar: this.PDF_COLORS.bar,
+                    style: { ...style, color: this.PDF_COLORS.muted }
+                }));
+                break;
+            case 'list':
+                node.children.forEach((item, i) => {
+                    const marker = item.checked === true ? '☑'
+                        : item.checked === false ? '☐'
+                            : node.ordered ? `${(node.start ?? 1) + i}.` : '•';
+                    const [first, ...rest] = item.children;
+                    const inner = { indent: indent + 16, bar, style };
+                    if (first?.type === 'paragraph') {
+                        pdf.paragraph(this.pdfRuns(first.children, style), { indent: inner.indent, bar, marker, after: node.spread ? 6 : 2 });
+                    } else {
+                        pdf.paragraph([{ text: '' }], { indent: inner.indent, bar, marker, after: 0 });
+                        if (first) rest.unshift(first);
                     }
+                    rest.forEach(child => this.pdfBlock(pdf, child, inner));
+                });
+                pdf.space(4);
+                break;
+            case 'table':
+                pdf.table(node.children.map(row => row.children.map(cell => this.pdfRuns(cell.children, style))), { indent });
+                break;
+        }
+    }
+
+    static pdfRuns(nodes, style = {}) {
+        return this.inlineRuns(nodes, style, { mono: true, color: style.color || this.PDF_COLORS.code });
+    }
+
+    // ============================================
+    // DOCX FORMAT
+    // ============================================
+
+    /**
+     * Word document: title, a metadata table, a heading per question and
+     * answers with their lists, tables, code and hyperlinked sources
+     * @returns {Promise<Blob>}
+     */
+    static async toDOCX(data, platform, options = {}) {
+        const conversation = ConversationSchema.normalize(data, platform);
+        const turns = ConversationSchema.toTurns(conversation);
+        const doc = new DocxWriter({ title: conversation.title, subject: `${conversation.platform} conversation` });
+        const date = value => value ? new Date(value).toLocaleString() : '—';
+
+        doc.paragraph([{ text: conversation.title }], { style: 'Title' });
+        const metadata = [
+            ['Platform', conversation.platform],
+            ['Model', conversation.model],
+            ['Created', date(conversation.createdAt)],
+            ['Updated', date(conversation.updatedAt)],
+            ['UUID', conversation.uuid],
+            ['Entries', options.layout === 'messages' ? `${conversation.messages.length} messages` : `${turns.length} exchanges`],
+            ['Exported', new Date().toLocaleString()]
+        ].filter(([, value]) => value).map(([label, value]) => [[{ text: label, bold: true }], [{ text: String(value) }]]);
+        if (conversation.url) {
+            metadata.push([[{ text: 'Source', bold: true }], [{ text: conversation.url, url: conversation.url }]]);
+        }
+        doc.table(metadata, { header: false, widths: [0.22, 0.78] });
+
+        if (options.layout === 'messages') {
+            this.docxMessages(doc, conversation.messages, false);
+        } else {
+            turns.forEach((turn, index) => this.docxTurn(doc, turn, index, conversation.platform));
+        }
+        return doc.toBlob();
+    }
+
+    static docxTurn(doc, turn, index, platform) {
+        const query = ConversationSchema.getTurnQuery(turn);
+        const summary = this.questionSummary(query);
+        doc.heading(2, [{ text: `${index + 1}. ${summary}` }]);
+        if (query && query !== summary) doc.paragraph([{ text: query }]);
+
+        const reasoning = ConversationSchema.getTurnReasoning(turn);
+        const answer = ConversationSchema.getTurnAnswer(turn);
+        if (reasoning || answer) {
+            doc.paragraph([{ text: `${platform} answer` }], { style: 'Label', keepNext: true });
+            this.docxReasoning(doc, reasoning);
+            this.docxMarkdown(doc, answer, {});
+        }
+
+        this.docxSources(doc, ConversationSchema.getTurnCitations(turn));
+        [turn.query, ...turn.responses].forEach(message => this.docxBranches(doc, message));
+    }
+
+    /**
+     * @param {boolean} nested - messages of an alternative branch: labels instead of headings
+     */
+    static docxMessages(doc, messages, nested) {
+        messages.forEach(message => {
+            const label = [{ text: ConversationSchema.getAuthorLabel(message) }];
+            if (nested) doc.paragraph(label, { style: 'Label', keepNext: true });
+            else doc.heading(2, label);
+            this.docxReasoning(doc, ConversationSchema.getReasoning(message));
+
+            const text = ConversationSchema.getText(message);
+            if (message.role === 'user') {
+                if (text) doc.paragraph([{ text }]);
+            } else {
+                this.docxMarkdown(doc, text, {});
+            }
+
+            if (message.attachments.length > 0) {
+                doc.paragraph([{ text: `Attachments: ${message.attachments.map(a => a.name || a.url || 'file').join(', ')}` }], { style: 'Muted' });
+            }
+            this.docxSources(doc, message.citations);
+            this.docxBranches(doc, message);
+        });
+    }
+
+    static docxReasoning(doc, reasoning) {
+        if (!reasoning) return;
+        doc.paragraph([{ text: 'Reasoning', bold: true }], { style: 'Reasoning', keepNext: true });
+        this.docxMarkdown(doc, reasoning, { style: 'Reasoning' });
+    }
+
+    static docxSources(doc, sources) {
+        if (!sources?.length) return;
+        doc.paragraph([{ text: 'Sources' }], { style: 'Label', keepNext: true });
+        const numId = doc.orderedList();
+        sources.forEach(source => {
+            const runs = [{ text: source.title || source.url || 'Source', url: source.url }];
+            if (source.title && source.url) runs.push({ text: ` — ${source.url}`, color: '#64748b' });
+            doc.paragraph(runs, { style: 'ListParagraph', list: { numId, level: 0 } });
+        });
+    }
+
+    static docxBranches(doc, message) {
+        const branches = message?.branches || [];
+        if (branches.length === 0) return;
+
+        doc.paragraph([{ text: `${branches.length} alternative version${branches.length > 1 ? 's' : ''}`, bold: true }], { style: 'Muted' });
+        branches.forEach((branch, i) => {
+            doc.paragraph([{ text: `Alternative ${i + 1}` }], { style: 'Muted', keepNext: true });
+            this.docxMessages(doc, branch, true);
+        });
+    }
+
+    /**
+     * Markdown as Word paragraphs. Headings start at level 3, below the
+     * question headings.
+     * @param {Object} context - { style: paragraph style, level: list nesting }
+     */
+    static docxMarkdown(doc, text, context) {
+        if (!text) return;
+        if (typeof MarkdownParser === 'undefined') {
+            doc.paragraph([{ text }], { style: context.style });
+            return;
+        }
+        MarkdownParser.parse(text).children.forEach(node => this.docxBlock(doc, node, context));
+    }
+
+    static docxBlock(doc, node, context) {
+        const { style = null, level = 0 } = context;
+        switch (node.type) {
+            case 'paragraph':
+                doc.paragraph(this.inlineRuns(node.children), { style: level > 0 ? 'ListParagraph' : style });
+                break;
+            case 'heading':
+                doc.heading(Math.min(node.depth + 2, 5), this.inlineRuns(node.children));
+                break;
+            case 'thematicBreak':
+                doc.rule();
+                break;
+            case 'code':
+            case 'math':
+                doc.code(node.value);
+                break;
+            case 'blockquote':
+                node.children.forEach(child => this.docxBlock(doc, child, { ...context, style: 'Quote' }));
+                break;
+            case 'list': {
+                const numId = node.ordered ? doc.orderedList(node.start ?? 1) : DocxWriter.BULLET_NUM_ID;
+                node.children.forEach(item => {
+                    const [first, ...rest] = item.children;
+                    const check = item.checked === true ? '☑ ' : item.checked === false ? '☐ ' : '';
+                    const lead = first?.type === 'paragraph' ? this.inlineRuns(first.children) : [];
+                    doc.paragraph([{ text: check }, ...lead], { style: 'ListParagraph', list: { numId, level } });
+                    (first?.type === 'paragraph' ? rest : item.children)
+                        .forEach(child => this.docxBlock(doc, child, { ...context, level: level + 1 }));
+                });
+                break;
+            }
+            case 'table':
+                doc.table(node.children.map(row => row.children.map(cell => this.inlineRuns(cell.children))));
+                break;
+        }
+    }
+
+    // ============================================
+    // EPUB FORMAT
+    // ============================================
+
+    // Typography is left to the reading system; only structure is styled
+    static EPUB_CSS = `
+body { line-height: 1.5; }
+h1 { font-size: 1.6em; margin: 0 0 0.3em; }
+h2 { font-size: 1.25em; margin: 1.6em 0 0.6em; }
+.meta, .answer-label, .message-label, .branch-label, .attachments { font-size: 0.85em; color: #64748b; }
+.title-page { text-align: center; margin-top: 30%; }
+.title-page ul { list-style: none; padding: 0; }
+.question { border-left: 4px solid #3b82f6; padding-left: 0.8em; margin: 0 0 1em; }
+.message { margin: 0 0 1.2em; }
+.message.user { border-left: 4px solid #3b82f6; padding-left: 0.8em; }
+.reasoning { border-left: 3px solid #94a3b8; padding-left: 0.8em; color: #475569; font-size: 0.95em; }
+.branches { border-top: 1px dashed #cbd5e1; margin-top: 1em; padding-top: 0.5em; }
+.summary { font-weight: bold; font-size: 0.85em; }
+.noterefs { font-size: 0.85em; }
+a.noteref { vertical-align: super; font-size: 0.75em; text-decoration: none; }
+.endnotes { border-top: 1px solid #cbd5e1; margin-top: 2em; font-size: 0.9em; }
+.endnotes li { margin-bottom: 0.4em; word-wrap: break-word; }
+pre { white-space: pre-wrap; font-size: 0.85em; background: #f1f5f9; padding: 0.6em; }
+code { font-family: monospace; }
+blockquote { border-left: 3px solid #cbd5e1; margin-left: 0; padding-left: 0.8em; color: #475569; }
+table { border-collapse: collapse; font-size: 0.9em; }
+th, td { border: 1px solid #cbd5e1; padding: 0.2em 0.4em; }
+.markdown .task-list-item { list-style: none; }
+`;
+
+    /**
+     * EPUB 3 book: a title page, then one chapter per conversation with a
+     * section per question (both in the table of contents) and the sources
+     * of each chapter as endnotes. Content is the HTML export's rendering.
+     * @param {Array} conversations - one or more conversations (any platforms)
+     * @param {Object} options - render options plus `title` for the book
+     * @returns {Promise<Blob>}
+     */
+    static async toEPUB(conversations, options = {}) {
+        const list = conversations.map(data => {
+            const conversation = ConversationSchema.normalize(data);
+            return options.reasoning === false ? ConversationSchema.stripReasoning(conversation) : conversation;
+        });
+        const single = list.length === 1 ? list[0] : null;
+        const title = options.title || (single ? single.title : `${list.length} AI conversations`);
+        const book = new EpubWriter({
+            identifier: single
+                ? `urn:omniexporter:${single.platform}:${single.uuid}`.toLowerCase()
+                : `urn:uuid:${crypto.randomUUID()}`,
+            title,
+            css: this.EPUB_CSS
+        });
+
+        book.addPage({ title, body: this.epubTitlePage(title, list), toc: false });
+        list.forEach((conversation, i) => book.addPage(this.epubChapter(conversation, i + 1, options)));
+        return book.toBlob();
+    }
+
+    static epubTitlePage(title, conversations) {
+        const e = EpubWriter.escape;
+        const platforms = [...new Set(conversations.map(c => c.platform))];
+        const list = conversations.length > 1
+            ? `<ul>${conversations.map(c => `<li>${e(c.title)}</li>`).join('')}</ul>`
+            : '';
+        return `<div class="title-page"><h1>${e(title)}</h1>` +
+            `<p class="meta">${e(platforms.join(', '))}</p>${list}` +
+            `<p class="meta">Exported with OmniExporter AI on ${e(new Date().toLocaleDateString())}</p></div>`;
+    }
+
+    /**
+     * One conversation as a chapter page for EpubWriter.addPage
+     * @param {number} number - chapter number, used to keep ids unique in the book
+     */
+    static epubChapter(conversation, number, options) {
+        const e = EpubWriter.escape;
+        const prefix = `c${number}`;
+        const notes = [];
+        const sections = [];
+        const meta = [
+            `${this.platformIcons[conversation.platform] || '💬'} ${conversation.platform}`,
+            conversation.model,
+            conversation.createdAt && new Date(conversation.createdAt).toLocaleDateString()
+        ].filter(Boolean);
+
+        let body = `<h1>${e(conversation.title)}</h1><p class="meta">${e(meta.join(' • '))}</p>`;
+
+        if (options.layout === 'messages') {
+            conversation.messages.forEach((message, i) => {
+                const html = this.messagesToHTML({ messages: [{ ...message, citations: [] }] }) +
+                    this.epubNoteRefs(message.citations, notes, prefix);
+                if (message.role !== 'user') {
+                    body += html;
+                    return;
                 }
+                const id = `${prefix}-m${i + 1}`;
+                sections.push({ id, title: this.questionSummary(ConversationSchema.getText(message)) });
+                body += `<section id="${id}">${html}</section>`;
+            });
+        } else {
+            ConversationSchema.toTurns(conversation).forEach((turn, i) => {
+                const id = `${prefix}-q${i + 1}`;
+                const query = ConversationSchema.getTurnQuery(turn);
+                const summary = this.questionSummary(query);
+                sections.push({ id, title: `${i + 1}. ${summary}` });
+
+                body += `<section id="${id}" class="entry"><h2>${e(`${i + 1}. ${summary}`)}</h2>`;
+                if (query && query !== summary) body += `<div class="question">${this.plainToHTML(query)}</div>`;
+                body += `<div class="answer"><p class="answer-label">${e(conversation.platform)} answer</p>` +
+                    this.reasoningToHTML(ConversationSchema.getTurnReasoning(turn)) +
+                    this.markdownToHTML(ConversationSchema.getTurnAnswer(turn)) +
+                    this.epubNoteRefs(ConversationSchema.getTurnCitations(turn), notes, prefix) +
+                    '</div>';
+                [turn.query, ...turn.responses].forEach(message => {
+                    body += this.branchesToHTML(message);
+                });
+                body += '</section>';
             });
         }
 
-        if (!answer.trim()) {
-            answer = entry.answer || entry.text || '';
+        if (notes.length > 0) {
+            body += `<section epub:type="endnotes" role="doc-endnotes" class="endnotes"><h2>Sources</h2><ol>${notes.join('')}</ol></section>`;
         }
+        return { title: conversation.title, body: this.epubMarkup(body), sections };
+    }
+
+    /**
+     * Superscript links to a chapter's endnotes; the notes themselves are
+     * appended to `notes`, numbered through the chapter
+     */
+    static epubNoteRefs(sources, notes, prefix) {
+        if (!sources?.length) return '';
+        const e = EpubWriter.escape;
+        const refs = sources.map(source => {
+            const n = notes.length + 1;
+            const label = e(source.title || source.url || 'Source');
+            const href = this.safeUrl(source.url);
+            const link = href ? `<a href="${e(href)}">${label}</a>` : label;
+            const url = source.title && source.url && source.title !== source.url ? ` <span class="meta">${e(source.url)}</span>` : '';
+            notes.push(`<li id="${prefix}-n${n}" epub:type="endnote" role="doc-endnote">${link}${url} ` +
+                `<a href="#${prefix}-r${n}" role="doc-backlink">↩</a></li>`);
+            return `<a id="${prefix}-r${n}" href="#${prefix}-n${n}" epub:type="noteref" role="doc-noteref" class="noteref">[${n}]</a>`;
+        });
+        return `<p class="noterefs">Sources: ${refs.join(' ')}</p>`;
+    }
+
+    /**
+     * HTML export markup made suitable for e-readers: collapsible sections
+     * open as plain blocks, checkboxes as symbols, and images (which would have
+     * to be packaged in the book) as links
+     */
+    static epubMarkup(html) {
+        return html
+            .replace(/<details class="([^"]*)">/g, '<div class="$1">')
+            .replace(/<\/details>/g, '</div>')
+            .replace(/<summary>([\s\S]*?)<\/summary>/g, '<p class="summary">$1</p>')
+            .replace(/<input type="checkbox" disabled="disabled"( checked="checked")? \/>/g, (m, checked) => checked ? '☑' : '☐')
+            .replace(/<img src="([^"]*)" alt="([^"]*)"[^>]*\/>/g, (m, src, alt) => /^https?:/i.test(src)
+                ? `<a href="${src}">🖼 ${alt || 'Image'}</a>`
+                : `🖼 ${alt || 'Image'}`)
+            .replace(/ target="_blank"/g, '');
+    }
+
+    // ============================================
+    // TABLE FORMATS (CSV / XLSX)
+    // ============================================
+
+    // One row per message of the main path (alternative branches are left out)
+    static TABLE_COLUMNS = [
+        { label: 'Conversation UUID', width: 38 },
+        { label: 'Title', width: 30, wrap: true },
+        { label: 'Platform', width: 12 },
+        { label: 'Turn', width: 6 },
+        { label: 'Role', width: 10 },
+        { label: 'Timestamp', width: 22 },
+        { label: 'Text', width: 80, wrap: true },
+        { label: 'Sources', width: 8 },
+        { label: 'Model', width: 18 }
+    ];
+
+    /**
+     * Table rows for conversations. A turn starts at each user message, as in
+     * the Q&A layout; system messages belong to no turn and leave it empty.
+     * @returns {Array<Array>} rows matching TABLE_COLUMNS
+     */
+    static toTableRows(conversations) {
+        const rows = [];
+        conversations.forEach(data => {
+            const conversation = ConversationSchema.normalize(data);
+            let turn = 0;
+            conversation.messages.forEach(message => {
+                if (message.role === 'user' || (turn === 0 && message.role !== 'system')) turn++;
+                rows.push([
+                    conversation.uuid || '',
+                    conversation.title,
+                    conversation.platform,
+                    message.role === 'system' ? '' : turn,
+                    message.role,
+                    message.createdAt || '',
+                    ConversationSchema.getText(message),
+                    message.citations.length,
+                    message.role === 'assistant' ? message.model || conversation.model || '' : ''
+                ]);
+            });
+        });
+        return rows;
+    }
+
+    /**
+     * RFC 4180 CSV (CRLF line ends, fields with commas, quotes or line breaks
+     * quoted) with a UTF-8 byte order mark so Excel detects the encoding.
+     * Text that spreadsheets would run as a formula gets a leading apostrophe.
+     */
+    static toCSV(conversations) {
+        const field = value => {
+            let text = String(value ?? '');
+            if (typeof value === 'string' && XlsxWriter.FORMULA_START.test(text)) text = `'${text}`;
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        const lines = [this.TABLE_COLUMNS.map(col => col.label), ...this.toTableRows(conversations)]
+            .map(row => row.map(field).join(','));
+        return `\uFEFF${lines.join('\r\n')}\r\n`;
+    }
 
-        return answer;
+    /**
+     * @returns {Promise<Blob>}
+     */
+    static async toXLSX(conversations) {
+        const sheet = new XlsxWriter({
+            title: conversations.length === 1 ? conversations[0].title : 'OmniExporter AI conversations',
+            sheetName: 'Turns',
+            columns: this.TABLE_COLUMNS
+        });
+        sheet.row(this.TABLE_COLUMNS.map(col => col.label), { header: true });
+        this.toTableRows(conversations).forEach(row => sheet.row(row));
+        return sheet.toBlob();
     }
 
+    // ============================================
+    // USER TEMPLATES
+    // ============================================
+
+    // Starting points for new templates in the Templates tab
+    static TEMPLATE_EXAMPLES = {
+        markdown: `---
+title: "{{title}}"
+platform: {{platform}}
+{{#if model}}
+model: {{model}}
+{{/if}}
+date: {{createdDate}}
+url: {{url}}
+---
+
+# {{title}}
+
+{{#each turns}}
+## {{@number}}. {{summary}}
+
+{{answer}}
+
+{{#if sources}}
+**Sources**
+{{#each sources}}
+{{@number}}. [{{title}}]({{url}})
+{{/each}}
+
+{{/if}}
+{{/each}}
+`,
+        html: `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>{{title}}</title>
+    <style>
+        body { font-family: Georgia, serif; max-width: 720px; margin: 40px auto; line-height: 1.6; color: #1f2937; }
+        .question { font-weight: bold; margin-top: 32px; }
+        .sources { font-size: 14px; color: #6b7280; }
+    </style>
+</head>
+<body>
+    <h1>{{title}}</h1>
+    <p>{{platform}}{{#if model}} · {{model}}{{/if}} · {{createdDate}}</p>
+    {{#each turns}}
+    <div class="question">{{{questionHtml}}}</div>
+    {{{answerHtml}}}
+    {{#if sources}}
+    <ol class="sources">
+        {{#each sources}}
+        <li><a href="{{url}}">{{title}}</a></li>
+        {{/each}}
+    </ol>
+    {{/if}}
+    {{/each}}
+</body>
+</html>
+`,
+        txt: `{{title}}
+{{platform}}{{#if model}} ({{model}}){{/if}}, {{createdDate}}
+
+{{#each messages}}
+[{{author}}]
+{{text}}
+{{#each sources}}
+  [{{@number}}] {{url}}
+{{/each}}
+
+{{/each}}
+`
+    };
+
+    /**
+     * Render a conversation with a user template (see template-engine.js)
+     * @param {Object} template - { format, body }
+     */
+    static fromTemplate(data, platform, template) {
+        const context = this.templateContext(ConversationSchema.normalize(data, platform));
+        return TemplateEngine.render(template.body, context, { html: template.format === 'html' });
+    }
+
+    /**
+     * Fields available to templates. Texts come as written (Markdown for
+     * answers); the *Html fields are rendered HTML for {{{triple braces}}}.
+     */
+    static templateContext(conversation) {
+        const date = value => value ? new Date(value).toLocaleDateString() : '';
+        const sources = list => list.map((source, i) => ({
+            number: i + 1,
+            title: source.title || source.url || 'Source',
+            url: source.url || '',
+            snippet: source.snippet || ''
+        }));
+
+        const turns = ConversationSchema.toTurns(conversation).map((turn, i) => {
+            const question = ConversationSchema.getTurnQuery(turn);
+            const answer = ConversationSchema.getTurnAnswer(turn);
+            const reasoning = ConversationSchema.getTurnReasoning(turn);
+            return {
+                number: i + 1,
+                summary: this.questionSummary(question),
+                question,
+                questionHtml: this.plainToHTML(question),
+                answer,
+                answerHtml: this.markdownToHTML(answer),
+                reasoning,
+                reasoningHtml: this.markdownToHTML(reasoning),
+                sources: sources(ConversationSchema.getTurnCitations(turn))
+            };
+        });
+
+        const messages = conversation.messages.map((message, i) => {
+            const text = ConversationSchema.getText(message);
+            const reasoning = ConversationSchema.getReasoning(message);
+            return {
+                number: i + 1,
+                role: message.role,
+                author: ConversationSchema.getAuthorLabel(message),
+                icon: ConversationSchema.ROLE_ICONS[message.role] || '💬',
+                isUser: message.role === 'user',
+                model: message.model || '',
+                createdAt: message.createdAt || '',
+                text,
+                html: message.role === 'user' ? this.plainToHTML(text) : this.markdownToHTML(text),
+                reasoning,
+                reasoningHtml: this.markdownToHTML(reasoning),
+                sources: sources(message.citations),
+                attachments: message.attachments.map(a => ({ name: a.name || a.url || 'file', url: a.url || '' }))
+            };
+        });
+
+        return {
+            title: conversation.title,
+            platform: conversation.platform,
+            platformIcon: this.platformIcons[conversation.platform] || '💬',
+            model: conversation.model || '',
+            url: conversation.url || '',
+            uuid: conversation.uuid || '',
+            spaceName: conversation.spaceName || '',
+            createdAt: conversation.createdAt || '',
+            updatedAt: conversation.updatedAt || '',
+            createdDate: date(conversation.createdAt),
+            updatedDate: date(conversation.updatedAt),
+            exportDate: new Date().toLocaleDateString(),
+            messageCount: messages.length,
+            turnCount: turns.length,
+            turns,
+            messages,
+            sources: sources(ConversationSchema.dedupeCitations(conversation.messages.flatMap(m => m.citations)))
+        };
+    }
+
+    // ============================================
+    // UTILITY FUNCTIONS
+    // ============================================
     static generateFilename(title, extension) {
         const sanitized = title
             .replace(/[^a-z0-9\s-]/gi, '')
@@ -443,6 +1721,29 @@ class ExportManager {
         return `${sanitized}_${timestamp}${extension}`;
     }
 
+    /**
+     * First line of a question, shortened for headings and tables of contents
+     */
+    static questionSummary(query) {
+        const firstLine = String(query || '').split('\n')[0].trim();
+        if (!firstLine) return 'Untitled question';
+        return firstLine.length > 120 ? `${firstLine.slice(0, 117)}…` : firstLine;
+    }
+
+    /**
+     * Title usable as a file, folder or Obsidian note name: no path separators,
+     * no characters Windows or Obsidian reject, at most 100 characters
+     */
+    static safeName(title, fallback = 'Untitled Chat') {
+        const name = String(title || '')
+            .replace(/[\\/:*?"<>|#^[\]\u0000-\u001f]/g, ' ')
+            .replace(/\s+/g, ' ')
+            .replace(/^[.\s]+/, '')
+            .slice(0, 100)
+            .replace(/[.\s]+$/, '');
+        return name || fallback;
+    }
+
     static downloadFile(content, filename, mimeType) {
         const blob = new Blob([content], { type: mimeType });
         const url = URL.createObjectURL(blob);
@@ -455,6 +1756,82 @@ class ExportManager {
         URL.revokeObjectURL(url);
     }
 
+    /**
+     * Inline Markdown nodes (MarkdownParser) as styled text runs for the PDF
+     * and DOCX writers: { text, bold, italic, strike, url } plus `code` for code spans
+     */
+    static inlineRuns(nodes, style = {}, code = { code: true }) {
+        const runs = [];
+        const walk = (list, current) => list.forEach(node => {
+            switch (node.type) {
+                case 'text':
+                    runs.push({ ...current, text: node.value });
+                    break;
+                case 'break':
+                    // Chat style, as in the HTML export: soft breaks are line breaks too
+                    runs.push({ ...current, text: '\n' });
+                    break;
+                case 'strong':
+                    walk(node.children, { ...current, bold: true });
+                    break;
+                case 'emphasis':
+                    walk(node.children, { ...current, italic: true });
+                    break;
+                case 'delete':
+                    walk(node.children, { ...current, strike: true });
+                    break;
+                case 'inlineCode':
+                case 'inlineMath':
+                    runs.push({ ...current, ...code, text: node.value });
+                    break;
+                case 'link':
+                    walk(node.children, { ...current, url: node.url });
+                    break;
+                case 'image':
+                    runs.push({ ...current, text: node.alt || node.url, url: node.url });
+                    break;
+                default:
+                    if (node.children) walk(node.children, current);
+            }
+        });
+        walk(nodes, style);
+        return runs;
+    }
+
+    /**
+     * Assistant output is Markdown; render it with the bundled sanitizing renderer
+     */
+    static markdownToHTML(text) {
+        if (!text) return '';
+        if (typeof MarkdownRenderer === 'undefined') return this.plainToHTML(text);
+        return `<div class="markdown">${MarkdownRenderer.render(text)}</div>`;
+    }
+
+    /**
+     * Numbered source link; sources whose URL isn't safe to link
+     * (javascript:, data: and the like) are listed without one
+     */
+    static sourceToHTML(source, index) {
+        const label = `${index + 1}. ${this.escapeHtml(source.title)}`;
+        const href = this.safeUrl(source.url);
+        return href
+            ? `<a href="${this.escapeHtml(href)}" target="_blank">${label}</a>`
+            : `<span>${label}</span>`;
+    }
+
+    /**
+     * The URL if its scheme is safe in a link, else null
+     */
+    static safeUrl(url) {
+        if (typeof MarkdownRenderer === 'undefined') return /^https?:\/\//i.test(String(url || '')) ? url : null;
+        return MarkdownRenderer.sanitizeUrl(url);
+    }
+
+    // Prompts are shown as typed
+    static plainToHTML(text) {
+        return this.escapeHtml(text || '').replace(/\n/g, '<br />');
+    }
+
     static escapeHtml(text) {
         const div = document.createElement('div');
         div.textContent = text;
@@ -258,26 +258,14 @@ const GeminiAdapter = {
 
             const text = await response.text();
             console.log(`[Gemini] Raw response length: ${text.length} chars`);
-            
-            // Parse Google's weird response format (starts with ")]}'")
-            const cleaned = text.replace(/^\)\]\}'/, '').trim();
 
-            // Find and parse the JSON array in the response
-            const lines = cleaned.split('\n');
-            for (const line of lines) {
-                if (line.startsWith('[')) {
-                    try {
-                        const parsed = JSON.parse(line);
-                        console.log('[Gemini] ✓ Successfully parsed batchexecute response');
-                        return parsed;
-                    } catch (e) {
-                        console.warn('[Gemini] Failed to parse line:', line.substring(0, 100));
-                    }
-                }
+            const parsed = parseGeminiBatchResponse(text);
+            if (parsed) {
+                console.log('[Gemini] ✓ Successfully parsed batchexecute response');
+            } else {
+                console.warn('[Gemini] No valid JSON found in response');
             }
-
-            console.warn('[Gemini] No valid JSON found in response');
-            return null;
+            return parsed;
         } catch (error) {
             console.error('[Gemini] _batchExecute failed:', error.message);
             throw error;
@@ -325,7 +313,7 @@ const GeminiAdapter = {
                                 uuid,
                                 title: title.slice(0, 100),
                                 platform: 'Gemini',
-                                last_query_datetime: new Date().toISOString()
+                                last_query_datetime: null
                             });
                         }
                     });
@@ -361,7 +349,7 @@ const GeminiAdapter = {
                         uuid: uuidMatch[1],
                         title: item.innerText?.trim()?.slice(0, 100) || 'Gemini Chat',
                         platform: 'Gemini',
-                        last_query_datetime: new Date().toISOString()
+                        last_query_datetime: null
                     });
                 }
             });
@@ -374,7 +362,7 @@ const GeminiAdapter = {
                 uuid: currentUuid,
                 title: document.title?.replace(' - Gemini', '').replace('Google Gemini', '').trim() || 'Gemini Chat',
                 platform: 'Gemini',
-                last_query_datetime: new Date().toISOString()
+                last_query_datetime: null
             });
         }
 
@@ -423,43 +411,17 @@ const GeminiAdapter = {
 
                         if (!data) continue;
 
-                        const entries = [];
-                        
-                        // Strategy 1: Array of turns
-                        const turns = data[0] || data[1] || data;
-                        if (Array.isArray(turns) && turns.length > 0) {
-                            let currentQuery = '';
-
-                            turns.forEach((turn, idx) => {
-                                // Multiple content extraction methods
-                                let content = turn[1]?.[0] || turn[2]?.[0] || turn[0] || '';
-                                const role = turn[3] || turn[2] || idx % 2;
-
-                                // Clean content if it's an object
-                                if (typeof content !== 'string') {
-                                    content = Array.isArray(content) ? content.join('\n') : JSON.stringify(content);
-                                }
-
-                                // Detect role
-                                const isUser = role === 0 || role === 'user' || role === 'USER' ||
-                                              (idx % 2 === 0 && turn.length < 5);
-
-                                if (isUser && content.trim()) {
-                                    currentQuery = content.trim();
-                                } else if (!isUser && currentQuery && content.trim()) {
-                                    entries.push({ query: currentQuery, answer: content.trim() });
-                                    currentQuery = '';
-                                }
-                            });
-                        }
+                        const ordered = transformGeminiData(data);
 
-                        if (entries.length > 0) {
-                            console.log(`[Gemini] ✓ API success with ${rpcId}: ${entries.length} entries`);
+                        if (ordered.length > 0) {
+                            console.log(`[Gemini] ✓ API success with ${rpcId}: ${ordered.length} messages`);
                             const title = data[0]?.[0] || data.title ||
                                 document.title?.replace(' - Gemini', '').trim() ||
-                                entries[0]?.query?.substring(0, 100) ||
+                                ordered[0]?.text?.substring(0, 100) ||
                                 'Gemini Conversation';
-                            return { uuid, title, platform: 'Gemini', entries };
+                            return ConversationSchema.createConversation({
+                                uuid, title, platform: 'Gemini', messages: ordered
+                            });
                         }
                     } catch (e) {
                         console.warn(`[Gemini] Payload attempt failed:`, e.message);
@@ -483,26 +445,24 @@ const GeminiAdapter = {
         console.log('[Gemini] Starting DOM extraction...');
         const messages = [];
 
-        // Strategy 1: Modern Gemini UI - message containers with data attributes
+        // Strategy 1: Modern Gemini UI - message containers with data attributes (keeps every message in order)
         const messageContainers = document.querySelectorAll('[data-message-author-role], message-content, [class*="message"]');
         if (messageContainers.length > 0) {
             console.log(`[Gemini] Strategy 1: Found ${messageContainers.length} message containers`);
-            
-            let currentQuery = '';
-            messageContainers.forEach(container => {
-                const role = container.getAttribute('data-message-author-role') ||
-                           (container.className.includes('user') ? 'user' : 'model');
-                const text = container.innerText?.trim() || '';
-
-                if (text.length > 5) {
-                    if (role === 'user') {
-                        currentQuery = text;
-                    } else if (role === 'model' && currentQuery) {
-                        messages.push({ query: currentQuery, answer: text });
-                        currentQuery = '';
-                    }
-                }
-            });
+
+            const ordered = Array.from(messageContainers)
+                .map(container => ({
+                    role: container.getAttribute('data-message-author-role') ||
+                        (String(container.className).includes('user') ? 'user' : 'model'),
+                    text: container.innerText?.trim() || ''
+                }))
+                .filter(m => m.text.length > 5);
+
+            if (ordered.length > 0) {
+                const title = document.title?.replace(' - Gemini', '').replace('Google Gemini', '').trim() ||
+                             'Gemini Conversation';
+                return ConversationSchema.createConversation({ uuid, title, platform: 'Gemini', messages: ordered });
+            }
         }
 
         // Strategy 2: Query-response pairs
@@ -578,7 +538,7 @@ const GeminiAdapter = {
                      filteredMessages[0]?.query?.substring(0, 100) ||
                      'Gemini Conversation';
 
-        return { uuid, title, platform: 'Gemini', entries: filteredMessages };
+        return ConversationSchema.fromEntries({ uuid, title, entries: filteredMessages }, 'Gemini');
     },
 
     getSpaces: async function () { return []; }
@@ -112,7 +112,7 @@ const GrokAdapter = {
                 uuid: chat.id || chat.conversationId || chat.uuid,
                 title: chat.title || chat.name || 'Grok Chat',
                 platform: 'Grok',
-                last_query_datetime: chat.updatedAt || chat.createdAt || new Date().toISOString()
+                last_query_datetime: chat.updatedAt || chat.createdAt || null
             }));
 
             // Update cache
@@ -190,7 +190,7 @@ const GrokAdapter = {
                         uuid: uuidMatch[1],
                         title: item.innerText?.trim()?.slice(0, 100) || 'Grok Chat',
                         platform: 'Grok',
-                        last_query_datetime: new Date().toISOString()
+                        last_query_datetime: null
                     });
                 }
             });
@@ -204,7 +204,7 @@ const GrokAdapter = {
                     uuid: currentUuid,
                     title: document.title?.replace(' | Grok', '').replace(' - Grok', '').trim() || 'Grok Chat',
                     platform: 'Grok',
-                    last_query_datetime: new Date().toISOString()
+                    last_query_datetime: null
                 });
             }
         }
@@ -232,38 +232,18 @@ const GrokAdapter = {
                 const response = await GrokAdapter._fetchWithRetry(endpoint, {}, 2);
                 const data = await response.json();
 
-                const messages = data.messages || data.conversation?.messages ||
-                    data.data?.messages || data.turns || data.items || [];
+                const ordered = transformGrokData(data);
 
-                if (Array.isArray(messages) && messages.length > 0) {
-                    const entries = [];
-                    let currentQuery = '';
-
-                    messages.forEach(msg => {
-                        const role = (msg.role || msg.sender || msg.author || msg.type || '').toLowerCase();
-                        const content = msg.content || msg.text || msg.message ||
-                            (msg.parts ? msg.parts.join('\n') : '');
-
-                        if (role === 'user' || role === 'human') {
-                            currentQuery = content;
-                        } else if ((role === 'assistant' || role === 'grok' || role === 'bot' || role === 'ai') && currentQuery) {
-                            entries.push({ query: currentQuery, answer: content });
-                            currentQuery = '';
-                        }
+                if (ordered.length > 0) {
+                    const title = data.title || data.conversation?.title || data.name || 'Grok Conversation';
+                    const conversation = ConversationSchema.createConversation({
+                        uuid, title, platform: 'Grok', messages: ordered
                     });
 
-                    // Handle unpaired last message
-                    if (currentQuery && messages.length > 0) {
-                        const lastMsg = messages[messages.length - 1];
-                        const lastContent = lastMsg.content || lastMsg.text || '';
-                        if (lastContent && lastContent !== currentQuery) {
-                            entries.push({ query: currentQuery, answer: lastContent });
-                        }
+                    if (conversation.messages.length > 0) {
+                        console.log(`[Grok] API success: ${conversation.messages.length} messages for ${uuid}`);
+                        return conversation;
                     }
-
-                    const title = data.title || data.conversation?.title || data.name || 'Grok Conversation';
-                    console.log(`[Grok] API success: ${entries.length} entries for ${uuid}`);
-                    return { uuid, title, platform: 'Grok', entries };
                 }
             } catch (e) {
                 console.warn('[Grok] API failed for', endpoint, ':', e.message);
@@ -329,7 +309,7 @@ const GrokAdapter = {
         }
 
         const title = document.title?.replace(' | Grok', '').replace(' - Grok', '').trim() || 'Grok Conversation';
-        return { uuid, title, platform: 'Grok', entries: messages.filter(m => m.query || m.answer) };
+        return ConversationSchema.fromEntries({ uuid, title, entries: messages.filter(m => m.query || m.answer) }, 'Grok');
     },
 
     getSpaces: async () => []
@@ -0,0 +1,348 @@
+// OmniExporter AI - Import Manager
+// Imports conversations from the platforms' own data exports into the
+// ConversationStore, so they can be exported and synced to Notion offline.
+// Each importer turns the export's raw records into canonical conversations
+// through the same transforms the live adapters use (platform-transforms.js).
+
+class ImportManager {
+    // Conversations parsed and stored per batch; keeps the page responsive on large exports
+    static BATCH_SIZE = 200;
+
+    // Takeout has no conversation ids: prompts further apart than this start a new conversation
+    static GEMINI_SESSION_GAP = 30 * 60 * 1000;
+
+    /**
+     * files: the conversations file inside the export ZIP, by name or path pattern
+     * detect(data): true if the parsed JSON (or HTML text) is this platform's export
+     * group(data): optional, turns the export into one record per conversation
+     * toConversation(record, settings): canonical conversation, or null to skip
+     */
+    static importers = {
+        ChatGPT: {
+            files: ['conversations.json'],
+            detect: (data) => Array.isArray(data) && data.some(c => c && typeof c.mapping === 'object'),
+            toConversation: (record, settings) => {
+                const uuid = record.conversation_id || record.id;
+                if (!uuid || !record.mapping) return null;
+                return ConversationSchema.createConversation({
+                    uuid,
+                    title: record.title || 'ChatGPT Chat',
+                    platform: 'ChatGPT',
+                    model: record.default_model_slug,
+                    createdAt: record.create_time,
+                    updatedAt: record.update_time,
+                    messages: transformChatGPTData(record, { includeBranches: !!settings.exportBranches })
+                });
+            }
+        },
+
+        // Claude's account export uses the same file name; records carry `chat_messages`
+        Claude: {
+            files: ['conversations.json'],
+            detect: (data) => Array.isArray(data) && data.some(c => c && Array.isArray(c.chat_messages)),
+            toConversation: (record) => {
+                if (!record.uuid || !Array.isArray(record.chat_messages)) return null;
+                return ConversationSchema.createConversation({
+                    uuid: record.uuid,
+                    title: record.name || 'Claude Chat',
+                    platform: 'Claude',
+                    model: record.model,
+                    createdAt: record.created_at,
+                    updatedAt: record.updated_at,
+                    messages: transformClaudeData(record)
+                });
+            }
+        },
+
+        // Google Takeout "My Activity – Gemini Apps": one activity item per prompt
+        Gemini: {
+            files: [/Gemini[^/]*\/MyActivity\.json$/i, /Gemini[^/]*\/My ?Activity\.html$/i],
+            detect: (data) => typeof data === 'string'
+                ? /Gemini/.test(data) && data.includes('outer-cell')
+                : Array.isArray(data) && data.some(item => /Gemini/.test(item?.header || '') ||
+                    (item?.products || []).some(p => /Gemini/.test(p))),
+            group: (data) => ImportManager.groupGeminiActivity(
+                typeof data === 'string' ? ImportManager.parseActivityHtml(data) : data),
+            toConversation: (session) => ImportManager.geminiSessionToConversation(session)
+        }
+    };
+
+    // ============================================
+    // IMPORT
+    // ============================================
+
+    /**
+     * Import a data export: the ZIP as downloaded, or the conversations JSON from it.
+     * @param {File} file
+     * @param {Function} options.onProgress - (done, total)
+     * @returns {{ platform, imported, skipped }}
+     */
+    static async importFile(file, { onProgress } = {}) {
+        const data = await this.readExport(file);
+        const platform = Object.keys(this.importers).find(name => this.importers[name].detect(data));
+        if (!platform) throw new Error('Unrecognized export format');
+
+        const importer = this.importers[platform];
+        const settings = await chrome.storage.local.get(['exportBranches']);
+        const records = importer.group ? importer.group(data) : data;
+        let imported = 0;
+        let skipped = 0;
+
+        for (let start = 0; start < records.length; start += this.BATCH_SIZE) {
+            const conversations = [];
+            records.slice(start, start + this.BATCH_SIZE).forEach(record => {
+                try {
+                    const conversation = importer.toConversation(record, settings);
+                    if (conversation && conversation.messages.length > 0) conversations.push(conversation);
+                    else skipped++;
+                } catch (e) {
+                    console.warn(`[Import] Skipped a ${platform} conversation:`, e.message);
+                    skipped++;
+                }
+            });
+
+            imported += await ConversationStore.putMany(conversations, { via: 'import' });
+            if (onProgress) onProgress(Math.min(start + this.BATCH_SIZE, records.length), records.length);
+            await new Promise(r => setTimeout(r, 0));
+        }
+
+        console.log(`[Import] ${platform}: ${imported} conversations imported, ${skipped} skipped from ${file.name}`);
+        return { platform, imported, skipped };
+    }
+
+    /**
+     * The export's conversations file from a ZIP, or a bare JSON / HTML file:
+     * parsed JSON, or the HTML as text
+     */
+    static async readExport(file) {
+        if (await ZipReader.isZip(file)) {
+            const zip = await ZipReader.open(file);
+            for (const importer of Object.values(this.importers)) {
+                for (const name of importer.files) {
+                    const entry = typeof name === 'string' ? zip.find(name) : zip.files(n => name.test(n))[0];
+                    if (entry) return this.parseContent(entry.name, await zip.readText(entry));
+                }
+            }
+            throw new Error('No conversations file found in the ZIP');
+        }
+
+        try {
+            return this.parseContent(file.name, await file.text());
+        } catch (e) {
+            throw new Error(`${file.name} is not a ZIP, JSON or HTML export`);
+        }
+    }
+
+    static parseContent(name, text) {
+        return /\.html?$/i.test(name) ? text : JSON.parse(text);
+    }
+
+    // ============================================
+    // GEMINI (GOOGLE TAKEOUT)
+    // ============================================
+
+    /**
+     * Activity items of MyActivity.html in the JSON export's shape:
+     * { title: 'Prompted …', time, safeHtmlItem: [{ html }] }
+     */
+    static parseActivityHtml(html) {
+        const doc = new DOMParser().parseFromString(html, 'text/html');
+        const items = [];
+
+        doc.querySelectorAll('.outer-cell').forEach(cell => {
+            const content = cell.querySelector('.content-cell:not(.mdl-typography--caption):not(.mdl-typography--text-right)');
+            if (!content) return;
+
+            // "<prompt><br><date><br><response…>": the first line that parses as a date splits the cell
+            const before = [];
+            const after = doc.createElement('div');
+            let time = null;
+            let line = '';
+            for (const node of Array.from(content.childNodes)) {
+                if (time) {
+                    after.appendChild(node);
+                } else if (node.nodeName === 'BR') {
+                    time = this.parseActivityDate(line);
+                    if (!time) before.push(line);
+                    line = '';
+                } else {
+                    line += node.textContent;
+                }
+            }
+            if (!time && line) time = this.parseActivityDate(line);
+            if (!time) return;
+
+            items.push({
+                title: before.join('\n').trim(),
+                time,
+                safeHtmlItem: after.innerHTML.trim() ? [{ html: after.innerHTML }] : []
+            });
+        });
+        return items;
+    }
+
+    /**
+     * Takeout's HTML dates are localized, e.g. "May 1, 2024, 10:00:00 AM PDT";
+     * zones the browser doesn't know are read as local time
+     */
+    static parseActivityDate(text) {
+        const clean = text.replace(/[\u00a0\u202f]/g, ' ').trim();
+        if (!clean || !/\d{4}/.test(clean) || !/\d:\d\d/.test(clean)) return null;
+        const date = new Date(clean);
+        if (!isNaN(date.getTime())) return date.toISOString();
+        const local = new Date(clean.replace(/\s+[A-Z]{2,5}([+-]\d+)?$/, ''));
+        return isNaN(local.getTime()) ? null : local.toISOString();
+    }
+
+    /**
+     * Prompts in time order, split into conversations at long pauses
+     */
+    static groupGeminiActivity(items) {
+        const prompts = items
+            .filter(item => item && item.time && (/^Prompted\s/.test(item.title || '') || item.safeHtmlItem?.length))
+            .sort((a, b) => new Date(a.time) - new Date(b.time));
+
+        const sessions = [];
+        let current = null;
+        prompts.forEach(item => {
+            const time = new Date(item.time).getTime();
+            if (!current || time - current.lastTime > this.GEMINI_SESSION_GAP) {
+                current = { items: [], lastTime: time };
+                sessions.push(current);
+            }
+            current.items.push(item);
+            current.lastTime = time;
+        });
+        return sessions.map(session => session.items);
+    }
+
+    static geminiSessionToConversation(items) {
+        const messages = [];
+        items.forEach(item => {
+            const prompt = (item.title || '').replace(/^Prompted\s+/, '');
+            messages.push({
+                role: 'user',
+                text: prompt,
+                createdAt: item.time,
+                attachments: (item.attachedFiles || []).map(name => ({ name }))
+            });
+            const response = (item.safeHtmlItem || []).map(part => this.htmlToMarkdown(part.html || '')).join('\n\n');
+            if (response) {
+                messages.push({ role: 'assistant', text: response, createdAt: item.time });
+            }
+        });
+
+        const firstPrompt = messages[0]?.text || 'Gemini Chat';
+        return ConversationSchema.createConversation({
+            // Stable across re-imports of the same Takeout
+            uuid: `takeout-${new Date(items[0].time).getTime()}`,
+            title: firstPrompt.length > 80 ? `${firstPrompt.slice(0, 77)}...` : firstPrompt,
+            platform: 'Gemini',
+            url: 'https://myactivity.google.com/product/gemini',
+            createdAt: items[0].time,
+            updatedAt: items[items.length - 1].time,
+            messages
+        });
+    }
+
+    // ============================================
+    // HTML → MARKDOWN
+    // ============================================
+
+    /**
+     * Takeout stores Gemini responses as rendered HTML; the rest of the
+     * pipeline expects Markdown like the live APIs return
+     */
+    static htmlToMarkdown(html) {
+        const doc = new DOMParser().parseFromString(`<body>${html}</body>`, 'text/html');
+        return this.childrenToMarkdown(doc.body)
+            .replace(/\n[ \t]+\n/g, '\n\n')
+            .replace(/\n{3,}/g, '\n\n')
+            .trim();
+    }
+
+    static childrenToMarkdown(node) {
+        return Array.from(node.childNodes).map(child => this.nodeToMarkdown(child)).join('');
+    }
+
+    static nodeToMarkdown(node) {
+        if (node.nodeType === Node.TEXT_NODE) return node.textContent.replace(/\s+/g, ' ');
+        if (node.nodeType !== Node.ELEMENT_NODE) return '';
+
+        const tag = node.tagName.toLowerCase();
+        const inner = () => this.childrenToMarkdown(node).trim();
+        const wrap = (mark) => {
+            const text = inner();
+            return text ? `${mark}${text}${mark}` : '';
+        };
+
+        switch (tag) {
+            case 'br': return '\n';
+            case 'hr': return '\n\n---\n\n';
+            case 'p': case 'div': case 'section': return `\n\n${inner()}\n\n`;
+            case 'h1': case 'h2': case 'h3': case 'h4': case 'h5': case 'h6':
+                return `\n\n${'#'.repeat(Number(tag[1]))} ${inner()}\n\n`;
+            case 'strong': case 'b': return wrap('**');
+            case 'em': case 'i': return wrap('*');
+            case 's': case 'del': return wrap('~~');
+            case 'code': return `\`${node.textContent}\``;
+            case 'pre': {
+                const code = node.querySelector('code') || node;
+                const language = (code.className.match(/language-(\S+)/) || [])[1] || '';
+                return `\n\n\`\`\`${language}\n${code.textContent.replace(/\n$/, '')}\n\`\`\`\n\n`;
+            }
+            case 'a': {
+                const href = node.getAttribute('href');
+                const text = inner();
+                return href ? `[${text || href}](${href})` : text;
+            }
+            case 'img': {
+                const src = node.getAttribute('src');
+                return src ? `![${node.getAttribute('alt') || ''}](${src})` : '';
+            }
+            case 'ul': case 'ol': return `\n\n${this.listToMarkdown(node, 0)}\n\n`;
+            case 'blockquote': return `\n\n${inner().split('\n').map(line => `> ${line}`).join('\n')}\n\n`;
+            case 'table': return `\n\n${this.tableToMarkdown(node)}\n\n`;
+            case 'script': case 'style': return '';
+            default: return this.childrenToMarkdown(node);
+        }
+    }
+
+    static listToMarkdown(list, depth) {
+        const indent = '    '.repeat(depth);
+        const ordered = list.tagName === 'OL';
+        return Array.from(list.children)
+            .filter(item => item.tagName === 'LI')
+            .map((item, index) => {
+                const nested = [];
+                const text = Array.from(item.childNodes).map(child => {
+                    if (child.tagName === 'UL' || child.tagName === 'OL') {
+                        nested.push(this.listToMarkdown(child, depth + 1));
+                        return '';
+                    }
+                    return this.nodeToMarkdown(child);
+                }).join('').replace(/\n{2,}/g, '\n').trim();
+
+                const marker = ordered ? `${index + 1}.` : '-';
+                const lines = `${indent}${marker} ${text.split('\n').join(`\n${indent}  `)}`;
+                return [lines, ...nested].join('\n');
+            })
+            .join('\n');
+    }
+
+    static tableToMarkdown(table) {
+        const rows = Array.from(table.querySelectorAll('tr')).map(row =>
+            Array.from(row.children).map(cell =>
+                this.childrenToMarkdown(cell).replace(/\s*\n\s*/g, ' ').replace(/\|/g, '\\|').trim()));
+        if (rows.length === 0) return '';
+
+        const width = Math.max(...rows.map(row => row.length));
+        const line = (row) => `| ${Array.from({ length: width }, (_, i) => row[i] || '').join(' | ')} |`;
+        return [line(rows[0]), `| ${Array(width).fill('---').join(' | ')} |`, ...rows.slice(1).map(line)].join('\n');
+    }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ImportManager;
+}
@@ -0,0 +1,813 @@
+// OmniExporter AI - Markdown Renderer
+// Dependency-free Markdown → AST → sanitized HTML (CSP-safe, no eval / innerHTML)
+// Supports CommonMark basics plus GFM tables, task lists, strikethrough, autolinks and TeX math
+
+// ============================================
+// PARSER
+// ============================================
+//
+// Produces an mdast-style tree:
+//   root { children }
+//   paragraph | heading { depth } | blockquote | list { ordered, start, spread }
+//   listItem { checked: null | true | false } | code { lang, value } | math { value } | thematicBreak
+//   table { align: ['left' | 'center' | 'right' | null], children: [tableRow { children: [tableCell] }] }
+//   text { value } | strong | emphasis | delete | inlineCode { value } | inlineMath { value } | break
+//   link { url, title } | image { url, alt, title }
+
+class MarkdownParser {
+    static FENCE = /^ {0,3}(`{3,}|~{3,})\s*([^\s`]*)[^`]*$/;
+    static HEADING = /^ {0,3}(#{1,6})(?:[ \t]+(.*?))?(?:[ \t]+#+)?[ \t]*$/;
+    static THEMATIC_BREAK = /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/;
+    static BLOCKQUOTE = /^ {0,3}> ?/;
+    static LIST_ITEM = /^([ \t]*)([-*+]|\d{1,9}[.)])([ \t]+|$)(.*)$/;
+    static TABLE_DELIMITER = /^[ \t]*\|?[ \t]*:?-+:?[ \t]*(\|[ \t]*:?-+:?[ \t]*)*\|?[ \t]*$/;
+    static INDENTED_CODE = /^(?: {4}|\t)/;
+    static MATH_OPEN = /^ {0,3}(\$\$|\\\[)[ \t]*(.*)$/;
+
+    /**
+     * Parse a Markdown string into a root node
+     */
+    static parse(markdown) {
+        const lines = String(markdown ?? '').replace(/\r\n?/g, '\n').split('\n');
+        return { type: 'root', children: this.parseBlocks(lines) };
+    }
+
+    // ============================================
+    // BLOCKS
+    // ============================================
+
+    static parseBlocks(lines) {
+        const nodes = [];
+        let i = 0;
+
+        while (i < lines.length) {
+            const line = lines[i];
+
+            if (!line.trim()) {
+                i++;
+                continue;
+            }
+
+            // Fenced code
+            const fence = line.match(this.FENCE);
+            if (fence) {
+                const marker = fence[1];
+                const indent = line.match(/^ */)[0].length;
+                const body = [];
+                i++;
+                while (i < lines.length && !this.isClosingFence(lines[i], marker)) {
+                    body.push(lines[i].replace(new RegExp(`^ {0,${indent}}`), ''));
+                    i++;
+                }
+                i++; // closing fence (or end of input)
+                nodes.push({ type: 'code', lang: fence[2] || null, value: body.join('\n') });
+                continue;
+            }
+
+            // Display math: $$ ... $$ or \[ ... \] (single- or multi-line)
+            const math = line.match(this.MATH_OPEN) && this.parseMathBlock(lines, i);
+            if (math) {
+                nodes.push(math.node);
+                i = math.next;
+                continue;
+            }
+
+            const heading = line.match(this.HEADING);
+            if (heading) {
+                nodes.push({
+                    type: 'heading',
+                    depth: heading[1].length,
+                    children: this.parseInline(heading[2] || '')
+                });
+                i++;
+                continue;
+            }
+
+            if (this.THEMATIC_BREAK.test(line)) {
+                nodes.push({ type: 'thematicBreak' });
+                i++;
+                continue;
+            }
+
+            if (this.BLOCKQUOTE.test(line)) {
+                const inner = [];
+                while (i < lines.length && lines[i].trim() && (this.BLOCKQUOTE.test(lines[i]) || inner.length > 0)) {
+                    // Lazy continuation lines belong to the quote's paragraph
+                    if (!this.BLOCKQUOTE.test(lines[i]) && this.startsBlock(lines[i])) break;
+                    inner.push(lines[i].replace(this.BLOCKQUOTE, ''));
+                    i++;
+                }
+                nodes.push({ type: 'blockquote', children: this.parseBlocks(inner) });
+                continue;
+            }
+
+            if (this.isTableStart(lines, i)) {
+                const result = this.parseTable(lines, i);
+                nodes.push(result.node);
+                i = result.next;
+                continue;
+            }
+
+            if (this.LIST_ITEM.test(line) && this.isListMarker(line)) {
+                const result = this.parseList(lines, i);
+                nodes.push(result.node);
+                i = result.next;
+                continue;
+            }
+
+            if (this.INDENTED_CODE.test(line)) {
+                const body = [];
+                while (i < lines.length && (this.INDENTED_CODE.test(lines[i]) || !lines[i].trim())) {
+                    body.push(lines[i].replace(this.INDENTED_CODE, ''));
+                    i++;
+                }
+                while (body.length && !body[body.length - 1].trim()) body.pop();
+                nodes.push({ type: 'code', lang: null, value: body.join('\n') });
+                continue;
+            }
+
+            // Paragraph: runs until a blank line or the start of another block
+            const para = [line];
+            i++;
+            while (i < lines.length && lines[i].trim() && !this.startsBlock(lines[i], true)) {
+                if (this.isTableStart(lines, i)) break;
+                para.push(lines[i]);
+                i++;
+            }
+            nodes.push({ type: 'paragraph', children: this.parseInline(para.map(l => l.replace(/^[ \t]+/, '')).join('\n')) });
+        }
+
+        return nodes;
+    }
+
+    /**
+     * Display math starting at line `start`; null when it is never closed
+     */
+    static parseMathBlock(lines, start) {
+        const open = lines[start].match(this.MATH_OPEN);
+        const close = open[1] === '$$' ? '$$' : '\\]';
+        const body = [];
+        let rest = open[2];
+
+        for (let i = start; i < lines.length; i++) {
+            if (i > start) rest = lines[i];
+            const end = rest.indexOf(close);
+            if (end !== -1) {
+                body.push(rest.slice(0, end));
+                return { node: { type: 'math', value: body.join('\n').trim() }, next: i + 1 };
+            }
+            body.push(rest);
+        }
+        return null;
+    }
+
+    static isClosingFence(line, marker) {
+        const trimmed = line.trim();
+        return trimmed.length >= marker.length &&
+            trimmed[0] === marker[0] &&
+            new RegExp(`^\\${marker[0]}{${marker.length},}$`).test(trimmed);
+    }
+
+    /**
+     * Whether a line interrupts a paragraph. Ordered lists only interrupt
+     * when they start at 1, as in CommonMark.
+     */
+    static startsBlock(line, interruptingParagraph = false) {
+        if (this.FENCE.test(line) || this.HEADING.test(line) || this.THEMATIC_BREAK.test(line) ||
+            this.BLOCKQUOTE.test(line) || this.MATH_OPEN.test(line)) {
+            return true;
+        }
+        const item = line.match(this.LIST_ITEM);
+        if (item && this.isListMarker(line) && item[1].length < 4) {
+            if (!interruptingParagraph) return true;
+            if (!item[4].trim()) return false;
+            return !/^\d/.test(item[2]) || /^1[.)]$/.test(item[2]);
+        }
+        return false;
+    }
+
+    static isListMarker(line) {
+        // "---" and "***" are thematic breaks, not list items
+        return !this.THEMATIC_BREAK.test(line);
+    }
+
+    // ============================================
+    // LISTS
+    // ============================================
+
+    static parseList(lines, start) {
+        const first = lines[start].match(this.LIST_ITEM);
+        const baseIndent = this.indentWidth(first[1]);
+        const ordered = /^\d/.test(first[2]);
+        const delimiter = ordered ? first[2].slice(-1) : first[2];
+        const list = {
+            type: 'list',
+            ordered,
+            start: ordered ? parseInt(first[2], 10) : null,
+            spread: false,
+            children: []
+        };
+
+        let i = start;
+        let sawBlank = false;
+
+        while (i < lines.length) {
+            const match = lines[i].match(this.LIST_ITEM);
+            if (!match || !this.isListMarker(lines[i])) break;
+            const indent = this.indentWidth(match[1]);
+            const sameKind = ordered ? /^\d/.test(match[2]) && match[2].slice(-1) === delimiter : match[2] === delimiter;
+            if (indent < baseIndent || indent > baseIndent + 3 || !sameKind) break;
+
+            if (sawBlank) list.spread = true;
+            sawBlank = false;
+
+            // Content column: marker width plus the following spaces (1-4)
+            const spacing = match[3].length > 4 || match[3].length === 0 ? 1 : match[3].length;
+            const contentIndent = indent + match[2].length + spacing;
+            const itemLines = [match[4]];
+            i++;
+
+            while (i < lines.length) {
+                const line = lines[i];
+                if (!line.trim()) {
+                    itemLines.push('');
+                    sawBlank = true;
+                    i++;
+                    continue;
+                }
+                const lineIndent = this.indentWidth(line.match(/^[ \t]*/)[0]);
+                const nested = this.LIST_ITEM.test(line) && this.isListMarker(line) && lineIndent > baseIndent;
+
+                if (lineIndent >= contentIndent || nested) {
+                    itemLines.push(this.stripIndent(line, Math.min(lineIndent, contentIndent)));
+                    if (sawBlank) list.spread = true;
+                    sawBlank = false;
+                    i++;
+                } else if (!sawBlank && !this.startsBlock(line) && !this.isTableStart(lines, i)) {
+                    // Lazy paragraph continuation
+                    itemLines.push(line.trim());
+                    i++;
+                } else {
+                    break;
+                }
+            }
+
+            // Trailing blank lines belong between items, not inside one
+            while (itemLines.length > 1 && !itemLines[itemLines.length - 1].trim()) itemLines.pop();
+
+            let checked = null;
+            const task = itemLines[0].match(/^\[([ xX])\][ \t]+/);
+            if (task) {
+                checked = task[1] !== ' ';
+                itemLines[0] = itemLines[0].slice(task[0].length);
+            }
+
+            list.children.push({ type: 'listItem', checked, children: this.parseBlocks(itemLines) });
+
+            // A blank line followed by something that is not another item ends the list
+            if (sawBlank && i < lines.length && !this.LIST_ITEM.test(lines[i])) break;
+        }
+
+        if (list.children.some(item => item.children.filter(c => c.type !== 'list').length > 1)) {
+            list.spread = true;
+        }
+
+        return { node: list, next: i };
+    }
+
+    static indentWidth(whitespace) {
+        return whitespace.replace(/\t/g, '    ').length;
+    }
+
+    static stripIndent(line, width) {
+        let removed = 0;
+        let index = 0;
+        while (index < line.length && removed < width && (line[index] === ' ' || line[index] === '\t')) {
+            removed += line[index] === '\t' ? 4 : 1;
+            index++;
+        }
+        return line.slice(index);
+    }
+
+    // ============================================
+    // TABLES (GFM)
+    // ============================================
+
+    static isTableStart(lines, i) {
+        if (i + 1 >= lines.length || !lines[i].includes('|')) return false;
+        if (!this.TABLE_DELIMITER.test(lines[i + 1]) || !lines[i + 1].includes('-')) return false;
+        const header = this.splitRow(lines[i]);
+        const delimiter = this.splitRow(lines[i + 1]);
+        return header.length === delimiter.length;
+    }
+
+    static parseTable(lines, start) {
+        const align = this.splitRow(lines[start + 1]).map(cell => {
+            const left = cell.startsWith(':');
+            const right = cell.endsWith(':');
+            if (left && right) return 'center';
+            if (right) return 'right';
+            if (left) return 'left';
+            return null;
+        });
+
+        const toRow = cells => ({
+            type: 'tableRow',
+            children: align.map((_, c) => ({ type: 'tableCell', children: this.parseInline(cells[c] || '') }))
+        });
+
+        const rows = [toRow(this.splitRow(lines[start]))];
+        let i = start + 2;
+        while (i < lines.length && lines[i].trim() && lines[i].includes('|') && !this.startsBlock(lines[i])) {
+            rows.push(toRow(this.splitRow(lines[i])));
+            i++;
+        }
+
+        return { node: { type: 'table', align, children: rows }, next: i };
+    }
+
+    /**
+     * Split a table row on unescaped pipes outside code spans
+     */
+    static splitRow(line) {
+        let row = line.trim();
+        if (row.startsWith('|')) row = row.slice(1);
+        if (row.endsWith('|') && !row.endsWith('\\|')) row = row.slice(0, -1);
+
+        const cells = [];
+        let current = '';
+        let inCode = false;
+        for (let i = 0; i < row.length; i++) {
+            const ch = row[i];
+            if (ch === '\\' && row[i + 1] === '|') {
+                current += '|';
+                i++;
+            } else if (ch === '`') {
+                inCode = !inCode;
+                current += ch;
+            } else if (ch === '|' && !inCode) {
+                cells.push(current.trim());
+                current = '';
+            } else {
+                current += ch;
+            }
+        }
+        cells.push(current.trim());
+        return cells;
+    }
+
+    // ============================================
+    // INLINE
+    // ============================================
+
+    static parseInline(text) {
+        const nodes = [];
+        let buffer = '';
+        let i = 0;
+
+        const flush = () => {
+            if (buffer) nodes.push({ type: 'text', value: buffer });
+            buffer = '';
+        };
+        const push = node => {
+            flush();
+            nodes.push(node);
+        };
+
+        while (i < text.length) {
+            const ch = text[i];
+            const rest = text.slice(i);
+
+            // Inline math: $x$ (not "$5 and $10") and \( x \)
+            if (ch === '$' && text[i + 1] !== '$') {
+                const math = rest.match(/^\$([^\s$](?:[^$\n]*?[^\s$\\])?)\$(?![0-9])/);
+                if (math) {
+                    push({ type: 'inlineMath', value: math[1] });
+                    i += math[0].length;
+                    continue;
+                }
+            }
+            if (ch === '\\' && text[i + 1] === '(') {
+                const end = text.indexOf('\\)', i + 2);
+                if (end !== -1) {
+                    push({ type: 'inlineMath', value: text.slice(i + 2, end).trim() });
+                    i = end + 2;
+                    continue;
+                }
+            }
+
+            // Backslash escapes and hard breaks
+            if (ch === '\\') {
+                if (text[i + 1] === '\n') {
+                    push({ type: 'break' });
+                    i += 2;
+                    continue;
+                }
+                if (/[!-/:-@[-`{-~]/.test(text[i + 1] || '')) {
+                    buffer += text[i + 1];
+                    i += 2;
+                    continue;
+                }
+            }
+
+            // Line breaks: two trailing spaces are hard, everything else soft
+            if (ch === '\n') {
+                if (/ {2,}$/.test(buffer)) {
+                    buffer = buffer.replace(/ +$/, '');
+                    push({ type: 'break' });
+                } else {
+                    buffer = buffer.replace(/ +$/, '');
+                    push({ type: 'break', soft: true });
+                }
+                i++;
+                while (text[i] === ' ') i++;
+                continue;
+            }
+
+            // Code spans
+            if (ch === '`') {
+                const run = rest.match(/^`+/)[0];
+                const close = this.findCodeSpanEnd(text, i + run.length, run.length);
+                if (close !== -1) {
+                    let value = text.slice(i + run.length, close).replace(/\n/g, ' ');
+                    if (/^ .*[^ ].* $/.test(value)) value = value.slice(1, -1);
+                    push({ type: 'inlineCode', value });
+                    i = close + run.length;
+                    continue;
+                }
+                buffer += run;
+                i += run.length;
+                continue;
+            }
+
+            // Images and links
+            if ((ch === '!' && text[i + 1] === '[') || ch === '[') {
+                const isImage = ch === '!';
+                const link = this.parseLink(text, isImage ? i + 1 : i);
+                if (link) {
+                    if (isImage) {
+                        push({ type: 'image', url: link.url, title: link.title, alt: this.plainText(this.parseInline(link.label)) });
+                    } else {
+                        push({ type: 'link', url: link.url, title: link.title, children: this.parseInline(link.label) });
+                    }
+                    i = link.end;
+                    continue;
+                }
+            }
+
+            // <https://...> and <user@example.com>
+            if (ch === '<') {
+                const auto = rest.match(/^<((?:https?|ftp|mailto):[^\s<>]*|[\w.+-]+@[\w-]+(?:\.[\w-]+)+)>/i);
+                if (auto) {
+                    const url = auto[1].includes(':') ? auto[1] : `mailto:${auto[1]}`;
+                    push({ type: 'link', url, title: null, children: [{ type: 'text', value: auto[1] }] });
+                    i += auto[0].length;
+                    continue;
+                }
+            }
+
+            // GFM extended autolinks (bare URLs)
+            if ((ch === 'h' || ch === 'w') && !/[A-Za-z0-9]$/.test(buffer)) {
+                const bare = this.matchBareUrl(rest);
+                if (bare) {
+                    const url = bare.startsWith('www.') ? `http://${bare}` : bare;
+                    push({ type: 'link', url, title: null, children: [{ type: 'text', value: bare }] });
+                    i += bare.length;
+                    continue;
+                }
+            }
+
+            // Emphasis, strong and strikethrough
+            if (ch === '*' || ch === '_' || ch === '~') {
+                const span = this.parseDelimited(text, i, buffer);
+                if (span) {
+                    push(span.node);
+                    i = span.end;
+                    continue;
+                }
+                const run = rest.match(/^(\*+|_+|~+)/)[0];
+                buffer += run;
+                i += run.length;
+                continue;
+            }
+
+            buffer += ch;
+            i++;
+        }
+
+        flush();
+        return nodes;
+    }
+
+    static findCodeSpanEnd(text, from, length) {
+        let i = from;
+        while (i < text.length) {
+            if (text[i] === '`') {
+                const run = text.slice(i).match(/^`+/)[0];
+                if (run.length === length) return i;
+                i += run.length;
+            } else {
+                i++;
+            }
+        }
+        return -1;
+    }
+
+    /**
+     * [label](url "title") starting at `start` (the opening bracket)
+     */
+    static parseLink(text, start) {
+        let depth = 0;
+        let i = start;
+        for (; i < text.length; i++) {
+            const ch = text[i];
+            if (ch === '\\') {
+                i++;
+            } else if (ch === '`') {
+                const run = text.slice(i).match(/^`+/)[0];
+                const close = this.findCodeSpanEnd(text, i + run.length, run.length);
+                if (close !== -1) i = close + run.length - 1;
+            } else if (ch === '[') {
+                depth++;
+            } else if (ch === ']') {
+                depth--;
+                if (depth === 0) break;
+            }
+        }
+        if (depth !== 0 || text[i + 1] !== '(') return null;
+
+        const label = text.slice(start + 1, i);
+        const dest = text.slice(i + 2).match(/^[ \t]*(<[^<>\n]*>|(?:[^\s()\\]|\\.|\((?:[^\s()\\]|\\.)*\))*)(?:[ \t]+("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|\((?:[^()\\]|\\.)*\)))?[ \t]*\)/);
+        if (!dest) return null;
+
+        let url = dest[1];
+        if (url.startsWith('<')) url = url.slice(1, -1);
+        url = url.replace(/\\([!-/:-@[-`{-~])/g, '$1');
+        const title = dest[2] ? dest[2].slice(1, -1).replace(/\\([!-/:-@[-`{-~])/g, '$1') : null;
+
+        return { label, url, title, end: i + 2 + dest[0].length };
+    }
+
+    static matchBareUrl(text) {
+        const match = text.match(/^(?:https?:\/\/|www\.)[^\s<]+/i);
+        if (!match) return null;
+        let url = match[0];
+        if (/^www\.$/i.test(url) || /^https?:\/\/$/i.test(url)) return null;
+
+        // Trailing punctuation is not part of the link; keep balanced parentheses
+        url = url.replace(/[?!.,:*_~'"]+$/, '');
+        while (url.endsWith(')') && (url.match(/\(/g) || []).length < (url.match(/\)/g) || []).length) {
+            url = url.slice(0, -1).replace(/[?!.,:*_~'"]+$/, '');
+        }
+        url = url.replace(/&[a-z0-9]+;$/i, '');
+        return url || null;
+    }
+
+    /**
+     * *em*, **strong**, ***both***, _em_, __strong__ and ~~strike~~ starting at `start`
+     */
+    static parseDelimited(text, start, before) {
+        const run = text.slice(start).match(/^(\*+|_+|~+)/)[0];
+        const ch = run[0];
+        const prev = before.slice(-1);
+        const next = text[start + run.length] || '';
+
+        // Opening delimiters must be followed by non-whitespace
+        if (!next || /\s/.test(next)) return null;
+        // Intraword underscores are literal (snake_case)
+        if (ch === '_' && /[A-Za-z0-9]/.test(prev)) return null;
+
+        // Single tildes stay literal ("~5 minutes")
+        if (ch === '~' && run.length !== 2) return null;
+
+        const sizes = ch === '~' ? [2] : run.length >= 3 ? [3, 2, 1] : run.length === 2 ? [2, 1] : [1];
+        for (const size of sizes) {
+            const close = this.findClosingDelimiter(text, start + size, ch, size);
+            if (close === -1) continue;
+
+            const inner = text.slice(start + size, close);
+            if (!inner.trim()) continue;
+            const children = this.parseInline(inner);
+
+            let node;
+            if (ch === '~') {
+                node = { type: 'delete', children };
+            } else if (size === 3) {
+                node = { type: 'strong', children: [{ type: 'emphasis', children }] };
+            } else {
+                node = { type: size === 2 ? 'strong' : 'emphasis', children };
+            }
+
+            // Unused opening delimiters stay literal, e.g. "**" before "*em*"
+            if (run.length > size) return null;
+            return { node, end: close + size };
+        }
+        return null;
+    }
+
+    static findClosingDelimiter(text, from, ch, size) {
+        let i = from;
+        while (i < text.length) {
+            const c = text[i];
+            if (c === '\\') {
+                i += 2;
+                continue;
+            }
+            if (c === '`') {
+                const run = text.slice(i).match(/^`+/)[0];
+                const close = this.findCodeSpanEnd(text, i + run.length, run.length);
+                i = close === -1 ? i + run.length : close + run.length;
+                continue;
+            }
+            if (c === '[') {
+                // Skip over whole links so their brackets do not confuse matching
+                const link = this.parseLink(text, i);
+                if (link) {
+                    i = link.end;
+                    continue;
+                }
+            }
+            if (c === ch) {
+                const run = text.slice(i).match(new RegExp(`^\\${ch}+`))[0];
+                const prev = text[i - 1] || '';
+                const after = text[i + run.length] || '';
+                const closes = !/\s/.test(prev) && run.length >= size &&
+                    !(ch === '_' && /[A-Za-z0-9]/.test(after));
+                if (closes) return i + run.length - size;
+                i += run.length;
+                continue;
+            }
+            i++;
+        }
+        return -1;
+    }
+
+    /**
+     * Concatenated text of an inline tree (image alt text, Notion titles)
+     */
+    static plainText(nodes) {
+        return (nodes || []).map(node => {
+            if (node.type === 'text' || node.type === 'inlineCode' || node.type === 'inlineMath') return node.value;
+            if (node.type === 'break') return '\n';
+            if (node.type === 'image') return node.alt || '';
+            return this.plainText(node.children);
+        }).join('');
+    }
+}
+
+// ============================================
+// HTML RENDERER
+// ============================================
+
+class MarkdownRenderer {
+    // Protocols allowed in href/src; everything else (javascript:, vbscript:, data:...) is dropped
+    static SAFE_URL = /^(?:https?:|mailto:|ftp:|tel:|#|\/|\.{0,2}\/)/i;
+    static SAFE_IMAGE_DATA = /^data:image\/(?:png|jpe?g|gif|webp);base64,[a-z0-9+/=\s]+$/i;
+
+    /**
+     * Render Markdown to sanitized HTML.
+     * options.breaks: render soft line breaks as <br /> (chat style, default true)
+     */
+    static render(markdown, options = {}) {
+        const opts = { breaks: true, ...options };
+        return this.renderNodes(MarkdownParser.parse(markdown).children, opts);
+    }
+
+    static renderNodes(nodes, opts, tight = false) {
+        return (nodes || []).map(node => this.renderNode(node, opts, tight)).join(tight ? '' : '\n');
+    }
+
+    static renderNode(node, opts, tight = false) {
+        switch (node.type) {
+            case 'paragraph':
+                return tight
+                    ? this.renderInline(node.children, opts)
+                    : `<p>${this.renderInline(node.children, opts)}</p>`;
+            case 'heading':
+                return `<h${node.depth}>${this.renderInline(node.children, opts)}</h${node.depth}>`;
+            case 'thematicBreak':
+                return '<hr />';
+            case 'blockquote':
+                return `<blockquote>\n${this.renderNodes(node.children, opts)}\n</blockquote>`;
+            case 'code': {
+                const lang = (node.lang || '').replace(/[^\w#+.-]/g, '');
+                const cls = lang ? ` class="language-${lang}"` : '';
+                return `<pre><code${cls}>${this.escape(node.value)}</code></pre>`;
+            }
+            case 'math':
+                return `<div class="math math-display">${this.escape(node.value)}</div>`;
+            case 'list':
+                return this.renderList(node, opts);
+            case 'table':
+                return this.renderTable(node, opts);
+            default:
+                return this.renderInline([node], opts);
+        }
+    }
+
+    static renderList(node, opts) {
+        const tag = node.ordered ? 'ol' : 'ul';
+        const start = node.ordered && node.start !== 1 && node.start !== null ? ` start="${node.start}"` : '';
+        const isTaskList = node.children.some(item => item.checked !== null);
+        const cls = isTaskList ? ' class="contains-task-list"' : '';
+
+        const items = node.children.map(item => {
+            let checkbox = '';
+            let itemCls = '';
+            if (item.checked !== null) {
+                itemCls = ' class="task-list-item"';
+                checkbox = `<input type="checkbox" disabled="disabled"${item.checked ? ' checked="checked"' : ''} /> `;
+            }
+            const tight = !node.spread;
+            const body = item.children.map((child, i) => {
+                const html = this.renderNode(child, opts, tight && child.type === 'paragraph');
+                return tight && i > 0 && child.type === 'paragraph' ? `<br />${html}` : html;
+            }).join(tight ? '' : '\n');
+            return `<li${itemCls}>${checkbox}${body}</li>`;
+        });
+
+        return `<${tag}${start}${cls}>\n${items.join('\n')}\n</${tag}>`;
+    }
+
+    static renderTable(node, opts) {
+        const cell = (tag, c, i) => {
+            const align = node.align[i] ? ` style="text-align: ${node.align[i]}"` : '';
+            return `<${tag}${align}>${this.renderInline(c.children, opts)}</${tag}>`;
+        };
+        const [head, ...body] = node.children;
+        let html = '<table>\n<thead>\n<tr>' + head.children.map((c, i) => cell('th', c, i)).join('') + '</tr>\n</thead>';
+        if (body.length > 0) {
+            html += '\n<tbody>\n' + body.map(row => '<tr>' + row.children.map((c, i) => cell('td', c, i)).join('') + '</tr>').join('\n') + '\n</tbody>';
+        }
+        return html + '\n</table>';
+    }
+
+    static renderInline(nodes, opts) {
+        return (nodes || []).map(node => {
+            switch (node.type) {
+                case 'text':
+                    return this.escape(node.value);
+                case 'strong':
+                    return `<strong>${this.renderInline(node.children, opts)}</strong>`;
+                case 'emphasis':
+                    return `<em>${this.renderInline(node.children, opts)}</em>`;
+                case 'delete':
+                    return `<del>${this.renderInline(node.children, opts)}</del>`;
+                case 'inlineCode':
+                    return `<code>${this.escape(node.value)}</code>`;
+                case 'inlineMath':
+                    return `<span class="math math-inline">${this.escape(node.value)}</span>`;
+                case 'break':
+                    return node.soft && !opts.breaks ? '\n' : '<br />\n';
+                case 'link': {
+                    const href = this.sanitizeUrl(node.url);
+                    const label = this.renderInline(node.children, opts);
+                    if (!href) return label;
+                    const title = node.title ? ` title="${this.escape(node.title)}"` : '';
+                    return `<a href="${this.escape(href)}"${title} target="_blank" rel="noopener noreferrer">${label}</a>`;
+                }
+                case 'image': {
+                    const src = this.sanitizeUrl(node.url, true);
+                    if (!src) return this.escape(node.alt || '');
+                    const title = node.title ? ` title="${this.escape(node.title)}"` : '';
+                    return `<img src="${this.escape(src)}" alt="${this.escape(node.alt || '')}"${title} />`;
+                }
+                default:
+                    return node.children ? this.renderInline(node.children, opts) : this.escape(node.value || '');
+            }
+        }).join('');
+    }
+
+    // ============================================
+    // SANITISATION
+    // ============================================
+
+    static sanitizeUrl(url, isImage = false) {
+        // Browsers ignore control characters and whitespace inside schemes ("java\tscript:")
+        const original = String(url || '').trim();
+        const cleaned = original.replace(/[\u0000- \u007f-\u009f]/g, '');
+        if (!cleaned) return null;
+        if (isImage && this.SAFE_IMAGE_DATA.test(cleaned)) return original;
+        if (this.SAFE_URL.test(cleaned)) return original;
+        // Relative paths without a scheme ("docs/page.html")
+        if (!/^[a-z][a-z0-9+.-]*:/i.test(cleaned)) return original;
+        return null;
+    }
+
+    /**
+     * Escape text for element content and double-quoted attributes
+     */
+    static escape(text) {
+        return String(text ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { MarkdownParser, MarkdownRenderer };
+}
@@ -169,7 +169,7 @@ const NetworkInterceptor = {
                 uuid: item.uuid || item.id || item.session_id || item.chat_session_id || item.conversationId,
                 title: item.title || item.name || 'Untitled',
                 last_query_datetime: item.last_query_datetime || item.updated_at || item.updatedAt ||
-                    item.create_time || item.createdAt || new Date().toISOString()
+                    item.create_time || item.createdAt || null
             })).filter(i => i.uuid);
         } catch (e) {
             return [];
@@ -0,0 +1,538 @@
+// OmniExporter AI - Notion Block Builder
+// Converts a canonical conversation into Notion block children.
+// Shared by the popup, the dashboard and the auto-sync service worker.
+
+class NotionBlockBuilder {
+    // Notion rejects rich_text content longer than 2000 characters
+    static TEXT_LIMIT = 1900;
+    static MAX_SOURCES = 10;
+    static MAX_RELATED = 5;
+
+    // Notion API limits (https://developers.notion.com/reference/request-limits)
+    static MAX_CHILDREN = 100;          // blocks per children array
+    static MAX_RICH_TEXT = 100;         // rich_text items per block
+    static MAX_TEXT_CONTENT = 2000;     // characters per rich_text item
+    static MAX_EQUATION = 1000;         // characters per equation expression
+    static MAX_DEPTH = 2;               // levels of nesting per request
+    static MAX_REQUEST_BLOCKS = 1000;   // blocks (nested included) per request
+    static MAX_REQUEST_BYTES = 450000;  // stay under the 500KB payload limit
+
+    static CODE_LANGUAGES = new Set([
+        'abap', 'arduino', 'bash', 'basic', 'c', 'clojure', 'coffeescript', 'c++', 'c#', 'css', 'dart',
+        'diff', 'docker', 'elixir', 'elm', 'erlang', 'flow', 'fortran', 'f#', 'gherkin', 'glsl', 'go',
+        'graphql', 'groovy', 'haskell', 'html', 'java', 'javascript', 'json', 'julia', 'kotlin', 'latex',
+        'less', 'lisp', 'livescript', 'lua', 'makefile', 'markdown', 'markup', 'matlab', 'mermaid', 'nix',
+        'objective-c', 'ocaml', 'pascal', 'perl', 'php', 'plain text', 'powershell', 'prolog', 'protobuf',
+        'python', 'r', 'reason', 'ruby', 'rust', 'sass', 'scala', 'scheme', 'scss', 'shell', 'sql',
+        'swift', 'typescript', 'vb.net', 'verilog', 'vhdl', 'visual basic', 'webassembly', 'xml', 'yaml'
+    ]);
+
+    // Fence info strings → Notion language names
+    static CODE_ALIASES = {
+        js: 'javascript', jsx: 'javascript', mjs: 'javascript', cjs: 'javascript', node: 'javascript',
+        ts: 'typescript', tsx: 'typescript', py: 'python', python3: 'python', rb: 'ruby', rs: 'rust',
+        sh: 'shell', zsh: 'shell', console: 'shell', shellscript: 'shell', ps1: 'powershell', pwsh: 'powershell',
+        cpp: 'c++', cc: 'c++', cxx: 'c++', hpp: 'c++', h: 'c', cs: 'c#', csharp: 'c#', fs: 'f#', fsharp: 'f#',
+        kt: 'kotlin', kts: 'kotlin', golang: 'go', yml: 'yaml', md: 'markdown', tex: 'latex',
+        dockerfile: 'docker', objc: 'objective-c', 'objective-c++': 'objective-c', proto: 'protobuf',
+        make: 'makefile', vb: 'visual basic', vbnet: 'vb.net', wasm: 'webassembly', svg: 'xml',
+        jsonc: 'json', json5: 'json', text: 'plain text', txt: 'plain text', plaintext: 'plain text',
+        postgres: 'sql', postgresql: 'sql', mysql: 'sql', sqlite: 'sql', patch: 'diff', erl: 'erlang',
+        ex: 'elixir', exs: 'elixir', hs: 'haskell', pl: 'perl', jl: 'julia', m: 'matlab'
+    };
+
+    /**
+     * Build page children for a conversation.
+     * options.layout: 'qa' | 'messages' (see ConversationSchema.RENDER_DEFAULTS)
+     * options.reasoning: false strips reasoning/thinking parts
+     * options.header: callout text shown at the top of the page
+     */
+    static build(conversation, options = {}) {
+        if (options.reasoning === false) {
+            conversation = ConversationSchema.stripReasoning(conversation);
+        }
+        const children = [];
+        const header = options.header || `Exported from ${conversation.platform} on ${new Date().toLocaleString()}`;
+
+        children.push({
+            type: "callout",
+            callout: {
+                icon: { emoji: "🤖" },
+                color: "blue_background",
+                rich_text: [this.richText(header)]
+            }
+        });
+        children.push(this.divider());
+
+        if (options.layout === 'messages') {
+            this.appendMessages(children, conversation);
+        } else {
+            this.appendTurns(children, conversation);
+        }
+
+        return children;
+    }
+
+    // ============================================
+    // LAYOUTS
+    // ============================================
+
+    static appendTurns(children, conversation) {
+        const turns = ConversationSchema.toTurns(conversation);
+
+        turns.forEach((turn, index) => {
+            const query = ConversationSchema.getTurnQuery(turn);
+            if (query) {
+                children.push(this.heading('heading_2', `🙋 ${query}`));
+            }
+
+            this.appendReasoning(children, ConversationSchema.getTurnReasoning(turn));
+
+            // Answer as native blocks (code, lists, tables...) converted from Markdown
+            const answer = ConversationSchema.getTurnAnswer(turn);
+            if (answer) {
+                this.markdown(answer).forEach(block => children.push(block));
+            }
+
+            this.appendSources(children, ConversationSchema.getTurnCitations(turn));
+            this.appendRelated(children, turn.responses.flatMap(m => m.metadata.relatedQueries || []));
+            [turn.query, ...turn.responses].forEach(message => this.appendBranches(children, message));
+
+            if (index < turns.length - 1) {
+                children.push(this.divider());
+            }
+        });
+    }
+
+    static appendMessages(children, conversation) {
+        const messages = conversation.messages;
+
+        messages.forEach((message, index) => {
+            const icon = ConversationSchema.ROLE_ICONS[message.role] || '💬';
+            children.push(this.heading('heading_3', `${icon} ${ConversationSchema.getAuthorLabel(message)}`));
+            this.appendReasoning(children, ConversationSchema.getReasoning(message));
+
+            // Prompts are kept as typed; everything else is Markdown
+            const text = ConversationSchema.getText(message);
+            if (text) {
+                const blocks = message.role === 'user' ? this.paragraphs(text) : this.markdown(text);
+                blocks.forEach(block => children.push(block));
+            }
+
+            message.attachments.forEach(a => {
+                children.push(this.bullet(`📎 ${a.name || a.url || 'Attachment'}`, a.url));
+            });
+
+            this.appendSources(children, message.citations);
+            this.appendRelated(children, message.metadata.relatedQueries || []);
+            this.appendBranches(children, message);
+
+            // Only separate exchanges, not consecutive responses
+            if (index < messages.length - 1 && messages[index + 1].role === 'user') {
+                children.push(this.divider());
+            }
+        });
+    }
+
+    static appendSources(children, sources) {
+        if (sources.length === 0) return;
+        children.push(this.heading('heading_3', '📚 Sources'));
+        sources.slice(0, this.MAX_SOURCES).forEach(source => {
+            children.push(this.bullet(source.title.slice(0, 200), source.url));
+        });
+    }
+
+    static appendRelated(children, related) {
+        if (related.length === 0) return;
+        children.push(this.heading('heading_3', '🔗 Related Questions'));
+        related.slice(0, this.MAX_RELATED).forEach(q => {
+            children.push(this.bullet(String(q).slice(0, 200)));
+        });
+    }
+
+    static appendReasoning(children, reasoning) {
+        if (!reasoning) return;
+        children.push({
+            type: "toggle",
+            toggle: {
+                rich_text: [this.richText('💭 Reasoning')],
+                children: this.markdown(reasoning, 1).slice(0, this.MAX_CHILDREN)
+            }
+        });
+    }
+
+    /**
+     * Alternate versions of a message as one collapsed toggle per branch.
+     * Notion accepts only two levels of nesting per request, so branches
+     * nested inside a branch are flattened into the same toggle.
+     */
+    static appendBranches(children, message) {
+        (message?.branches || []).forEach((branch, i) => {
+            const inner = [];
+            this.appendBranchMessages(inner, branch);
+            children.push({
+                type: "toggle",
+                toggle: {
+                    rich_text: [this.richText(`🔀 Alternative ${i + 1} of ${message.branches.length}`)],
+                    children: inner.slice(0, this.MAX_CHILDREN)
+                }
+            });
+        });
+    }
+
+    static appendBranchMessages(inner, messages) {
+        messages.forEach(message => {
+            const icon = ConversationSchema.ROLE_ICONS[message.role] || '💬';
+            inner.push(this.heading('heading_3', `${icon} ${ConversationSchema.getAuthorLabel(message)}`));
+
+            // Already inside a toggle, so reasoning becomes quotes instead of a nested toggle
+            const reasoning = ConversationSchema.getReasoning(message);
+            if (reasoning) {
+                this.splitText(reasoning).forEach(chunk => {
+                    inner.push({ type: "quote", quote: { rich_text: [this.richText(chunk)] } });
+                });
+            }
+
+            const text = ConversationSchema.getText(message);
+            if (text) {
+                const blocks = message.role === 'user' ? this.paragraphs(text) : this.markdown(text, 1);
+                blocks.forEach(block => inner.push(block));
+            }
+
+            (message.branches || []).forEach((branch, i) => {
+                inner.push(this.heading('heading_3', `🔀 Alternative ${i + 1} of ${message.branches.length}`));
+                this.appendBranchMessages(inner, branch);
+            });
+        });
+    }
+
+    // ============================================
+    // MARKDOWN → NOTION BLOCKS
+    // ============================================
+
+    /**
+     * Convert Markdown into native Notion blocks. `depth` is the nesting level
+     * the blocks will be created at (0 = page children); content that would
+     * exceed MAX_DEPTH is flattened into siblings.
+     */
+    static markdown(text, depth = 0) {
+        if (typeof MarkdownParser === 'undefined') return this.paragraphs(text);
+        return this.convertNodes(MarkdownParser.parse(text).children, depth);
+    }
+
+    static convertNodes(nodes, depth) {
+        return nodes.flatMap(node => this.convertNode(node, depth));
+    }
+
+    static convertNode(node, depth) {
+        switch (node.type) {
+            case 'paragraph': {
+                // A paragraph holding only an image becomes an image block
+                const only = node.children.length === 1 ? node.children[0] : null;
+                if (only?.type === 'image' && /^https?:\/\//i.test(only.url)) {
+                    return [{ type: "image", image: { type: "external", external: { url: only.url } } }];
+                }
+                return this.textBlocks('paragraph', this.toRichText(node.children));
+            }
+            case 'heading': {
+                const type = `heading_${Math.min(node.depth, 3)}`;
+                return this.textBlocks(type, this.toRichText(node.children)).slice(0, 1);
+            }
+            case 'thematicBreak':
+                return [this.divider()];
+            case 'code':
+                return this.codeBlocks(node.value, node.lang);
+            case 'math':
+                return [this.equationBlock(node.value)];
+            case 'blockquote': {
+                const [first, ...rest] = node.children;
+                const lead = first?.type === 'paragraph';
+                const rich = lead ? this.toRichText(first.children) : [];
+                const blocks = this.textBlocks('quote', rich.length > 0 ? rich : [this.richText('')]);
+                const last = blocks.pop();
+                return [...blocks, ...this.nest(last, lead ? rest : node.children, depth)];
+            }
+            case 'list':
+                return node.children.flatMap(item => this.listItemBlocks(node, item, depth));
+            case 'table':
+                return this.tableBlocks(node, depth);
+            default:
+                return [];
+        }
+    }
+
+    static listItemBlocks(list, item, depth) {
+        const type = item.checked !== null ? 'to_do' : list.ordered ? 'numbered_list_item' : 'bulleted_list_item';
+        const [first, ...rest] = item.children;
+        const lead = first?.type === 'paragraph';
+        const block = {
+            type,
+            [type]: { rich_text: (lead ? this.toRichText(first.children) : []).slice(0, this.MAX_RICH_TEXT) }
+        };
+        if (type === 'to_do') block.to_do.checked = item.checked;
+        return this.nest(block, lead ? rest : item.children, depth);
+    }
+
+    /**
+     * Attach converted child nodes to a block, or emit them as following
+     * siblings when the block already sits at the maximum depth
+     */
+    static nest(block, nodes, depth) {
+        if (nodes.length === 0) return [block];
+        if (depth < this.MAX_DEPTH) {
+            block[block.type].children = this.convertNodes(nodes, depth + 1).slice(0, this.MAX_CHILDREN);
+            return [block];
+        }
+        return [block, ...this.convertNodes(nodes, depth)];
+    }
+
+    static tableBlocks(node, depth) {
+        const rows = node.children.map(row => row.children.map(cell => this.toRichText(cell.children).slice(0, this.MAX_RICH_TEXT)));
+
+        // Table rows are children, so a table cannot start at the deepest level
+        if (depth >= this.MAX_DEPTH) {
+            return rows.map(cells => this.textBlocks('paragraph', cells.flatMap((cell, i) =>
+                i === 0 ? cell : [this.richText(' | '), ...cell]))).flat();
+        }
+
+        const [header, ...body] = rows;
+        const toRow = cells => ({ type: "table_row", table_row: { cells } });
+        const tables = [];
+        const perTable = this.MAX_CHILDREN - 1; // header is repeated in every split table
+        for (let i = 0; i === 0 || i < body.length; i += perTable) {
+            tables.push({
+                type: "table",
+                table: {
+                    table_width: node.align.length,
+                    has_column_header: true,
+                    has_row_header: false,
+                    children: [toRow(header), ...body.slice(i, i + perTable).map(toRow)]
+                }
+            });
+        }
+        return tables;
+    }
+
+    static codeBlocks(value, lang) {
+        const language = this.codeLanguage(lang);
+        const chunks = this.chunkString(value || ' ', this.MAX_TEXT_CONTENT);
+        const blocks = [];
+        for (let i = 0; i < chunks.length; i += this.MAX_RICH_TEXT) {
+            blocks.push({
+                type: "code",
+                code: {
+                    language,
+                    rich_text: chunks.slice(i, i + this.MAX_RICH_TEXT).map(chunk => ({ type: "text", text: { content: chunk } }))
+                }
+            });
+        }
+        return blocks;
+    }
+
+    static codeLanguage(lang) {
+        const key = String(lang || '').toLowerCase();
+        const name = this.CODE_ALIASES[key] || key;
+        return this.CODE_LANGUAGES.has(name) ? name : 'plain text';
+    }
+
+    static equationBlock(expression) {
+        if (expression.length > this.MAX_EQUATION) {
+            return this.codeBlocks(expression, 'latex')[0];
+        }
+        return { type: "equation", equation: { expression } };
+    }
+
+    /**
+     * Split rich text across as many blocks as the 100-item limit requires
+     */
+    static textBlocks(type, richText) {
+        const blocks = [];
+        for (let i = 0; i < richText.length; i += this.MAX_RICH_TEXT) {
+            blocks.push({ type, [type]: { rich_text: richText.slice(i, i + this.MAX_RICH_TEXT) } });
+        }
+        return blocks;
+    }
+
+    // ============================================
+    // RICH TEXT
+    // ============================================
+
+    /**
+     * Flatten inline Markdown nodes into annotated Notion rich_text items
+     */
+    static toRichText(nodes) {
+        const items = [];
+        const walk = (list, annotations, url) => list.forEach(node => {
+            switch (node.type) {
+                case 'text':
+                    this.pushText(items, node.value, annotations, url);
+                    break;
+                case 'break':
+                    this.pushText(items, '\n', annotations, url);
+                    break;
+                case 'strong':
+                    walk(node.children, { ...annotations, bold: true }, url);
+                    break;
+                case 'emphasis':
+                    walk(node.children, { ...annotations, italic: true }, url);
+                    break;
+                case 'delete':
+                    walk(node.children, { ...annotations, strikethrough: true }, url);
+                    break;
+                case 'inlineCode':
+                    this.pushText(items, node.value, { ...annotations, code: true }, url);
+                    break;
+                case 'inlineMath':
+                    if (node.value.length <= this.MAX_EQUATION) {
+                        items.push({ type: "equation", equation: { expression: node.value } });
+                    } else {
+                        this.pushText(items, node.value, { ...annotations, code: true }, url);
+                    }
+                    break;
+                case 'link':
+                    walk(node.children, annotations, this.linkUrl(node.url) || url);
+                    break;
+                case 'image':
+                    this.pushText(items, node.alt || node.url, annotations, this.linkUrl(node.url) || url);
+                    break;
+                default:
+                    if (node.children) walk(node.children, annotations, url);
+            }
+        });
+        walk(nodes, {}, null);
+        return items;
+    }
+
+    static pushText(items, content, annotations, url) {
+        if (!content) return;
+        const prev = items[items.length - 1];
+        const sameStyle = prev?.type === 'text' &&
+            (prev.text.link?.url || null) === url &&
+            JSON.stringify(prev.annotations || {}) === JSON.stringify(this.annotationsFor(annotations) || {});
+
+        if (sameStyle && prev.text.content.length + content.length <= this.MAX_TEXT_CONTENT) {
+            prev.text.content += content;
+            return;
+        }
+
+        this.chunkString(content, this.MAX_TEXT_CONTENT).forEach(chunk => {
+            const item = this.richText(chunk, url);
+            const ann = this.annotationsFor(annotations);
+            if (ann) item.annotations = ann;
+            items.push(item);
+        });
+    }
+
+    static annotationsFor(annotations) {
+        const keys = ['bold', 'italic', 'strikethrough', 'code'].filter(k => annotations[k]);
+        if (keys.length === 0) return null;
+        return Object.fromEntries(keys.map(k => [k, true]));
+    }
+
+    // Notion only accepts absolute http(s)/mailto links
+    static linkUrl(url) {
+        return /^(https?:\/\/|mailto:)/i.test(url || '') && url.length <= 2000 ? url : null;
+    }
+
+    static chunkString(text, size) {
+        const chunks = [];
+        for (let i = 0; i < text.length; i += size) chunks.push(text.slice(i, i + size));
+        return chunks.length > 0 ? chunks : [''];
+    }
+
+    // ============================================
+    // REQUEST BATCHING
+    // ============================================
+
+    /**
+     * Split page children into request-sized batches: at most 100 top-level
+     * blocks, 1000 blocks including nested children, and ~450KB per request.
+     * The first batch goes with page creation, the rest are appended.
+     */
+    static batches(blocks) {
+        const batches = [];
+        let current = [];
+        let count = 0;
+        let bytes = 0;
+
+        blocks.forEach(block => {
+            const blockCount = this.countBlocks(block);
+            const blockBytes = JSON.stringify(block).length;
+            if (current.length > 0 && (current.length >= this.MAX_CHILDREN ||
+                count + blockCount > this.MAX_REQUEST_BLOCKS || bytes + blockBytes > this.MAX_REQUEST_BYTES)) {
+                batches.push(current);
+                current = [];
+                count = 0;
+                bytes = 0;
+            }
+            current.push(block);
+            count += blockCount;
+            bytes += blockBytes;
+        });
+        if (current.length > 0) batches.push(current);
+        return batches;
+    }
+
+    static countBlocks(block) {
+        const children = block[block.type]?.children || [];
+        return 1 + children.reduce((sum, child) => sum + this.countBlocks(child), 0);
+    }
+
+    // ============================================
+    // BLOCK HELPERS
+    // ============================================
+
+    static richText(content, url = null) {
+        const text = { content: String(content).slice(0, this.MAX_TEXT_CONTENT) };
+        if (url) text.link = { url };
+        return { type: "text", text };
+    }
+
+    static heading(type, content) {
+        return { type, [type]: { rich_text: [this.richText(content)] } };
+    }
+
+    static paragraphs(text) {
+        return this.splitText(text).map(chunk => ({
+            type: "paragraph",
+            paragraph: { rich_text: [this.richText(chunk)] }
+        }));
+    }
+
+    static bullet(content, url = null) {
+        return {
+            type: "bulleted_list_item",
+            bulleted_list_item: { rich_text: [this.richText(content, url)] }
+        };
+    }
+
+    static divider() {
+        return { type: "divider", divider: {} };
+    }
+
+    /**
+     * Split text at newline/sentence/word boundaries to fit Notion's limit
+     */
+    static splitText(text, maxLength = this.TEXT_LIMIT) {
+        const chunks = [];
+        let remaining = text;
+        while (remaining.length > 0) {
+            if (remaining.length <= maxLength) {
+                chunks.push(remaining);
+                break;
+            }
+            let bp = remaining.lastIndexOf('\n', maxLength);
+            if (bp < maxLength / 2) bp = remaining.lastIndexOf('. ', maxLength);
+            if (bp < maxLength / 2) bp = remaining.lastIndexOf(' ', maxLength);
+            if (bp < maxLength / 2) bp = maxLength;
+            chunks.push(remaining.slice(0, bp + 1).trim());
+            remaining = remaining.slice(bp + 1);
+        }
+        return chunks.filter(Boolean);
+    }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = NotionBlockBuilder;
+}
@@ -0,0 +1,305 @@
+// OmniExporter AI - Notion Sync Client
+// Creates or updates the Notion page for a conversation. Shared by the popup,
+// the dashboard and the auto-sync service worker.
+//
+// Every synced conversation is remembered in chrome.storage.local:
+//   notionPageMap = { [uuid]: { pageId, url, dbId, messageCount, lastMessageKey, syncedAt } }
+// so re-syncing updates the existing page instead of creating a duplicate.
+
+class NotionSyncClient {
+    static API_BASE = 'https://api.notion.com/v1';
+    static API_VERSION = '2022-06-28';
+    static PAGE_MAP_KEY = 'notionPageMap';
+
+    // 'append': add only messages that arrived since the last sync
+    // 'replace': rewrite the page body from scratch
+    static UPDATE_MODES = ['append', 'replace'];
+    static DEFAULT_UPDATE_MODE = 'append';
+
+    static SCHEMA_CACHE_TTL = 5 * 60 * 1000;
+    static schemaCache = {};
+
+    /**
+     * @param {string} token - Notion integration or OAuth token
+     * @param {Object} options
+     * @param {Function} options.throttle - wraps each request (e.g. RateLimiter#throttle)
+     */
+    constructor(token, options = {}) {
+        this.token = token;
+        this.throttle = options.throttle || (fn => fn());
+        this.maxRetries = options.maxRetries ?? 3;
+    }
+
+    // ============================================
+    // SYNC
+    // ============================================
+
+    /**
+     * Create the conversation's page, or update the page it was synced to before.
+     * Returns the Notion page plus `action`: 'created' | 'appended' | 'replaced' | 'updated'.
+     */
+    async syncConversation(conversation, { dbId, properties, renderOptions = {}, mode } = {}) {
+        const updateMode = mode || await NotionSyncClient.loadUpdateMode();
+        const entry = conversation.uuid ? await NotionSyncClient.getPageEntry(conversation.uuid) : null;
+
+        if (entry && entry.dbId === dbId) {
+            const page = await this.getLivePage(entry.pageId);
+            if (page) {
+                return this.updatePage(page, entry, conversation, { properties, renderOptions, mode: updateMode });
+            }
+            console.warn(`[NotionSync] Page for ${conversation.uuid} was deleted, creating a new one`);
+        }
+
+        return this.createPage(conversation, { dbId, properties, renderOptions });
+    }
+
+    async createPage(conversation, { dbId, properties, renderOptions }) {
+        const blocks = NotionBlockBuilder.build(conversation, renderOptions);
+        const [firstBatch = [], ...moreBatches] = NotionBlockBuilder.batches(blocks);
+
+        const page = await this.request('POST', '/pages', {
+            parent: { database_id: dbId },
+            properties,
+            children: firstBatch
+        });
+        await this.appendBatches(page.id, moreBatches);
+
+        await NotionSyncClient.savePageEntry(conversation, page, dbId);
+        console.log(`[NotionSync] Created page for "${conversation.title}" (${blocks.length} blocks)`);
+        return { ...page, action: 'created' };
+    }
+
+    async updatePage(page, entry, conversation, { properties, renderOptions, mode }) {
+        if (properties) {
+            page = await this.request('PATCH', `/pages/${page.id}`, { properties });
+        }
+
+        const messages = conversation.messages;
+        const previousCount = entry.messageCount || 0;
+        // Appending is only safe when the already-synced messages are unchanged
+        const prefixIntact = previousCount <= messages.length &&
+            (previousCount === 0 || NotionSyncClient.messageKey(messages[previousCount - 1]) === entry.lastMessageKey);
+
+        let action;
+        if (mode === 'append' && prefixIntact) {
+            const newMessages = messages.slice(previousCount);
+            if (newMessages.length === 0) {
+                action = 'updated';
+            } else {
+                const blocks = [
+                    NotionBlockBuilder.divider(),
+                    ...NotionBlockBuilder.build({ ...conversation, messages: newMessages }, {
+                        ...renderOptions,
+                        header: `Updated from ${conversation.platform} on ${new Date().toLocaleString()}`
+                    })
+                ];
+                await this.appendBatches(page.id, NotionBlockBuilder.batches(blocks));
+                action = 'appended';
+            }
+        } else {
+            await this.clearPage(page.id);
+            const blocks = NotionBlockBuilder.build(conversation, renderOptions);
+            await this.appendBatches(page.id, NotionBlockBuilder.batches(blocks));
+            action = 'replaced';
+        }
+
+        await NotionSyncClient.savePageEntry(conversation, page, entry.dbId);
+        console.log(`[NotionSync] ${action} page for "${conversation.title}"`);
+        return { ...page, action };
+    }
+
+    // ============================================
+    // PROPERTIES
+    // ============================================
+
+    /**
+     * Page properties for a conversation: the title, plus URL, Chat Time,
+     * Space Name, Platform and Tags for whichever of those columns the
+     * database has. Falls back to the title alone if the schema can't be read.
+     */
+    async buildProperties(conversation, dbId) {
+        const properties = {
+            title: { title: [{ type: 'text', text: { content: (conversation.title || 'Untitled Chat').slice(0, 2000) } }] }
+        };
+
+        let columns;
+        try {
+            columns = (await this.getDatabaseSchema(dbId)).properties || {};
+        } catch (error) {
+            console.warn('[NotionSync] Schema fetch failed, using title only:', error.message);
+            return properties;
+        }
+
+        if (columns['URL'] && conversation.url) {
+            properties.URL = { url: conversation.url };
+        }
+        const chatTime = conversation.updatedAt || conversation.createdAt;
+        if (columns['Chat Time'] && chatTime && !isNaN(new Date(chatTime))) {
+            properties['Chat Time'] = { date: { start: new Date(chatTime).toISOString() } };
+        }
+        if (columns['Space Name'] && conversation.spaceName) {
+            properties['Space Name'] = { rich_text: [{ type: 'text', text: { content: conversation.spaceName } }] };
+        }
+        if (columns['Platform']) {
+            properties.Platform = { select: { name: conversation.platform || 'Unknown' } };
+        }
+        if (columns['Tags']) {
+            properties.Tags = { multi_select: [{ name: conversation.platform || 'AI' }] };
+        }
+        return properties;
+    }
+
+    /**
+     * Database schema, cached for a few minutes per database
+     */
+    async getDatabaseSchema(dbId) {
+        const cached = NotionSyncClient.schemaCache[dbId];
+        if (cached && Date.now() - cached.time < NotionSyncClient.SCHEMA_CACHE_TTL) return cached.schema;
+
+        const schema = await this.request('GET', `/databases/${dbId}`);
+        NotionSyncClient.schemaCache[dbId] = { schema, time: Date.now() };
+        return schema;
+    }
+
+    // ============================================
+    // PAGE CONTENT
+    // ============================================
+
+    /**
+     * The page if it still exists and is not in the trash, otherwise null
+     */
+    async getLivePage(pageId) {
+        try {
+            const page = await this.request('GET', `/pages/${pageId}`);
+            return page.archived || page.in_trash ? null : page;
+        } catch (error) {
+            if (error.status === 404 || error.code === 'object_not_found') return null;
+            throw error;
+        }
+    }
+
+    async appendBatches(pageId, batches) {
+        for (const batch of batches) {
+            await this.request('PATCH', `/blocks/${pageId}/children`, { children: batch });
+        }
+    }
+
+    /**
+     * Remove the page body. Sub-pages and databases the user added are kept.
+     */
+    async clearPage(pageId) {
+        const blockIds = [];
+        let cursor;
+        do {
+            const query = `page_size=100${cursor ? `&start_cursor=${cursor}` : ''}`;
+            const result = await this.request('GET', `/blocks/${pageId}/children?${query}`);
+            result.results
+                .filter(block => block.type !== 'child_page' && block.type !== 'child_database')
+                .forEach(block => blockIds.push(block.id));
+            cursor = result.has_more ? result.next_cursor : null;
+        } while (cursor);
+
+        for (const id of blockIds) {
+            await this.request('DELETE', `/blocks/${id}`);
+        }
+    }
+
+    // ============================================
+    // HTTP
+    // ============================================
+
+    /**
+     * JSON request with retries for rate limits and server errors.
+     * Failures throw an Error carrying Notion's `code` and the HTTP `status`.
+     */
+    async request(method, path, body) {
+        let lastError;
+        for (let attempt = 0; attempt < this.maxRetries; attempt++) {
+            const response = await this.throttle(() => fetch(`${NotionSyncClient.API_BASE}${path}`, {
+                method,
+                headers: {
+                    'Authorization': `Bearer ${this.token}`,
+                    'Content-Type': 'application/json',
+                    'Notion-Version': NotionSyncClient.API_VERSION
+                },
+                body: body ? JSON.stringify(body) : undefined
+            }));
+
+            if (response.ok) return response.json();
+
+            const data = await response.json().catch(() => ({}));
+            lastError = Object.assign(new Error(data.message || `Notion API error ${response.status}`), {
+                code: data.code,
+                status: response.status
+            });
+
+            if (response.status !== 429 && response.status < 500) throw lastError;
+
+            const retryAfter = parseFloat(response.headers.get('Retry-After'));
+            const delay = Number.isFinite(retryAfter) ? retryAfter * 1000 : 1000 * Math.pow(2, attempt);
+            console.warn(`[NotionSync] ${response.status} on ${method} ${path}, retrying in ${delay}ms`);
+            await new Promise(r => setTimeout(r, delay));
+        }
+        throw lastError;
+    }
+
+    // ============================================
+    // PAGE MAP (uuid → Notion page)
+    // ============================================
+
+    static async loadUpdateMode() {
+        const { notionUpdateMode } = await chrome.storage.local.get('notionUpdateMode');
+        return this.UPDATE_MODES.includes(notionUpdateMode) ? notionUpdateMode : this.DEFAULT_UPDATE_MODE;
+    }
+
+    static async getPageMap() {
+        const data = await chrome.storage.local.get(this.PAGE_MAP_KEY);
+        return data[this.PAGE_MAP_KEY] || {};
+    }
+
+    static async getPageEntry(uuid) {
+        const map = await this.getPageMap();
+        return map[uuid] || null;
+    }
+
+    static async savePageEntry(conversation, page, dbId) {
+        if (!conversation.uuid) return;
+        const map = await this.getPageMap();
+        const messages = conversation.messages;
+        map[conversation.uuid] = {
+            pageId: page.id,
+            url: page.url || map[conversation.uuid]?.url || null,
+            dbId,
+            messageCount: messages.length,
+            lastMessageKey: messages.length > 0 ? this.messageKey(messages[messages.length - 1]) : null,
+            syncedAt: new Date().toISOString()
+        };
+        await chrome.storage.local.set({ [this.PAGE_MAP_KEY]: map });
+    }
+
+    static async forgetPage(uuid) {
+        const map = await this.getPageMap();
+        delete map[uuid];
+        await chrome.storage.local.set({ [this.PAGE_MAP_KEY]: map });
+    }
+
+    /**
+     * Identity of a message for detecting edited history: the platform id
+     * when there is one, otherwise a hash of role and text
+     */
+    static messageKey(message) {
+        if (message.id) return String(message.id);
+        const str = `${message.role}|${ConversationSchema.getText(message)}`;
+        let hash = 0;
+        for (let i = 0; i < str.length; i++) {
+            hash = ((hash << 5) - hash) + str.charCodeAt(i);
+            hash = hash & hash;
+        }
+        return hash.toString(36);
+    }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = NotionSyncClient;
+}
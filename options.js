@@ -12,9 +12,12 @@ let currentPage = 1;
 let itemsPerPage = 50; // Increased from 20 for faster loading
 let hasMoreThreads = true;
 let exportedUuids = new Set();
+let exportFingerprints = {}; // uuid → DuplicateDetector fingerprint of the last export
 let exportHistory = [];
 let syncStatusMap = {};
-let exportStartTime = null;
+let syncQueueWasActive = false; // to announce when a job the page watched finishes
+let threadSort = { key: 'date', dir: 'desc' };
+let archivedMessageCounts = new Map(); // `${platform}:${uuid}` → message count of the archived copy
 
 // ============================================
 // PERFORMANCE & SECURITY UTILITIES (Phase 2)
@@ -97,36 +100,6 @@ class RequestDeduplicator {
 
 const reqDeduplication = new RequestDeduplicator();
 
-const SCHEMA_CACHE_TTL = 5 * 60 * 1000; // 5 minutes
-
-// Notion Schema Cache
-let notionSchemaCache = null;
-let schemaCacheTime = 0;
-
-// ============================================
-// FIX 11: RETRY LOGIC WITH EXPONENTIAL BACKOFF
-// ============================================
-async function withRetry(fn, maxRetries = 3, baseDelayMs = 2000) {
-    let lastError;
-    for (let attempt = 0; attempt < maxRetries; attempt++) {
-        try {
-            return await fn();
-        } catch (error) {
-            lastError = error;
-            // Don't retry on auth or validation errors
-            if (error.message?.includes('unauthorized') || error.message?.includes('Invalid')) {
-                throw error;
-            }
-            if (attempt < maxRetries - 1) {
-                const delay = baseDelayMs * Math.pow(2, attempt); // 2s, 4s, 8s
-                console.warn(`[OmniExporter] Retry ${attempt + 1}/${maxRetries} after ${delay}ms:`, error.message);
-                await new Promise(r => setTimeout(r, delay));
-            }
-        }
-    }
-    throw lastError;
-}
-
 // ============================================
 // FIX 12: NOTION ERROR MAPPER
 // ============================================
@@ -215,44 +188,6 @@ class RateLimiter {
 
 const notionRateLimiter = new RateLimiter(30);
 
-// ============================================
-// FIX 17: EXPORT PROGRESS MANAGER
-// ============================================
-class ExportProgressManager {
-    static async saveProgress(jobId, progress) {
-        await chrome.storage.local.set({
-            [`export_progress_${jobId}`]: {
-                ...progress,
-                lastUpdate: Date.now()
-            }
-        });
-    }
-
-    static async loadProgress(jobId) {
-        const key = `export_progress_${jobId}`;
-        const data = await chrome.storage.local.get(key);
-        return data[key] || null;
-    }
-
-    static async clearProgress(jobId) {
-        await chrome.storage.local.remove(`export_progress_${jobId}`);
-    }
-
-    static async getActiveJob() {
-        const data = await chrome.storage.local.get(null);
-        for (const key of Object.keys(data)) {
-            if (key.startsWith('export_progress_')) {
-                const progress = data[key];
-                // Only return if less than 1 hour old and not complete
-                if (Date.now() - progress.lastUpdate < 60 * 60 * 1000 && progress.current < progress.total) {
-                    return { jobId: key.replace('export_progress_', ''), progress };
-                }
-            }
-        }
-        return null;
-    }
-}
-
 // ============================================
 // PHASE 4: DATA VALIDATOR
 // ============================================
@@ -270,19 +205,22 @@ class DataValidator {
             return { valid: false, errors, warnings, completeness: 0, stats: {} };
         }
 
+        const conversation = ConversationSchema.normalize(data, platform);
+        errors.push(...ConversationSchema.validate(conversation).errors);
+
         // Title validation
-        if (!data.title || data.title.trim() === '' || data.title === 'Untitled') {
+        if (!conversation.title || conversation.title.trim() === '' || conversation.title === 'Untitled') {
             warnings.push('Thread has no meaningful title');
         }
 
         // UUID validation
-        if (!data.uuid) {
+        if (!conversation.uuid) {
             errors.push('Missing thread UUID');
         }
 
         // Content validation
-        const entries = data.detail?.entries || [];
-        if (entries.length === 0) {
+        const turns = ConversationSchema.toTurns(conversation);
+        if (turns.length === 0) {
             errors.push('No conversation entries found');
         }
 
@@ -291,58 +229,35 @@ class DataValidator {
         let totalQuestions = 0;
         let totalAnswers = 0;
 
-        entries.forEach((entry, idx) => {
+        turns.forEach(turn => {
             // Check for questions
-            const hasQuestion = !!(entry.query || entry.query_str);
-            if (hasQuestion) {
+            if (ConversationSchema.getTurnQuery(turn)) {
                 totalQuestions++;
                 contentScore += 10;
             }
 
             // Check for answers
-            let hasAnswer = false;
-            if (entry.blocks && Array.isArray(entry.blocks)) {
-                const hasTextBlock = entry.blocks.some(b =>
-                    b.intended_usage === 'ask_text' &&
-                    b.markdown_block &&
-                    (b.markdown_block.answer || b.markdown_block.chunks)
-                );
-                if (hasTextBlock) {
-                    hasAnswer = true;
-                    totalAnswers++;
-                    contentScore += 15;
-                }
-            }
-
-            if (!hasAnswer && (entry.answer || entry.text)) {
-                hasAnswer = true;
+            if (ConversationSchema.getTurnAnswer(turn)) {
                 totalAnswers++;
                 contentScore += 15;
-            }
-
-            if (!hasAnswer) {
+            } else {
                 emptyEntries++;
             }
         });
 
         // Calculate completeness score (0-100)
-        const maxScore = entries.length * 25;
+        const maxScore = turns.length * 25;
         const completeness = maxScore > 0 ? Math.round((contentScore / maxScore) * 100) : 0;
 
         // Flag severely incomplete data
-        if (emptyEntries > entries.length * 0.5 && entries.length > 0) {
-            errors.push(`More than 50% of entries empty (${emptyEntries}/${entries.length})`);
+        if (emptyEntries > turns.length * 0.5 && turns.length > 0) {
+            errors.push(`More than 50% of entries empty (${emptyEntries}/${turns.length})`);
         }
 
         // Platform-specific validation
-        if (platform === 'Perplexity') {
-            const hasSources = entries.some(entry =>
-                entry.blocks?.some(b =>
-                    b.intended_usage === 'web_results' &&
-                    b.web_result_block?.web_results?.length > 0
-                )
-            );
-            if (!hasSources && entries.length > 0) {
+        if (conversation.platform === 'Perplexity') {
+            const hasSources = conversation.messages.some(m => m.citations.length > 0);
+            if (!hasSources && turns.length > 0) {
                 warnings.push('No sources found (unusual for Perplexity)');
             }
         }
@@ -353,12 +268,13 @@ class DataValidator {
             warnings,
             completeness,
             stats: {
-                totalEntries: entries.length,
+                totalEntries: turns.length,
+                totalMessages: conversation.messages.length,
                 emptyEntries,
                 totalQuestions,
                 totalAnswers,
-                hasUuid: !!data.uuid,
-                hasTitle: !!data.title && data.title !== 'Untitled'
+                hasUuid: !!conversation.uuid,
+                hasTitle: !!conversation.title && conversation.title !== 'Untitled'
             }
         };
     }
@@ -474,58 +390,6 @@ class ResilientDataExtractor {
     }
 }
 
-// ============================================
-// PHASE 4: DUPLICATE DETECTOR
-// ============================================
-class DuplicateDetector {
-    /**
-     * Generate fingerprint for a thread
-     */
-    static generateFingerprint(data) {
-        const entries = data.detail?.entries || [];
-        const content = [
-            data.uuid,
-            data.title,
-            entries.length,
-            entries[0]?.query || entries[0]?.query_str || '',
-            entries[entries.length - 1]?.query || entries[entries.length - 1]?.query_str || ''
-        ].join('|');
-
-        return this.simpleHash(content);
-    }
-
-    /**
-     * Simple hash function
-     */
-    static simpleHash(str) {
-        let hash = 0;
-        for (let i = 0; i < str.length; i++) {
-            const char = str.charCodeAt(i);
-            hash = ((hash << 5) - hash) + char;
-            hash = hash & hash;
-        }
-        return hash.toString(36);
-    }
-
-    /**
-     * Check if thread has been modified since last export
-     */
-    static async hasChanged(uuid, newFingerprint) {
-        const { exportFingerprints = {} } = await chrome.storage.local.get('exportFingerprints');
-        const oldFingerprint = exportFingerprints[uuid];
-        return !oldFingerprint || oldFingerprint !== newFingerprint;
-    }
-
-    /**
-     * Save fingerprint after export
-     */
-    static async saveFingerprint(uuid, fingerprint) {
-        const { exportFingerprints = {} } = await chrome.storage.local.get('exportFingerprints');
-        exportFingerprints[uuid] = fingerprint;
-        await chrome.storage.local.set({ exportFingerprints });
-    }
-}
-
 // ============================================
 // PHASE 4: ERROR RECOVERY
 // ============================================
@@ -613,7 +477,7 @@ class ContentScriptHealthChecker {
 
             await chrome.scripting.executeScript({
                 target: { tabId: tabId },
-                files: ['content.js']
+                files: ['platform-config.js', 'conversation-schema.js', 'platform-transforms.js', 'content.js']
             });
 
             await new Promise(r => setTimeout(r, 500));
@@ -1005,6 +869,10 @@ document.addEventListener('DOMContentLoaded', async () => {
     loadExportedUuids();
     loadExportHistory();
     loadFailures();
+    initSyncQueueView();
+    initArchiveSearch();
+    initTemplates();
+    initThreadTable();
 
     // Platform detection and initial data load
     await updatePlatformSelector();
@@ -1014,21 +882,6 @@ document.addEventListener('DOMContentLoaded', async () => {
         fetchHistory(1);
         loadSpaces();
 
-        // Phase 5 Fix 2: Check for interrupted jobs
-        const activeJob = await ExportProgressManager.getActiveJob();
-        if (activeJob) {
-            const resume = confirm(
-                `Found incomplete export: ${activeJob.progress.current}/${activeJob.progress.total} completed.\n\nResume?`
-            );
-            if (resume) {
-                selectedThreads = new Set(activeJob.progress.uuids.slice(activeJob.progress.current));
-                updateSelection(null, false);
-                setTimeout(() => bulkSyncToNotion(), 1000); // Resume after UI loads
-            } else {
-                await ExportProgressManager.clearProgress(activeJob.jobId);
-            }
-        }
-
         // Phase 5 Fix 5: Start connection monitoring
         monitorConnectionStatus();
         const connectionMonitorInterval = setInterval(monitorConnectionStatus, 10000);
@@ -1039,6 +892,10 @@ document.addEventListener('DOMContentLoaded', async () => {
                 clearInterval(connectionMonitorInterval);
             }
         });
+    } else if ((await ConversationStore.listThreads()).length > 0) {
+        // No platform tab, but archived conversations can be exported right away
+        document.querySelector('input[name="dataSource"][value="archive"]').checked = true;
+        fetchHistory(1);
     } else {
         log('Waiting for AI platform connection...', 'info');
     }
@@ -1095,10 +952,15 @@ document.addEventListener('DOMContentLoaded', async () => {
     document.getElementById('nextPageBtn').addEventListener('click', () => changePage(1));
     document.getElementById('loadAllBtn').addEventListener('click', loadAllThreads);
     document.getElementById('historySearch').addEventListener('input', handleSearch);
+    document.getElementById('historySearch').addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' && e.target.value.trim()) openArchiveSearch(e.target.value.trim());
+    });
 
     // Event Listeners - Bulk Actions
     document.getElementById('bulkExportBtn').addEventListener('click', bulkSyncToNotion);
     document.getElementById('bulkMdBtn').addEventListener('click', bulkExportMarkdown);
+    document.getElementById('importExportBtn').addEventListener('click', () => document.getElementById('importExportFile').click());
+    document.getElementById('importExportFile').addEventListener('change', importDataExport);
     document.getElementById('exportAllBtn').addEventListener('click', exportAllThreads);
     document.getElementById('clearCacheBtn').addEventListener('click', clearExportedCache);
 
@@ -1194,11 +1056,20 @@ async function loadSettings() {
         'notionKey',
         'notionDbId',
         'syncInterval',
+        'notionUpdateMode',
         'autoSyncNotion',
+        'backgroundSync',
+        'archiveEnabled',
         'includeMetadata',
         'syncImages',
         'syncCitations',
         'skipExported',
+        'exportLayout',
+        'exportBranches',
+        'includeReasoning',
+        'datasetSystemPrompts',
+        'datasetReasoning',
+        'datasetValidationSplit',
         'autoSyncEnabled',
         'notion_auth_method',
         'notion_oauth_client_id',
@@ -1243,9 +1114,12 @@ async function loadSettings() {
     if (data.syncInterval) {
         document.getElementById('syncInterval').value = data.syncInterval;
     }
+    document.getElementById('notionUpdateMode').value = data.notionUpdateMode || NotionSyncClient.DEFAULT_UPDATE_MODE;
     if (data.autoSyncNotion) {
         document.getElementById('autoSyncNotion').checked = true;
     }
+    document.getElementById('backgroundSync').checked = data.backgroundSync !== false; // Default true
+    document.getElementById('archiveEnabled').checked = data.archiveEnabled !== false; // Default true
     if (data.includeMetadata) {
         document.getElementById('includeMetadata').checked = true;
     }
@@ -1259,6 +1133,16 @@ async function loadSettings() {
         document.getElementById('skipExported').checked = true;
     }
 
+    // Export content
+    document.getElementById('exportLayout').value = data.exportLayout || ConversationSchema.RENDER_DEFAULTS.layout;
+    document.getElementById('exportBranches').checked = !!data.exportBranches;
+    document.getElementById('includeReasoning').checked = data.includeReasoning !== false; // Default true
+
+    // Fine-tuning datasets
+    document.getElementById('datasetValidationSplit').value = String(data.datasetValidationSplit || 0);
+    document.getElementById('datasetSystemPrompts').checked = data.datasetSystemPrompts !== false; // Default true
+    document.getElementById('datasetReasoning').checked = !!data.datasetReasoning;
+
     // Auto-sync toggle in header
     if (data.autoSyncEnabled) {
         const btn = document.getElementById('autoSyncToggle');
@@ -1276,11 +1160,20 @@ async function saveAllSettings() {
         notionApiKey: InputSanitizer.clean(document.getElementById('notionKey').value.trim()),
         notionDbId: InputSanitizer.clean(document.getElementById('notionDbId').value.trim()),
         syncInterval: parseInt(document.getElementById('syncInterval').value) || 60,
+        notionUpdateMode: document.getElementById('notionUpdateMode').value,
         autoSyncNotion: document.getElementById('autoSyncNotion').checked,
+        backgroundSync: document.getElementById('backgroundSync').checked,
+        archiveEnabled: document.getElementById('archiveEnabled').checked,
         includeMetadata: document.getElementById('includeMetadata').checked,
         syncImages: document.getElementById('syncImages').checked,
         syncCitations: document.getElementById('syncCitations').checked,
         skipExported: document.getElementById('skipExported').checked,
+        exportLayout: document.getElementById('exportLayout').value,
+        exportBranches: document.getElementById('exportBranches').checked,
+        includeReasoning: document.getElementById('includeReasoning').checked,
+        datasetValidationSplit: parseFloat(document.getElementById('datasetValidationSplit').value) || 0,
+        datasetSystemPrompts: document.getElementById('datasetSystemPrompts').checked,
+        datasetReasoning: document.getElementById('datasetReasoning').checked,
         notion_auth_method: authMethod,
         notion_oauth_client_id: InputSanitizer.clean(document.getElementById('notionOauthClientId').value.trim()),
         notion_oauth_client_secret: InputSanitizer.clean(document.getElementById('notionOauthClientSecret').value.trim())
@@ -1368,14 +1261,22 @@ async function testNotionConnection() {
 
 
 function loadExportedUuids() {
-    chrome.storage.local.get(['exportedUuids'], (data) => {
+    chrome.storage.local.get(['exportedUuids', DuplicateDetector.STORAGE_KEY], (data) => {
         if (data.exportedUuids && Array.isArray(data.exportedUuids)) {
             exportedUuids = new Set(data.exportedUuids);
             log(`Loaded ${exportedUuids.size} previously exported threads`, 'info');
         }
+        exportFingerprints = data[DuplicateDetector.STORAGE_KEY] || {};
     });
 }
 
+/**
+ * Exported before and not changed since, so there is nothing to sync
+ */
+function isUpToDate(thread) {
+    return exportedUuids.has(thread.uuid) && !DuplicateDetector.isOutdated(thread, exportFingerprints);
+}
+
 function saveExportedUuids() {
     chrome.storage.local.set({
         exportedUuids: Array.from(exportedUuids)
@@ -1489,6 +1390,17 @@ async function fetchHistory(page = 1) {
         currentPage = 1;
     }
 
+    if (page === 1) loadArchivedMessageCounts();
+
+    if (dataSource === 'archive') {
+        await fetchArchivedHistory(dateFilter);
+        return;
+    }
+    if (dataSource === 'unified') {
+        await fetchUnifiedHistory(dateFilter);
+        return;
+    }
+
     try {
         await reqDeduplication.run('fetchHistory', async () => {
             const tab = await getAITab();
@@ -1508,19 +1420,14 @@ async function fetchHistory(page = 1) {
                 // Apply date filter client-side
                 if (dateFilter) {
                     const filterDate = new Date(dateFilter);
-                    newThreads = newThreads.filter(t => {
-                        const threadDate = new Date(t.last_query_datetime);
-                        return threadDate >= filterDate;
-                    });
+                    // Threads without an activity time (Gemini) stay in the list
+                    newThreads = newThreads.filter(t => (DuplicateDetector.activityTime(t) ?? Infinity) >= filterDate.getTime());
                 }
 
                 threadData = page === 1 ? newThreads : [...threadData, ...newThreads];
                 hasMoreThreads = response.data.has_next !== false && newThreads.length === itemsPerPage;
                 currentPage = page;
-
-                const start = (currentPage - 1) * itemsPerPage;
-                renderThreadList(threadData.slice(start, start + itemsPerPage));
-                updatePagination();
+                renderCurrentPage();
             } catch (msgError) {
                 listEl.innerHTML = '<div class="loader">Please refresh the AI platform page.</div>';
                 log(`Thread fetch error: ${msgError.message}`, 'error');
@@ -1532,6 +1439,116 @@ async function fetchHistory(page = 1) {
     }
 }
 
+/**
+ * Thread list from the local archive (fetched and imported, all platforms), no tab needed
+ */
+async function fetchArchivedHistory(dateFilter) {
+    const listEl = document.getElementById('threadList');
+    try {
+        let threads = (await ConversationStore.listThreads())
+            .map(t => ({ ...t, archived: true }));
+        if (dateFilter) {
+            const filterDate = new Date(dateFilter);
+            threads = threads.filter(t => (DuplicateDetector.activityTime(t) ?? Infinity) >= filterDate.getTime());
+        }
+
+        threadData = threads;
+        hasMoreThreads = false;
+        currentPage = 1;
+        renderCurrentPage();
+        if (threads.length === 0) {
+            listEl.innerHTML = '<div class="loader">The archive is empty. Conversations are archived as they are fetched, or use "Import data export" above.</div>';
+        }
+    } catch (e) {
+        console.error("[OmniExporter] Archived history error:", e);
+        listEl.innerHTML = `<div class="loader">Error: ${InputSanitizer.clean(e.message)}</div>`;
+    }
+}
+
+/**
+ * Threads of every platform in one list. The service worker reads each
+ * platform through its open tab or its own fetcher; signed-out platforms and
+ * platforms it can't reach show their archived threads instead.
+ */
+async function fetchUnifiedHistory(dateFilter) {
+    const listEl = document.getElementById('threadList');
+    try {
+        const sources = await sendWorkerCommand('PLATFORM_LIST_SOURCES');
+        const lists = await Promise.all(sources.map(async ({ platform }) => {
+            try {
+                const { kind, threads } = await sendWorkerCommand('PLATFORM_LIST_THREADS', {
+                    platform, limit: UNIFIED_THREADS_PER_PLATFORM
+                });
+                return threads.map(t => ({ ...t, platform, archived: kind === 'archive' }));
+            } catch (e) {
+                console.log(`[OmniExporter] ${platform} list unavailable, using the archive:`, e.message);
+                const archived = await ConversationStore.listThreads({ platform }).catch(() => []);
+                return archived.slice(0, UNIFIED_THREADS_PER_PLATFORM).map(t => ({ ...t, archived: true }));
+            }
+        }));
+
+        let threads = lists.flat();
+        if (dateFilter) {
+            const filterDate = new Date(dateFilter);
+            threads = threads.filter(t => (DuplicateDetector.activityTime(t) ?? Infinity) >= filterDate.getTime());
+        }
+
+        threadData = threads;
+        hasMoreThreads = false;
+        currentPage = 1;
+        renderCurrentPage();
+
+        const platforms = new Set(threads.map(t => t.platform));
+        log(`Loaded ${threads.length} threads from ${platforms.size} platform(s)`, 'success');
+        if (threads.length === 0) {
+            listEl.innerHTML = '<div class="loader">No threads found. Sign in to a platform or open it in a tab.</div>';
+        }
+    } catch (e) {
+        console.error("[OmniExporter] Unified history error:", e);
+        listEl.innerHTML = `<div class="loader">Error: ${InputSanitizer.clean(e.message)}</div>`;
+    }
+}
+
+/**
+ * Message counts for the list's Messages column, from the archived copies
+ */
+async function loadArchivedMessageCounts() {
+    try {
+        const threads = await ConversationStore.listThreads();
+        archivedMessageCounts = new Map(threads.map(t => [`${t.platform}:${t.uuid}`, t.messageCount]));
+        refreshThreadStatuses();
+    } catch (e) {
+        console.warn('[OmniExporter] Archive unavailable for message counts:', e.message);
+    }
+}
+
+async function importDataExport(e) {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    const statusEl = document.getElementById('importStatus');
+    const button = document.getElementById('importExportBtn');
+    button.disabled = true;
+    log(`Importing ${file.name}...`, 'info');
+
+    try {
+        const result = await ImportManager.importFile(file, {
+            onProgress: (done, total) => { statusEl.textContent = `Importing: ${done}/${total}`; }
+        });
+        statusEl.textContent = `${result.imported} ${result.platform} conversations imported`;
+        log(`Imported ${result.imported} ${result.platform} conversations${result.skipped ? ` (${result.skipped} empty skipped)` : ''}`, 'success');
+
+        document.querySelector('input[name="dataSource"][value="archive"]').checked = true;
+        document.getElementById('spaceSelector').classList.add('hidden');
+        fetchHistory(1);
+    } catch (err) {
+        statusEl.textContent = 'Import failed';
+        log(`Import failed: ${err.message}`, 'error');
+    } finally {
+        button.disabled = false;
+    }
+}
 
 function renderThreadList(threads) {
     try {
@@ -1545,30 +1562,37 @@ function renderThreadList(threads) {
 
         threads.forEach(t => {
             try {
-                const isExported = exportedUuids.has(t.uuid);
-                const status = syncStatusMap[t.uuid];
+                const status = getThreadStatus(t);
+                const isExported = status === 'synced' && exportedUuids.has(t.uuid);
                 const item = document.createElement('div');
                 item.className = `thread-item ${isExported ? 'exported' : ''}`;
 
                 const date = t.last_query_datetime ? new Date(t.last_query_datetime).toLocaleDateString() : 'Unknown';
-
-                let statusHtml = '';
-                if (status === 'synced' || isExported) {
-                    statusHtml = '<span class="thread-status synced">✓ Synced</span>';
-                } else if (status === 'failed') {
-                    statusHtml = '<span class="thread-status failed">✗ Failed</span>';
-                }
+                const messageCount = getThreadMessageCount(t);
+                const statusHtml = {
+                    synced: '<span class="thread-status synced">✓ Synced</span>',
+                    failed: '<span class="thread-status failed">✗ Failed</span>',
+                    queued: '<span class="thread-status queued">⏳ Queued</span>',
+                    syncing: '<span class="thread-status queued">⟳ Syncing</span>',
+                    outdated: '<span class="thread-status outdated">↻ Updated</span>'
+                }[status] || '';
 
                 // Use InputSanitizer for user-provided content
                 const safeTitle = InputSanitizer.clean(t.title || 'Untitled');
                 const safeUuid = InputSanitizer.clean(t.uuid);
+                const archiveNote = t.archived
+                    ? (t.source === 'import' ? 'Imported' : `Archived copy, fetched ${t.fetchCount || 1}×`)
+                    : '';
                 item.innerHTML = `
                     <input type="checkbox" data-uuid="${safeUuid}" ${selectedThreads.has(t.uuid) ? 'checked' : ''} ${isExported ? 'disabled' : ''}>
                     <div class="thread-info">
                         <div class="thread-title">${safeTitle}</div>
-                        <div class="thread-date">${date}</div>
+                        ${archiveNote ? `<div class="thread-date">${archiveNote}</div>` : ''}
                     </div>
-                    ${statusHtml}
+                    <span class="thread-platform"><span class="platform-badge">${InputSanitizer.clean(getThreadPlatform(t))}</span></span>
+                    <span class="thread-activity">${date}</span>
+                    <span class="thread-count">${messageCount ?? '—'}</span>
+                    <span class="thread-status-cell">${statusHtml}</span>
                 `;
 
                 if (!isExported) {
@@ -1588,12 +1612,15 @@ function renderThreadList(threads) {
     }
 }
 
-function updatePagination() {
-    const startItem = (currentPage - 1) * itemsPerPage + 1;
-    const endItem = Math.min(currentPage * itemsPerPage, threadData.length);
-    document.getElementById('pageIndicator').textContent = `Page ${currentPage} • ${startItem}-${endItem} of ${threadData.length}`;
+/**
+ * @param {number} total - threads left after the list filters
+ */
+function updatePagination(total = threadData.length) {
+    const startItem = Math.min((currentPage - 1) * itemsPerPage + 1, total);
+    const endItem = Math.min(currentPage * itemsPerPage, total);
+    document.getElementById('pageIndicator').textContent = `Page ${currentPage} • ${startItem}-${endItem} of ${total}`;
     document.getElementById('prevPageBtn').disabled = currentPage === 1;
-    document.getElementById('nextPageBtn').disabled = !hasMoreThreads && endItem >= threadData.length;
+    document.getElementById('nextPageBtn').disabled = !hasMoreThreads && endItem >= total;
 }
 
 function changePage(delta) {
@@ -1602,12 +1629,114 @@ function changePage(delta) {
         fetchHistory(newPage);
     } else {
         currentPage = newPage;
-        const start = (currentPage - 1) * itemsPerPage;
-        renderThreadList(threadData.slice(start, start + itemsPerPage));
-        updatePagination();
+        renderCurrentPage();
+    }
+}
+
+// ============================================
+// THREAD TABLE (sorting & filters)
+// ============================================
+
+// Threads listed per platform in the "All Platforms" view
+const UNIFIED_THREADS_PER_PLATFORM = 100;
+const THREAD_STATUS_ORDER = ['failed', 'outdated', 'new', 'queued', 'syncing', 'synced'];
+
+function initThreadTable() {
+    document.getElementById('threadTableHeader').addEventListener('click', (e) => {
+        const column = e.target.closest('[data-sort]');
+        if (!column) return;
+        const key = column.dataset.sort;
+        threadSort = threadSort.key === key
+            ? { key, dir: threadSort.dir === 'asc' ? 'desc' : 'asc' }
+            : { key, dir: key === 'title' || key === 'platform' ? 'asc' : 'desc' };
+        currentPage = 1;
+        renderCurrentPage();
+    });
+    ['threadPlatformFilter', 'threadStatusFilter'].forEach(id =>
+        document.getElementById(id).addEventListener('change', () => {
+            currentPage = 1;
+            renderCurrentPage();
+        }));
+}
+
+function getThreadPlatform(thread) {
+    return thread.platform || currentPlatform;
+}
+
+/**
+ * Message count from the thread row, its archived copy or its last export
+ */
+function getThreadMessageCount(thread) {
+    return thread.messageCount ??
+        archivedMessageCounts.get(`${getThreadPlatform(thread)}:${thread.uuid}`) ??
+        exportFingerprints[thread.uuid]?.messages?.length ??
+        null;
+}
+
+/**
+ * 'synced' | 'failed' | 'queued' | 'syncing' | 'outdated' | 'new'
+ */
+function getThreadStatus(thread) {
+    const status = syncStatusMap[thread.uuid];
+    const isOutdated = exportedUuids.has(thread.uuid) && DuplicateDetector.isOutdated(thread, exportFingerprints);
+    if (status === 'synced' || (exportedUuids.has(thread.uuid) && !isOutdated)) return 'synced';
+    if (status === 'failed' || status === 'queued' || status === 'syncing') return status;
+    return isOutdated ? 'outdated' : 'new';
+}
+
+function compareThreads(a, b, key) {
+    switch (key) {
+        case 'title': return (a.title || '').localeCompare(b.title || '');
+        case 'platform': return getThreadPlatform(a).localeCompare(getThreadPlatform(b));
+        case 'messages': return (getThreadMessageCount(a) ?? -1) - (getThreadMessageCount(b) ?? -1);
+        case 'status': return THREAD_STATUS_ORDER.indexOf(getThreadStatus(a)) - THREAD_STATUS_ORDER.indexOf(getThreadStatus(b));
+        default: return (new Date(a.last_query_datetime).getTime() || 0) - (new Date(b.last_query_datetime).getTime() || 0);
     }
 }
 
+/**
+ * Loaded threads that pass the title, platform and status filters, in the chosen order
+ */
+function getVisibleThreads() {
+    const query = document.getElementById('historySearch').value.trim().toLowerCase();
+    const platform = document.getElementById('threadPlatformFilter').value;
+    const status = document.getElementById('threadStatusFilter').value;
+    const direction = threadSort.dir === 'asc' ? 1 : -1;
+
+    return threadData
+        .filter(t => !query || (t.title || '').toLowerCase().includes(query))
+        .filter(t => !platform || getThreadPlatform(t) === platform)
+        .filter(t => !status || getThreadStatus(t) === status || (status === 'queued' && getThreadStatus(t) === 'syncing'))
+        .sort((a, b) => direction * compareThreads(a, b, threadSort.key));
+}
+
+/**
+ * Platform filter options for the platforms in the loaded list
+ */
+function updatePlatformFilterOptions() {
+    const select = document.getElementById('threadPlatformFilter');
+    const selected = select.value;
+    const platforms = [...new Set(threadData.map(getThreadPlatform))].sort();
+    select.innerHTML = '<option value="">All platforms</option>' +
+        platforms.map(p => `<option value="${InputSanitizer.clean(p)}">${InputSanitizer.clean(p)}</option>`).join('');
+    select.value = platforms.includes(selected) ? selected : '';
+}
+
+function renderCurrentPage() {
+    updatePlatformFilterOptions();
+    document.querySelectorAll('#threadTableHeader [data-sort]').forEach(column => {
+        const sorted = column.dataset.sort === threadSort.key;
+        column.classList.toggle('sorted', sorted);
+        column.classList.toggle('asc', sorted && threadSort.dir === 'asc');
+        column.classList.toggle('desc', sorted && threadSort.dir === 'desc');
+    });
+
+    const visible = getVisibleThreads();
+    const start = (currentPage - 1) * itemsPerPage;
+    renderThreadList(visible.slice(start, start + itemsPerPage));
+    updatePagination(visible.length);
+}
+
 async function loadAllThreads() {
     try {
         await reqDeduplication.run('loadAll', async () => {
@@ -1700,8 +1829,7 @@ async function loadAllThreads() {
 
             hasMoreThreads = false;
             currentPage = 1;
-            renderThreadList(threadData.slice(0, itemsPerPage));
-            updatePagination();
+            renderCurrentPage();
 
             // Restore button
             if (loadBtn) {
@@ -1727,16 +1855,15 @@ async function loadAllThreads() {
 
 
 
-function handleSearch(e) {
-    const query = e.target.value.toLowerCase();
-    const filtered = threadData.filter(t => (t.title || '').toLowerCase().includes(query));
-    renderThreadList(filtered.slice(0, itemsPerPage));
+function handleSearch() {
+    currentPage = 1;
+    renderCurrentPage();
 }
 
 function selectAllThreads() {
-    const visible = threadData.slice((currentPage - 1) * itemsPerPage, currentPage * itemsPerPage);
+    const visible = getVisibleThreads().slice((currentPage - 1) * itemsPerPage, currentPage * itemsPerPage);
     visible.forEach(t => {
-        if (!exportedUuids.has(t.uuid)) selectedThreads.add(t.uuid);
+        if (!isUpToDate(t)) selectedThreads.add(t.uuid);
     });
     renderThreadList(visible);
     updateSelection(null, false);
@@ -1750,10 +1877,358 @@ function updateSelection(uuid, checked) {
     const count = selectedThreads.size;
     document.getElementById('bulkExportBtn').textContent = `Save Selected to Notion (${count})`;
     document.getElementById('bulkExportBtn').disabled = count === 0;
-    document.getElementById('bulkMdBtn').textContent = `Export MD (${count})`;
+    document.getElementById('bulkMdBtn').textContent = `Export (${count})`;
     document.getElementById('bulkMdBtn').disabled = count === 0;
 }
 
+// ============================================
+// ARCHIVE SEARCH
+// ============================================
+let searchTimer = null;
+let searchSequence = 0;
+let searchIndexReady = null;
+
+function initArchiveSearch() {
+    const schedule = () => {
+        clearTimeout(searchTimer);
+        searchTimer = setTimeout(runArchiveSearch, 250);
+    };
+    document.getElementById('archiveSearchInput').addEventListener('input', schedule);
+    ['searchPlatform', 'searchFrom', 'searchTo'].forEach(id =>
+        document.getElementById(id).addEventListener('change', schedule));
+}
+
+/**
+ * Switch to the Search tab with a query (Enter in the thread list's title filter)
+ */
+function openArchiveSearch(query) {
+    document.getElementById('archiveSearchInput').value = query;
+    document.querySelector('.nav-item[data-tab="search"]').click();
+    runArchiveSearch();
+}
+
+/**
+ * Conversations archived before the search index existed are indexed once,
+ * on the first search of the session
+ */
+function ensureSearchIndex() {
+    if (!searchIndexReady) {
+        const status = document.getElementById('searchStatus');
+        searchIndexReady = SearchIndex.ensureIndexed({
+            onProgress: (done, total) => { status.textContent = `Indexing archive: ${done}/${total}`; }
+        }).catch((e) => {
+            searchIndexReady = null;
+            throw e;
+        });
+    }
+    return searchIndexReady;
+}
+
+async function runArchiveSearch() {
+    const searchId = ++searchSequence;
+    const query = document.getElementById('archiveSearchInput').value.trim();
+    const resultsEl = document.getElementById('searchResults');
+    const status = document.getElementById('searchStatus');
+
+    if (!query) {
+        resultsEl.innerHTML = '<div class="loader">Searches every conversation in the local archive.</div>';
+        status.textContent = '';
+        return;
+    }
+
+    try {
+        await ensureSearchIndex();
+        const started = performance.now();
+        const { results, total, truncated } = await SearchIndex.search(query, {
+            platform: document.getElementById('searchPlatform').value || undefined,
+            from: document.getElementById('searchFrom').value || undefined,
+            to: document.getElementById('searchTo').value || undefined
+        });
+        if (searchId !== searchSequence) return; // a newer search has started
+
+        status.textContent = `${total} conversation${total === 1 ? '' : 's'} • ${Math.round(performance.now() - started)} ms` +
+            (truncated ? ` • only the ${SearchIndex.MAX_CANDIDATES} most recent candidates were checked` : '');
+        renderSearchResults(results);
+    } catch (e) {
+        console.error('[OmniExporter] Archive search failed:', e);
+        status.textContent = 'Search failed';
+        log(`Search failed: ${e.message}`, 'error');
+    }
+}
+
+function renderSearchResults(results) {
+    const resultsEl = document.getElementById('searchResults');
+    resultsEl.innerHTML = '';
+
+    if (results.length === 0) {
+        resultsEl.innerHTML = '<div class="loader">No matching conversations.</div>';
+        return;
+    }
+
+    results.forEach(result => {
+        const item = document.createElement('div');
+        item.className = 'search-result';
+
+        const date = result.updatedAt ? new Date(result.updatedAt).toLocaleDateString() : 'Unknown';
+        const where = result.snippet.role ? ` • ${result.snippet.role} message ${result.snippet.messageIndex + 1}` : '';
+        item.innerHTML = `
+            <a class="search-result-title" target="_blank" rel="noopener noreferrer">${InputSanitizer.clean(result.title)}</a>
+            <div class="search-result-meta">
+                <span class="platform-badge">${InputSanitizer.clean(result.platform)}</span>${date}${InputSanitizer.clean(where)}
+            </div>
+            <div class="search-result-snippet">${highlightSnippet(result.snippet)}</div>
+        `;
+        if (/^https?:\/\//.test(result.url || '')) item.querySelector('a').href = result.url;
+
+        resultsEl.appendChild(item);
+    });
+}
+
+/**
+ * Snippet HTML with the matched ranges wrapped in <mark>
+ */
+function highlightSnippet({ text, highlights }) {
+    let html = '';
+    let pos = 0;
+    highlights.forEach(([start, end]) => {
+        html += `${InputSanitizer.clean(text.slice(pos, start))}<mark>${InputSanitizer.clean(text.slice(start, end))}</mark>`;
+        pos = end;
+    });
+    return html + InputSanitizer.clean(text.slice(pos));
+}
+
+// ============================================
+// EXPORT TEMPLATES
+// ============================================
+let exportTemplates = [];
+let editingTemplateId = null;
+let templatePreviewTimer = null;
+
+// Rendered by the live preview in place of a real thread
+const TEMPLATE_PREVIEW_CONVERSATION = ConversationSchema.createConversation({
+    uuid: 'preview',
+    title: 'Comparing sorting algorithms',
+    platform: 'Perplexity',
+    model: 'sonar-pro',
+    createdAt: '2025-03-14T09:30:00Z',
+    messages: [
+        { role: 'user', text: 'Which sorting algorithm should I use for nearly sorted data?' },
+        {
+            role: 'assistant',
+            reasoning: 'Nearly sorted input favours adaptive algorithms.',
+            text: '**Insertion sort** runs in close to *O(n)* on nearly sorted data.\n\n- Timsort builds on the same idea\n- `Array.prototype.sort` uses Timsort in V8',
+            citations: [
+                { title: 'Insertion sort - Wikipedia', url: 'https://en.wikipedia.org/wiki/Insertion_sort' },
+                { title: 'Getting things sorted in V8', url: 'https://v8.dev/blog/array-sort' }
+            ]
+        },
+        { role: 'user', text: 'And for large random arrays?' },
+        { role: 'assistant', text: 'Use an *O(n log n)* algorithm such as merge sort, quicksort or Timsort.' }
+    ]
+});
+
+async function initTemplates() {
+    exportTemplates = await TemplateEngine.loadTemplates();
+    renderTemplateList();
+    updateTemplateOptions();
+    if (exportTemplates.length > 0) editTemplate(exportTemplates[0].id);
+    else newTemplate();
+
+    document.getElementById('templateNewBtn').addEventListener('click', newTemplate);
+    document.getElementById('templateSaveBtn').addEventListener('click', saveTemplate);
+    document.getElementById('templateDeleteBtn').addEventListener('click', deleteTemplate);
+    document.getElementById('templateExportBtn').addEventListener('click', exportTemplatesFile);
+    document.getElementById('templateImportBtn').addEventListener('click', () => document.getElementById('templateImportFile').click());
+    document.getElementById('templateImportFile').addEventListener('change', importTemplatesFile);
+
+    const schedule = () => {
+        clearTimeout(templatePreviewTimer);
+        templatePreviewTimer = setTimeout(renderTemplatePreview, 300);
+    };
+    document.getElementById('templateBody').addEventListener('input', schedule);
+    document.getElementById('templateFormat').addEventListener('change', schedule);
+}
+
+function renderTemplateList() {
+    const list = document.getElementById('templateList');
+    list.innerHTML = '';
+    if (exportTemplates.length === 0) {
+        list.innerHTML = '<div class="loader">No templates yet.</div>';
+        return;
+    }
+    exportTemplates.forEach(template => {
+        const item = document.createElement('button');
+        item.className = `template-list-item${template.id === editingTemplateId ? ' active' : ''}`;
+        item.textContent = template.name;
+        const format = document.createElement('small');
+        format.textContent = ExportManager.formats[template.format]?.name || template.format;
+        item.appendChild(format);
+        item.addEventListener('click', () => editTemplate(template.id));
+        list.appendChild(item);
+    });
+}
+
+/**
+ * Templates as choices in the bulk export format picker
+ */
+function updateTemplateOptions() {
+    const select = document.getElementById('bulkExportFormat');
+    const selected = select.value;
+    select.querySelector('#bulkTemplateOptions')?.remove();
+    if (exportTemplates.length === 0) return;
+
+    const group = document.createElement('optgroup');
+    group.id = 'bulkTemplateOptions';
+    group.label = 'Templates';
+    exportTemplates.forEach(template => {
+        group.appendChild(new Option(
+            `${template.name} (${ExportManager.formats[template.format]?.name || template.format})`,
+            `template:${template.id}`));
+    });
+    select.appendChild(group);
+    select.value = selected;
+    if (!select.value) select.value = 'markdown';
+}
+
+function editTemplate(id) {
+    const template = exportTemplates.find(t => t.id === id);
+    if (!template) return;
+    editingTemplateId = id;
+    document.getElementById('templateName').value = template.name;
+    document.getElementById('templateFormat').value = template.format;
+    document.getElementById('templateBody').value = template.body;
+    document.getElementById('templateStatus').textContent = '';
+    renderTemplateList();
+    renderTemplatePreview();
+}
+
+// A new, unsaved template starts from the example for the chosen format
+function newTemplate() {
+    const format = document.getElementById('templateFormat').value || 'markdown';
+    editingTemplateId = null;
+    document.getElementById('templateName').value = '';
+    document.getElementById('templateBody').value = ExportManager.TEMPLATE_EXAMPLES[format];
+    document.getElementById('templateStatus').textContent = 'New template';
+    renderTemplateList();
+    renderTemplatePreview();
+    document.getElementById('templateName').focus();
+}
+
+async function saveTemplate() {
+    const status = document.getElementById('templateStatus');
+    try {
+        const template = TemplateEngine.validateTemplate({
+            id: editingTemplateId,
+            name: document.getElementById('templateName').value,
+            format: document.getElementById('templateFormat').value,
+            body: document.getElementById('templateBody').value,
+            updatedAt: new Date().toISOString()
+        });
+        const index = exportTemplates.findIndex(t => t.id === template.id);
+        if (index >= 0) exportTemplates[index] = template;
+        else exportTemplates.push(template);
+
+        await TemplateEngine.saveTemplates(exportTemplates);
+        editingTemplateId = template.id;
+        renderTemplateList();
+        updateTemplateOptions();
+        status.textContent = 'Saved';
+        log(`Template saved: ${template.name}`, 'success');
+    } catch (e) {
+        status.textContent = e.message;
+    }
+}
+
+async function deleteTemplate() {
+    const template = exportTemplates.find(t => t.id === editingTemplateId);
+    if (!template) {
+        newTemplate();
+        return;
+    }
+    if (!confirm(`Delete the template "${template.name}"?`)) return;
+
+    exportTemplates = exportTemplates.filter(t => t.id !== template.id);
+    await TemplateEngine.saveTemplates(exportTemplates);
+    updateTemplateOptions();
+    log(`Template deleted: ${template.name}`, 'info');
+    if (exportTemplates.length > 0) editTemplate(exportTemplates[0].id);
+    else newTemplate();
+}
+
+function renderTemplatePreview() {
+    const text = document.getElementById('templatePreviewText');
+    const frame = document.getElementById('templatePreviewFrame');
+    const format = document.getElementById('templateFormat').value;
+    const body = document.getElementById('templateBody').value;
+
+    try {
+        const output = ExportManager.fromTemplate(TEMPLATE_PREVIEW_CONVERSATION, null, { format, body });
+        text.classList.remove('error');
+        // HTML previews run in a sandboxed frame: no scripts, no access to the extension
+        text.classList.toggle('hidden', format === 'html');
+        frame.classList.toggle('hidden', format !== 'html');
+        if (format === 'html') frame.srcdoc = output;
+        else text.textContent = output;
+    } catch (e) {
+        text.classList.add('error');
+        text.classList.remove('hidden');
+        frame.classList.add('hidden');
+        text.textContent = e.message;
+    }
+}
+
+function exportTemplatesFile() {
+    const file = {
+        tool: 'OmniExporter AI',
+        type: 'export-templates',
+        version: 1,
+        exportedAt: new Date().toISOString(),
+        templates: exportTemplates
+    };
+    ExportManager.downloadFile(JSON.stringify(file, null, 2), 'OmniExporter_Templates.json', 'application/json');
+}
+
+/**
+ * Add templates from a file written by "Export all" (or a bare array of
+ * templates). A template whose id already exists replaces the stored one.
+ */
+async function importTemplatesFile(e) {
+    const input = e.target;
+    const file = input.files[0];
+    input.value = '';
+    if (!file) return;
+
+    const status = document.getElementById('templateStatus');
+    try {
+        const parsed = JSON.parse(await file.text());
+        const incoming = Array.isArray(parsed) ? parsed : parsed?.templates;
+        if (!Array.isArray(incoming)) throw new Error('No templates in this file');
+
+        let imported = 0;
+        const errors = [];
+        incoming.forEach(raw => {
+            try {
+                const template = TemplateEngine.validateTemplate(raw);
+                const index = exportTemplates.findIndex(t => t.id === template.id);
+                if (index >= 0) exportTemplates[index] = template;
+                else exportTemplates.push(template);
+                imported++;
+            } catch (err) {
+                errors.push(err.message);
+            }
+        });
+
+        await TemplateEngine.saveTemplates(exportTemplates);
+        renderTemplateList();
+        updateTemplateOptions();
+        errors.forEach(message => log(`Template import skipped: ${message}`, 'error'));
+        status.textContent = `Imported ${imported} template(s)${errors.length ? `, ${errors.length} skipped` : ''}`;
+        log(`Imported ${imported} template(s) from ${file.name}`, 'success');
+    } catch (err) {
+        status.textContent = `Import failed: ${err.message}`;
+    }
+}
+
 // ============================================
 // EXPORT OPERATIONS
 // ============================================
@@ -1776,25 +2251,49 @@ function validateExportOperation(type, count, isPremium = false) {
     return { allowed: true, limitInfo: { isLimited: false } };
 }
 
-async function syncSingleThread(thread, forceReExport = false) {
-    syncStatusMap[thread.uuid] = 'syncing';
+/**
+ * Full conversation for a thread-list row: read from the local archive for
+ * archive rows, otherwise extracted through an open tab of the row's platform
+ * or, without one, by the service worker. When the platform fails (logged
+ * out, rate-limited, too slow) the archived copy is used if there is one.
+ */
+async function fetchThreadContent(thread) {
+    const platform = thread.platform || currentPlatform;
+    if (thread.archived) {
+        const conversation = await ConversationStore.get(platform, thread.uuid);
+        if (!conversation) throw new Error('Conversation is no longer in the local archive');
+        return conversation;
+    }
 
     try {
-        const tab = await getAITab();
+        const tabs = (await findAllAIPlatformTabs()).filter(t => t.platformName === platform);
+        const tab = tabs.find(t => t.id === aiPlatformTabId) || tabs[0];
         if (!tab) {
-            syncStatusMap[thread.uuid] = 'failed';
-            reportFailure(thread.uuid, 'No AI platform tab found', thread.title);
-            return;
+            // No tab for this platform: the service worker fetches it (or returns the archived copy)
+            return await sendWorkerCommand('PLATFORM_GET_THREAD', { platform, uuid: thread.uuid });
         }
+        const response = await sendMessageWithTimeout(tab.id, {
+            type: 'EXTRACT_CONTENT_BY_UUID',
+            payload: { uuid: thread.uuid }
+        }, 30000);
+        return response.data;
+    } catch (error) {
+        const archived = await ConversationStore.get(platform, thread.uuid).catch(() => null);
+        if (!archived) throw error;
+        log(`${thread.title || thread.uuid}: ${error.message}, using the archived copy`, 'warning');
+        return archived;
+    }
+}
 
+async function syncSingleThread(thread, forceReExport = false) {
+    syncStatusMap[thread.uuid] = 'syncing';
+
+    try {
         try {
-            const response = await sendMessageWithTimeout(tab.id, {
-                type: 'EXTRACT_CONTENT_BY_UUID',
-                payload: { uuid: thread.uuid }
-            }, 30000);
+            const data = await fetchThreadContent(thread);
 
             // Phase 4: Validate data before syncing
-            const validation = DataValidator.validateThreadData(response.data, currentPlatform);
+            const validation = DataValidator.validateThreadData(data, thread.platform || currentPlatform);
             console.log('[OmniExporter] Validation:', DataValidator.generateReport(validation));
 
             if (!validation.valid) {
@@ -1803,25 +2302,28 @@ async function syncSingleThread(thread, forceReExport = false) {
                 return;
             }
 
-            // Phase 4: Check for duplicates
-            const fingerprint = DuplicateDetector.generateFingerprint(response.data);
-            const hasChanged = await DuplicateDetector.hasChanged(thread.uuid, fingerprint);
+            // Phase 4: Compare message fingerprints with the last export
+            const fingerprint = DuplicateDetector.generateFingerprint(data);
+            const diff = DuplicateDetector.compare(exportFingerprints[thread.uuid], fingerprint);
 
-            if (!hasChanged && !forceReExport) {
+            if (diff.status === 'unchanged' && !forceReExport) {
                 syncStatusMap[thread.uuid] = 'skipped';
                 log(`Skipped ${thread.title}: No changes detected`, 'info');
                 return;
             }
+            if (diff.status === 'modified') {
+                log(`${thread.title}: messages changed since message ${diff.firstChanged + 1}, rewriting`, 'info');
+            }
 
             // Warn if low quality but still valid
             if (validation.completeness < 50) {
                 log(`⚠️ ${thread.title}: Only ${validation.completeness}% complete`, 'warning');
             }
 
-            await syncToNotion(response.data);
+            await syncToNotion(data, { mode: DuplicateDetector.notionMode(diff) });
 
             // Save fingerprint after successful sync
-            await DuplicateDetector.saveFingerprint(thread.uuid, fingerprint);
+            exportFingerprints[thread.uuid] = await DuplicateDetector.saveFingerprint(thread.uuid, fingerprint);
 
             syncStatusMap[thread.uuid] = 'synced';
             exportedUuids.add(thread.uuid);
@@ -1846,23 +2348,14 @@ async function syncSingleThread(thread, forceReExport = false) {
     }
 }
 
-async function exportSingleThread(thread) {
+async function exportSingleThread(thread, format = 'markdown', template = null) {
     try {
-        const tab = await getAITab();
-        if (!tab) {
-            log('No AI platform tab found', 'error');
-            return;
-        }
-
         try {
-            const response = await sendMessageWithTimeout(tab.id, {
-                type: 'EXTRACT_CONTENT_BY_UUID',
-                payload: { uuid: thread.uuid }
-            }, 30000);
-
-            const markdown = formatToMarkdown(response.data);
-            downloadFile(markdown, response.data.title || 'Thread');
-            log(`Exported: ${response.data.title}`, 'success');
+            const data = await fetchThreadContent(thread);
+            const renderOptions = await ConversationSchema.loadRenderOptions(template ? { template } : {});
+
+            await ExportManager.export(data, format, thread.platform || currentPlatform, renderOptions);
+            log(`Exported: ${data.title}`, 'success');
         } catch (msgError) {
             log(`Export failed: ${msgError.message}`, 'error');
         }
@@ -1872,81 +2365,157 @@ async function exportSingleThread(thread) {
 }
 
 
+/**
+ * Hand the selected threads to the service worker's sync queue. The job keeps
+ * going when the dashboard is closed; this page only watches and controls it.
+ */
 async function bulkSyncToNotion() {
+    const threads = Array.from(selectedThreads)
+        .map(uuid => threadData.find(t => t.uuid === uuid))
+        .filter(Boolean)
+        .map(t => ({ uuid: t.uuid, title: t.title, platform: t.platform || currentPlatform, archived: !!t.archived }));
+    if (threads.length === 0) return;
+
+    const { notionDbId } = await chrome.storage.local.get('notionDbId');
+    if (!notionDbId) {
+        log('Notion not configured. Go to Settings to add API Key and Database ID.', 'error');
+        return;
+    }
+
     try {
-        await reqDeduplication.run('bulkSync', async () => {
-            const uuids = Array.from(selectedThreads);
-            const total = uuids.length;
-            if (total === 0) return;
-
-            const progressContainer = document.getElementById('exportProgress');
-            const progressFill = document.getElementById('progressBarFill');
-            const progressText = document.getElementById('progressText');
-
-            progressContainer.classList.remove('hidden');
-            exportStartTime = Date.now();
-            let success = 0, failed = 0;
-
-            // Fix 17: Generate job ID for progress persistence
-            const jobId = `job_${Date.now()}`;
-
-            log(`Starting bulk sync of ${total} threads...`);
-
-            for (let i = 0; i < total; i++) {
-                progressFill.style.width = `${Math.round((i / total) * 100)}%`;
-                progressText.textContent = `Syncing: ${i + 1}/${total}`;
-
-                const thread = threadData.find(t => t.uuid === uuids[i]);
-                if (thread) {
-                    try {
-                        await syncSingleThread(thread);
-                        if (syncStatusMap[thread.uuid] === 'synced') success++;
-                        else failed++;
-                    } catch (e) {
-                        failed++;
-                    }
+        const added = await sendWorkerCommand('QUEUE_ENQUEUE', { threads });
+        log(`Queued ${added} thread(s) for Notion sync${added < threads.length ? ` (${threads.length - added} already queued)` : ''}`, 'info');
+        selectedThreads.clear();
+        updateSelection(null, false);
+        renderCurrentPage();
+    } catch (e) {
+        console.error("[OmniExporter] bulkSyncToNotion error:", e);
+        log(`Bulk sync could not start: ${e.message}`, 'error');
+    }
+}
 
-                    // Fix 17: Save progress every 5 items
-                    if (i % 5 === 0) {
-                        await ExportProgressManager.saveProgress(jobId, {
-                            current: i,
-                            total,
-                            success,
-                            failed,
-                            uuids
-                        });
-                    }
+// ============================================
+// SYNC QUEUE VIEW (the job itself runs in background.js)
+// ============================================
 
-                    // Small adaptive delay
-                    await new Promise(r => setTimeout(r, 800));
-                }
-            }
+/**
+ * Request to the service worker (sync queue control, platform reads)
+ */
+async function sendWorkerCommand(type, payload) {
+    const response = await chrome.runtime.sendMessage({ type, payload });
+    if (!response?.success) {
+        throw Object.assign(new Error(response?.error || 'Service worker unavailable'), { code: response?.code });
+    }
+    return response.result;
+}
 
-            progressFill.style.width = '100%';
-            progressText.textContent = 'Completed!';
+function initSyncQueueView() {
+    SyncQueue.load().then(renderSyncQueue);
 
-            // Fix 17: Clear progress on completion
-            await ExportProgressManager.clearProgress(jobId);
+    document.getElementById('queuePauseBtn').addEventListener('click', () =>
+        sendWorkerCommand('QUEUE_PAUSE').catch(e => log(e.message, 'error')));
+    document.getElementById('queueResumeBtn').addEventListener('click', () =>
+        sendWorkerCommand('QUEUE_RESUME').catch(e => log(e.message, 'error')));
+    document.getElementById('queueCancelBtn').addEventListener('click', () => {
+        if (!confirm('Cancel the remaining threads in this sync job?')) return;
+        sendWorkerCommand('QUEUE_CANCEL').catch(e => log(e.message, 'error'));
+    });
+    document.getElementById('queueList').addEventListener('click', (e) => {
+        const button = e.target.closest('[data-queue-key]');
+        if (button) {
+            sendWorkerCommand('QUEUE_PRIORITIZE', { key: button.dataset.queueKey }).catch(err => log(err.message, 'error'));
+        }
+    });
 
-            recordExportJob(total, success, failed);
+    // The service worker writes progress, exports and history to storage
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName !== 'local') return;
+        if (changes[SyncQueue.STORAGE_KEY]) {
+            renderSyncQueue(changes[SyncQueue.STORAGE_KEY].newValue || SyncQueue.emptyQueue());
+        }
+        if (changes.exportedUuids || changes[DuplicateDetector.STORAGE_KEY]) {
+            if (changes.exportedUuids) exportedUuids = new Set(changes.exportedUuids.newValue || []);
+            if (changes[DuplicateDetector.STORAGE_KEY]) exportFingerprints = changes[DuplicateDetector.STORAGE_KEY].newValue || {};
+            refreshThreadStatuses();
+        }
+        if (changes.exportHistory) {
+            exportHistory = changes.exportHistory.newValue || [];
+            renderExportHistory();
+        }
+    });
+}
 
-            setTimeout(() => {
-                progressContainer.classList.add('hidden');
-                selectedThreads.clear();
-                updateSelection(null, false);
-                renderThreadList(threadData.slice((currentPage - 1) * itemsPerPage, currentPage * itemsPerPage));
-            }, 2000);
-        });
-    } catch (e) {
-        console.error("[OmniExporter] Error boundary caught bulkSyncToNotion error:", e);
-        log('Bulk sync encountered an error. Progress may be saved for resume.', 'error');
+/**
+ * Re-render the visible page of the thread list, once it has loaded
+ */
+function refreshThreadStatuses() {
+    if (threadData.length === 0) return;
+    renderCurrentPage();
+}
+
+function renderSyncQueue(queue) {
+    const container = document.getElementById('exportProgress');
+    const active = SyncQueue.isActive(queue);
+    const counts = SyncQueue.counts(queue);
+
+    // Per-thread states for the thread list; cancelled items drop their badge
+    Object.keys(syncStatusMap).forEach(uuid => {
+        if (syncStatusMap[uuid] === 'queued' || syncStatusMap[uuid] === 'syncing') delete syncStatusMap[uuid];
+    });
+    queue.items.forEach(item => {
+        syncStatusMap[item.uuid] = {
+            pending: 'queued', retrying: 'queued', running: 'syncing', failed: 'failed',
+            done: item.action === 'unchanged' ? 'skipped' : 'synced'
+        }[item.state];
+    });
+
+    if (!active) {
+        if (syncQueueWasActive) {
+            const synced = queue.items.filter(i => i.state === 'done' && i.action !== 'unchanged').length;
+            const verb = queue.status === 'cancelled' ? 'Sync cancelled' : 'Sync completed';
+            log(`${verb}: ${synced} synced, ${counts.failed} failed`, counts.failed === 0 ? 'success' : 'error');
+            document.getElementById('progressBarFill').style.width = '100%';
+            document.getElementById('progressText').textContent = 'Completed!';
+            setTimeout(() => container.classList.add('hidden'), 2000);
+        } else {
+            container.classList.add('hidden');
+        }
+        syncQueueWasActive = false;
+        refreshThreadStatuses();
+        return;
     }
+    syncQueueWasActive = true;
+    container.classList.remove('hidden');
+
+    const finished = counts.done + counts.failed;
+    const paused = queue.status === 'paused';
+    document.getElementById('progressBarFill').style.width = `${Math.round((finished / counts.total) * 100)}%`;
+    document.getElementById('progressText').textContent = `${paused ? 'Paused' : 'Syncing'}: ${finished}/${counts.total}` +
+        (counts.failed ? ` • ${counts.failed} failed` : '') +
+        (counts.retrying ? ` • ${counts.retrying} waiting to retry` : '');
+    document.getElementById('queuePauseBtn').classList.toggle('hidden', paused);
+    document.getElementById('queueResumeBtn').classList.toggle('hidden', !paused);
+
+    // Threads still to go, in the order they'll run
+    const waiting = queue.items.filter(item => !SyncQueue.isFinished(item)).slice(0, 50);
+    document.getElementById('queueList').innerHTML = waiting.map((item, index) => `
+        <div class="queue-item">
+            <span class="queue-item-state ${item.state}">${item.state}${item.state === 'retrying' ? ` (${item.attempts}/${SyncQueue.MAX_ATTEMPTS})` : ''}</span>
+            <span class="queue-item-title" title="${InputSanitizer.clean(item.error || '')}">${InputSanitizer.clean(item.platform)} • ${InputSanitizer.clean(item.title)}</span>
+            ${item.state !== 'running' && index > 0 ? `<button class="btn-small" data-queue-key="${InputSanitizer.clean(item.key)}">Move to top</button>` : ''}
+        </div>`).join('');
+
+    refreshThreadStatuses();
 }
 
 // ============================================
 // NOTION SYNC - Full API Integration
 // ============================================
-async function syncToNotion(data) {
+/**
+ * @param {Object} options
+ * @param {string} options.mode - Notion update mode override ('append' | 'replace')
+ */
+async function syncToNotion(data, options = {}) {
     // Load credentials from storage
     const storage = await chrome.storage.local.get(['notionDbId']);
     const dbId = storage.notionDbId;
@@ -1960,186 +2529,26 @@ async function syncToNotion(data) {
 
 
     try {
-        // Build content blocks from conversation entries
-        const entries = data.detail?.entries || [];
-        const children = [];
-
-        console.log('[OmniExporter] syncToNotion - entries:', entries.length);
-
-        // Add metadata header
-        children.push({
-            type: "callout",
-            callout: {
-                icon: { emoji: "🤖" },
-                color: "blue_background",
-                rich_text: [{
-                    type: "text",
-                    text: { content: `Exported from ${currentPlatform} on ${new Date().toLocaleString()}` }
-                }]
-            }
-        });
-        children.push({ type: "divider", divider: {} });
-
-        // Add each Q&A entry
-        entries.forEach((entry, index) => {
-            // Question/Query
-            const query = entry.query || entry.query_str || '';
-            if (query) {
-                children.push({
-                    type: "heading_2",
-                    heading_2: {
-                        rich_text: [{
-                            type: "text",
-                            text: { content: `🙋 ${query}`.slice(0, 2000) }
-                        }]
-                    }
-                });
-            }
-
-            // Answer extraction - handle Perplexity's block structure
-            let answer = '';
-            let sources = [];
-
-            if (entry.blocks && Array.isArray(entry.blocks)) {
-                entry.blocks.forEach(block => {
-                    if (block.intended_usage === 'ask_text' && block.markdown_block) {
-                        if (block.markdown_block.answer) {
-                            answer += block.markdown_block.answer + '\n\n';
-                        } else if (block.markdown_block.chunks && Array.isArray(block.markdown_block.chunks)) {
-                            answer += block.markdown_block.chunks.join('\n') + '\n\n';
-                        }
-                    }
-                    if (block.intended_usage === 'web_results' && block.web_result_block) {
-                        const webResults = block.web_result_block.web_results || [];
-                        webResults.forEach(wr => {
-                            if (wr.url && wr.name) {
-                                sources.push({ name: wr.name, url: wr.url });
-                            }
-                        });
-                    }
-                });
-            }
-
-            // Fallback for simple format
-            if (!answer.trim()) {
-                answer = entry.answer || entry.text || '';
-            }
-
-            // Add answer paragraphs (chunked for Notion's 2000 char limit)
-            if (answer.trim()) {
-                const chunks = splitTextIntoChunks(answer.trim(), 1900);
-                chunks.forEach(chunk => {
-                    children.push({
-                        type: "paragraph",
-                        paragraph: {
-                            rich_text: [{
-                                type: "text",
-                                text: { content: chunk }
-                            }]
-                        }
-                    });
-                });
-            }
-
-            // Add sources as bulleted list
-            if (sources.length > 0) {
-                children.push({
-                    type: "heading_3",
-                    heading_3: {
-                        rich_text: [{
-                            type: "text",
-                            text: { content: "📚 Sources" }
-                        }]
-                    }
-                });
-
-                const uniqueSources = sources.filter((s, i, arr) => i === arr.findIndex(x => x.url === s.url));
-                uniqueSources.slice(0, 10).forEach(source => {
-                    children.push({
-                        type: "bulleted_list_item",
-                        bulleted_list_item: {
-                            rich_text: [{
-                                type: "text",
-                                text: {
-                                    content: source.name.slice(0, 200),
-                                    link: { url: source.url }
-                                }
-                            }]
-                        }
-                    });
-                });
-            }
-
-            // Add related questions if available
-            if (entry.related_queries && entry.related_queries.length > 0) {
-                children.push({
-                    type: "heading_3",
-                    heading_3: {
-                        rich_text: [{
-                            type: "text",
-                            text: { content: "🔗 Related Questions" }
-                        }]
-                    }
-                });
+        // Build content blocks from the canonical conversation
+        const conversation = ConversationSchema.normalize(data, currentPlatform);
+        const renderOptions = await ConversationSchema.loadRenderOptions();
+        console.log('[OmniExporter] syncToNotion - messages:', conversation.messages.length, 'layout:', renderOptions.layout);
 
-                entry.related_queries.slice(0, 5).forEach(q => {
-                    children.push({
-                        type: "bulleted_list_item",
-                        bulleted_list_item: {
-                            rich_text: [{
-                                type: "text",
-                                text: { content: q.slice(0, 200) }
-                            }]
-                        }
-                    });
-                });
-            }
+        // Create the page, or update the one this conversation was synced to before
+        const client = new NotionSyncClient(apiKey, { throttle: fn => notionRateLimiter.throttle(fn) });
+        const properties = await client.buildProperties(conversation, dbId);
 
-            // Add divider between entries
-            if (index < entries.length - 1) {
-                children.push({ type: "divider", divider: {} });
-            }
-        });
-
-        // Create page in Notion database with dynamic properties and throttling
-        const properties = await buildNotionProperties(data, dbId, apiKey, entries);
-        const notionUrl = 'https://api.notion.com/v1/pages';
-
-        const response = await withRetry(async () => {
-            return await notionRateLimiter.throttle(async () => {
-                return await fetch(notionUrl, {
-                    method: 'POST',
-                    headers: {
-                        'Authorization': `Bearer ${apiKey}`,
-                        'Content-Type': 'application/json',
-                        'Notion-Version': '2022-06-28'
-                    },
-                    body: JSON.stringify({
-                        parent: { database_id: dbId },
-                        properties: properties,
-                        children: children.slice(0, 100)
-                    })
-                });
-            });
-        });
-
-        if (!response.ok) {
-            const error = await response.json();
+        let result;
+        try {
+            result = await client.syncConversation(conversation, { dbId, properties, renderOptions, mode: options.mode });
+        } catch (error) {
             console.error('[OmniExporter] Notion API error:', error);
             throw new Error(NotionErrorMapper.map(error));
         }
 
-        const result = await response.json();
-        const pageId = result.id;
-
-        // If content has more than 100 blocks, append remaining in chunks
-        if (children.length > 100) {
-            log(`📄 Appending ${children.length - 100} additional blocks...`, 'info');
-            await appendBlocksToPage(apiKey, pageId, children.slice(100));
-        }
-
-        log(`✅ Synced to Notion: ${data.title || 'Thread'}`, 'success');
-        console.log('[OmniExporter] Notion page created:', result.url);
+        const verb = { created: 'Synced', appended: 'Appended new messages', replaced: 'Replaced', updated: 'Updated' }[result.action];
+        log(`✅ ${verb} in Notion: ${conversation.title}`, 'success');
+        console.log(`[OmniExporter] Notion page ${result.action}:`, result.url);
 
         return result;
 
@@ -2149,82 +2558,196 @@ async function syncToNotion(data) {
     }
 }
 
-// Append additional blocks to existing Notion page (handles >100 blocks)
-async function appendBlocksToPage(apiKey, pageId, blocks) {
-    // Chunk blocks into groups of 100
-    const chunks = [];
-    for (let i = 0; i < blocks.length; i += 100) {
-        chunks.push(blocks.slice(i, i + 100));
+async function bulkExportMarkdown() {
+    const uuids = Array.from(selectedThreads);
+    let format = document.getElementById('bulkExportFormat').value;
+    let template = null;
+    if (format.startsWith('template:')) {
+        template = exportTemplates.find(t => t.id === format.slice('template:'.length));
+        if (!template) {
+            log('Export template not found; it may have been deleted', 'error');
+            return;
+        }
+        format = template.format;
+    }
+
+    const threads = uuids.map(uuid => threadData.find(t => t.uuid === uuid)).filter(Boolean);
+    if (format === 'obsidian') {
+        await exportObsidianVault(threads);
+    } else if (format.startsWith('dataset-')) {
+        await exportDataset(threads, format.slice('dataset-'.length));
+    } else if (format === 'epub' && threads.length > 1) {
+        await exportEpubCollection(threads);
+    } else if ((format === 'csv' || format === 'xlsx') && threads.length > 1) {
+        await exportTable(threads, format);
+    } else if (threads.length > 1) {
+        await exportZipBundle(threads, format, template);
+    } else {
+        for (const uuid of uuids) {
+            const thread = threadData.find(t => t.uuid === uuid);
+            if (thread) await exportSingleThread(thread, format, template);
+        }
     }
+    selectedThreads.clear();
+    updateSelection(null, false);
+}
 
-    // Append each chunk
-    for (const chunk of chunks) {
-        const response = await notionRateLimiter.throttle(async () => {
-            return await fetch(`https://api.notion.com/v1/blocks/${pageId}/children`, {
-                method: 'PATCH',
-                headers: {
-                    'Authorization': `Bearer ${apiKey}`,
-                    'Content-Type': 'application/json',
-                    'Notion-Version': '2022-06-28'
-                },
-                body: JSON.stringify({ children: chunk })
-            });
-        });
+/**
+ * Download the threads as one ZIP with a file per thread and a manifest.json
+ * of paths and SHA-256 checksums, instead of a download per thread
+ */
+async function exportZipBundle(threads, format, template = null) {
+    const button = document.getElementById('bulkMdBtn');
+    const folders = document.getElementById('bulkZipFolders').checked;
+    button.disabled = true;
 
-        if (!response.ok) {
-            const error = await response.json();
-            throw new Error(`Failed to append blocks: ${error.message}`);
+    try {
+        const renderOptions = await ConversationSchema.loadRenderOptions(template ? { template } : {});
+        const files = [];
+        for (const [index, thread] of threads.entries()) {
+            button.textContent = `Fetching ${index + 1}/${threads.length}...`;
+            try {
+                const platform = getThreadPlatform(thread);
+                const conversation = ConversationSchema.normalize(await fetchThreadContent(thread), platform);
+                const content = await ExportManager.render(conversation, format, platform, renderOptions);
+                files.push({ conversation, content });
+            } catch (e) {
+                log(`ZIP export skipped ${thread.title || thread.uuid}: ${e.message}`, 'error');
+            }
         }
+        if (files.length === 0) return;
 
-        // Small delay to avoid rate limiting
-        await new Promise(r => setTimeout(r, 300));
+        button.textContent = 'Building ZIP...';
+        const zip = await ExportManager.toZipBundle(files, { format, folders });
+        ExportManager.downloadFile(zip, `OmniExporter_${format}_${new Date().toISOString().slice(0, 10)}.zip`, 'application/zip');
+        log(`Exported ${files.length} conversation(s) as one ZIP`, 'success');
+    } catch (e) {
+        log(`ZIP export failed: ${e.message}`, 'error');
     }
 }
 
+/**
+ * Fetch and normalize threads for a combined export, counting progress on the
+ * bulk export button; threads that fail to load are logged and left out
+ */
+async function fetchConversations(threads, label) {
+    const button = document.getElementById('bulkMdBtn');
+    const conversations = [];
+    for (const [index, thread] of threads.entries()) {
+        button.textContent = `Fetching ${index + 1}/${threads.length}...`;
+        try {
+            conversations.push(ConversationSchema.normalize(await fetchThreadContent(thread), getThreadPlatform(thread)));
+        } catch (e) {
+            log(`${label} skipped ${thread.title || thread.uuid}: ${e.message}`, 'error');
+        }
+    }
+    return conversations;
+}
 
-// Helper: Split text into chunks for Notion's 2000 char limit
-function splitTextIntoChunks(text, maxLength = 1900) {
-    const chunks = [];
-    let remaining = text;
+/**
+ * Download the threads as one Obsidian vault ZIP: platform/year folders,
+ * an index note per platform and wikilinks between related threads
+ */
+async function exportObsidianVault(threads) {
+    const button = document.getElementById('bulkMdBtn');
+    button.disabled = true;
 
-    while (remaining.length > 0) {
-        if (remaining.length <= maxLength) {
-            chunks.push(remaining);
-            break;
-        }
+    try {
+        const renderOptions = await ConversationSchema.loadRenderOptions();
+        const conversations = await fetchConversations(threads, 'Vault export');
+        if (conversations.length === 0) return;
+
+        button.textContent = 'Building vault...';
+        const zip = await ExportManager.toObsidianVault(conversations, renderOptions);
+        ExportManager.downloadFile(zip, `OmniExporter_Vault_${new Date().toISOString().slice(0, 10)}.zip`, 'application/zip');
+        log(`Exported ${conversations.length} conversation(s) as an Obsidian vault`, 'success');
+    } catch (e) {
+        log(`Vault export failed: ${e.message}`, 'error');
+    }
+}
 
-        // Find a good break point (newline, period, space)
-        let breakPoint = remaining.lastIndexOf('\n', maxLength);
-        if (breakPoint < maxLength / 2) {
-            breakPoint = remaining.lastIndexOf('. ', maxLength);
-        }
-        if (breakPoint < maxLength / 2) {
-            breakPoint = remaining.lastIndexOf(' ', maxLength);
-        }
-        if (breakPoint < maxLength / 2) {
-            breakPoint = maxLength;
-        }
+/**
+ * Download the threads as a single EPUB book with a chapter per thread
+ */
+async function exportEpubCollection(threads) {
+    const button = document.getElementById('bulkMdBtn');
+    button.disabled = true;
 
-        chunks.push(remaining.slice(0, breakPoint + 1).trim());
-        remaining = remaining.slice(breakPoint + 1);
+    try {
+        const renderOptions = await ConversationSchema.loadRenderOptions();
+        const conversations = await fetchConversations(threads, 'EPUB export');
+        if (conversations.length === 0) return;
+
+        button.textContent = 'Building book...';
+        const book = await ExportManager.toEPUB(conversations, renderOptions);
+        const { extension, mimeType } = ExportManager.formats.epub;
+        ExportManager.downloadFile(book, `OmniExporter_Collection_${new Date().toISOString().slice(0, 10)}${extension}`, mimeType);
+        log(`Exported ${conversations.length} conversation(s) as one EPUB book`, 'success');
+    } catch (e) {
+        log(`EPUB export failed: ${e.message}`, 'error');
     }
+}
 
-    return chunks;
+/**
+ * Download the threads as one CSV or Excel table with a row per message
+ */
+async function exportTable(threads, format) {
+    const button = document.getElementById('bulkMdBtn');
+    button.disabled = true;
+
+    try {
+        const conversations = await fetchConversations(threads, 'Table export');
+        if (conversations.length === 0) return;
+
+        button.textContent = 'Building table...';
+        const content = format === 'xlsx' ? await ExportManager.toXLSX(conversations) : ExportManager.toCSV(conversations);
+        const { extension, mimeType } = ExportManager.formats[format];
+        ExportManager.downloadFile(content, `OmniExporter_Turns_${new Date().toISOString().slice(0, 10)}${extension}`, mimeType);
+        log(`Exported ${conversations.length} conversation(s) as one ${ExportManager.formats[format].name} table`, 'success');
+    } catch (e) {
+        log(`Table export failed: ${e.message}`, 'error');
+    }
 }
 
-async function bulkExportMarkdown() {
-    const uuids = Array.from(selectedThreads);
+/**
+ * Download the threads as a fine-tuning dataset: one JSONL file, or a ZIP with
+ * train.jsonl and validation.jsonl when a validation split is set
+ */
+async function exportDataset(threads, format) {
+    const button = document.getElementById('bulkMdBtn');
+    button.disabled = true;
 
-    for (const uuid of uuids) {
-        const thread = threadData.find(t => t.uuid === uuid);
-        if (thread) await exportSingleThread(thread);
+    try {
+        const options = await DatasetExporter.loadOptions();
+        const conversations = await fetchConversations(threads, 'Dataset export');
+        if (conversations.length === 0) return;
+
+        const dataset = DatasetExporter.build(conversations, format, options);
+        const { train, validation, skipped } = dataset.stats;
+        if (train + validation === 0) {
+            log('Dataset export: no conversation has a complete question and answer', 'error');
+            return;
+        }
+
+        const base = `OmniExporter_${format}_${new Date().toISOString().slice(0, 10)}`;
+        if (dataset.validation === null) {
+            ExportManager.downloadFile(dataset.train, `${base}.jsonl`, 'application/jsonl');
+        } else {
+            const zip = new ZipWriter();
+            await zip.add('train.jsonl', dataset.train);
+            await zip.add('validation.jsonl', dataset.validation);
+            ExportManager.downloadFile(zip.toBlob(), `${base}.zip`, 'application/zip');
+        }
+        log(`Exported ${DatasetExporter.FORMATS[format].name} dataset: ${train} training` +
+            `${dataset.validation !== null ? ` / ${validation} validation` : ''} example(s)` +
+            `${skipped ? `, ${skipped} conversation(s) without answers skipped` : ''}`, 'success');
+    } catch (e) {
+        log(`Dataset export failed: ${e.message}`, 'error');
     }
-    selectedThreads.clear();
-    updateSelection(null, false);
 }
 
 async function exportAllThreads() {
-    const uuids = threadData.filter(t => !exportedUuids.has(t.uuid)).map(t => t.uuid);
+    const uuids = getVisibleThreads().filter(t => !isUpToDate(t)).map(t => t.uuid);
     uuids.forEach(uuid => selectedThreads.add(uuid));
     updateSelection(null, false);
     await bulkSyncToNotion();
@@ -2233,31 +2756,6 @@ async function exportAllThreads() {
 // ============================================
 // EXPORT HISTORY TRACKING  
 // ============================================
-function recordExportJob(total, success, failed, isAuto = false) {
-    const endTime = Date.now();
-    const duration = exportStartTime ? Math.round((endTime - exportStartTime) / 1000) : 0;
-
-    const job = {
-        timestamp: new Date().toISOString(),
-        total,
-        success,
-        failed,
-        duration,
-        isAuto,
-        platform: currentPlatform
-    };
-
-    chrome.storage.local.get(['exportHistory'], (data) => {
-        const history = data.exportHistory || [];
-        history.unshift(job);
-        // Keep only last 50 jobs
-        chrome.storage.local.set({ exportHistory: history.slice(0, 50) }, () => {
-            log(`Export completed: ${success}/${total} successful (${duration}s)`, success === total ? 'success' : 'error');
-            renderExportHistory();
-        });
-    });
-}
-
 function loadExportHistory() {
     chrome.storage.local.get(['exportHistory'], (data) => {
         exportHistory = data.exportHistory || [];
@@ -2281,14 +2779,19 @@ function renderExportHistory() {
         item.className = 'history-item';
         const date = new Date(job.timestamp).toLocaleString();
         const status = job.failed === 0 ? '✅' : '⚠️';
+        // Auto-sync runs report each platform separately
+        const platformRows = Object.entries(job.platforms || {}).map(([name, r]) => `
+            <div class="history-platform">
+                ${InputSanitizer.clean(name)}${r.source === 'background' ? ' (no tab)' : ''}: ${r.success}/${r.total} synced${r.failed ? `, ${r.failed} failed` : ''}${r.skipped ? `, ${r.skipped} unchanged` : ''}${r.remaining ? `, ${r.remaining} queued` : ''}${r.error ? ` (${InputSanitizer.clean(r.error)})` : ''}
+            </div>`).join('');
         item.innerHTML = `
             <div class="history-header">
                 <span>${status} ${job.success}/${job.total}</span>
                 <span class="history-meta">${date}</span>
             </div>
             <div class="history-details">
-            Duration: ${job.duration}s | Platform: ${job.platform || 'Unknown'}${job.isAuto ? ' | Auto-Sync' : ''}
-            </div>
+            Duration: ${job.duration ?? '-'}s | Platform: ${InputSanitizer.clean(job.platform || 'Unknown')}${job.isAuto ? ' | Auto-Sync' : ''}
+            </div>${platformRows}
         `;
         container.appendChild(item);
     });
@@ -2298,110 +2801,6 @@ function renderExportHistory() {
 // UTILITIES
 // ============================================
 
-/**
- * Fetches Notion database schema and caches it
- */
-async function getNotionDatabaseSchema(dbId, apiKey) {
-    if (notionSchemaCache && (Date.now() - schemaCacheTime < SCHEMA_CACHE_TTL)) {
-        return notionSchemaCache;
-    }
-
-    try {
-        const response = await notionRateLimiter.throttle(async () => {
-            return await fetch(`https://api.notion.com/v1/databases/${dbId}`, {
-                headers: {
-                    'Authorization': `Bearer ${apiKey}`,
-                    'Notion-Version': '2022-06-28'
-                }
-            });
-        });
-
-        if (!response.ok) throw new Error('Database schema fetch failed');
-
-        const schema = await response.json();
-        notionSchemaCache = schema;
-        schemaCacheTime = Date.now();
-        return schema;
-    } catch (e) {
-        console.warn('[OmniExporter] Schema fetch failed:', e.message);
-        return null; // Fallback to title-only
-    }
-}
-
-/**
- * Dynamically builds Notion properties based on available columns
- */
-async function buildNotionProperties(data, dbId, apiKey, entries = []) {
-    // Required Title property
-    const properties = {
-        title: {
-            title: [{
-                type: "text",
-                text: { content: (data.title || 'Untitled Chat').slice(0, 2000) }
-            }]
-        }
-    };
-
-    try {
-        const schema = await getNotionDatabaseSchema(dbId, apiKey);
-        if (!schema || !schema.properties) return properties;
-
-        const availableProps = schema.properties;
-
-        // URL column
-        if (availableProps['URL'] && data.uuid) {
-            properties.URL = { url: `https://www.perplexity.ai/search/${data.uuid}` };
-        }
-
-        // Chat Time column
-        const threadTime = entries[0]?.updated_datetime || entries[0]?.created_datetime || data.datetime;
-        if (availableProps['Chat Time'] && threadTime) {
-            try {
-                properties['Chat Time'] = {
-                    date: { start: new Date(threadTime).toISOString() }
-                };
-            } catch (e) { /* Invalid date */ }
-        }
-
-        // Space Name column
-        if (availableProps['Space Name'] && data.spaceName) {
-            properties['Space Name'] = {
-                rich_text: [{ type: "text", text: { content: data.spaceName } }]
-            };
-        }
-
-        // Platform column
-        if (availableProps['Platform']) {
-            properties.Platform = {
-                select: { name: currentPlatform || 'Unknown' }
-            };
-        }
-
-        // Tags column (if it exists)
-        if (availableProps['Tags']) {
-            properties.Tags = {
-                multi_select: [{ name: currentPlatform || 'AI' }]
-            };
-        }
-
-    } catch (error) {
-        console.warn('[OmniExporter] Property build failed:', error.message);
-        if (typeof log === 'function') log('Using minimal properties due to schema fetch failure', 'info');
-    }
-
-    return properties;
-}
-
-// YAML value escaper for frontmatter
-function escapeYamlValue(value) {
-    if (!value) return '';
-    const str = String(value);
-    if (str.includes(':') || str.includes('#') || str.includes("'") || str.includes('"') || str.includes('\n')) {
-        return `"${str.replace(/"/g, '\\"')}"`;
-    }
-    return str;
-}
-
 // HTML escaper for XSS prevention
 function escapeHtml(text) {
     if (!text) return '';
@@ -2465,11 +2864,11 @@ function clearExportedCache() {
     if (!confirm('Clear all exported records? This will allow re-exporting synced threads.')) return;
 
     exportedUuids.clear();
+    exportFingerprints = {};
     syncStatusMap = {};
-    chrome.storage.local.set({ exportedUuids: [] }, () => {
+    chrome.storage.local.set({ exportedUuids: [], [DuplicateDetector.STORAGE_KEY]: {} }, () => {
         log('Exported records cache cleared.', 'success');
-        const start = (currentPage - 1) * itemsPerPage;
-        renderThreadList(threadData.slice(start, start + itemsPerPage));
+        renderCurrentPage();
     });
 }
 
@@ -2504,6 +2903,7 @@ function downloadLogsAsJson() {
 function clearAllData() {
     if (!confirm('Clear ALL data including settings, history, and cache?')) return;
 
+    ConversationStore.clear().catch(e => console.warn('[OmniExporter] Archive clear failed:', e.message));
     chrome.storage.local.clear(() => {
         exportedUuids.clear();
         syncStatusMap = {};
@@ -2513,56 +2913,3 @@ function clearAllData() {
         location.reload();
     });
 }
-
-function formatToMarkdown(data) {
-    const entries = data.detail?.entries || [];
-    const firstEntry = entries[0] || {};
-
-    const title = escapeYamlValue(data.title || 'Untitled Chat');
-    const date = firstEntry.updated_datetime
-        ? new Date(firstEntry.updated_datetime).toISOString().split('T')[0]
-        : new Date().toISOString().split('T')[0];
-    const url = `https://www.perplexity.ai/search/${data.uuid || ''}`;
-
-    let md = '---\n';
-    md += `title: ${title}\n`;
-    md += `date: ${date}\n`;
-    md += `url: ${url}\n`;
-    md += `source: ${currentPlatform}\n`;
-    md += '---\n\n';
-
-    entries.forEach(entry => {
-        const query = entry.query || entry.query_str || '';
-        if (query) md += `## ${query}\n\n`;
-
-        let answer = '';
-        if (entry.blocks && Array.isArray(entry.blocks)) {
-            entry.blocks.forEach(block => {
-                if (block.intended_usage === 'ask_text' && block.markdown_block) {
-                    if (block.markdown_block.answer) {
-                        answer += block.markdown_block.answer + '\n\n';
-                    } else if (block.markdown_block.chunks) {
-                        answer += block.markdown_block.chunks.join('\n') + '\n\n';
-                    }
-                }
-            });
-        }
-        if (!answer.trim()) answer = entry.answer || entry.text || '';
-        if (answer.trim()) md += `${answer.trim()}\n\n`;
-
-        md += '---\n\n';
-    });
-
-    return md;
-}
-
-function downloadFile(content, name) {
-    const sanitized = name.replace(/[^a-z0-9]/gi, '_');
-    const blob = new Blob([content], { type: 'text/markdown' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `${sanitized}.md`;
-    a.click();
-    URL.revokeObjectURL(url);
-}
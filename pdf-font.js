@@ -0,0 +1,301 @@
+// OmniExporter AI - PDF Font
+// TrueType font for pdf-writer.js: reads what is needed to map characters to
+// glyphs and measure text, and writes subsets that keep only the glyphs a
+// document uses. Glyph ids stay the same in the subset, so PDFs can address
+// glyphs directly (Identity CID mapping). CFF-flavoured OpenType is not supported.
+
+class PdfFont {
+    static REQUIRED_TABLES = ['head', 'hhea', 'maxp', 'hmtx', 'loca', 'glyf', 'cmap'];
+    // Glyph outlines, metrics and hinting programs; PDF viewers never read 'cmap' or 'name'
+    static SUBSET_TABLES = ['cvt ', 'fpgm', 'glyf', 'head', 'hhea', 'hmtx', 'loca', 'maxp', 'prep'];
+
+    /**
+     * @param {string} url - e.g. chrome.runtime.getURL('fonts/DejaVuSans.ttf')
+     * @param {string} name - PostScript name used in the PDF ("DejaVuSans-Bold")
+     */
+    static async load(url, name) {
+        const response = await fetch(url);
+        if (!response.ok) throw new Error(`Font ${url} could not be loaded (HTTP ${response.status})`);
+        return new PdfFont(new Uint8Array(await response.arrayBuffer()), name);
+    }
+
+    constructor(bytes, name = 'Font') {
+        this.bytes = bytes;
+        this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        this.name = String(name).replace(/[^A-Za-z0-9+-]/g, '');
+        this.tables = this.readTableDirectory();
+        PdfFont.REQUIRED_TABLES.forEach(tag => {
+            if (!this.tables[tag]) throw new Error(`${this.name} is not a TrueType font (no ${tag} table)`);
+        });
+        this.readMetrics();
+        this.cmap = this.readCmap();
+    }
+
+    // ============================================
+    // PARSING
+    // ============================================
+
+    readTableDirectory() {
+        const tables = {};
+        const count = this.view.getUint16(4);
+        for (let i = 0; i < count; i++) {
+            const record = 12 + i * 16;
+            const tag = String.fromCharCode(...this.bytes.subarray(record, record + 4));
+            tables[tag] = { offset: this.view.getUint32(record + 8), length: this.view.getUint32(record + 12) };
+        }
+        return tables;
+    }
+
+    readMetrics() {
+        const v = this.view;
+        const head = this.tables.head.offset;
+        const hhea = this.tables.hhea.offset;
+        this.unitsPerEm = v.getUint16(head + 18);
+        this.bbox = [v.getInt16(head + 36), v.getInt16(head + 38), v.getInt16(head + 40), v.getInt16(head + 42)]
+            .map(n => this.toPdfUnits(n));
+        this.longLoca = v.getInt16(head + 50) === 1;
+        this.ascent = this.toPdfUnits(v.getInt16(hhea + 4));
+        this.descent = this.toPdfUnits(v.getInt16(hhea + 6));
+        this.numGlyphs = v.getUint16(this.tables.maxp.offset + 4);
+
+        const metrics = v.getUint16(hhea + 34);
+        const hmtx = this.tables.hmtx.offset;
+        this.advances = new Uint16Array(this.numGlyphs);
+        for (let gid = 0; gid < this.numGlyphs; gid++) {
+            this.advances[gid] = v.getUint16(hmtx + 4 * Math.min(gid, metrics - 1));
+        }
+
+        const os2 = this.tables['OS/2'];
+        this.capHeight = os2 && v.getUint16(os2.offset) >= 2
+            ? this.toPdfUnits(v.getInt16(os2.offset + 88))
+            : Math.round(this.ascent * 0.7);
+        const post = this.tables.post;
+        this.italicAngle = post ? v.getInt32(post.offset + 4) / 65536 : 0;
+        this.fixedPitch = post ? v.getUint32(post.offset + 12) !== 0 : false;
+    }
+
+    /**
+     * Unicode code point → glyph id, from the best Unicode subtable:
+     * format 12 (full range) when present, otherwise format 4 (BMP)
+     */
+    readCmap() {
+        const v = this.view;
+        const cmap = this.tables.cmap.offset;
+        const subtables = [];
+        for (let i = 0, count = v.getUint16(cmap + 2); i < count; i++) {
+            const record = cmap + 4 + i * 8;
+            const platform = v.getUint16(record);
+            const encoding = v.getUint16(record + 2);
+            const offset = cmap + v.getUint32(record + 4);
+            if (platform === 0 || (platform === 3 && (encoding === 1 || encoding === 10))) {
+                subtables.push({ format: v.getUint16(offset), offset });
+            }
+        }
+
+        const map = new Map();
+        const table = subtables.find(t => t.format === 12) || subtables.find(t => t.format === 4);
+        if (!table) throw new Error(`${this.name} has no Unicode character map`);
+
+        if (table.format === 12) {
+            const groups = v.getUint32(table.offset + 12);
+            for (let i = 0; i < groups; i++) {
+                const group = table.offset + 16 + i * 12;
+                const start = v.getUint32(group);
+                const end = v.getUint32(group + 4);
+                const glyph = v.getUint32(group + 8);
+                for (let cp = start; cp <= end; cp++) map.set(cp, glyph + cp - start);
+            }
+        } else {
+            const segments = v.getUint16(table.offset + 6) / 2;
+            const ends = table.offset + 14;
+            const starts = ends + segments * 2 + 2;
+            const deltas = starts + segments * 2;
+            const rangeOffsets = deltas + segments * 2;
+            for (let i = 0; i < segments; i++) {
+                const start = v.getUint16(starts + i * 2);
+                const end = v.getUint16(ends + i * 2);
+                const delta = v.getInt16(deltas + i * 2);
+                const rangeOffset = v.getUint16(rangeOffsets + i * 2);
+                for (let cp = start; cp <= end && cp !== 0xffff; cp++) {
+                    let glyph;
+                    if (rangeOffset === 0) {
+                        glyph = (cp + delta) & 0xffff;
+                    } else {
+                        glyph = v.getUint16(rangeOffsets + i * 2 + rangeOffset + (cp - start) * 2);
+                        if (glyph !== 0) glyph = (glyph + delta) & 0xffff;
+                    }
+                    if (glyph !== 0) map.set(cp, glyph);
+                }
+            }
+        }
+        return map;
+    }
+
+    // ============================================
+    // METRICS
+    // ============================================
+
+    toPdfUnits(value) {
+        return Math.round(value * 1000 / this.unitsPerEm);
+    }
+
+    hasGlyph(codePoint) {
+        return this.cmap.has(codePoint);
+    }
+
+    /**
+     * Glyph for a code point; 0 (.notdef, an empty box) when the font lacks it
+     */
+    glyphId(codePoint) {
+        return this.cmap.get(codePoint) || 0;
+    }
+
+    /**
+     * Advance width of a glyph in PDF text space units (1/1000 em)
+     */
+    advance(glyphId) {
+        return this.toPdfUnits(this.advances[glyphId] || 0);
+    }
+
+    widthOf(text, size) {
+        let width = 0;
+        for (const ch of text) width += this.advance(this.glyphId(ch.codePointAt(0)));
+        return width * size / 1000;
+    }
+
+    // ============================================
+    // SUBSETTING
+    // ============================================
+
+    glyphRange(glyphId) {
+        const loca = this.tables.loca.offset;
+        const glyf = this.tables.glyf.offset;
+        const at = i => this.longLoca ? this.view.getUint32(loca + i * 4) : this.view.getUint16(loca + i * 2) * 2;
+        return { start: glyf + at(glyphId), end: glyf + at(glyphId + 1) };
+    }
+
+    /**
+     * Glyphs a composite glyph is assembled from
+     */
+    componentGlyphs(glyphId) {
+        const { start, end } = this.glyphRange(glyphId);
+        if (end <= start || this.view.getInt16(start) >= 0) return [];
+
+        const components = [];
+        let p = start + 10;
+        while (true) {
+            const flags = this.view.getUint16(p);
+            components.push(this.view.getUint16(p + 2));
+            p += 4 + (flags & 0x0001 ? 4 : 2);                  // ARG_1_AND_2_ARE_WORDS
+            if (flags & 0x0008) p += 2;                         // WE_HAVE_A_SCALE
+            else if (flags & 0x0040) p += 4;                    // WE_HAVE_AN_X_AND_Y_SCALE
+            else if (flags & 0x0080) p += 8;                    // WE_HAVE_A_TWO_BY_TWO
+            if (!(flags & 0x0020)) break;                       // MORE_COMPONENTS
+        }
+        return components;
+    }
+
+    /**
+     * TrueType file with outlines for `glyphIds` (and the glyphs they are
+     * composed of) only; every other glyph is left empty
+     * @param {Iterable<number>} glyphIds
+     * @returns {Uint8Array}
+     */
+    subset(glyphIds) {
+        const keep = new Set();
+        const pending = [0, ...glyphIds];
+        while (pending.length > 0) {
+            const glyphId = pending.pop();
+            if (keep.has(glyphId) || glyphId >= this.numGlyphs) continue;
+            keep.add(glyphId);
+            pending.push(...this.componentGlyphs(glyphId).filter(id => !keep.has(id)));
+        }
+
+        // glyf and loca (long offsets) with empty entries for dropped glyphs
+        const ranges = [];
+        let glyfLength = 0;
+        for (let glyphId = 0; glyphId < this.numGlyphs; glyphId++) {
+            const range = keep.has(glyphId) ? this.glyphRange(glyphId) : null;
+            const length = range ? range.end - range.start : 0;
+            ranges.push({ range, at: glyfLength });
+            glyfLength += (length + 3) & ~3;
+        }
+        const glyf = new Uint8Array(glyfLength);
+        const loca = new DataView(new ArrayBuffer((this.numGlyphs + 1) * 4));
+        ranges.forEach(({ range, at }, glyphId) => {
+            if (range) glyf.set(this.bytes.subarray(range.start, range.end), at);
+            loca.setUint32(glyphId * 4, at);
+        });
+        loca.setUint32(this.numGlyphs * 4, glyfLength);
+
+        const head = this.tableBytes('head').slice();
+        const headView = new DataView(head.buffer);
+        headView.setUint32(8, 0);                               // checkSumAdjustment, set below
+        headView.setInt16(50, 1);                               // indexToLocFormat: long
+
+        const tables = PdfFont.SUBSET_TABLES
+            .filter(tag => this.tables[tag])
+            .map(tag => ({
+                tag,
+                data: tag === 'glyf' ? glyf
+                    : tag === 'loca' ? new Uint8Array(loca.buffer)
+                        : tag === 'head' ? head
+                            : this.tableBytes(tag)
+            }));
+
+        const font = PdfFont.writeFont(tables);
+        const adjustment = (0xb1b0afba - PdfFont.checksum(font)) >>> 0;
+        const headOffset = new DataView(font.buffer).getUint32(12 + tables.findIndex(t => t.tag === 'head') * 16 + 8);
+        new DataView(font.buffer).setUint32(headOffset + 8, adjustment);
+        return font;
+    }
+
+    tableBytes(tag) {
+        const { offset, length } = this.tables[tag];
+        return this.bytes.subarray(offset, offset + length);
+    }
+
+    /**
+     * Assemble an sfnt file from tables given in tag order
+     */
+    static writeFont(tables) {
+        const count = tables.length;
+        const power = 2 ** Math.floor(Math.log2(count));
+        let size = 12 + count * 16;
+        const placed = tables.map(table => {
+            const offset = size;
+            size += (table.data.length + 3) & ~3;
+            return { ...table, offset };
+        });
+
+        const bytes = new Uint8Array(size);
+        const view = new DataView(bytes.buffer);
+        view.setUint32(0, 0x00010000);
+        view.setUint16(4, count);
+        view.setUint16(6, power * 16);                          // searchRange
+        view.setUint16(8, Math.log2(power));                    // entrySelector
+        view.setUint16(10, count * 16 - power * 16);            // rangeShift
+        placed.forEach((table, i) => {
+            const record = 12 + i * 16;
+            for (let c = 0; c < 4; c++) bytes[record + c] = table.tag.charCodeAt(c);
+            view.setUint32(record + 4, this.checksum(table.data));
+            view.setUint32(record + 8, table.offset);
+            view.setUint32(record + 12, table.data.length);
+            bytes.set(table.data, table.offset);
+        });
+        return bytes;
+    }
+
+    static checksum(bytes) {
+        let sum = 0;
+        for (let i = 0; i < bytes.length; i += 4) {
+            sum = (sum + ((bytes[i] << 24) | ((bytes[i + 1] || 0) << 16) | ((bytes[i + 2] || 0) << 8) | (bytes[i + 3] || 0))) >>> 0;
+        }
+        return sum;
+    }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PdfFont;
+}
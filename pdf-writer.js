@@ -0,0 +1,561 @@
+// OmniExporter AI - PDF Writer
+// Builds PDF files directly, without a print dialog. Text is set in embedded
+// TrueType fonts (pdf-font.js, subset to the glyphs used), wrapped to the page
+// width and flowed onto as many pages as it needs; URLs become link
+// annotations. Streams are deflated with CompressionStream. Doesn't touch the
+// DOM, so it works in extension pages and the service worker alike.
+//
+// Layout runs top to bottom: `y` is the distance from the top edge of the
+// current page and every flow method (paragraph, code, table, rule) starts a
+// new page when the next line doesn't fit. Text is given as runs:
+//   { text, bold, italic, mono, strike, color, url }
+
+class PdfWriter {
+    static PAGE_SIZES = {
+        a4: [595.28, 841.89],
+        letter: [612, 792]
+    };
+
+    static LINK_PATTERN = /^(https?:|mailto:)/i;
+    // Runs of CJK characters may break between any two characters
+    static TOKEN_PATTERN = /\n|[^\S\n]+|[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]|[^\s\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]+/gu;
+
+    /**
+     * @param {Object} options
+     * @param {Object} options.fonts - { regular, bold, mono } PdfFont instances
+     * @param {string} options.pageSize - 'a4' | 'letter'
+     * @param {number} options.margin - page margin in points
+     * @param {Object} options.info - document properties: { title, author, subject }
+     */
+    constructor({ fonts, pageSize = 'a4', margin = 56, info = {} }) {
+        [this.width, this.height] = PdfWriter.PAGE_SIZES[pageSize] || PdfWriter.PAGE_SIZES.a4;
+        this.margin = margin;
+        this.fonts = fonts;
+        this.fontList = [...new Set(Object.values(fonts))];
+        this.glyphs = new Map(this.fontList.map(font => [font, new Map()]));    // glyph id → text, per font
+        this.info = info;
+        this.pages = [];
+        this.page = null;
+        this.y = 0;
+    }
+
+    get contentWidth() {
+        return this.width - 2 * this.margin;
+    }
+
+    get bottom() {
+        return this.height - this.margin;
+    }
+
+    // ============================================
+    // PAGE FLOW
+    // ============================================
+
+    addPage() {
+        this.page = { ops: [], links: [] };
+        this.pages.push(this.page);
+        this.y = this.margin;
+        return this.page;
+    }
+
+    /**
+     * Start a new page unless `height` more points fit on this one
+     */
+    ensureSpace(height) {
+        if (!this.page || this.y + height > this.bottom) this.addPage();
+    }
+
+    /**
+     * Vertical gap; swallowed at the top of a page
+     */
+    space(points) {
+        if (this.page && this.y > this.margin) this.y = Math.min(this.y + points, this.bottom);
+    }
+
+    /**
+     * Wrapped text. `marker` (a bullet or number) hangs left of the first
+     * line; `bar` draws a quote bar of that colour beside every line.
+     */
+    paragraph(runs, { size = 10.5, leading = 1.45, indent = 0, marker = null, bar = null, align = 'left', after = 6 } = {}) {
+        const lineHeight = size * leading;
+        const left = this.margin + indent;
+        const lines = this.layoutLines(runs, this.contentWidth - indent, size);
+
+        lines.forEach((line, i) => {
+            this.ensureSpace(lineHeight);
+            const baseline = this.y + (lineHeight + size * 0.7) / 2;
+            const x = align === 'center' ? left + (this.contentWidth - indent - line.width) / 2 : left;
+            if (i === 0 && marker) {
+                const markerRuns = this.layoutLines([{ text: marker, color: runs[0]?.color }], Infinity, size)[0];
+                this.drawLine(markerRuns, left - markerRuns.width - 5, baseline, size);
+            }
+            if (bar) this.line(left - 9, this.y, left - 9, this.y + lineHeight, { color: bar, width: 2 });
+            this.drawLine(line, x, baseline, size);
+            this.y += lineHeight;
+        });
+        this.space(after);
+    }
+
+    /**
+     * Preformatted monospace text on a shaded background. Whitespace is kept
+     * and long lines wrap at the right edge.
+     */
+    code(text, { size = 8.5, indent = 0, background = '#f1f5f9', color = '#1e293b', after = 8 } = {}) {
+        const pad = 6;
+        const lineHeight = size * 1.4;
+        const left = this.margin + indent;
+        const width = this.contentWidth - indent;
+        const lines = String(text ?? '').replace(/\t/g, '    ').replace(/\s+$/, '').split('\n')
+            .flatMap(line => this.wrapPreformatted(line, { mono: true, color }, width - 2 * pad, size));
+
+        this.ensureSpace(pad + lineHeight);
+        this.rect(left, this.y, width, pad, background);
+        this.y += pad;
+        lines.forEach(line => {
+            this.ensureSpace(lineHeight);
+            this.rect(left, this.y, width, lineHeight, background);
+            this.drawLine(line, left + pad, this.y + (lineHeight + size * 0.7) / 2, size);
+            this.y += lineHeight;
+        });
+        this.rect(left, this.y, width, pad, background);
+        this.y += pad;
+        this.space(after);
+    }
+
+    /**
+     * Grid with equal-width columns; the first row is the header
+     * @param {Array} rows - [[runs per cell]]
+     */
+    table(rows, { size = 9, indent = 0, header = true, border = '#cbd5e1', headerBackground = '#f1f5f9', after = 8 } = {}) {
+        const columns = Math.max(...rows.map(row => row.length), 1);
+        const pad = 4;
+        const lineHeight = size * 1.35;
+        const cellWidth = (this.contentWidth - indent) / columns;
+
+        rows.forEach((row, r) => {
+            const cells = Array.from({ length: columns }, (_, c) => {
+                const runs = (row[c] || []).map(run => (header && r === 0 ? { ...run, bold: true } : run));
+                return this.layoutLines(runs, cellWidth - 2 * pad, size);
+            });
+            const height = Math.max(...cells.map(lines => lines.length), 1) * lineHeight + 2 * pad;
+            this.ensureSpace(height);
+
+            cells.forEach((lines, c) => {
+                const x = this.margin + indent + c * cellWidth;
+                if (header && r === 0) this.rect(x, this.y, cellWidth, height, headerBackground);
+                this.rect(x, this.y, cellWidth, height, null, border);
+                lines.forEach((line, i) => {
+                    this.drawLine(line, x + pad, this.y + pad + i * lineHeight + (lineHeight + size * 0.7) / 2, size);
+                });
+            });
+            this.y += height;
+        });
+        this.space(after);
+    }
+
+    rule({ indent = 0, color = '#e2e8f0', after = 10 } = {}) {
+        this.ensureSpace(after);
+        this.line(this.margin + indent, this.y, this.width - this.margin, this.y, { color, width: 0.75 });
+        this.y += after;
+    }
+
+    /**
+     * Centered footer on every page from index `from` on
+     * @param {Function} format - (pageNumber, pageCount) => text
+     */
+    numberPages({ from = 0, format = (n, total) => `${n} / ${total}`, size = 8, color = '#94a3b8' } = {}) {
+        const current = this.page;
+        this.pages.forEach((page, i) => {
+            if (i < from) return;
+            this.page = page;
+            const line = this.layoutLines([{ text: format(i + 1, this.pages.length), color }], Infinity, size)[0];
+            this.drawLine(line, (this.width - line.width) / 2, this.height - this.margin / 2, size);
+        });
+        this.page = current;
+    }
+
+    // ============================================
+    // LINE BREAKING
+    // ============================================
+
+    /**
+     * Break runs into lines at most `width` wide. Spaces at line ends are
+     * dropped; "\n" forces a break; words wider than a line are split.
+     * @returns {Array} lines: { pieces: [{ text, font, style, x, width }], width }
+     */
+    layoutLines(runs, width, size) {
+        const lines = [];
+        let line = { pieces: [], width: 0 };
+        let pendingSpace = null;
+
+        const breakLine = () => {
+            lines.push(line);
+            line = { pieces: [], width: 0 };
+            pendingSpace = null;
+        };
+        const place = (text, style) => {
+            for (const segment of this.segments(text, style, size)) {
+                const last = line.pieces[line.pieces.length - 1];
+                if (last && last.font === segment.font && last.style === style) {
+                    last.text += segment.text;
+                    last.width += segment.width;
+                } else {
+                    line.pieces.push({ ...segment, style, x: line.width });
+                }
+                line.width += segment.width;
+            }
+        };
+
+        runs.forEach(style => {
+            for (const [token] of String(style.text ?? '').matchAll(PdfWriter.TOKEN_PATTERN)) {
+                if (token === '\n') {
+                    breakLine();
+                } else if (/^\s/.test(token)) {
+                    if (line.pieces.length > 0) pendingSpace = { text: token.replace(/[^\S\n]/g, ' '), style };
+                } else {
+                    const spaceWidth = pendingSpace ? this.measure(pendingSpace.text, pendingSpace.style, size) : 0;
+                    const tokenWidth = this.measure(token, style, size);
+                    if (line.pieces.length > 0 && line.width + spaceWidth + tokenWidth > width) {
+                        breakLine();
+                    } else if (pendingSpace) {
+                        place(pendingSpace.text, pendingSpace.style);
+                    }
+                    pendingSpace = null;
+
+                    if (tokenWidth <= width) {
+                        place(token, style);
+                    } else {
+                        // A word longer than the line (URLs, hashes): split it by character
+                        for (const ch of token) {
+                            if (line.pieces.length > 0 && line.width + this.measure(ch, style, size) > width) breakLine();
+                            place(ch, style);
+                        }
+                    }
+                }
+            }
+        });
+        if (line.pieces.length > 0 || lines.length === 0) lines.push(line);
+        return lines;
+    }
+
+    /**
+     * Lines of preformatted text: every character kept, split at `width`
+     */
+    wrapPreformatted(text, style, width, size) {
+        const lines = [];
+        let current = '';
+        let currentWidth = 0;
+        for (const ch of text) {
+            const w = this.measure(ch, style, size);
+            if (current && currentWidth + w > width) {
+                lines.push(current);
+                current = '';
+                currentWidth = 0;
+            }
+            current += ch;
+            currentWidth += w;
+        }
+        lines.push(current);
+
+        return lines.map(text => {
+            const pieces = [];
+            let x = 0;
+            this.segments(text, style, size).forEach(segment => {
+                pieces.push({ ...segment, style, x });
+                x += segment.width;
+            });
+            return { pieces, width: x };
+        });
+    }
+
+    // ============================================
+    // FONTS
+    // ============================================
+
+    fontFor(style) {
+        if (style.mono) return this.fonts.mono || this.fonts.regular;
+        return (style.bold && this.fonts.bold) || this.fonts.regular;
+    }
+
+    /**
+     * Split text into pieces by the font that will draw them: the style's
+     * font, or the first other font that has a glyph the style's font lacks
+     */
+    segments(text, style, size) {
+        const primary = this.fontFor(style);
+        const segments = [];
+        for (const ch of text) {
+            const cp = ch.codePointAt(0);
+            const font = primary.hasGlyph(cp) || /\s/.test(ch)
+                ? primary
+                : this.fontList.find(f => f.hasGlyph(cp)) || primary;
+            const width = font.widthOf(ch, size);
+            const last = segments[segments.length - 1];
+            if (last && last.font === font) {
+                last.text += ch;
+                last.width += width;
+            } else {
+                segments.push({ text: ch, font, width });
+            }
+        }
+        return segments;
+    }
+
+    measure(text, style, size) {
+        return this.segments(text, style, size).reduce((sum, segment) => sum + segment.width, 0);
+    }
+
+    /**
+     * Glyph ids as a hex string for the content stream; records the glyphs
+     * for the font subset and the text they stand for (copy and search)
+     */
+    encode(font, text) {
+        const used = this.glyphs.get(font);
+        let hex = '';
+        for (const ch of text) {
+            const glyphId = font.glyphId(ch.codePointAt(0));
+            if (!used.has(glyphId)) used.set(glyphId, ch);
+            hex += glyphId.toString(16).padStart(4, '0');
+        }
+        return hex;
+    }
+
+    fontKey(font) {
+        return `F${this.fontList.indexOf(font) + 1}`;
+    }
+
+    // ============================================
+    // DRAWING
+    // ============================================
+
+    /**
+     * Draw a laid-out line with its baseline `baseline` points below the top edge
+     */
+    drawLine(line, x, baseline, size) {
+        line.pieces.forEach(piece => {
+            const color = piece.style.color || (piece.style.url ? '#2563eb' : '#0f172a');
+            const left = x + piece.x;
+            this.text(left, baseline, piece.text, piece.font, size, { color, italic: piece.style.italic });
+            if (piece.style.strike) {
+                this.line(left, baseline - size * 0.3, left + piece.width, baseline - size * 0.3, { color, width: size / 18 });
+            }
+            if (piece.style.url && PdfWriter.LINK_PATTERN.test(piece.style.url)) {
+                this.line(left, baseline + size * 0.15, left + piece.width, baseline + size * 0.15, { color, width: size / 20 });
+                this.link(left, baseline - size * 0.85, piece.width, size * 1.15, piece.style.url);
+            }
+        });
+    }
+
+    text(x, baseline, text, font, size, { color = '#0f172a', italic = false } = {}) {
+        if (!text.trim()) return;
+        // No italic faces are bundled: slant the upright glyphs instead
+        const skew = italic ? 0.2 : 0;
+        this.page.ops.push(
+            `BT /${this.fontKey(font)} ${PdfWriter.num(size)} Tf ${PdfWriter.color(color, 'rg')} ` +
+            `1 0 ${skew} 1 ${PdfWriter.num(x)} ${PdfWriter.num(this.height - baseline)} Tm <${this.encode(font, text)}> Tj ET`);
+    }
+
+    /**
+     * Rectangle from its top-left corner; filled, stroked or both
+     */
+    rect(x, top, width, height, fill, stroke = null) {
+        const path = `${PdfWriter.num(x)} ${PdfWriter.num(this.height - top - height)} ${PdfWriter.num(width)} ${PdfWriter.num(height)} re`;
+        if (fill) this.page.ops.push(`${PdfWriter.color(fill, 'rg')} ${path} f`);
+        if (stroke) this.page.ops.push(`${PdfWriter.color(stroke, 'RG')} 0.5 w ${path} S`);
+    }
+
+    line(x1, y1, x2, y2, { color = '#0f172a', width = 1 } = {}) {
+        this.page.ops.push(
+            `${PdfWriter.color(color, 'RG')} ${PdfWriter.num(width)} w ` +
+            `${PdfWriter.num(x1)} ${PdfWriter.num(this.height - y1)} m ${PdfWriter.num(x2)} ${PdfWriter.num(this.height - y2)} l S`);
+    }
+
+    /**
+     * Clickable area (top-left corner, size) opening `url`
+     */
+    link(x, top, width, height, url) {
+        this.page.links.push({
+            rect: [x, this.height - top - height, x + width, this.height - top],
+            url
+        });
+    }
+
+    // ============================================
+    // OUTPUT
+    // ============================================
+
+    /**
+     * The finished document
+     */
+    async toBlob() {
+        if (this.pages.length === 0) this.addPage();
+        const objects = [];
+        const reserve = () => objects.push(null);
+        const set = (id, value) => { objects[id - 1] = value; };
+        const stream = async (dict, bytes, deflate = true) => {
+            const data = deflate ? await PdfWriter.deflate(bytes) : null;
+            const body = data || bytes;
+            return { dict: `<< ${dict}${data ? ' /Filter /FlateDecode' : ''} /Length ${body.length} >>`, body };
+        };
+
+        const catalogId = reserve();
+        const pagesId = reserve();
+
+        // Fonts: Type0 with an Identity-H encoded CIDFontType2 descendant
+        const fontRefs = [];
+        for (const [index, font] of this.fontList.entries()) {
+            const used = this.glyphs.get(font);
+            if (used.size === 0) continue;
+            const name = `${PdfWriter.subsetTag(index)}+${font.name}`;
+            const file = font.subset(used.keys());
+
+            const fileId = reserve();
+            set(fileId, await stream(`/Length1 ${file.length}`, file));
+            const descriptorId = reserve();
+            set(descriptorId, `<< /Type /FontDescriptor /FontName /${name} /Flags ${font.fixedPitch ? 33 : 32} ` +
+                `/FontBBox [${font.bbox.join(' ')}] /ItalicAngle ${PdfWriter.num(font.italicAngle)} /Ascent ${font.ascent} ` +
+                `/Descent ${font.descent} /CapHeight ${font.capHeight} /StemV 80 /FontFile2 ${fileId} 0 R >>`);
+            const widths = [...used.keys()].sort((a, b) => a - b).map(id => `${id} [${font.advance(id)}]`).join(' ');
+            const cidFontId = reserve();
+            set(cidFontId, `<< /Type /Font /Subtype /CIDFontType2 /BaseFont /${name} ` +
+                `/CIDSystemInfo << /Registry (Adobe) /Ordering (Identity) /Supplement 0 >> ` +
+                `/FontDescriptor ${descriptorId} 0 R /DW 1000 /W [${widths}] /CIDToGIDMap /Identity >>`);
+            const toUnicodeId = reserve();
+            set(toUnicodeId, await stream('', PdfWriter.ascii(PdfWriter.toUnicodeCMap(used))));
+            const fontId = reserve();
+            set(fontId, `<< /Type /Font /Subtype /Type0 /BaseFont /${name} /Encoding /Identity-H ` +
+                `/DescendantFonts [${cidFontId} 0 R] /ToUnicode ${toUnicodeId} 0 R >>`);
+            fontRefs.push(`/${this.fontKey(font)} ${fontId} 0 R`);
+        }
+
+        const pageIds = [];
+        for (const page of this.pages) {
+            const contentId = reserve();
+            set(contentId, await stream('', PdfWriter.ascii(page.ops.join('\n'))));
+            const annotIds = page.links.map(link => {
+                const id = reserve();
+                set(id, `<< /Type /Annot /Subtype /Link /Rect [${link.rect.map(PdfWriter.num).join(' ')}] ` +
+                    `/Border [0 0 0] /A << /S /URI /URI ${PdfWriter.uriString(link.url)} >> >>`);
+                return id;
+            });
+            const pageId = reserve();
+            set(pageId, `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${PdfWriter.num(this.width)} ${PdfWriter.num(this.height)}] ` +
+                `/Resources << /Font << ${fontRefs.join(' ')} >> >> /Contents ${contentId} 0 R` +
+                `${annotIds.length ? ` /Annots [${annotIds.map(id => `${id} 0 R`).join(' ')}]` : ''} >>`);
+            pageIds.push(pageId);
+        }
+
+        set(catalogId, `<< /Type /Catalog /Pages ${pagesId} 0 R >>`);
+        set(pagesId, `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`);
+
+        const infoId = reserve();
+        const info = [`/Producer ${PdfWriter.textString('OmniExporter AI')}`, `/CreationDate (${PdfWriter.date(new Date())})`];
+        if (this.info.title) info.push(`/Title ${PdfWriter.textString(this.info.title)}`);
+        if (this.info.author) info.push(`/Author ${PdfWriter.textString(this.info.author)}`);
+        if (this.info.subject) info.push(`/Subject ${PdfWriter.textString(this.info.subject)}`);
+        set(infoId, `<< ${info.join(' ')} >>`);
+
+        // Serialize with a cross-reference table of byte offsets
+        const parts = [PdfWriter.ascii('%PDF-1.7\n'), new Uint8Array([0x25, 0xe2, 0xe3, 0xcf, 0xd3, 0x0a])];
+        let offset = parts.reduce((sum, part) => sum + part.length, 0);
+        const offsets = objects.map((object, i) => {
+            const start = offset;
+            const chunk = typeof object === 'string'
+                ? [PdfWriter.ascii(`${i + 1} 0 obj\n${object}\nendobj\n`)]
+                : [PdfWriter.ascii(`${i + 1} 0 obj\n${object.dict}\nstream\n`), object.body, PdfWriter.ascii('\nendstream\nendobj\n')];
+            chunk.forEach(part => { parts.push(part); offset += part.length; });
+            return start;
+        });
+
+        const xref = `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n` +
+            offsets.map(o => `${String(o).padStart(10, '0')} 00000 n \n`).join('') +
+            `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>\n` +
+            `startxref\n${offset}\n%%EOF\n`;
+        parts.push(PdfWriter.ascii(xref));
+
+        return new Blob(parts, { type: 'application/pdf' });
+    }
+
+    // ============================================
+    // HELPERS
+    // ============================================
+
+    static num(value) {
+        return String(Math.round(value * 100) / 100);
+    }
+
+    static color(hex, operator) {
+        const value = parseInt(String(hex).replace('#', ''), 16);
+        return [value >> 16, (value >> 8) & 0xff, value & 0xff].map(c => this.num(c / 255)).join(' ') + ` ${operator}`;
+    }
+
+    static ascii(text) {
+        return new TextEncoder().encode(text);
+    }
+
+    /**
+     * zlib-deflated bytes (FlateDecode), or null where CompressionStream is missing
+     */
+    static async deflate(bytes) {
+        if (typeof CompressionStream === 'undefined') return null;
+        const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+
+    /**
+     * Text string for document properties: UTF-16BE with a byte order mark
+     */
+    static textString(text) {
+        let hex = 'FEFF';
+        for (let i = 0; i < text.length; i++) hex += text.charCodeAt(i).toString(16).padStart(4, '0');
+        return `<${hex}>`;
+    }
+
+    /**
+     * URIs are 7-bit ASCII: percent-encode the rest, escape string delimiters
+     */
+    static uriString(url) {
+        const encoded = String(url).replace(/[^\x21-\x7e]+/g, s => encodeURIComponent(s));
+        return `(${encoded.replace(/[\\()]/g, '\\$&')})`;
+    }
+
+    static date(date) {
+        const pad = n => String(n).padStart(2, '0');
+        return `D:${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}` +
+            `${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`;
+    }
+
+    /**
+     * Six capital letters naming a font subset ("OMNIAA+DejaVuSans")
+     */
+    static subsetTag(index) {
+        return 'OMNI' + String.fromCharCode(65 + Math.floor(index / 26) % 26, 65 + index % 26);
+    }
+
+    /**
+     * CMap from glyph ids back to Unicode, so text can be copied and searched
+     * @param {Map} glyphs - glyph id → text
+     */
+    static toUnicodeCMap(glyphs) {
+        const entries = [...glyphs].filter(([id]) => id !== 0).sort((a, b) => a[0] - b[0]);
+        const hex4 = n => n.toString(16).padStart(4, '0');
+        const utf16 = text => Array.from({ length: text.length }, (_, i) => hex4(text.charCodeAt(i))).join('');
+
+        let cmap = '/CIDInit /ProcSet findresource begin\n12 dict begin\nbegincmap\n' +
+            '/CIDSystemInfo << /Registry (Adobe) /Ordering (UCS) /Supplement 0 >> def\n' +
+            '/CMapName /Adobe-Identity-UCS def\n/CMapType 2 def\n' +
+            '1 begincodespacerange\n<0000> <FFFF>\nendcodespacerange\n';
+        for (let i = 0; i < entries.length; i += 100) {
+            const chunk = entries.slice(i, i + 100);
+            cmap += `${chunk.length} beginbfchar\n` +
+                chunk.map(([id, text]) => `<${hex4(id)}> <${utf16(text)}>`).join('\n') +
+                '\nendbfchar\n';
+        }
+        return cmap + 'endcmap\nCMapName currentdict /CIDResource defineresource pop\nend\nend\n';
+    }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PdfWriter;
+}
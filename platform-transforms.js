@@ -0,0 +1,387 @@
+// OmniExporter AI - Platform Transforms
+// Convert raw platform API responses into canonical message fields
+// (see ConversationSchema.createMessage). Shared by the content-script
+// adapters and the service worker's background fetcher, so a conversation
+// looks the same whichever side fetched it.
+
+// ============================================
+// PERPLEXITY
+// ============================================
+
+/**
+ * Convert Perplexity thread entries into canonical messages
+ */
+function transformPerplexityData(entries) {
+    const messages = [];
+
+    entries.forEach(entry => {
+        if (entry.query_str) {
+            messages.push({
+                id: entry.uuid ? `${entry.uuid}-query` : null,
+                role: 'user',
+                text: entry.query_str,
+                createdAt: entry.created_datetime,
+                attachments: (entry.attachments || []).map(url => ({ url: typeof url === 'string' ? url : url?.url }))
+            });
+        }
+
+        const { answer, sources } = DataExtractor.extractFromPerplexityBlocks(entry);
+        if (answer || sources.length > 0) {
+            messages.push({
+                id: entry.uuid || null,
+                role: 'assistant',
+                model: entry.display_model || null,
+                text: answer,
+                createdAt: entry.updated_datetime || entry.created_datetime,
+                citations: sources.map(s => ({ title: s.name, url: s.url, snippet: s.snippet })),
+                metadata: entry.related_queries?.length ? { relatedQueries: entry.related_queries } : {}
+            });
+        }
+    });
+
+    return messages;
+}
+
+// ============================================
+// CHATGPT
+// ============================================
+
+/**
+ * Extract the text of a ChatGPT message node
+ */
+function getChatGPTMessageText(msg) {
+    if (msg.content?.parts && Array.isArray(msg.content.parts)) {
+        return msg.content.parts.filter(p => typeof p === 'string').join('\n');
+    }
+    if (msg.content?.text) return msg.content.text;
+    if (typeof msg.content === 'string') return msg.content;
+    return '';
+}
+
+/**
+ * Convert a ChatGPT mapping node into canonical message fields, or null for
+ * system messages, hidden scaffolding and empty content
+ */
+function chatGPTNodeToMessage(node) {
+    const msg = node?.message;
+    const role = msg?.author?.role;
+    if (!role || role === 'system' || msg.metadata?.is_visually_hidden_from_conversation) return null;
+
+    // o-series reasoning arrives as its own node; the "Thought for Ns" recap adds nothing
+    const contentType = msg.content?.content_type;
+    if (contentType === 'reasoning_recap') return null;
+    const reasoning = contentType === 'thoughts'
+        ? (msg.content.thoughts || []).map(t => [t.summary && `**${t.summary}**`, t.content].filter(Boolean).join('\n')).join('\n\n')
+        : '';
+
+    const content = contentType === 'thoughts' ? '' : getChatGPTMessageText(msg).trim();
+    if (!content && !reasoning.trim()) return null;
+
+    return {
+        id: msg.id,
+        role,
+        author: { role, name: msg.author.name },
+        model: msg.metadata?.model_slug || null,
+        createdAt: msg.create_time,
+        updatedAt: msg.update_time,
+        reasoning,
+        text: content
+    };
+}
+
+/**
+ * Node ids from `startId` down to a leaf, following the most recent child
+ * (ChatGPT appends edits and regenerations as later siblings)
+ */
+function descendChatGPTTree(mapping, startId, visited) {
+    const path = [];
+    let nodeId = startId;
+    while (nodeId && mapping[nodeId] && !visited.has(nodeId)) {
+        visited.add(nodeId);
+        path.push(nodeId);
+        const children = mapping[nodeId].children || [];
+        nodeId = children[children.length - 1];
+    }
+    return path;
+}
+
+/**
+ * Node ids from the root to `current_node` - the branch the user currently sees
+ */
+function getChatGPTActivePath(data) {
+    const mapping = data.mapping || {};
+    const path = [];
+    const visited = new Set();
+    let nodeId = data.current_node;
+
+    while (nodeId && mapping[nodeId] && !visited.has(nodeId)) {
+        visited.add(nodeId);
+        path.unshift(nodeId);
+        nodeId = mapping[nodeId].parent;
+    }
+    if (path.length > 0) return path;
+
+    // No current_node: start at the root and follow the newest children
+    const rootId = Object.keys(mapping).find(id => !mapping[id].parent) || Object.keys(mapping)[0];
+    return descendChatGPTTree(mapping, rootId, new Set());
+}
+
+/**
+ * Turn a path of node ids into messages. With `includeBranches`, siblings of
+ * every node on the path (edited prompts, regenerated answers) are exported as
+ * nested `branches` on the next visible message.
+ */
+function chatGPTPathToMessages(mapping, path, includeBranches, visited) {
+    const messages = [];
+    let pending = [];
+
+    path.forEach((nodeId, index) => {
+        // The first node's siblings belong to the caller's level
+        if (includeBranches && index > 0) {
+            const parent = mapping[mapping[nodeId].parent];
+            (parent?.children || [])
+                .filter(id => id !== nodeId && !visited.has(id))
+                .forEach(siblingId => {
+                    const branchPath = descendChatGPTTree(mapping, siblingId, visited);
+                    const branch = chatGPTPathToMessages(mapping, branchPath, true, visited);
+                    if (branch.length > 0) pending.push(branch);
+                });
+        }
+
+        const message = chatGPTNodeToMessage(mapping[nodeId]);
+        if (!message) return;
+
+        // Fold a reasoning-only node into the assistant answer that follows it
+        const previous = messages[messages.length - 1];
+        if (previous && previous.role === 'assistant' && message.role === 'assistant' &&
+            !previous.text && previous.reasoning && !previous.branches) {
+            messages.pop();
+            message.reasoning = [previous.reasoning, message.reasoning].filter(Boolean).join('\n\n');
+        }
+
+        if (pending.length > 0) {
+            message.branches = pending;
+            pending = [];
+        }
+        messages.push(message);
+    });
+
+    return messages;
+}
+
+/**
+ * ChatGPT returns the conversation as a tree (`mapping`). Export the active
+ * branch (root → current_node); options.includeBranches adds the alternates.
+ */
+function transformChatGPTData(data, options = {}) {
+    let messages = [];
+    const mapping = data.mapping || {};
+
+    try {
+        const path = getChatGPTActivePath(data);
+        const visited = new Set(path);
+        messages = chatGPTPathToMessages(mapping, path, !!options.includeBranches, visited);
+
+        // If tree traversal didn't work, fallback to sorting all messages
+        if (messages.length === 0) {
+            messages = Object.values(mapping)
+                .map(node => chatGPTNodeToMessage(node))
+                .filter(Boolean)
+                .sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0));
+        }
+
+        console.log(`[ChatGPT] Transformed ${messages.length} messages`);
+    } catch (e) {
+        console.error('[OmniExporter] ChatGPT transform error:', e);
+    }
+
+    return messages;
+}
+
+// ============================================
+// CLAUDE
+// ============================================
+
+function transformClaudeData(data) {
+    // Claude returns chat_messages array
+    const messages = [];
+    const chatMessages = data.chat_messages || [];
+
+    try {
+        chatMessages.forEach(msg => {
+            // Newer responses carry typed content blocks; extended thinking arrives as `thinking` blocks
+            const blocks = Array.isArray(msg.content) ? msg.content : [];
+            const blockText = blocks.filter(b => b.type === 'text').map(b => b.text).join('\n\n');
+            const thinking = blocks.filter(b => b.type === 'thinking').map(b => b.thinking || b.text || '').join('\n\n');
+
+            messages.push({
+                id: msg.uuid,
+                role: msg.sender,
+                createdAt: msg.created_at,
+                updatedAt: msg.updated_at,
+                reasoning: thinking,
+                text: blockText || msg.text || '',
+                attachments: [
+                    // Pasted or text-extracted files carry their content
+                    ...(msg.attachments || []).map(a => ({
+                        name: a.file_name,
+                        mimeType: a.file_type,
+                        size: a.file_size,
+                        text: a.extracted_content
+                    })),
+                    // Uploaded images and PDFs are referenced by name only
+                    ...getClaudeFiles(msg).map(f => ({ name: f.file_name, size: f.file_size }))
+                ]
+            });
+        });
+    } catch (e) {
+        console.error('[OmniExporter] Claude transform error:', e);
+    }
+
+    return messages;
+}
+
+/**
+ * Uploaded files of a Claude message; the API lists them in both `files`
+ * and `files_v2`, data exports only in `files`
+ */
+function getClaudeFiles(msg) {
+    const seen = new Set();
+    return [...(msg.files || []), ...(msg.files_v2 || [])].filter(f => {
+        const id = f?.file_uuid || f?.file_name;
+        if (!id || seen.has(id)) return false;
+        seen.add(id);
+        return true;
+    });
+}
+
+// ============================================
+// GROK
+// ============================================
+
+function transformGrokData(data) {
+    const messages = data.messages || data.conversation?.messages ||
+        data.data?.messages || data.turns || data.items || [];
+    if (!Array.isArray(messages)) return [];
+
+    // Keep every message in order; consecutive turns from one side are preserved
+    return messages.map(msg => ({
+        id: msg.responseId || msg.id || null,
+        role: msg.role || msg.sender || msg.author || msg.type,
+        model: msg.model || null,
+        createdAt: msg.createTime || msg.createdAt || null,
+        text: msg.content || msg.text || msg.message ||
+            (msg.parts ? msg.parts.join('\n') : '')
+    }));
+}
+
+// ============================================
+// DEEPSEEK
+// ============================================
+
+/**
+ * Messages are in data.biz_data.chat_messages; role is 'USER' or 'ASSISTANT'
+ */
+function transformDeepSeekData(data) {
+    const messagePaths = [
+        data?.data?.biz_data?.chat_messages,
+        data?.biz_data?.chat_messages,
+        data?.data?.messages,
+        data?.messages,
+        data?.data?.chat_messages,
+        data?.chat_messages
+    ];
+    const messages = messagePaths.find(path => Array.isArray(path) && path.length > 0) || [];
+
+    // Keep every message in order with its own role
+    return messages.map((msg, idx) => {
+        // Multiple role detection strategies; fall back to alternation
+        const role = (msg.role || msg.author || msg.sender || msg.type || '').toUpperCase();
+        const isUser = role === 'USER' || role === 'HUMAN' ||
+            (role === '' && idx % 2 === 0);
+
+        return {
+            id: msg.message_id ?? msg.id ?? null,
+            role: isUser ? 'user' : 'assistant',
+            model: msg.model || null,
+            createdAt: msg.inserted_at || msg.created_at || null,
+            // R1 "DeepThink" chain of thought
+            reasoning: msg.thinking_content || msg.reasoning_content || '',
+            text: msg.content || msg.text || msg.message || ''
+        };
+    });
+}
+
+function getDeepSeekTitle(data) {
+    return data?.data?.biz_data?.chat_session?.title ||
+        data?.biz_data?.chat_session?.title ||
+        data?.data?.title ||
+        data?.title ||
+        data?.chat_session?.title ||
+        null;
+}
+
+// ============================================
+// GEMINI
+// ============================================
+
+/**
+ * batchexecute answers with ")]}'" followed by JSON lines; return the first
+ * line that parses as an array
+ */
+function parseGeminiBatchResponse(text) {
+    const cleaned = text.replace(/^\)\]\}'/, '').trim();
+    for (const line of cleaned.split('\n')) {
+        if (!line.startsWith('[')) continue;
+        try {
+            return JSON.parse(line);
+        } catch (e) {
+            console.warn('[Gemini] Failed to parse line:', line.substring(0, 100));
+        }
+    }
+    return null;
+}
+
+/**
+ * Turns from a decoded hNvQHb payload (response[0][2] parsed as JSON)
+ */
+function transformGeminiData(data) {
+    const ordered = [];
+    const turns = data[0] || data[1] || data;
+    if (!Array.isArray(turns)) return ordered;
+
+    turns.forEach((turn, idx) => {
+        // Multiple content extraction methods
+        let content = turn[1]?.[0] || turn[2]?.[0] || turn[0] || '';
+        const role = turn[3] || turn[2] || idx % 2;
+
+        // Clean content if it's an object
+        if (typeof content !== 'string') {
+            content = Array.isArray(content) ? content.join('\n') : JSON.stringify(content);
+        }
+
+        // Detect role
+        const isUser = role === 0 || role === 'user' || role === 'USER' ||
+            (idx % 2 === 0 && turn.length < 5);
+
+        if (content.trim()) {
+            ordered.push({ role: isUser ? 'user' : 'assistant', text: content });
+        }
+    });
+
+    return ordered;
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        transformPerplexityData,
+        transformChatGPTData,
+        transformClaudeData,
+        transformGrokData,
+        transformDeepSeekData,
+        getDeepSeekTitle,
+        parseGeminiBatchResponse,
+        transformGeminiData
+    };
+}
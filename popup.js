@@ -22,29 +22,6 @@ window.addEventListener('unhandledrejection', (event) => {
 let currentPlatform = "Unknown";
 let selectedExportFormat = "markdown";
 
-// ============================================
-// FIX 11: RETRY LOGIC WITH EXPONENTIAL BACKOFF
-// ============================================
-async function withRetry(fn, maxRetries = 3, baseDelayMs = 2000) {
-    let lastError;
-    for (let attempt = 0; attempt < maxRetries; attempt++) {
-        try {
-            return await fn();
-        } catch (error) {
-            lastError = error;
-            if (error.message?.includes('unauthorized') || error.message?.includes('Invalid')) {
-                throw error;
-            }
-            if (attempt < maxRetries - 1) {
-                const delay = baseDelayMs * Math.pow(2, attempt);
-                console.warn(`[OmniExporter] Retry ${attempt + 1}/${maxRetries} after ${delay}ms:`, error.message);
-                await new Promise(r => setTimeout(r, delay));
-            }
-        }
-    }
-    throw lastError;
-}
-
 // ============================================
 // FIX 12: NOTION ERROR MAPPER
 // ============================================
@@ -126,11 +103,6 @@ class RateLimiter {
 
 const notionRateLimiter = new RateLimiter(30);
 
-// Notion Schema Cache
-let notionSchemaCache = null;
-let schemaCacheTime = 0;
-const SCHEMA_CACHE_TTL = 5 * 60 * 1000; // 5 minutes
-
 // ============================================
 // PERFORMANCE & SECURITY UTILITIES (Phase 2)
 // ============================================
@@ -327,9 +299,32 @@ function initExportDropdown() {
                 await exportCurrentChat(format);
             });
         });
+        addTemplateItems(dropdown, dropdownMenu);
     }
 }
 
+/**
+ * User templates (dashboard → Templates) as extra choices in the export menu
+ */
+async function addTemplateItems(dropdown, dropdownMenu) {
+    if (typeof TemplateEngine === 'undefined') return;
+    const templates = await TemplateEngine.loadTemplates();
+    templates.forEach(template => {
+        const item = document.createElement('button');
+        item.className = 'dropdown-item';
+        item.title = `Template (${ExportManager.formats[template.format]?.name || template.format})`;
+        const icon = document.createElement('span');
+        icon.className = 'icon';
+        icon.textContent = '🧩';
+        item.append(icon, ` ${template.name}`);
+        item.addEventListener('click', async () => {
+            dropdown.classList.remove('open');
+            await exportCurrentChat(template.format, template);
+        });
+        dropdownMenu.appendChild(item);
+    });
+}
+
 // ============================================
 // NAVIGATION BAR
 // ============================================
@@ -411,7 +406,7 @@ async function ensureContentScript(tabId) {
     try {
         await chrome.scripting.executeScript({
             target: { tabId },
-            files: ['platform-config.js', 'content.js']
+            files: ['platform-config.js', 'conversation-schema.js', 'platform-transforms.js', 'content.js']
         });
         console.log('[Popup] Content script injected');
         return true;
@@ -477,7 +472,10 @@ async function detectPlatform() {
 // ============================================
 // EXPORT CURRENT CHAT (Multi-Format)
 // ============================================
-async function exportCurrentChat(format = 'markdown') {
+/**
+ * @param {Object} template - optional user template, rendered instead of the built-in layout
+ */
+async function exportCurrentChat(format = 'markdown', template = null) {
     try {
         await reqDeduplication.run('export', async () => {
             LoadingManager.show('exportBtn', '⏳');
@@ -517,30 +515,20 @@ async function exportCurrentChat(format = 'markdown') {
                         return;
                     }
 
-                    // Use ExportManager if available, fallback to old method
-                    if (typeof ExportManager !== 'undefined') {
-                        try {
-                            const result = ExportManager.export(response.data, format, currentPlatform);
-                            setStatus(`Exported as ${result.format}!`, 'success');
-                            if (loadingToastId && typeof Toast !== 'undefined') {
-                                Toast.dismiss(loadingToastId);
-                                Toast.success(`Exported as ${result.format}`);
-                            }
-                        } catch (exportErr) {
-                            setStatus(`Export error: ${exportErr.message}`, 'error');
-                            if (loadingToastId && typeof Toast !== 'undefined') {
-                                Toast.dismiss(loadingToastId);
-                                Toast.error(exportErr.message);
-                            }
+                    // Layout, reasoning and other render settings apply to every format
+                    try {
+                        const renderOptions = await ConversationSchema.loadRenderOptions(template ? { template } : {});
+                        const result = await ExportManager.export(response.data, format, currentPlatform, renderOptions);
+                        setStatus(`Exported as ${result.format}!`, 'success');
+                        if (loadingToastId && typeof Toast !== 'undefined') {
+                            Toast.dismiss(loadingToastId);
+                            Toast.success(`Exported as ${result.format}`);
                         }
-                    } else {
-                        // Fallback to old markdown export
-                        const markdown = formatToMarkdown(response.data);
-                        downloadFile(markdown, response.data.title || 'Chat');
-                        setStatus('Exported!', 'success');
+                    } catch (exportErr) {
+                        setStatus(`Export error: ${exportErr.message}`, 'error');
                         if (loadingToastId && typeof Toast !== 'undefined') {
                             Toast.dismiss(loadingToastId);
-                            Toast.success('Exported as Markdown');
+                            Toast.error(exportErr.message);
                         }
                     }
                 } finally {
@@ -607,8 +595,8 @@ async function saveToNotion() {
                     }
 
                     try {
-                        await syncToNotionAPI(response.data, token, storage.notionDbId);
-                        setStatus('✅ Saved to Notion!', 'success');
+                        const page = await syncToNotionAPI(response.data, token, storage.notionDbId);
+                        setStatus(page.action === 'created' ? '✅ Saved to Notion!' : '✅ Notion page updated!', 'success');
                     } catch (notionErr) {
                         setStatus(`Error: ${notionErr.message}`, 'error');
                     }
@@ -627,115 +615,30 @@ async function saveToNotion() {
 
 // Sync to Notion API
 async function syncToNotionAPI(data, apiKey, dbId) {
-    const entries = data.detail?.entries || [];
-    const children = [];
-
-    // Add metadata header
-    children.push({
-        type: "callout",
-        callout: {
-            icon: { emoji: "🤖" },
-            color: "blue_background",
-            rich_text: [{
-                type: "text",
-                text: { content: `Exported from ${currentPlatform} on ${new Date().toLocaleString()}` }
-            }]
-        }
-    });
-    children.push({ type: "divider", divider: {} });
-
-    // Add each Q&A entry
-    entries.forEach((entry, index) => {
-        const query = entry.query || entry.query_str || '';
-        if (query) {
-            children.push({
-                type: "heading_2",
-                heading_2: {
-                    rich_text: [{ type: "text", text: { content: `🙋 ${query}`.slice(0, 2000) } }]
-                }
-            });
-        }
+    const conversation = ConversationSchema.normalize(data, currentPlatform);
+    const renderOptions = await ConversationSchema.loadRenderOptions();
 
-        // Extract answer
-        let answer = '';
-        if (entry.blocks && Array.isArray(entry.blocks)) {
-            entry.blocks.forEach(block => {
-                if (block.intended_usage === 'ask_text' && block.markdown_block) {
-                    if (block.markdown_block.answer) {
-                        answer += block.markdown_block.answer + '\n\n';
-                    } else if (block.markdown_block.chunks) {
-                        answer += block.markdown_block.chunks.join('\n') + '\n\n';
-                    }
-                }
-            });
-        }
-        if (!answer.trim()) answer = entry.answer || entry.text || '';
-
-        // Add answer (chunked)
-        if (answer.trim()) {
-            const chunks = splitTextForNotion(answer.trim(), 1900);
-            chunks.forEach(chunk => {
-                children.push({
-                    type: "paragraph",
-                    paragraph: { rich_text: [{ type: "text", text: { content: chunk } }] }
-                });
-            });
-        }
+    // Create the page, or update the one this conversation was synced to before
+    const client = new NotionSyncClient(apiKey, { throttle: fn => notionRateLimiter.throttle(fn) });
+    const properties = await client.buildProperties(conversation, dbId);
 
-        if (index < entries.length - 1) {
-            children.push({ type: "divider", divider: {} });
-        }
-    });
+    // Edited history is rewritten; the fingerprint lets auto-sync skip this thread until it changes again
+    const fingerprint = DuplicateDetector.generateFingerprint(conversation);
+    const diff = await DuplicateDetector.diff(conversation.uuid, fingerprint);
 
-    // Create Notion page with dynamic properties and throttling
-    const properties = await buildNotionProperties(data, dbId, apiKey, entries);
-
-    const response = await withRetry(async () => {
-        return await notionRateLimiter.throttle(async () => {
-            return await fetch('https://api.notion.com/v1/pages', {
-                method: 'POST',
-                headers: {
-                    'Authorization': `Bearer ${apiKey}`,
-                    'Content-Type': 'application/json',
-                    'Notion-Version': '2022-06-28'
-                },
-                body: JSON.stringify({
-                    parent: { database_id: dbId },
-                    properties: properties,
-                    children: children.slice(0, 100)
-                })
-            });
+    let page;
+    try {
+        page = await client.syncConversation(conversation, {
+            dbId, properties, renderOptions, mode: DuplicateDetector.notionMode(diff)
         });
-    });
-
-
-
-    if (!response.ok) {
-        const error = await response.json();
+    } catch (error) {
         throw new Error(NotionErrorMapper.map(error));
     }
 
-    return await response.json();
+    if (conversation.uuid) await DuplicateDetector.saveFingerprint(conversation.uuid, fingerprint);
+    return page;
 }
 
-// Split text for Notion's 2000 char limit
-function splitTextForNotion(text, maxLength = 1900) {
-    const chunks = [];
-    let remaining = text;
-    while (remaining.length > 0) {
-        if (remaining.length <= maxLength) {
-            chunks.push(remaining);
-            break;
-        }
-        let bp = remaining.lastIndexOf('\n', maxLength);
-        if (bp < maxLength / 2) bp = remaining.lastIndexOf('. ', maxLength);
-        if (bp < maxLength / 2) bp = remaining.lastIndexOf(' ', maxLength);
-        if (bp < maxLength / 2) bp = maxLength;
-        chunks.push(remaining.slice(0, bp + 1).trim());
-        remaining = remaining.slice(bp + 1);
-    }
-    return chunks;
-}
 
 
 // OPEN DASHBOARD
@@ -783,55 +686,6 @@ function updateSyncUI(isEnabled) {
 // ============================================
 // UTILITIES
 // ============================================
-function formatToMarkdown(data) {
-    const entries = data.detail?.entries || [];
-    const firstEntry = entries[0] || {};
-    const title = data.title || 'Untitled Chat';
-    const date = firstEntry.updated_datetime
-        ? new Date(firstEntry.updated_datetime).toISOString().split('T')[0]
-        : new Date().toISOString().split('T')[0];
-    const url = `https://www.perplexity.ai/search/${data.uuid || ''}`;
-
-    let md = '---\n';
-    md += `title: ${title}\n`;
-    md += `date: ${date}\n`;
-    md += `url: ${url}\n`;
-    md += `source: ${currentPlatform}\n`;
-    md += '---\n\n';
-
-    entries.forEach(entry => {
-        const query = entry.query || entry.query_str || '';
-        if (query) md += `## 🙋 ${query}\n\n`;
-
-        let answer = '';
-        if (entry.blocks && Array.isArray(entry.blocks)) {
-            entry.blocks.forEach(block => {
-                if (block.intended_usage === 'ask_text' && block.markdown_block) {
-                    if (block.markdown_block.answer) {
-                        answer += block.markdown_block.answer + '\n\n';
-                    } else if (block.markdown_block.chunks) {
-                        answer += block.markdown_block.chunks.join('\n') + '\n\n';
-                    }
-                }
-            });
-        }
-        if (!answer.trim()) answer = entry.answer || entry.text || '';
-        if (answer.trim()) md += `${answer.trim()}\n\n`;
-        md += '---\n\n';
-    });
-    return md;
-}
-
-function downloadFile(content, name) {
-    const blob = new Blob([content], { type: 'text/markdown' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `${name.replace(/[^a-z0-9]/gi, '_')}.md`;
-    a.click();
-    URL.revokeObjectURL(url);
-}
-
 function setStatus(message, type) {
     const el = document.getElementById('status');
     if (!el) return;
@@ -844,54 +698,3 @@ function setStatus(message, type) {
         }, 3000);
     }
 }
-
-async function getNotionDatabaseSchema(dbId, apiKey) {
-    if (notionSchemaCache && (Date.now() - schemaCacheTime < SCHEMA_CACHE_TTL)) {
-        return notionSchemaCache;
-    }
-    try {
-        const response = await fetch(`https://api.notion.com/v1/databases/${dbId}`, {
-            headers: {
-                'Authorization': `Bearer ${apiKey}`,
-                'Notion-Version': '2022-06-28'
-            }
-        });
-        if (!response.ok) throw new Error('Schema fetch failed');
-        const schema = await response.json();
-        notionSchemaCache = schema;
-        schemaCacheTime = Date.now();
-        return schema;
-    } catch (e) {
-        console.warn('[OmniExporter] Schema fetch failed:', e.message);
-        return null;
-    }
-}
-
-async function buildNotionProperties(data, dbId, apiKey, entries = []) {
-    const properties = {
-        title: { title: [{ type: "text", text: { content: (data.title || 'Chat').slice(0, 2000) } }] }
-    };
-    try {
-        const schema = await getNotionDatabaseSchema(dbId, apiKey);
-        if (!schema || !schema.properties) return properties;
-        const availableProps = schema.properties;
-        if (availableProps['URL'] && data.uuid) {
-            properties.URL = { url: `https://www.perplexity.ai/search/${data.uuid}` };
-        }
-        const threadTime = (entries && entries[0]) ? (entries[0].updated_datetime || entries[0].created_datetime) : null;
-        if (availableProps['Chat Time'] && threadTime) {
-            try {
-                properties['Chat Time'] = { date: { start: new Date(threadTime).toISOString() } };
-            } catch (e) { }
-        }
-        if (availableProps['Space Name'] && data.spaceName) {
-            properties['Space Name'] = { rich_text: [{ type: "text", text: { content: data.spaceName } }] };
-        }
-        if (availableProps['Platform']) {
-            properties.Platform = { select: { name: currentPlatform || 'Unknown' } };
-        }
-    } catch (error) {
-        console.warn('[OmniExporter] Property build failed:', error.message);
-    }
-    return properties;
-}
@@ -0,0 +1,322 @@
+// OmniExporter AI - Search Index
+// Full-text search over the local conversation archive. Every archived
+// conversation's title and message text is tokenized into an inverted index
+// (term → conversation keys) kept next to the archive in IndexedDB, so a
+// query only loads the conversations that contain all of its terms.
+//
+// Query syntax:
+//   word        conversations containing the word
+//   "a phrase"  the words in this order
+//   pre*        any word starting with "pre"
+// All parts must match. Case and accents are ignored.
+
+class SearchIndex {
+    // Han, Hiragana and Katakana are written without spaces: each character is a term
+    static TOKEN_PATTERN = /[\p{sc=Han}\p{sc=Hiragana}\p{sc=Katakana}]|(?:(?![\p{sc=Han}\p{sc=Hiragana}\p{sc=Katakana}])[\p{L}\p{N}])+/gu;
+    static CJK_PATTERN = /^[\p{sc=Han}\p{sc=Hiragana}\p{sc=Katakana}]$/u;
+    static MAX_TERM_LENGTH = 40;
+
+    // Too common to be worth a posting list; phrases containing them are still
+    // matched against the text
+    static STOPWORDS = new Set([
+        'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'from', 'if', 'in', 'into', 'is', 'it',
+        'its', 'of', 'on', 'or', 'so', 'that', 'the', 'their', 'then', 'there', 'these', 'this', 'to', 'was',
+        'were', 'will', 'with', 'you', 'your'
+    ]);
+
+    static DEFAULT_LIMIT = 50;
+    // Conversations loaded per query to verify phrases and build snippets
+    static MAX_CANDIDATES = 500;
+    static SNIPPET_BEFORE = 60;
+    static SNIPPET_LENGTH = 220;
+    static TITLE_WEIGHT = 5;
+
+    // ============================================
+    // TOKENIZING
+    // ============================================
+
+    /**
+     * Lowercase and strip accents without changing the string's length, so
+     * match offsets in the folded text are offsets in the original
+     */
+    static fold(text) {
+        return String(text || '').replace(/[A-Z]|[^\x00-\x7f]/g, ch => {
+            const folded = ch.normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+            return folded.length === 1 ? folded : ch;
+        });
+    }
+
+    static tokenize(text) {
+        return this.fold(text).match(this.TOKEN_PATTERN) || [];
+    }
+
+    static isIndexable(term) {
+        if (term.length > this.MAX_TERM_LENGTH || this.STOPWORDS.has(term)) return false;
+        return term.length > 1 || this.CJK_PATTERN.test(term) || /\d/.test(term);
+    }
+
+    /**
+     * Searchable text of a conversation: title and visible message text
+     */
+    static documentText(conversation) {
+        return [conversation.title || '', ...conversation.messages.map(m => ConversationSchema.getText(m))].join('\n');
+    }
+
+    /**
+     * Distinct index terms of a conversation
+     */
+    static documentTerms(conversation) {
+        return [...new Set(this.tokenize(this.documentText(conversation)).filter(term => this.isIndexable(term)))];
+    }
+
+    /**
+     * Index conversations that were archived before the index existed
+     * (or while it was being rebuilt). Returns the number indexed.
+     */
+    static async ensureIndexed({ onProgress } = {}) {
+        const indexed = new Set(await ConversationStore.getIndexedKeys());
+        const missing = (await ConversationStore.listThreads())
+            .filter(thread => !indexed.has(ConversationStore.key(thread.platform, thread.uuid)));
+
+        for (let i = 0; i < missing.length; i += 100) {
+            const documents = [];
+            for (const thread of missing.slice(i, i + 100)) {
+                const conversation = await ConversationStore.get(thread.platform, thread.uuid);
+                if (!conversation) continue;
+                documents.push({ key: ConversationStore.key(thread.platform, thread.uuid), terms: this.documentTerms(conversation) });
+            }
+            await ConversationStore.updateIndex(documents);
+            if (onProgress) onProgress(Math.min(i + 100, missing.length), missing.length);
+        }
+        if (missing.length > 0) console.log(`[SearchIndex] Indexed ${missing.length} archived conversations`);
+        return missing.length;
+    }
+
+    // ============================================
+    // QUERIES
+    // ============================================
+
+    /**
+     * Split a query into clauses: { type: 'word' | 'prefix' | 'phrase', tokens, pattern }
+     */
+    static parseQuery(query) {
+        const clauses = [];
+        const pattern = /"([^"]*)"?|(\S+)/g;
+        let match;
+        while ((match = pattern.exec(query || '')) !== null) {
+            if (match[1] !== undefined) {
+                const tokens = this.tokenize(match[1]);
+                if (tokens.length === 1) clauses.push({ type: 'word', tokens });
+                else if (tokens.length > 1) clauses.push({ type: 'phrase', tokens });
+                continue;
+            }
+            // "wi-fi" or "東京" split into several tokens: match them as a phrase
+            const tokens = this.tokenize(match[2]);
+            if (tokens.length > 1) {
+                clauses.push({ type: 'phrase', tokens });
+            } else if (tokens.length === 1) {
+                const isPrefix = match[2].endsWith('*') && !this.CJK_PATTERN.test(tokens[0]);
+                clauses.push({ type: isPrefix ? 'prefix' : 'word', tokens });
+            }
+        }
+        clauses.forEach(clause => { clause.pattern = this.clausePattern(clause); });
+        return clauses;
+    }
+
+    /**
+     * Regex source matching a clause in folded text
+     */
+    static clausePattern(clause) {
+        const escape = token => token.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const before = '(?<![\\p{L}\\p{N}])';
+        const after = '(?![\\p{L}\\p{N}])';
+        const cjk = token => this.CJK_PATTERN.test(token);
+
+        if (clause.type === 'phrase') {
+            let source = cjk(clause.tokens[0]) ? '' : before;
+            clause.tokens.forEach((token, i) => {
+                if (i > 0) source += cjk(token) || cjk(clause.tokens[i - 1]) ? '[^\\p{L}\\p{N}]*' : '[^\\p{L}\\p{N}]+';
+                source += escape(token);
+            });
+            return source + (cjk(clause.tokens[clause.tokens.length - 1]) ? '' : after);
+        }
+        const [token] = clause.tokens;
+        if (cjk(token)) return escape(token);
+        return before + escape(token) + (clause.type === 'prefix' ? '' : after);
+    }
+
+    /**
+     * Keys of conversations that can match a clause according to the index,
+     * or null when the clause has no indexable terms (checked against the text only)
+     */
+    static async clauseCandidates(clause) {
+        const terms = clause.tokens.filter(token => this.isIndexable(token));
+        if (clause.type === 'prefix') {
+            const [prefix] = clause.tokens;
+            return prefix.length > 1 ? new Set(await ConversationStore.getPostingsByPrefix(prefix)) : null;
+        }
+        if (terms.length === 0) return null;
+
+        let keys = null;
+        for (const term of terms) {
+            const postings = new Set(await ConversationStore.getPostings(term));
+            keys = keys ? new Set([...keys].filter(key => postings.has(key))) : postings;
+            if (keys.size === 0) break;
+        }
+        return keys;
+    }
+
+    /**
+     * Search the archive.
+     * @param {string} query
+     * @param {Object} filters
+     * @param {string} filters.platform - limit to one platform
+     * @param {string} filters.from - ISO date; last activity on or after
+     * @param {string} filters.to - ISO date; last activity on or before (whole day)
+     * @returns {{ results: Array, total: number, truncated: boolean }}
+     *   results: { uuid, platform, title, url, updatedAt, score, snippet: { text, highlights, role, messageIndex } }
+     */
+    static async search(query, { platform, from, to, limit = this.DEFAULT_LIMIT } = {}) {
+        const clauses = this.parseQuery(query);
+        if (clauses.length === 0) return { results: [], total: 0, truncated: false };
+
+        let candidates = null;
+        for (const clause of clauses) {
+            const keys = await this.clauseCandidates(clause);
+            if (!keys) continue;
+            candidates = candidates ? new Set([...candidates].filter(key => keys.has(key))) : keys;
+            if (candidates.size === 0) return { results: [], total: 0, truncated: false };
+        }
+
+        const fromTime = from ? new Date(from).getTime() : -Infinity;
+        const toTime = to ? new Date(to).getTime() + 24 * 60 * 60 * 1000 - 1 : Infinity;
+        const threads = (await ConversationStore.listThreads({ platform }))
+            .filter(thread => !candidates || candidates.has(ConversationStore.key(thread.platform, thread.uuid)))
+            .filter(thread => {
+                const time = new Date(thread.last_query_datetime || 0).getTime();
+                return time >= fromTime && time <= toTime;
+            });
+
+        // Newest first, so a very broad query still shows recent conversations
+        const truncated = threads.length > this.MAX_CANDIDATES;
+        const matches = [];
+        for (const thread of threads.slice(0, this.MAX_CANDIDATES)) {
+            const conversation = await ConversationStore.get(thread.platform, thread.uuid);
+            const result = conversation && this.matchConversation(conversation, clauses);
+            if (result) matches.push({ ...result, updatedAt: thread.last_query_datetime });
+        }
+
+        matches.sort((a, b) => b.score - a.score || (b.updatedAt || '').localeCompare(a.updatedAt || ''));
+        return { results: matches.slice(0, limit), total: matches.length, truncated };
+    }
+
+    // ============================================
+    // MATCHING & SNIPPETS
+    // ============================================
+
+    /**
+     * Score and snippet for a conversation, or null if any clause doesn't match
+     */
+    static matchConversation(conversation, clauses) {
+        const regexes = clauses.map(clause => new RegExp(clause.pattern, 'gu'));
+        const count = (text, regex) => {
+            regex.lastIndex = 0;
+            return (text.match(regex) || []).length;
+        };
+
+        const title = this.fold(conversation.title);
+        const texts = conversation.messages.map(m => ConversationSchema.getText(m));
+        const folded = texts.map(text => this.fold(text));
+
+        let score = 0;
+        let best = null;
+        const found = regexes.map(() => false);
+        folded.forEach((text, index) => {
+            const counts = regexes.map(regex => count(text, regex));
+            counts.forEach((n, i) => { if (n > 0) found[i] = true; });
+            const distinct = counts.filter(n => n > 0).length;
+            const total = counts.reduce((sum, n) => sum + n, 0);
+            score += total;
+            if (total > 0 && (!best || distinct > best.distinct || (distinct === best.distinct && total > best.total))) {
+                best = { index, distinct, total };
+            }
+        });
+        regexes.forEach((regex, i) => {
+            const n = count(title, regex);
+            if (n > 0) found[i] = true;
+            score += n * this.TITLE_WEIGHT;
+        });
+        if (!found.every(Boolean)) return null;
+
+        return {
+            uuid: conversation.uuid,
+            platform: conversation.platform,
+            title: conversation.title || 'Untitled',
+            url: conversation.url || ConversationSchema.buildUrl(conversation.platform, conversation.uuid),
+            score,
+            snippet: best
+                ? { ...this.snippet(texts[best.index], folded[best.index], regexes), role: conversation.messages[best.index].role, messageIndex: best.index }
+                : { ...this.snippet(texts[0] || '', folded[0] || '', regexes), role: conversation.messages[0]?.role || null, messageIndex: 0 }
+        };
+    }
+
+    /**
+     * Excerpt around the first match with the matched ranges
+     * (offsets into the excerpt's text) for highlighting
+     */
+    static snippet(text, folded, regexes) {
+        let first = text.length;
+        regexes.forEach(regex => {
+            regex.lastIndex = 0;
+            const match = regex.exec(folded);
+            if (match && match.index < first) first = match.index;
+        });
+        if (first === text.length) first = 0;
+
+        let start = Math.max(0, first - this.SNIPPET_BEFORE);
+        if (start > 0) {
+            const space = text.indexOf(' ', start);
+            if (space !== -1 && space < first) start = space + 1;
+        }
+        let end = Math.min(text.length, start + this.SNIPPET_LENGTH);
+        if (end < text.length) {
+            const space = text.lastIndexOf(' ', end);
+            if (space > first) end = space;
+        }
+
+        const highlights = [];
+        regexes.forEach(regex => {
+            regex.lastIndex = start;
+            let match;
+            while ((match = regex.exec(folded)) !== null && match.index < end) {
+                if (match[0].length === 0) {
+                    regex.lastIndex++;
+                    continue;
+                }
+                highlights.push([match.index - start, Math.min(match.index + match[0].length, end) - start]);
+            }
+        });
+        highlights.sort((a, b) => a[0] - b[0]);
+
+        const prefix = start > 0 ? '…' : '';
+        return {
+            text: prefix + text.slice(start, end).replace(/\s/g, ' ') + (end < text.length ? '…' : ''),
+            highlights: this.mergeRanges(highlights).map(([s, e]) => [s + prefix.length, e + prefix.length])
+        };
+    }
+
+    static mergeRanges(ranges) {
+        const merged = [];
+        ranges.forEach(([s, e]) => {
+            const last = merged[merged.length - 1];
+            if (last && s <= last[1]) last[1] = Math.max(last[1], e);
+            else merged.push([s, e]);
+        });
+        return merged;
+    }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SearchIndex;
+}
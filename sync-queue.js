@@ -0,0 +1,270 @@
+// OmniExporter AI - Sync Queue
+// Persistent job queue for bulk Notion syncs. The service worker owns and
+// processes it; the dashboard only enqueues threads and sends pause, resume,
+// cancel and reprioritise commands.
+//
+// Stored in chrome.storage.local so a job survives service worker restarts
+// and browser restarts:
+//   syncQueue = {
+//     status: 'idle' | 'running' | 'paused' | 'completed' | 'cancelled',
+//     startedAt, finishedAt, updatedAt,
+//     items: [{ key, uuid, title, platform, archived, force, state, attempts, error, nextAttemptAt, action }]
+//   }
+// Item state: 'pending' | 'running' | 'done' | 'failed' | 'retrying'
+
+class SyncQueue {
+    static STORAGE_KEY = 'syncQueue';
+    static MAX_ATTEMPTS = 3;
+    // Wait before the 2nd and 3rd attempt
+    static RETRY_DELAYS = [60 * 1000, 5 * 60 * 1000];
+
+    static _chain = Promise.resolve();
+    static _running = false;
+
+    // ============================================
+    // STORAGE
+    // ============================================
+
+    static emptyQueue() {
+        return { status: 'idle', startedAt: null, finishedAt: null, updatedAt: null, items: [] };
+    }
+
+    static async load() {
+        const data = await chrome.storage.local.get(this.STORAGE_KEY);
+        return data[this.STORAGE_KEY] || this.emptyQueue();
+    }
+
+    /**
+     * Read-modify-write of the stored queue. Calls are serialized so the worker
+     * loop and control messages never overwrite each other's changes.
+     */
+    static update(mutate) {
+        const next = this._chain.then(async () => {
+            const queue = await this.load();
+            const result = mutate(queue);
+            queue.updatedAt = Date.now();
+            await chrome.storage.local.set({ [this.STORAGE_KEY]: queue });
+            return result;
+        });
+        this._chain = next.catch(() => { });
+        return next;
+    }
+
+    static itemKey(platform, uuid) {
+        return `${platform}:${uuid}`;
+    }
+
+    // ============================================
+    // CONTROL
+    // ============================================
+
+    /**
+     * Add threads ({ uuid, title, platform, archived }) to the queue; archived
+     * threads are read from the local archive instead of the platform.
+     * Threads already waiting or running are skipped; a finished job is
+     * cleared first. Returns the number of threads added.
+     */
+    static enqueue(threads, { force = false } = {}) {
+        return this.update(queue => {
+            if (queue.status === 'completed' || queue.status === 'cancelled' || queue.status === 'idle') {
+                queue.items = queue.items.filter(item => !this.isFinished(item));
+                queue.startedAt = Date.now();
+                queue.finishedAt = null;
+            }
+
+            const known = new Map(queue.items.map(item => [item.key, item]));
+            let added = 0;
+            for (const thread of threads) {
+                const key = this.itemKey(thread.platform, thread.uuid);
+                const existing = known.get(key);
+                if (existing && !this.isFinished(existing)) continue;
+                if (existing) queue.items.splice(queue.items.indexOf(existing), 1);
+
+                queue.items.push({
+                    key,
+                    uuid: thread.uuid,
+                    title: thread.title || 'Untitled',
+                    platform: thread.platform,
+                    archived: !!thread.archived,
+                    force,
+                    state: 'pending',
+                    attempts: 0,
+                    error: null,
+                    nextAttemptAt: null,
+                    action: null
+                });
+                added++;
+            }
+
+            if (queue.status !== 'paused') queue.status = 'running';
+            return added;
+        });
+    }
+
+    static pause() {
+        return this.update(queue => {
+            if (queue.status === 'running') queue.status = 'paused';
+        });
+    }
+
+    static resume() {
+        return this.update(queue => {
+            if (queue.status === 'paused') queue.status = 'running';
+        });
+    }
+
+    /**
+     * Drop everything that hasn't run yet. The thread being synced finishes.
+     */
+    static cancel() {
+        return this.update(queue => {
+            queue.items = queue.items.filter(item => item.state !== 'pending' && item.state !== 'retrying');
+            queue.status = 'cancelled';
+        });
+    }
+
+    /**
+     * Move a waiting item to the front of the queue
+     */
+    static prioritize(key) {
+        return this.update(queue => {
+            const index = queue.items.findIndex(item => item.key === key);
+            if (index === -1 || this.isFinished(queue.items[index])) return false;
+            const [item] = queue.items.splice(index, 1);
+            item.state = 'pending';
+            item.nextAttemptAt = null;
+            queue.items.unshift(item);
+            return true;
+        });
+    }
+
+    /**
+     * After a service worker restart nothing is actually running: put
+     * interrupted items back in line
+     */
+    static recover() {
+        return this.update(queue => {
+            queue.items.forEach(item => {
+                if (item.state === 'running') item.state = 'pending';
+            });
+        });
+    }
+
+    // ============================================
+    // STATE
+    // ============================================
+
+    static isFinished(item) {
+        return item.state === 'done' || item.state === 'failed';
+    }
+
+    /**
+     * Running or paused with threads left to sync
+     */
+    static isActive(queue) {
+        return (queue.status === 'running' || queue.status === 'paused') &&
+            queue.items.some(item => !this.isFinished(item));
+    }
+
+    static counts(queue) {
+        const counts = { total: queue.items.length, pending: 0, running: 0, done: 0, failed: 0, retrying: 0 };
+        queue.items.forEach(item => counts[item.state]++);
+        return counts;
+    }
+
+    static nextRunnable(queue, now = Date.now()) {
+        return queue.items.find(item => item.state === 'pending') ||
+            queue.items.find(item => item.state === 'retrying' && item.nextAttemptAt <= now) ||
+            null;
+    }
+
+    /**
+     * Errors that will fail the same way on every attempt: signed out,
+     * bad request, missing page or permissions
+     */
+    static isRetryable(error) {
+        if (error.retryable === false || error.code === 'AUTH_REQUIRED') return false;
+        if (error.status >= 400 && error.status < 500) return error.status === 408 || error.status === 429;
+        return true;
+    }
+
+    // ============================================
+    // WORKER
+    // ============================================
+
+    /**
+     * Process items one at a time until the queue is paused, cancelled or has
+     * nothing runnable left. Items waiting for a retry are picked up by a later
+     * call once their backoff has passed.
+     *
+     * @param {Object} handlers
+     * @param {Function} handlers.process - async (item) => action; throws on failure
+     * @param {Function} handlers.onFailed - (item) called when an item gives up
+     * @param {Function} handlers.onFinished - (queue) called when the job completes or is cancelled
+     */
+    static async run({ process, onFailed, onFinished }) {
+        if (this._running) return;
+        this._running = true;
+
+        try {
+            while (true) {
+                const item = await this.update(queue => {
+                    if (queue.status !== 'running') return null;
+                    const next = this.nextRunnable(queue);
+                    if (!next) return null;
+                    next.state = 'running';
+                    next.attempts++;
+                    return { ...next };
+                });
+                if (!item) break;
+
+                try {
+                    const action = await process(item);
+                    await this.setItem(item.key, { state: 'done', action, error: null });
+                } catch (error) {
+                    const retry = this.isRetryable(error) && item.attempts < this.MAX_ATTEMPTS;
+                    const delay = this.RETRY_DELAYS[item.attempts - 1] ?? this.RETRY_DELAYS[this.RETRY_DELAYS.length - 1];
+                    console.warn(`[SyncQueue] ${item.key} failed (attempt ${item.attempts}):`, error.message);
+                    const updated = await this.setItem(item.key, retry
+                        ? { state: 'retrying', error: error.message, nextAttemptAt: Date.now() + delay }
+                        : { state: 'failed', error: error.message, nextAttemptAt: null });
+                    if (!retry && updated && onFailed) await onFailed(updated);
+                }
+            }
+
+            const finished = await this.update(queue => {
+                const done = queue.items.every(item => this.isFinished(item));
+                if (queue.status === 'running' && done && queue.items.length > 0) {
+                    queue.status = 'completed';
+                    queue.finishedAt = Date.now();
+                    return { ...queue };
+                }
+                if (queue.status === 'cancelled' && !queue.finishedAt) {
+                    queue.finishedAt = Date.now();
+                    return { ...queue };
+                }
+                return null;
+            });
+            if (finished && onFinished) await onFinished(finished);
+        } finally {
+            this._running = false;
+        }
+    }
+
+    /**
+     * Patch one item (if it wasn't cancelled meanwhile); returns the updated item
+     */
+    static setItem(key, patch) {
+        return this.update(queue => {
+            const item = queue.items.find(i => i.key === key);
+            if (!item) return null;
+            Object.assign(item, patch);
+            return { ...item };
+        });
+    }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SyncQueue;
+}
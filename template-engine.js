@@ -0,0 +1,289 @@
+// OmniExporter AI - Template Engine
+// Mustache/Handlebars-style templates for user-defined export layouts, and the
+// storage of those templates. Syntax:
+//
+//   {{title}}  {{turn.answer}}       value (HTML-escaped in HTML templates)
+//   {{{answerHtml}}}                 value, never escaped
+//   {{#each turns}}…{{else}}…{{/each}}
+//                                    loop; inside: the item's fields, {{this}},
+//                                    {{@index}} (from 0), {{@number}} (from 1),
+//                                    {{@first}}, {{@last}}, and outer fields
+//   {{#if model}}…{{else}}…{{/if}}   {{#unless …}}…{{/unless}}
+//   {{! comment }}
+//
+// Block tags alone on a line remove that whole line, so loops don't leave
+// blank lines in Markdown and text output.
+
+class TemplateError extends Error {
+    constructor(message, line) {
+        super(line ? `Line ${line}: ${message}` : message);
+        this.name = 'TemplateError';
+        this.line = line || null;
+    }
+}
+
+class TemplateEngine {
+    static FORMATS = ['markdown', 'html', 'txt'];
+
+    static STORAGE_KEY = 'exportTemplates';
+
+    // Parsed templates by source; the live preview parses on every keystroke
+    static CACHE_SIZE = 50;
+    static cache = new Map();
+
+    // ============================================
+    // PARSING
+    // ============================================
+
+    /**
+     * Parse a template into a tree of text, value and block nodes
+     * @throws {TemplateError} on unclosed, unexpected or malformed tags
+     */
+    static parse(source) {
+        source = String(source ?? '');
+        if (this.cache.has(source)) return this.cache.get(source);
+
+        const tokens = this.tokenize(source);
+        const root = { type: 'root', children: [] };
+        const stack = [root];
+        const current = () => stack[stack.length - 1];
+
+        tokens.forEach(token => {
+            switch (token.type) {
+                case 'text':
+                    if (token.value) current().children.push(token);
+                    break;
+                case 'comment':
+                    break;
+                case 'value':
+                    current().children.push(token);
+                    break;
+                case 'open': {
+                    const block = { type: 'block', name: token.name, path: token.path, line: token.line, children: [], inverse: null };
+                    current().children.push(block);
+                    stack.push(block);
+                    break;
+                }
+                case 'else': {
+                    const block = current();
+                    if (block.type !== 'block' || block.inverse) throw new TemplateError('{{else}} outside of a block', token.line);
+                    block.inverse = [];
+                    block.main = block.children;
+                    block.children = block.inverse;
+                    break;
+                }
+                case 'close': {
+                    const block = current();
+                    if (block.type !== 'block') throw new TemplateError(`{{/${token.name}}} without an opening tag`, token.line);
+                    if (block.name !== token.name) {
+                        throw new TemplateError(`{{/${token.name}}} closes {{#${block.name}}} from line ${block.line}`, token.line);
+                    }
+                    if (block.main) block.children = block.main;
+                    delete block.main;
+                    stack.pop();
+                    break;
+                }
+            }
+        });
+
+        if (stack.length > 1) {
+            const block = current();
+            throw new TemplateError(`{{#${block.name} ${block.path}}} is never closed`, block.line);
+        }
+
+        if (this.cache.size >= this.CACHE_SIZE) this.cache.clear();
+        this.cache.set(source, root);
+        return root;
+    }
+
+    static tokenize(source) {
+        const tokens = [];
+        const pattern = /\{\{\{\s*([\s\S]*?)\s*\}\}\}|\{\{\s*([\s\S]*?)\s*\}\}/g;
+        const lineAt = offset => source.slice(0, offset).split('\n').length;
+        let last = 0;
+        let match;
+
+        while ((match = pattern.exec(source))) {
+            tokens.push({ type: 'text', value: source.slice(last, match.index) });
+            last = pattern.lastIndex;
+            const line = lineAt(match.index);
+
+            if (match[1] !== undefined) {
+                tokens.push({ type: 'value', path: this.checkPath(match[1], line), raw: true, line });
+                continue;
+            }
+
+            const tag = match[2];
+            const sigil = tag[0];
+            if (sigil === '!') {
+                tokens.push({ type: 'comment', line });
+            } else if (sigil === '#') {
+                const [name, path, ...rest] = tag.slice(1).trim().split(/\s+/);
+                if (!['each', 'if', 'unless'].includes(name)) throw new TemplateError(`Unknown block {{#${name}}}`, line);
+                if (!path || rest.length > 0) throw new TemplateError(`{{#${name}}} needs exactly one field`, line);
+                tokens.push({ type: 'open', name, path: this.checkPath(path, line), line });
+            } else if (sigil === '/') {
+                tokens.push({ type: 'close', name: tag.slice(1).trim(), line });
+            } else if (tag === 'else') {
+                tokens.push({ type: 'else', line });
+            } else {
+                tokens.push({ type: 'value', path: this.checkPath(tag, line), raw: false, line });
+            }
+        }
+        tokens.push({ type: 'text', value: source.slice(last) });
+
+        this.stripStandaloneLines(tokens);
+        return tokens;
+    }
+
+    static checkPath(path, line) {
+        if (!/^(this|@[a-z]+|[A-Za-z_$][\w$]*(\.[A-Za-z_$][\w$]*)*)$/.test(path)) {
+            throw new TemplateError(`"${path}" is not a field name`, line);
+        }
+        return path;
+    }
+
+    /**
+     * Remove the indentation and line break around block tags that are the
+     * only thing on their line
+     */
+    static stripStandaloneLines(tokens) {
+        const last = tokens.length - 2;
+        const standalone = tokens.map((token, i) => {
+            if (!['open', 'close', 'else', 'comment'].includes(token.type)) return false;
+            const before = tokens[i - 1].value;
+            const after = tokens[i + 1].value;
+            return (i === 1 ? /(^|\n)[ \t]*$/ : /\n[ \t]*$/).test(before) &&
+                (i === last ? /^[ \t]*(\r?\n|$)/ : /^[ \t]*\r?\n/).test(after);
+        });
+        // Decided on the original text first: neighbouring standalone tags share the text between them
+        standalone.forEach((isStandalone, i) => {
+            if (!isStandalone) return;
+            tokens[i - 1].value = tokens[i - 1].value.replace(/[ \t]*$/, '');
+            tokens[i + 1].value = tokens[i + 1].value.replace(/^[ \t]*(\r?\n)?/, '');
+        });
+    }
+
+    // ============================================
+    // RENDERING
+    // ============================================
+
+    /**
+     * @param {string} source - template text
+     * @param {Object} context - data the template reads
+     * @param {Object} options - { html: true } escapes {{values}} for HTML
+     * @returns {string}
+     */
+    static render(source, context, { html = false } = {}) {
+        const out = [];
+        this.renderNodes(this.parse(source).children, [context], html, out);
+        return out.join('');
+    }
+
+    static renderNodes(nodes, scopes, html, out) {
+        nodes.forEach(node => {
+            if (node.type === 'text') {
+                out.push(node.value);
+            } else if (node.type === 'value') {
+                const value = this.lookup(scopes, node.path);
+                const text = value === null || value === undefined ? '' : Array.isArray(value) ? value.join(', ') : String(value);
+                out.push(html && !node.raw ? this.escapeHtml(text) : text);
+            } else {
+                this.renderBlock(node, scopes, html, out);
+            }
+        });
+    }
+
+    static renderBlock(block, scopes, html, out) {
+        const value = this.lookup(scopes, block.path);
+        const inverse = block.inverse || [];
+
+        if (block.name === 'each') {
+            const items = Array.isArray(value) ? value : [];
+            if (items.length === 0) {
+                this.renderNodes(inverse, scopes, html, out);
+                return;
+            }
+            items.forEach((item, index) => {
+                const meta = { '@index': index, '@number': index + 1, '@first': index === 0, '@last': index === items.length - 1, this: item };
+                this.renderNodes(block.children, [...scopes, item, meta], html, out);
+            });
+            return;
+        }
+
+        const truthy = Array.isArray(value) ? value.length > 0 : !!value;
+        const show = block.name === 'if' ? truthy : !truthy;
+        this.renderNodes(show ? block.children : inverse, scopes, html, out);
+    }
+
+    /**
+     * Resolve a dotted path, innermost scope first
+     */
+    static lookup(scopes, path) {
+        const [head, ...rest] = path.split('.');
+        for (let i = scopes.length - 1; i >= 0; i--) {
+            const scope = scopes[i];
+            if (scope !== null && typeof scope === 'object' && head in scope) {
+                return rest.reduce((value, key) => value?.[key], scope[head]);
+            }
+        }
+        return undefined;
+    }
+
+    static escapeHtml(text) {
+        return text
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    // ============================================
+    // STORAGE
+    // ============================================
+    //
+    // template = { id, name, format: 'markdown' | 'html' | 'txt', body, updatedAt }
+
+    static async loadTemplates() {
+        if (typeof chrome === 'undefined' || !chrome.storage?.local) return [];
+        const stored = await chrome.storage.local.get([this.STORAGE_KEY]);
+        return Array.isArray(stored[this.STORAGE_KEY]) ? stored[this.STORAGE_KEY] : [];
+    }
+
+    static async saveTemplates(templates) {
+        await chrome.storage.local.set({ [this.STORAGE_KEY]: templates });
+    }
+
+    static async getTemplate(id) {
+        return (await this.loadTemplates()).find(t => t.id === id) || null;
+    }
+
+    /**
+     * Check an imported or edited template; returns a clean copy
+     * @throws {TemplateError}
+     */
+    static validateTemplate(template) {
+        const name = String(template?.name || '').trim();
+        if (!name) throw new TemplateError('Template has no name');
+        if (!this.FORMATS.includes(template.format)) throw new TemplateError(`"${name}" has unknown format "${template.format}"`);
+        if (typeof template.body !== 'string') throw new TemplateError(`"${name}" has no template text`);
+        try {
+            this.parse(template.body);
+        } catch (e) {
+            throw new TemplateError(`"${name}": ${e.message}`);
+        }
+        return {
+            id: template.id || `tpl-${crypto.randomUUID()}`,
+            name: name.slice(0, 80),
+            format: template.format,
+            body: template.body,
+            updatedAt: template.updatedAt || new Date().toISOString()
+        };
+    }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TemplateEngine, TemplateError };
+}
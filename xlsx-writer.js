@@ -0,0 +1,224 @@
+// OmniExporter AI - XLSX Writer
+// Builds single-sheet Excel (Office Open XML) workbooks in the extension and
+// packs them with zip-writer.js. Strings are written inline (no shared string
+// table), so cells are never read as formulas; text that would become one when
+// the cell is edited is marked with Excel's quote prefix. The first row can be
+// a header: bold, frozen and with filter buttons.
+
+class XlsxWriter {
+    static MIME_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+    static NS = {
+        main: 'http://schemas.openxmlformats.org/spreadsheetml/2006/main',
+        r: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships',
+        rels: 'http://schemas.openxmlformats.org/package/2006/relationships',
+        types: 'http://schemas.openxmlformats.org/package/2006/content-types'
+    };
+
+    // Longest text Excel keeps in one cell
+    static CELL_LIMIT = 32767;
+
+    // Cell formats in styles.xml; the quoted ones carry the quote prefix
+    static STYLE = { normal: 0, header: 1, wrap: 2, quoted: 3, wrapQuoted: 4 };
+
+    // Text spreadsheets treat as a formula (or DDE command) when typed into a cell:
+    // =, @, a tab or carriage return first, or a sign followed by a function,
+    // cell reference or bracket (+SUM(…), -A1) or by a number and an operator
+    // (-2+3). Markdown bullets ("- item") and plain negative numbers stay as they are.
+    static FORMULA_START = /^(?:[=@\t\r]|[+-](?:[A-Za-z$(]|\s*\d[\d.,]*\s*[-+*/^&]))/;
+
+    /**
+     * @param {Object} options
+     * @param {string} options.title - workbook title (document properties)
+     * @param {string} options.sheetName - at most 31 characters, no []:*?/\
+     * @param {Array} options.columns - [{ width, wrap }]: width in characters, wrap long text
+     */
+    constructor({ title = '', sheetName = 'Sheet1', columns = [] } = {}) {
+        this.title = title;
+        this.sheetName = String(sheetName).replace(/[[\]:*?/\\]/g, ' ').slice(0, 31) || 'Sheet1';
+        this.columns = columns;
+        this.rows = [];
+        this.width = 0;
+        this.hasHeader = false;
+    }
+
+    /**
+     * Append a row. Numbers become numeric cells, everything else text;
+     * null and undefined leave the cell empty.
+     * @param {Array} values
+     * @param {Object} options - { header: true } for the first row
+     */
+    row(values, { header = false } = {}) {
+        if (header && this.rows.length === 0) this.hasHeader = true;
+        const r = this.rows.length + 1;
+        const cells = values.map((value, c) => {
+            if (value === null || value === undefined || value === '') return '';
+            const ref = `${XlsxWriter.columnName(c)}${r}`;
+            const numeric = typeof value === 'number' && Number.isFinite(value);
+            const wrap = this.columns[c]?.wrap;
+            const quoted = !header && !numeric && XlsxWriter.FORMULA_START.test(String(value));
+            const { STYLE } = XlsxWriter;
+            const style = header ? STYLE.header
+                : quoted ? (wrap ? STYLE.wrapQuoted : STYLE.quoted)
+                    : wrap ? STYLE.wrap : STYLE.normal;
+            const s = style ? ` s="${style}"` : '';
+            if (numeric) return `<c r="${ref}"${s}><v>${value}</v></c>`;
+
+            let text = XlsxWriter.clean(value);
+            if (text.length > XlsxWriter.CELL_LIMIT) text = `${text.slice(0, XlsxWriter.CELL_LIMIT - 1)}…`;
+            return `<c r="${ref}"${s} t="inlineStr"><is><t xml:space="preserve">${XlsxWriter.escape(text)}</t></is></c>`;
+        });
+        this.rows.push(`<row r="${r}">${cells.join('')}</row>`);
+        this.width = Math.max(this.width, values.length);
+    }
+
+    // ============================================
+    // PACKAGE
+    // ============================================
+
+    /**
+     * The finished .xlsx
+     */
+    async toBlob() {
+        const zip = new ZipWriter();
+        const { NS } = XlsxWriter;
+        const relType = name => `http://schemas.openxmlformats.org/officeDocument/2006/relationships/${name}`;
+
+        await zip.add('[Content_Types].xml', XlsxWriter.xml(
+            `<Types xmlns="${NS.types}">` +
+            '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+            '<Default Extension="xml" ContentType="application/xml"/>' +
+            '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+            '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+            '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+            '<Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/>' +
+            '</Types>'));
+
+        await zip.add('_rels/.rels', XlsxWriter.xml(
+            `<Relationships xmlns="${NS.rels}">` +
+            `<Relationship Id="rId1" Type="${relType('officeDocument')}" Target="xl/workbook.xml"/>` +
+            '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties" Target="docProps/core.xml"/>' +
+            '</Relationships>'));
+
+        await zip.add('docProps/core.xml', this.corePropertiesXml());
+
+        const filter = this.hasHeader && this.rows.length > 1 && this.width > 0
+            ? `<definedNames><definedName name="_xlnm._FilterDatabase" localSheetId="0" hidden="1">${this.quotedSheetName()}!${this.range(true)}</definedName></definedNames>`
+            : '';
+        await zip.add('xl/workbook.xml', XlsxWriter.xml(
+            `<workbook xmlns="${NS.main}" xmlns:r="${NS.r}">` +
+            `<sheets><sheet name="${XlsxWriter.escape(this.sheetName)}" sheetId="1" r:id="rId1"/></sheets>${filter}</workbook>`));
+
+        await zip.add('xl/_rels/workbook.xml.rels', XlsxWriter.xml(
+            `<Relationships xmlns="${NS.rels}">` +
+            `<Relationship Id="rId1" Type="${relType('worksheet')}" Target="worksheets/sheet1.xml"/>` +
+            `<Relationship Id="rId2" Type="${relType('styles')}" Target="styles.xml"/>` +
+            '</Relationships>'));
+
+        await zip.add('xl/worksheets/sheet1.xml', this.sheetXml());
+        await zip.add('xl/styles.xml', XlsxWriter.stylesXml());
+
+        return new Blob([zip.toBlob()], { type: XlsxWriter.MIME_TYPE });
+    }
+
+    sheetXml() {
+        const pane = this.hasHeader
+            ? '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>'
+            : '';
+        const cols = this.columns.length > 0
+            ? `<cols>${this.columns.map((col, i) =>
+                `<col min="${i + 1}" max="${i + 1}" width="${col.width || 12}" customWidth="1"/>`).join('')}</cols>`
+            : '';
+        const filter = this.hasHeader && this.rows.length > 1 && this.width > 0
+            ? `<autoFilter ref="${this.range(false)}"/>`
+            : '';
+        return XlsxWriter.xml(
+            `<worksheet xmlns="${XlsxWriter.NS.main}" xmlns:r="${XlsxWriter.NS.r}">` +
+            `${pane}${cols}<sheetData>${this.rows.join('')}</sheetData>${filter}</worksheet>`);
+    }
+
+    static stylesXml() {
+        return XlsxWriter.xml(
+            `<styleSheet xmlns="${XlsxWriter.NS.main}">` +
+            '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font>' +
+            '<font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+            '<fills count="3"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill>' +
+            '<fill><patternFill patternType="solid"><fgColor rgb="FFF1F5F9"/></patternFill></fill></fills>' +
+            '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+            '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+            '<cellXfs count="5">' +
+            '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"><alignment vertical="top"/></xf>' +
+            '<xf numFmtId="0" fontId="1" fillId="2" borderId="0" xfId="0" applyFont="1" applyFill="1"/>' +
+            '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0" applyAlignment="1"><alignment vertical="top" wrapText="1"/></xf>' +
+            '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0" quotePrefix="1"><alignment vertical="top"/></xf>' +
+            '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0" applyAlignment="1" quotePrefix="1"><alignment vertical="top" wrapText="1"/></xf>' +
+            '</cellXfs>' +
+            '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>' +
+            '</styleSheet>');
+    }
+
+    corePropertiesXml() {
+        const now = new Date().toISOString().replace(/\.\d+Z$/, 'Z');
+        return XlsxWriter.xml(
+            '<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" ' +
+            'xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" ' +
+            'xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">' +
+            (this.title ? `<dc:title>${XlsxWriter.escape(XlsxWriter.clean(this.title))}</dc:title>` : '') +
+            '<dc:creator>OmniExporter AI</dc:creator>' +
+            `<dcterms:created xsi:type="dcterms:W3CDTF">${now}</dcterms:created>` +
+            `<dcterms:modified xsi:type="dcterms:W3CDTF">${now}</dcterms:modified>` +
+            '</cp:coreProperties>');
+    }
+
+    // ============================================
+    // HELPERS
+    // ============================================
+
+    /**
+     * Used cell range, e.g. "A1:I42", or "$A$1:$I$42" for defined names
+     */
+    range(absolute) {
+        const $ = absolute ? '$' : '';
+        return `${$}A${$}1:${$}${XlsxWriter.columnName(this.width - 1)}${$}${this.rows.length}`;
+    }
+
+    quotedSheetName() {
+        return `'${XlsxWriter.escape(this.sheetName.replace(/'/g, "''"))}'`;
+    }
+
+    // 0 → A, 25 → Z, 26 → AA
+    static columnName(index) {
+        let name = '';
+        for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+            name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+        }
+        return name;
+    }
+
+    static xml(body) {
+        return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n${body}`;
+    }
+
+    static escape(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Drop characters XML 1.0 doesn't allow (control characters, lone surrogates)
+     */
+    static clean(text) {
+        return String(text ?? '')
+            .replace(/\r\n?/g, '\n')
+            .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f\ufffe\uffff]/g, '')
+            .replace(/[\ud800-\udbff](?![\udc00-\udfff])|(?<![\ud800-\udbff])[\udc00-\udfff]/g, '');
+    }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = XlsxWriter;
+}
@@ -0,0 +1,165 @@
+// OmniExporter AI - ZIP Reader
+// Reads entries from a ZIP archive (e.g. a platform's data export) without
+// loading the whole file: only the central directory and the requested
+// entries are read from the Blob. Deflated entries are inflated with the
+// browser's DecompressionStream. ZIP64 archives are supported; encrypted
+// entries are not.
+
+class ZipReader {
+    static EOCD_SIGNATURE = 0x06054b50;
+    static EOCD64_LOCATOR_SIGNATURE = 0x07064b50;
+    static EOCD64_SIGNATURE = 0x06064b50;
+    static CENTRAL_SIGNATURE = 0x02014b50;
+    static LOCAL_SIGNATURE = 0x04034b50;
+
+    /**
+     * @param {Blob} blob - the archive (a File from an <input type="file"> works)
+     * @param {Array} entries - parsed central directory
+     */
+    constructor(blob, entries) {
+        this.blob = blob;
+        this.entries = entries;
+    }
+
+    /**
+     * Read the archive's central directory
+     */
+    static async open(blob) {
+        // End of central directory: 22 bytes plus a comment of up to 64 KB
+        const tailStart = Math.max(0, blob.size - 22 - 0xffff);
+        const tail = new DataView(await blob.slice(tailStart).arrayBuffer());
+
+        let eocd = -1;
+        for (let i = tail.byteLength - 22; i >= 0; i--) {
+            if (tail.getUint32(i, true) === this.EOCD_SIGNATURE) {
+                eocd = i;
+                break;
+            }
+        }
+        if (eocd === -1) throw new Error('Not a ZIP file');
+
+        let count = tail.getUint16(eocd + 10, true);
+        let size = tail.getUint32(eocd + 12, true);
+        let offset = tail.getUint32(eocd + 16, true);
+
+        // ZIP64: the real values live in a separate record the locator points at
+        if (eocd >= 20 && tail.getUint32(eocd - 20, true) === this.EOCD64_LOCATOR_SIGNATURE) {
+            const eocd64Offset = Number(tail.getBigUint64(eocd - 20 + 8, true));
+            const eocd64 = new DataView(await blob.slice(eocd64Offset, eocd64Offset + 56).arrayBuffer());
+            if (eocd64.getUint32(0, true) !== this.EOCD64_SIGNATURE) throw new Error('Corrupt ZIP64 archive');
+            count = Number(eocd64.getBigUint64(32, true));
+            size = Number(eocd64.getBigUint64(40, true));
+            offset = Number(eocd64.getBigUint64(48, true));
+        }
+
+        const directory = new DataView(await blob.slice(offset, offset + size).arrayBuffer());
+        const decoder = new TextDecoder();
+        const entries = [];
+        let pos = 0;
+
+        for (let i = 0; i < count; i++) {
+            if (directory.getUint32(pos, true) !== this.CENTRAL_SIGNATURE) throw new Error('Corrupt ZIP directory');
+            const nameLength = directory.getUint16(pos + 28, true);
+            const extraLength = directory.getUint16(pos + 30, true);
+            const commentLength = directory.getUint16(pos + 32, true);
+            const name = decoder.decode(new Uint8Array(directory.buffer, pos + 46, nameLength));
+
+            const entry = {
+                name,
+                flags: directory.getUint16(pos + 8, true),
+                method: directory.getUint16(pos + 10, true),
+                compressedSize: directory.getUint32(pos + 20, true),
+                size: directory.getUint32(pos + 24, true),
+                headerOffset: directory.getUint32(pos + 42, true),
+                directory: name.endsWith('/')
+            };
+            this.readZip64Extra(entry, directory, pos + 46 + nameLength, extraLength);
+            entries.push(entry);
+
+            pos += 46 + nameLength + extraLength + commentLength;
+        }
+
+        return new ZipReader(blob, entries);
+    }
+
+    /**
+     * Sizes and offsets that don't fit 32 bits are stored in the ZIP64 extra field,
+     * in this order and only when the directory value is 0xFFFFFFFF
+     */
+    static readZip64Extra(entry, view, start, length) {
+        let pos = start;
+        while (pos + 4 <= start + length) {
+            const id = view.getUint16(pos, true);
+            const fieldLength = view.getUint16(pos + 2, true);
+            if (id === 0x0001) {
+                let field = pos + 4;
+                for (const key of ['size', 'compressedSize', 'headerOffset']) {
+                    if (entry[key] === 0xffffffff) {
+                        entry[key] = Number(view.getBigUint64(field, true));
+                        field += 8;
+                    }
+                }
+                return;
+            }
+            pos += 4 + fieldLength;
+        }
+    }
+
+    // ============================================
+    // ENTRIES
+    // ============================================
+
+    /**
+     * File entries, optionally filtered by a name test
+     */
+    files(test = () => true) {
+        return this.entries.filter(entry => !entry.directory && test(entry.name));
+    }
+
+    /**
+     * Entry by exact path, or by file name anywhere in the archive
+     * (exports are often wrapped in a top-level folder)
+     */
+    find(name) {
+        return this.entries.find(entry => entry.name === name) ||
+            this.entries.find(entry => entry.name.endsWith(`/${name}`)) ||
+            null;
+    }
+
+    async readBlob(entry) {
+        if (entry.flags & 0x1) throw new Error(`${entry.name} is encrypted`);
+
+        const header = new DataView(await this.blob.slice(entry.headerOffset, entry.headerOffset + 30).arrayBuffer());
+        if (header.getUint32(0, true) !== ZipReader.LOCAL_SIGNATURE) throw new Error(`Corrupt ZIP entry: ${entry.name}`);
+        const dataStart = entry.headerOffset + 30 + header.getUint16(26, true) + header.getUint16(28, true);
+        const data = this.blob.slice(dataStart, dataStart + entry.compressedSize);
+
+        if (entry.method === 0) return data;
+        if (entry.method === 8) {
+            return new Response(data.stream().pipeThrough(new DecompressionStream('deflate-raw'))).blob();
+        }
+        throw new Error(`Unsupported compression method ${entry.method} for ${entry.name}`);
+    }
+
+    async readText(entry) {
+        return (await this.readBlob(entry)).text();
+    }
+
+    async readJson(entry) {
+        return JSON.parse(await this.readText(entry));
+    }
+
+    /**
+     * ZIP files start with a local file header ("PK\x03\x04")
+     */
+    static async isZip(blob) {
+        if (blob.size < 4) return false;
+        const head = new DataView(await blob.slice(0, 4).arrayBuffer());
+        return head.getUint32(0, true) === this.LOCAL_SIGNATURE || head.getUint32(0, true) === this.EOCD_SIGNATURE;
+    }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ZipReader;
+}
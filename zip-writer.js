@@ -0,0 +1,165 @@
+// OmniExporter AI - ZIP Writer
+// Builds a ZIP archive in memory for multi-file exports. Entries are deflated
+// with the browser's CompressionStream (stored as-is when that doesn't make
+// them smaller) and file names are written as UTF-8. Counterpart of
+// zip-reader.js; archives over 4 GB (ZIP64) are not supported.
+
+class ZipWriter {
+    static LOCAL_SIGNATURE = 0x04034b50;
+    static CENTRAL_SIGNATURE = 0x02014b50;
+    static EOCD_SIGNATURE = 0x06054b50;
+    static UTF8_FLAG = 0x0800;
+    static MAX_SIZE = 0xffffffff;
+
+    static _crcTable = null;
+
+    constructor() {
+        this.entries = [];
+        this.names = new Set();
+    }
+
+    // ============================================
+    // ENTRIES
+    // ============================================
+
+    /**
+     * Add a file. Folders are implied by the path ("ChatGPT/2025/Note.md").
+     * @param {string} name - path inside the archive, '/'-separated
+     * @param {string|Uint8Array|Blob} content
+     * @param {Object} options
+     * @param {Date} options.date - modification time (default: now)
+     * @param {boolean} options.compress - false stores the entry uncompressed
+     * @returns {Object} the entry: { name, size, crc, ... }
+     */
+    async add(name, content, { date = new Date(), compress = true } = {}) {
+        if (this.names.has(name)) throw new Error(`Duplicate ZIP entry: ${name}`);
+
+        const bytes = await ZipWriter.toBytes(content);
+        let data = bytes;
+        let method = 0;
+        if (compress && bytes.length > 0 && typeof CompressionStream !== 'undefined') {
+            const deflated = new Uint8Array(await new Response(
+                new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate-raw'))).arrayBuffer());
+            if (deflated.length < bytes.length) {
+                data = deflated;
+                method = 8;
+            }
+        }
+        if (data.length > ZipWriter.MAX_SIZE) throw new Error(`${name} is too large for a ZIP archive`);
+
+        const entry = {
+            name,
+            nameBytes: new TextEncoder().encode(name),
+            data,
+            method,
+            crc: ZipWriter.crc32(bytes),
+            size: bytes.length,
+            date: date instanceof Date && !isNaN(date) ? date : new Date()
+        };
+        this.entries.push(entry);
+        this.names.add(name);
+        return entry;
+    }
+
+    has(name) {
+        return this.names.has(name);
+    }
+
+    /**
+     * The finished archive
+     */
+    toBlob() {
+        const parts = [];
+        const central = [];
+        let offset = 0;
+
+        for (const entry of this.entries) {
+            const { time, day } = ZipWriter.dosDateTime(entry.date);
+
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, ZipWriter.LOCAL_SIGNATURE, true);
+            local.setUint16(4, 20, true);                       // version needed
+            local.setUint16(6, ZipWriter.UTF8_FLAG, true);
+            local.setUint16(8, entry.method, true);
+            local.setUint16(10, time, true);
+            local.setUint16(12, day, true);
+            local.setUint32(14, entry.crc, true);
+            local.setUint32(18, entry.data.length, true);
+            local.setUint32(22, entry.size, true);
+            local.setUint16(26, entry.nameBytes.length, true);
+            local.setUint16(28, 0, true);                       // extra field length
+            parts.push(local, entry.nameBytes, entry.data);
+
+            const header = new DataView(new ArrayBuffer(46));
+            header.setUint32(0, ZipWriter.CENTRAL_SIGNATURE, true);
+            header.setUint16(4, 20, true);                      // version made by
+            header.setUint16(6, 20, true);                      // version needed
+            header.setUint16(8, ZipWriter.UTF8_FLAG, true);
+            header.setUint16(10, entry.method, true);
+            header.setUint16(12, time, true);
+            header.setUint16(14, day, true);
+            header.setUint32(16, entry.crc, true);
+            header.setUint32(20, entry.data.length, true);
+            header.setUint32(24, entry.size, true);
+            header.setUint16(28, entry.nameBytes.length, true);
+            header.setUint32(42, offset, true);                 // local header offset
+            central.push(header, entry.nameBytes);
+
+            offset += 30 + entry.nameBytes.length + entry.data.length;
+            if (offset > ZipWriter.MAX_SIZE) throw new Error('Export is too large for a ZIP archive');
+        }
+
+        const centralSize = central.reduce((sum, part) => sum + part.byteLength, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, ZipWriter.EOCD_SIGNATURE, true);
+        end.setUint16(8, this.entries.length, true);
+        end.setUint16(10, this.entries.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        return new Blob([...parts, ...central, end], { type: 'application/zip' });
+    }
+
+    // ============================================
+    // HELPERS
+    // ============================================
+
+    static async toBytes(content) {
+        if (content instanceof Uint8Array) return content;
+        if (content instanceof ArrayBuffer) return new Uint8Array(content);
+        if (content instanceof Blob) return new Uint8Array(await content.arrayBuffer());
+        return new TextEncoder().encode(String(content ?? ''));
+    }
+
+    static crc32(bytes) {
+        if (!this._crcTable) {
+            this._crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+                this._crcTable[n] = c >>> 0;
+            }
+        }
+        let crc = 0xffffffff;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = this._crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xffffffff) >>> 0;
+    }
+
+    /**
+     * MS-DOS time and date fields (local time, 2-second precision, 1980-2107)
+     */
+    static dosDateTime(date) {
+        const year = Math.min(Math.max(date.getFullYear(), 1980), 2107);
+        return {
+            time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+            day: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+        };
+    }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ZipWriter;
+}